@@ -0,0 +1,171 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { REDACTED, isSecretKey, isSecretPath } from "./config-diff.js";
+
+// Append-only audit log of administrative actions: one JSON object per line,
+//   { ts, ip, user, role, method, route, params, outcome, status, durationMs, jobId }
+// written straight to disk (mode 0600) so nothing is lost on a crash. The file rotates by size
+// (audit.log -> audit.log.1 -> ...), keeping `maxFiles` generations. Parameters are redacted
+// before they are written: secret-looking keys, config edits to secret-looking paths, and
+// whatever `redact` catches in the remaining strings.
+
+export const AUDIT_OUTCOMES = ["ok", "failed", "denied", "aborted"];
+
+const MAX_STRING = 200;
+const MAX_ITEMS = 20;
+
+// A copy of request parameters that is safe and small enough to keep.
+export function redactAuditParams(value, redact = (s) => s, key = "") {
+  if (value === null || value === undefined || typeof value === "number" || typeof value === "boolean") return value;
+  if (key && isSecretKey(key)) return value === "" ? value : REDACTED;
+  if (typeof value === "string") {
+    const clean = redact(value);
+    return clean.length > MAX_STRING ? `${clean.slice(0, MAX_STRING)}... (${clean.length} chars)` : clean;
+  }
+  if (Array.isArray(value)) {
+    const out = value.slice(0, MAX_ITEMS).map((v) => redactAuditParams(v, redact));
+    if (value.length > MAX_ITEMS) out.push(`... (${value.length - MAX_ITEMS} more)`);
+    return out;
+  }
+  if (typeof value !== "object") return String(value);
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = redactAuditParams(v, redact, k);
+  // Config edit ops ({ op, path: "/channels/telegram/botToken", value }) name the secret in `path`.
+  if (typeof value.path === "string" && "value" in value && isSecretPath(value.path.split("/").join("."))) {
+    out.value = REDACTED;
+  }
+  return out;
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  return Number.isFinite(n) ? n : null;
+}
+
+export function createAuditLog({ file, maxFileBytes = 5 * 1024 * 1024, maxFiles = 5, redact, now = Date.now }) {
+  let fileSize = null;
+
+  function generations() {
+    return Array.from({ length: maxFiles }, (_, i) => (i === 0 ? file : `${file}.${i}`));
+  }
+
+  function rotate() {
+    const files = generations();
+    for (let i = files.length - 1; i >= 1; i--) {
+      try {
+        fs.renameSync(files[i - 1], files[i]);
+      } catch {
+        // missing generation
+      }
+    }
+    fileSize = 0;
+  }
+
+  // Returns the stored entry. Write errors are logged, not thrown: the action itself already
+  // happened and its response is on its way.
+  function record(entry) {
+    const stored = {
+      ts: new Date(now()).toISOString(),
+      ip: entry.ip ?? null,
+      user: entry.user ?? null,
+      role: entry.role ?? null,
+      method: entry.method ?? null,
+      route: entry.route ?? null,
+      params: redactAuditParams(entry.params ?? {}, redact),
+      outcome: AUDIT_OUTCOMES.includes(entry.outcome) ? entry.outcome : "ok",
+      status: entry.status ?? null,
+      durationMs: entry.durationMs ?? null,
+      jobId: entry.jobId ?? null,
+    };
+    const line = JSON.stringify(stored) + "\n";
+    try {
+      if (fileSize === null) {
+        try {
+          fileSize = fs.statSync(file).size;
+        } catch {
+          fileSize = 0;
+        }
+      }
+      if (fileSize > 0 && fileSize + Buffer.byteLength(line) > maxFileBytes) rotate();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, line, { mode: 0o600 });
+      fileSize += Buffer.byteLength(line);
+    } catch (err) {
+      console.error(`[audit] can't write ${file}: ${String(err)}`);
+    }
+    return stored;
+  }
+
+  function matches(entry, f) {
+    if (f.user && entry.user !== f.user) return false;
+    if (f.ip && entry.ip !== f.ip) return false;
+    if (f.outcome && entry.outcome !== f.outcome) return false;
+    if (f.route && !`${entry.method} ${entry.route}`.toLowerCase().includes(f.route)) return false;
+    const ts = Date.parse(entry.ts);
+    if (f.since !== null && !(ts >= f.since)) return false;
+    if (f.until !== null && !(ts <= f.until)) return false;
+    if (f.q && !JSON.stringify(entry).toLowerCase().includes(f.q)) return false;
+    return true;
+  }
+
+  // Newest first. Filters: user, ip, outcome (exact); route, q (case-insensitive substring);
+  // since/until (ISO time or epoch ms); limit (default 100, at most 1000).
+  // -> { entries, more } where `more` says older matches were cut off by the limit.
+  function query(filters = {}) {
+    const limit = Math.min(Math.max(Number.parseInt(String(filters.limit ?? "100"), 10) || 100, 1), 1000);
+    const f = {
+      user: filters.user ? String(filters.user) : null,
+      ip: filters.ip ? String(filters.ip) : null,
+      outcome: filters.outcome ? String(filters.outcome) : null,
+      route: filters.route ? String(filters.route).toLowerCase() : null,
+      q: filters.q ? String(filters.q).toLowerCase() : null,
+      since: parseTime(filters.since),
+      until: parseTime(filters.until),
+    };
+    const entries = [];
+    for (const gen of generations()) {
+      let text;
+      try {
+        text = fs.readFileSync(gen, "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") continue;
+        throw err;
+      }
+      const lines = text.split("\n");
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+        if (!matches(entry, f)) continue;
+        if (entries.length === limit) return { entries, more: true };
+        entries.push(entry);
+      }
+    }
+    return { entries, more: false };
+  }
+
+  // Take over the log (all generations) kept at `fromFile`, replacing whatever is at `file`.
+  // Imports and rollbacks swap the whole state dir; the audit trail stays with the install.
+  function adopt(fromFile) {
+    const targets = generations();
+    targets.forEach((to, i) => {
+      const from = i === 0 ? fromFile : `${fromFile}.${i}`;
+      if (fs.existsSync(from)) {
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        fs.copyFileSync(from, to);
+        fs.chmodSync(to, 0o600);
+      } else {
+        fs.rmSync(to, { force: true });
+      }
+    });
+    fileSize = null;
+  }
+
+  return { file, record, query, adopt };
+}
@@ -0,0 +1,205 @@
+// Model auth providers for the setup wizard, read from the installed CLI's `openclaw onboard
+// --help`: the --auth-choice values become the wizard's options, and each choice is paired with
+// the flag that carries its secret. The lists below are what the wizard shipped with; they label
+// and group the choices they know, and stand in entirely when the help can't be parsed.
+
+export const FALLBACK_AUTH_GROUPS = [
+  {
+    value: "openai",
+    label: "OpenAI",
+    hint: "Codex OAuth + API key",
+    options: [
+      { value: "codex-cli", label: "OpenAI Codex OAuth (Codex CLI)" },
+      { value: "openai-codex", label: "OpenAI Codex (ChatGPT OAuth)" },
+      { value: "openai-api-key", label: "OpenAI API key" },
+    ],
+  },
+  {
+    value: "anthropic",
+    label: "Anthropic",
+    hint: "Claude Code CLI + API key",
+    options: [
+      { value: "claude-cli", label: "Anthropic token (Claude Code CLI)" },
+      { value: "token", label: "Anthropic token (paste setup-token)" },
+      { value: "apiKey", label: "Anthropic API key" },
+    ],
+  },
+  {
+    value: "google",
+    label: "Google",
+    hint: "Gemini API key + OAuth",
+    options: [
+      { value: "gemini-api-key", label: "Google Gemini API key" },
+      { value: "google-antigravity", label: "Google Antigravity OAuth" },
+      { value: "google-gemini-cli", label: "Google Gemini CLI OAuth" },
+    ],
+  },
+  {
+    value: "openrouter",
+    label: "OpenRouter",
+    hint: "API key",
+    options: [{ value: "openrouter-api-key", label: "OpenRouter API key" }],
+  },
+  {
+    value: "ai-gateway",
+    label: "Vercel AI Gateway",
+    hint: "API key",
+    options: [{ value: "ai-gateway-api-key", label: "Vercel AI Gateway API key" }],
+  },
+  {
+    value: "moonshot",
+    label: "Moonshot AI",
+    hint: "Kimi K2 + Kimi Code",
+    options: [
+      { value: "moonshot-api-key", label: "Moonshot AI API key" },
+      { value: "kimi-code-api-key", label: "Kimi Code API key" },
+    ],
+  },
+  {
+    value: "zai",
+    label: "Z.AI (GLM 4.7)",
+    hint: "API key",
+    options: [{ value: "zai-api-key", label: "Z.AI (GLM 4.7) API key" }],
+  },
+  {
+    value: "minimax",
+    label: "MiniMax",
+    hint: "M2.1 (recommended)",
+    options: [
+      { value: "minimax-api", label: "MiniMax M2.1" },
+      { value: "minimax-api-lightning", label: "MiniMax M2.1 Lightning" },
+    ],
+  },
+  {
+    value: "qwen",
+    label: "Qwen",
+    hint: "OAuth",
+    options: [{ value: "qwen-portal", label: "Qwen OAuth" }],
+  },
+  {
+    value: "copilot",
+    label: "Copilot",
+    hint: "GitHub + local proxy",
+    options: [
+      { value: "github-copilot", label: "GitHub Copilot (GitHub device login)" },
+      { value: "copilot-proxy", label: "Copilot Proxy (local)" },
+    ],
+  },
+  {
+    value: "synthetic",
+    label: "Synthetic",
+    hint: "Anthropic-compatible (multi-model)",
+    options: [{ value: "synthetic-api-key", label: "Synthetic API key" }],
+  },
+  {
+    value: "opencode-zen",
+    label: "OpenCode Zen",
+    hint: "API key",
+    options: [{ value: "opencode-zen", label: "OpenCode Zen (multi-model proxy)" }],
+  },
+];
+
+// Auth choice -> the onboard args that come before the pasted secret.
+export const FALLBACK_SECRET_ARGS = {
+  "openai-api-key": ["--openai-api-key"],
+  apiKey: ["--anthropic-api-key"],
+  "openrouter-api-key": ["--openrouter-api-key"],
+  "ai-gateway-api-key": ["--ai-gateway-api-key"],
+  "moonshot-api-key": ["--moonshot-api-key"],
+  "kimi-code-api-key": ["--kimi-code-api-key"],
+  "gemini-api-key": ["--gemini-api-key"],
+  "zai-api-key": ["--zai-api-key"],
+  "minimax-api": ["--minimax-api-key"],
+  "minimax-api-lightning": ["--minimax-api-key"],
+  "synthetic-api-key": ["--synthetic-api-key"],
+  "opencode-zen": ["--opencode-zen-api-key"],
+  // The Anthropic setup-token flow.
+  token: ["--token-provider", "anthropic", "--token"],
+};
+
+// Choices that aren't a way to authenticate.
+const IGNORED_CHOICES = new Set(["skip"]);
+
+const WORDS = { api: "API", cli: "CLI", oauth: "OAuth", ai: "AI" };
+
+function humanize(id) {
+  const words = id.split(/[-_]/).map((w) => WORDS[w.toLowerCase()] ?? w);
+  return words.map((w, i) => (i === 0 ? w.charAt(0).toUpperCase() + w.slice(1) : w)).join(" ");
+}
+
+// Commander-style help -> { choices: [auth choice ids] | null, flags: Map("--flag" -> description) }
+// for every option that takes a value. Wrapped descriptions (deeper-indented lines) are joined.
+export function parseOnboardHelp(text) {
+  const flags = new Map();
+  let last = null;
+  for (const line of String(text ?? "").split("\n")) {
+    const m = line.match(/^\s{1,8}(?:-\w,\s*)?(--[A-Za-z0-9][\w-]*)(\s+[<[][^>\]]+[>\]])?\s*(.*)$/);
+    if (m) {
+      last = m[2] ? m[1] : null;
+      if (last) flags.set(last, m[3].trim());
+    } else if (last && /^\s{10,}\S/.test(line)) {
+      flags.set(last, `${flags.get(last)} ${line.trim()}`.trim());
+    } else {
+      last = null;
+    }
+  }
+
+  const desc = flags.get("--auth-choice") ?? "";
+  // Commander's own `(choices: "a", "b")`, or a hand-written "Auth: a|b|c".
+  const listed = desc.match(/\(choices:\s*([^)]*)\)/)?.[1].split(",") ?? desc.replace(/^[^:]*:/, "").split("|");
+  const choices = listed
+    .map((c) => c.trim().replace(/^["']|["']$/g, ""))
+    .filter((c) => /^[A-Za-z0-9][\w.-]*$/.test(c));
+  return { choices: choices.length >= 2 ? choices : null, flags };
+}
+
+// The args that carry a choice's secret, if the CLI has them: the known mapping when its flags
+// exist, else a flag named after the choice.
+function secretArgsFor(choice, flags) {
+  const known = FALLBACK_SECRET_ARGS[choice];
+  if (known && known.every((a) => !a.startsWith("--") || flags.has(a))) return known;
+  for (const name of [`--${choice}`, `--${choice}-key`, `--${choice}-api-key`]) {
+    if (flags.has(name) && /key|token|secret/i.test(name)) return [name];
+  }
+  return null;
+}
+
+// { source: "cli" | "fallback", groups, secretArgs } for the wizard and buildOnboardArgs.
+// Known choices keep their group and label; new ones join the group their id starts with
+// (or a new one), labelled from their secret flag's help text.
+export function discoverAuthProviders(helpText) {
+  const { choices, flags } = parseOnboardHelp(helpText);
+  if (!choices) {
+    const groups = FALLBACK_AUTH_GROUPS.map((g) => ({
+      ...g,
+      options: g.options.map((o) => ({ ...o, secret: Boolean(FALLBACK_SECRET_ARGS[o.value]) })),
+    }));
+    return { source: "fallback", groups, secretArgs: FALLBACK_SECRET_ARGS };
+  }
+
+  const known = new Map();
+  for (const g of FALLBACK_AUTH_GROUPS) for (const o of g.options) known.set(o.value, { group: g.value, option: o });
+  const groups = FALLBACK_AUTH_GROUPS.map((g) => ({ ...g, options: [] }));
+  const secretArgs = {};
+
+  for (const choice of choices) {
+    if (IGNORED_CHOICES.has(choice)) continue;
+    const args = secretArgsFor(choice, flags);
+    if (args) secretArgs[choice] = args;
+
+    const hit = known.get(choice);
+    const groupId = hit?.group ?? choice.split("-")[0];
+    let group = groups.find((g) => g.value === groupId);
+    if (!group) {
+      group = { value: groupId, label: humanize(groupId), hint: "", options: [] };
+      groups.push(group);
+    }
+    const flagHelp = args ? flags.get(args[args.length - 1]) : "";
+    group.options.push({
+      value: choice,
+      label: hit?.option.label ?? (flagHelp || humanize(choice)),
+      secret: Boolean(args),
+    });
+  }
+  return { source: "cli", groups: groups.filter((g) => g.options.length), secretArgs };
+}
@@ -0,0 +1,186 @@
+import net from "node:net";
+
+// Failed sign-in tracking for /setup and the Control UI, kept in memory. Every password check
+// (login form, Basic credentials, the WebSocket upgrade, password changes) asks first:
+//   - per client: after `freeAttempts` failures each further try waits a doubling delay (capped
+//     at `maxDelayMs`); `lockAfter` failures lock the client out for `lockMs`. The count only
+//     resets after a quiet `windowMs` following the last failure or the end of the lockout, so
+//     once locked a client gets one more try per lockout.
+//   - globally: `globalLockAfter` failures from all clients within `windowMs` lock out password
+//     sign-in for everyone for `lockMs` (spread-out attacks from many addresses). Existing
+//     sessions keep working, so a signed-in admin can clear it.
+// IPv6 clients are counted per /64, since one host usually has the whole prefix.
+
+export const AUTH_THROTTLE_DEFAULTS = {
+  windowMs: 15 * 60 * 1000,
+  freeAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10_000,
+  lockAfter: 10,
+  lockMs: 15 * 60 * 1000,
+  globalLockAfter: 100,
+  maxTracked: 10_000,
+};
+
+function throttleError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function normalizeIp(value) {
+  let ip = String(value ?? "").trim();
+  // "[::1]:1234" and "1.2.3.4:1234" (some proxies add the port).
+  const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) ip = bracketed[1];
+  else if (/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(ip)) ip = ip.slice(0, ip.lastIndexOf(":"));
+  if (ip.toLowerCase().startsWith("::ffff:") && net.isIPv4(ip.slice(7))) ip = ip.slice(7);
+  return ip;
+}
+
+// The client address behind `trustedHops` reverse proxies (Railway's edge is one). Each proxy
+// appends the address it got the request from to X-Forwarded-For, so only the last
+// `trustedHops` entries (counting the socket peer) can be believed; anything further left was
+// sent by the client and may be made up.
+export function clientIpFrom({ remoteAddress, forwardedFor, trustedHops = 0 }) {
+  const peer = normalizeIp(remoteAddress) || "unknown";
+  if (!trustedHops || !forwardedFor) return peer;
+  const header = Array.isArray(forwardedFor) ? forwardedFor.join(",") : String(forwardedFor);
+  const chain = [...header.split(",").map(normalizeIp).filter(Boolean), peer];
+  return chain[Math.max(0, chain.length - 1 - trustedHops)];
+}
+
+// What the throttle counts an address as: IPv4 as is, IPv6 by its /64.
+export function throttleKey(ip) {
+  const addr = normalizeIp(ip);
+  if (!net.isIPv6(addr)) return addr;
+  const [head, tail] = addr.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill("0"), ...right];
+  return `${groups
+    .slice(0, 4)
+    .map((g) => (Number.parseInt(g, 16) || 0).toString(16))
+    .join(":")}::/64`;
+}
+
+export function createAuthThrottle(options = {}) {
+  const { now = Date.now, ...rest } = options;
+  const opts = { ...AUTH_THROTTLE_DEFAULTS, ...rest };
+  const clients = new Map();
+  let globalFailures = [];
+  let globalLockedUntil = 0;
+
+  function isStale(entry, t) {
+    return t - Math.max(entry.lastAt, entry.lockedUntil) > opts.windowMs;
+  }
+
+  function entryFor(key, t) {
+    const entry = clients.get(key);
+    if (entry && isStale(entry, t)) {
+      clients.delete(key);
+      return null;
+    }
+    return entry ?? null;
+  }
+
+  function prune(t) {
+    for (const [key, entry] of clients) if (isStale(entry, t)) clients.delete(key);
+    // Still too many: forget the least recently failing (entries are re-inserted on failure).
+    for (const key of clients.keys()) {
+      if (clients.size <= opts.maxTracked) break;
+      clients.delete(key);
+    }
+  }
+
+  function delayFor(failures) {
+    if (failures < opts.freeAttempts) return 0;
+    return Math.min(opts.maxDelayMs, opts.baseDelayMs * 2 ** (failures - opts.freeAttempts));
+  }
+
+  // -> { locked, scope ("client" | "global" | null), retryAfterMs, delayMs }
+  function check(ip) {
+    const t = now();
+    if (globalLockedUntil > t) {
+      return { locked: true, scope: "global", retryAfterMs: globalLockedUntil - t, delayMs: 0 };
+    }
+    const entry = entryFor(throttleKey(ip), t);
+    if (entry && entry.lockedUntil > t) {
+      return { locked: true, scope: "client", retryAfterMs: entry.lockedUntil - t, delayMs: 0 };
+    }
+    return { locked: false, scope: null, retryAfterMs: 0, delayMs: delayFor(entry?.failures ?? 0) };
+  }
+
+  function recordFailure(ip, { username = null } = {}) {
+    const t = now();
+    const key = throttleKey(ip);
+    const entry = entryFor(key, t) ?? { failures: 0, firstAt: t, lastAt: t, lockedUntil: 0, lastUsername: null };
+    entry.failures += 1;
+    entry.lastAt = t;
+    entry.lastUsername = username;
+    if (entry.failures >= opts.lockAfter) entry.lockedUntil = t + opts.lockMs;
+    clients.delete(key);
+    clients.set(key, entry);
+    if (clients.size > opts.maxTracked) prune(t);
+
+    globalFailures = globalFailures.filter((at) => t - at < opts.windowMs);
+    globalFailures.push(t);
+    if (globalFailures.length >= opts.globalLockAfter) {
+      globalLockedUntil = t + opts.lockMs;
+      globalFailures = [];
+    }
+    return check(ip);
+  }
+
+  function recordSuccess(ip) {
+    clients.delete(throttleKey(ip));
+  }
+
+  // For /setup/api/debug.
+  function state() {
+    const t = now();
+    prune(t);
+    const iso = (ms) => (ms > t ? new Date(ms).toISOString() : null);
+    return {
+      clients: [...clients]
+        .map(([key, e]) => ({
+          client: key,
+          failures: e.failures,
+          firstAt: new Date(e.firstAt).toISOString(),
+          lastAt: new Date(e.lastAt).toISOString(),
+          lastUsername: e.lastUsername,
+          lockedUntil: iso(e.lockedUntil),
+          nextDelayMs: e.lockedUntil > t ? null : delayFor(e.failures),
+        }))
+        .sort((a, b) => b.lastAt.localeCompare(a.lastAt)),
+      global: {
+        recentFailures: globalFailures.filter((at) => t - at < opts.windowMs).length,
+        lockedUntil: iso(globalLockedUntil),
+      },
+      limits: {
+        windowMs: opts.windowMs,
+        freeAttempts: opts.freeAttempts,
+        lockAfter: opts.lockAfter,
+        lockMs: opts.lockMs,
+        globalLockAfter: opts.globalLockAfter,
+      },
+    };
+  }
+
+  // Admin override: forget one client (IP or /64 as listed by state()), or everything
+  // including the global lockout. Returns how many clients were forgotten.
+  function clear(client) {
+    if (client === undefined || client === null || client === "") {
+      const n = clients.size;
+      clients.clear();
+      globalFailures = [];
+      globalLockedUntil = 0;
+      return n;
+    }
+    const key = clients.has(client) ? client : throttleKey(client);
+    if (!clients.delete(key)) throw throttleError(404, `No failed sign-ins recorded for ${client}`);
+    return 1;
+  }
+
+  return { check, recordFailure, recordSuccess, state, clear };
+}
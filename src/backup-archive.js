@@ -0,0 +1,439 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { once } from "node:events";
+import path from "node:path";
+import * as tar from "tar";
+
+import { CONFIG_FILE_NAMES } from "./backup-preview.js";
+import { INSTALL_STATE_FILES } from "./import-snapshots.js";
+
+// Backup archives: a .tar.gz of the state dir and/or workspace plus a manifest.json describing
+// the export (scope, source paths, versions) with a SHA-256 per file. Entries are written one by
+// one from an open file handle, so each checksum covers exactly the bytes in the archive even if
+// the gateway is writing to the file meanwhile. The manifest is the last entry.
+//
+// The layout inside the archive doesn't depend on where the install keeps its dirs (see
+// archiveLayout), so an export from any install can be imported into any other.
+
+export const MANIFEST_NAME = "manifest.json";
+export const MANIFEST_FORMAT = "openclaw-backup";
+export const MANIFEST_VERSION = 1;
+
+// State dir names, preferred first.
+export const STATE_DIR_NAMES = [".openclaw", ".clawdbot", ".moltbot"];
+
+// Credentials, chat sessions, auth profiles, tokens and the setup accounts (state-dir relative,
+// "/" separated).
+export function isSecretStatePath(rel) {
+  const parts = rel.split("/");
+  const base = parts[parts.length - 1];
+  return (
+    parts[0] === "credentials" ||
+    parts.includes("sessions") ||
+    base === "auth-profiles.json" ||
+    base === "gateway.token" ||
+    isInstallStatePath(rel)
+  );
+}
+
+// Setup accounts (scrypt hashes). Imports keep the live ones (see
+// carryInstallFiles), so no archive or repo snapshot carries them, whatever the scope.
+export function isInstallStatePath(rel) {
+  return INSTALL_STATE_FILES.includes(rel);
+}
+
+// `state(rel)` picks the state-dir files a scope carries; `workspace` whether it carries the workspace.
+export const EXPORT_SCOPES = {
+  full: { label: "Everything", workspace: true, state: () => true },
+  config: { label: "Config only", workspace: false, state: (rel) => CONFIG_FILE_NAMES.includes(rel) },
+  workspace: { label: "Workspace only", workspace: true, state: () => false },
+  "no-secrets": {
+    label: "Everything except credentials and sessions",
+    workspace: true,
+    state: (rel) => !isSecretStatePath(rel),
+  },
+};
+
+export function isExportScope(name) {
+  return Object.hasOwn(EXPORT_SCOPES, name);
+}
+
+function archiveError(message) {
+  const err = new Error(message);
+  err.code = "EBACKUPMANIFEST";
+  return err;
+}
+
+// "workspace" when child is (under) parent, else null.
+function relativeInside(parent, child) {
+  const rel = path.relative(parent, child);
+  return rel && !rel.startsWith("..") && !path.isAbsolute(rel) ? rel.split(path.sep).join("/") : null;
+}
+
+// Archive paths for the state dir and workspace: the state dir keeps its name if it's one of
+// STATE_DIR_NAMES (else ".openclaw"); the workspace is "workspace", or stays at its relative
+// path when it lives inside the state dir.
+export function archiveLayout(stateDir, workspaceDir) {
+  const base = path.basename(stateDir);
+  const state = STATE_DIR_NAMES.includes(base) ? base : ".openclaw";
+  const nested = relativeInside(stateDir, workspaceDir);
+  return { state, workspace: nested ? `${state}/${nested}` : "workspace" };
+}
+
+// { rel, abs, stat } for every file and symlink under dir; `skip` prunes absolute subtrees.
+function walk(dir, skip = null) {
+  const out = [];
+  const visit = (abs, rel) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(abs, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const childAbs = path.join(abs, entry.name);
+      const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (childAbs === skip) continue;
+      if (entry.isDirectory()) visit(childAbs, childRel);
+      else if (entry.isFile() || entry.isSymbolicLink()) {
+        out.push({ rel: childRel, abs: childAbs, stat: fs.lstatSync(childAbs) });
+      }
+    }
+  };
+  visit(dir, "");
+  return out;
+}
+
+// The files a scope carries as { archivePath, abs, stat }, in archive order, with the layout they
+// are archived under. `workspace` is null when the scope leaves the workspace out.
+export function collectArchiveFiles({ stateDir, workspaceDir, scope = "full" }) {
+  const spec = EXPORT_SCOPES[scope];
+  if (!spec) throw archiveError(`Unknown export scope: ${scope}`);
+
+  const layout = archiveLayout(stateDir, workspaceDir);
+  const nestedWorkspace = relativeInside(stateDir, workspaceDir);
+  // A state dir inside the workspace (e.g. WORKSPACE_DIR=/data) is archived once, as state.
+  const stateInWorkspace = relativeInside(workspaceDir, stateDir);
+  const under = (prefix) => (f) => ({ archivePath: `${prefix}/${f.rel}`, abs: f.abs, stat: f.stat });
+
+  return {
+    layout,
+    state: walk(stateDir, nestedWorkspace ? workspaceDir : null)
+      .filter((f) => !isInstallStatePath(f.rel) && spec.state(f.rel))
+      .map(under(layout.state)),
+    workspace: spec.workspace ? walk(workspaceDir, stateInWorkspace ? stateDir : null).map(under(layout.workspace)) : null,
+  };
+}
+
+// The manifest.json for an archive of `collected` (see collectArchiveFiles); `files` maps archive
+// paths to { size, sha256 } or { symlink }.
+export function buildManifest({ stateDir, workspaceDir, scope, meta, collected, files, createdAt = new Date() }) {
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    createdAt: new Date(createdAt).toISOString(),
+    scope,
+    ...meta,
+    paths: {
+      stateDir,
+      workspaceDir,
+      state: collected.state.length ? collected.layout.state : null,
+      workspace: collected.workspace ? collected.layout.workspace : null,
+    },
+    files,
+  };
+}
+
+export function packDir(pack, archivePath) {
+  const entry = new tar.ReadEntry(new tar.Header({ path: `${archivePath}/`, type: "Directory", mode: 0o700, size: 0 }));
+  pack.write(entry);
+  entry.end();
+}
+
+export function packSymlink(pack, archivePath, linkpath, mtime) {
+  const entry = new tar.ReadEntry(
+    new tar.Header({ path: archivePath, type: "SymbolicLink", linkpath, mode: 0o777, size: 0, mtime })
+  );
+  pack.write(entry);
+  entry.end();
+  return { symlink: linkpath };
+}
+
+// A file entry of `size` bytes; the caller writes exactly that many (awaiting "drain") and ends it.
+export function packFileEntry(pack, archivePath, { size, mode, mtime }) {
+  const entry = new tar.ReadEntry(new tar.Header({ path: archivePath, type: "File", mode: mode & 0o7777, size, mtime }));
+  pack.write(entry);
+  return entry;
+}
+
+// The manifest goes last, then the archive is finished.
+export function packManifest(pack, manifest) {
+  const body = Buffer.from(JSON.stringify(manifest, null, 2) + "\n");
+  const entry = new tar.ReadEntry(
+    new tar.Header({ path: MANIFEST_NAME, type: "File", mode: 0o600, size: body.length, mtime: new Date() })
+  );
+  pack.write(entry);
+  entry.end(body);
+  pack.end();
+}
+
+// Returns the manifest record, or null if the file is gone by now (the wrapper rotates its logs
+// by rename; the gateway deletes sessions). The entry is sized from the open handle, not the
+// listing, so a file that changed since it was listed is archived as it is now.
+async function addFile(pack, archivePath, abs) {
+  let fh;
+  try {
+    fh = await fs.promises.open(abs, "r");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  try {
+    const stat = await fh.stat();
+    const size = stat.size;
+    const entry = packFileEntry(pack, archivePath, { size, mode: stat.mode, mtime: stat.mtime });
+    const hash = crypto.createHash("sha256");
+    const buf = Buffer.alloc(64 * 1024);
+    let pos = 0;
+    while (pos < size) {
+      const want = Math.min(buf.length, size - pos);
+      const { bytesRead } = await fh.read(buf, 0, want, pos);
+      // The tar header already promised `size` bytes; padding them out would archive (and
+      // checksum) content that never existed, so a file truncated in place mid-read fails the
+      // export instead.
+      if (bytesRead === 0) {
+        const err = new Error(`${archivePath} shrank from ${size} to ${pos} bytes while it was being archived; try again`);
+        err.code = "EBACKUPCHANGED";
+        throw err;
+      }
+      const chunk = Buffer.from(buf.subarray(0, bytesRead));
+      hash.update(chunk);
+      pos += chunk.length;
+      if (!entry.write(chunk)) await once(entry, "drain");
+    }
+    entry.end();
+    return { size, sha256: hash.digest("hex") };
+  } finally {
+    await fh.close();
+  }
+}
+
+// Returns a .tar.gz stream right away and fills it in the background; failures surface as an
+// "error" event on the stream. meta: { wrapper, openclaw } (or a promise of it) is copied into
+// the manifest.
+export function createArchiveStream({ stateDir, workspaceDir, scope = "full", meta = {} }) {
+  const collected = collectArchiveFiles({ stateDir, workspaceDir, scope });
+  const pack = new tar.Pack({ gzip: true, portable: true });
+
+  const populate = async () => {
+    const files = {};
+    const addAll = async (prefix, list) => {
+      packDir(pack, prefix);
+      for (const f of list) {
+        const record = f.stat.isSymbolicLink()
+          ? packSymlink(pack, f.archivePath, fs.readlinkSync(f.abs), f.stat.mtime)
+          : await addFile(pack, f.archivePath, f.abs);
+        if (record) files[f.archivePath] = record;
+      }
+    };
+
+    if (collected.state.length) await addAll(collected.layout.state, collected.state);
+    if (collected.workspace) await addAll(collected.layout.workspace, collected.workspace);
+
+    packManifest(pack, buildManifest({ stateDir, workspaceDir, scope, meta: await meta, collected, files }));
+  };
+
+  populate().catch((err) => pack.emit("error", err));
+  return pack;
+}
+
+function sha256File(file) {
+  const hash = crypto.createHash("sha256");
+  const buf = Buffer.alloc(64 * 1024);
+  const fd = fs.openSync(file, "r");
+  try {
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) hash.update(buf.subarray(0, n));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
+}
+
+function sampleList(list) {
+  const shown = list.slice(0, 3).join(", ");
+  return list.length > 3 ? `${shown} and ${list.length - 3} more` : shown;
+}
+
+function safeArchivePath(p) {
+  return typeof p === "string" && p !== "" && !path.isAbsolute(p) && !p.split("/").includes("..");
+}
+
+// Read and check the manifest of an extracted archive. Returns null for archives made before
+// manifests existed; throws EBACKUPMANIFEST errors with a message fit for the user otherwise.
+export function verifyExtractedArchive(extractDir) {
+  const manifestPath = path.join(extractDir, MANIFEST_NAME);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch {
+    throw archiveError("Backup manifest is unreadable; the archive is corrupted.");
+  }
+  if (manifest?.format !== MANIFEST_FORMAT || typeof manifest.files !== "object" || !manifest.files) {
+    throw archiveError("Backup manifest is not an OpenClaw backup manifest.");
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    throw archiveError(
+      `Backup was made by a newer wrapper (manifest version ${manifest.version}). Update this deployment first.`
+    );
+  }
+  if (!isExportScope(manifest.scope)) throw archiveError(`Backup has an unknown scope: ${manifest.scope}`);
+  for (const p of [manifest.paths?.state, manifest.paths?.workspace]) {
+    if (p !== null && p !== undefined && !safeArchivePath(p)) throw archiveError(`Backup manifest has an invalid path: ${p}`);
+  }
+
+  const missing = [];
+  const corrupted = [];
+  for (const [rel, want] of Object.entries(manifest.files)) {
+    if (!safeArchivePath(rel)) throw archiveError(`Backup manifest has an invalid path: ${rel}`);
+    const abs = path.join(extractDir, rel);
+    let st;
+    try {
+      st = fs.lstatSync(abs);
+    } catch {
+      missing.push(rel);
+      continue;
+    }
+    if (want.symlink !== undefined) {
+      if (!st.isSymbolicLink() || fs.readlinkSync(abs) !== want.symlink) corrupted.push(rel);
+    } else if (!st.isFile() || st.size !== want.size) {
+      corrupted.push(rel);
+    } else if (sha256File(abs) !== want.sha256) {
+      corrupted.push(rel);
+    }
+  }
+
+  if (missing.length) {
+    throw archiveError(
+      `Backup is incomplete: ${missing.length} file(s) listed in its manifest are missing (${sampleList(missing)}). ` +
+        "The archive was probably cut off during download or upload; export it again."
+    );
+  }
+  if (corrupted.length) {
+    throw archiveError(
+      `Backup is corrupted: ${corrupted.length} file(s) don't match their checksums (${sampleList(corrupted)}).`
+    );
+  }
+  return manifest;
+}
+
+// A scoped archive carries only part of the state. Copy everything it doesn't cover from the live
+// dirs into the staging area, so swapping the staged dirs in leaves the rest as it was.
+// Returns the staged { stateDir, workspaceDir } to swap in.
+export function fillFromLive({ extractDir, stateDir, workspaceDir }, live, scope) {
+  const spec = EXPORT_SCOPES[scope];
+  if (scope === "full") return { stateDir, workspaceDir };
+
+  const nestedWorkspace = relativeInside(live.stateDir, live.workspaceDir);
+  const copyIn = (f, dest) => {
+    if (fs.existsSync(dest)) return;
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.cpSync(f.abs, dest, { verbatimSymlinks: true });
+  };
+
+  const stagedState = stateDir ?? path.join(extractDir, `${path.basename(live.stateDir)}.live`);
+  fs.mkdirSync(stagedState, { recursive: true });
+  for (const f of walk(live.stateDir, nestedWorkspace ? live.workspaceDir : null)) {
+    if (!spec.state(f.rel)) copyIn(f, path.join(stagedState, f.rel));
+  }
+
+  let stagedWorkspace = workspaceDir;
+  if (!spec.workspace) {
+    stagedWorkspace = nestedWorkspace
+      ? path.join(stagedState, nestedWorkspace)
+      : path.join(extractDir, `${path.basename(live.workspaceDir)}.live`);
+    for (const f of walk(live.workspaceDir)) copyIn(f, path.join(stagedWorkspace, f.rel));
+    fs.mkdirSync(stagedWorkspace, { recursive: true });
+  }
+  return { stateDir: stagedState, workspaceDir: stagedWorkspace };
+}
+
+function isDir(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Archives from before manifests were made with whatever layout the install had, e.g.
+// `root/.openclaw/...` for a state dir outside /data. Find the state dir at any depth: the
+// shallowest dir named like one (preferring .openclaw) or holding a config file. Its workspace
+// is the path the config points at, a sibling "workspace" dir, or "workspace" inside it.
+export function locateLegacyDirs(extractDir, maxDepth = 8) {
+  let level = [extractDir];
+  let stateDir = null;
+  for (let depth = 0; depth <= maxDepth && level.length && !stateDir; depth++) {
+    const next = [];
+    const named = [];
+    const withConfig = [];
+    for (const dir of level) {
+      let entries = [];
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch {
+        continue;
+      }
+      for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        const child = path.join(dir, entry.name);
+        if (STATE_DIR_NAMES.includes(entry.name)) named.push(child);
+        else if (CONFIG_FILE_NAMES.some((n) => fs.existsSync(path.join(child, n)))) withConfig.push(child);
+        next.push(child);
+      }
+    }
+    const rank = (p) => STATE_DIR_NAMES.indexOf(path.basename(p));
+    stateDir = named.sort((a, b) => rank(a) - rank(b))[0] ?? withConfig.sort()[0] ?? null;
+    level = next;
+  }
+  if (!stateDir) return null;
+
+  const candidates = [];
+  for (const name of CONFIG_FILE_NAMES) {
+    try {
+      const configured = JSON.parse(fs.readFileSync(path.join(stateDir, name), "utf8"))?.agents?.defaults?.workspace;
+      if (typeof configured === "string" && path.isAbsolute(configured)) {
+        // Exported relative to "/" (root/...) or to /data (the old default layout).
+        candidates.push(path.join(extractDir, configured));
+        if (configured.startsWith("/data/")) candidates.push(path.join(extractDir, configured.slice("/data/".length)));
+      }
+      break;
+    } catch {
+      // no such config, or unreadable: fall back to the usual places
+    }
+  }
+  candidates.push(path.join(path.dirname(stateDir), "workspace"), path.join(stateDir, "workspace"));
+  const workspaceDir =
+    candidates.find((p) => (p === extractDir || p.startsWith(extractDir + path.sep)) && isDir(p)) ?? null;
+
+  return { stateDir, workspaceDir, stateVariant: path.basename(stateDir) };
+}
+
+// Move the staged workspace to where the live install expects it: inside the staged state dir
+// when WORKSPACE_DIR is nested in STATE_DIR, outside of it otherwise. Without this, a backup from
+// an install with the other layout would lose its workspace on import.
+export function matchLiveLayout({ extractDir, stateDir, workspaceDir }, live) {
+  if (!stateDir || !workspaceDir) return { stateDir, workspaceDir };
+  const nested = relativeInside(live.stateDir, live.workspaceDir);
+  let target = workspaceDir;
+  if (nested) target = path.join(stateDir, nested);
+  else if (relativeInside(stateDir, workspaceDir)) target = path.join(extractDir, "workspace.staged");
+  if (target === workspaceDir) return { stateDir, workspaceDir };
+
+  fs.rmSync(target, { recursive: true, force: true });
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.renameSync(workspaceDir, target);
+  return { stateDir, workspaceDir: target };
+}
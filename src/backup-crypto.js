@@ -0,0 +1,142 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+// Passphrase-encrypted backup envelope. Layout (version 1):
+//
+//   magic "OCLAWENC" (8) | version (1) | scrypt log2(N) (1) | r (1) | p (1) | salt (16) | iv (12)
+//   | AES-256-GCM ciphertext of the .tar.gz ... | auth tag (16)
+//
+// The header is bound as additional authenticated data, so tampering with the KDF parameters
+// fails the same way a wrong passphrase does. New versions get a new version byte; readers
+// reject versions they don't know instead of guessing.
+
+const MAGIC = Buffer.from("OCLAWENC");
+const VERSION = 1;
+const SALT_LEN = 16;
+const IV_LEN = 12;
+const TAG_LEN = 16;
+const HEADER_LEN = MAGIC.length + 4 + SALT_LEN + IV_LEN;
+const KDF = { log2N: 15, r: 8, p: 1 };
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+function deriveKey(passphrase, salt, { log2N, r, p }) {
+  return new Promise((resolve, reject) => {
+    const N = 2 ** log2N;
+    // scrypt needs 128 * N * r bytes; leave headroom over Node's 32MB default.
+    crypto.scrypt(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r }, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+function backupCryptoError(message) {
+  const err = new Error(message);
+  err.code = "EBACKUPCRYPTO";
+  return err;
+}
+
+// Returns a Transform that turns a plain .tar.gz stream into an encrypted envelope.
+export async function createEncryptStream(passphrase) {
+  const salt = crypto.randomBytes(SALT_LEN);
+  const iv = crypto.randomBytes(IV_LEN);
+  const header = Buffer.concat([
+    MAGIC,
+    Buffer.from([VERSION, KDF.log2N, KDF.r, KDF.p]),
+    salt,
+    iv,
+  ]);
+  const key = await deriveKey(passphrase, salt, KDF);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(header);
+
+  let headerSent = false;
+  const sendHeader = (stream) => {
+    if (headerSent) return;
+    headerSent = true;
+    stream.push(header);
+  };
+
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      sendHeader(this);
+      cb(null, cipher.update(chunk));
+    },
+    flush(cb) {
+      sendHeader(this);
+      this.push(cipher.final());
+      this.push(cipher.getAuthTag());
+      cb();
+    },
+  });
+}
+
+export function isEncryptedBackup(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, "r");
+    const buf = Buffer.alloc(MAGIC.length);
+    const n = fs.readSync(fd, buf, 0, MAGIC.length, 0);
+    return n === MAGIC.length && buf.equals(MAGIC);
+  } catch {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+// Decrypt an envelope file into a plain .tar.gz at dest. Throws EBACKUPCRYPTO errors with a
+// message fit for the user (wrong passphrase, unsupported version, truncated file).
+export async function decryptBackupFile(src, dest, passphrase) {
+  const size = fs.statSync(src).size;
+  if (size <= HEADER_LEN + TAG_LEN) throw backupCryptoError("Encrypted backup is truncated.");
+
+  const fd = fs.openSync(src, "r");
+  const header = Buffer.alloc(HEADER_LEN);
+  const tag = Buffer.alloc(TAG_LEN);
+  try {
+    fs.readSync(fd, header, 0, HEADER_LEN, 0);
+    fs.readSync(fd, tag, 0, TAG_LEN, size - TAG_LEN);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw backupCryptoError("Not an encrypted OpenClaw backup.");
+  }
+  let off = MAGIC.length;
+  const version = header[off++];
+  if (version !== VERSION) {
+    throw backupCryptoError(
+      `Encrypted backup uses format version ${version}, which this wrapper does not support.`
+    );
+  }
+  const kdf = { log2N: header[off++], r: header[off++], p: header[off++] };
+  if (kdf.log2N < 10 || kdf.r < 1 || kdf.p < 1 || kdf.p > 16 || 128 * 2 ** kdf.log2N * kdf.r > 256 * 1024 * 1024) {
+    // Refuse parameters that would let a crafted file pin the CPU or exhaust memory.
+    throw backupCryptoError("Encrypted backup header is invalid.");
+  }
+  const salt = header.subarray(off, off + SALT_LEN);
+  const iv = header.subarray(off + SALT_LEN, off + SALT_LEN + IV_LEN);
+
+  if (!passphrase) throw backupCryptoError("This backup is encrypted. Enter its passphrase to import it.");
+
+  const key = await deriveKey(passphrase, salt, kdf);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAAD(header);
+  decipher.setAuthTag(tag);
+
+  const body = fs.createReadStream(src, { start: HEADER_LEN, end: size - TAG_LEN - 1 });
+  try {
+    await pipeline(body, decipher, fs.createWriteStream(dest, { mode: 0o600 }));
+  } catch (err) {
+    fs.rmSync(dest, { force: true });
+    if (/unable to authenticate|bad decrypt/i.test(String(err?.message))) {
+      throw backupCryptoError("Wrong passphrase, or the encrypted backup is corrupted.");
+    }
+    throw err;
+  }
+  return dest;
+}
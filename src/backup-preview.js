@@ -0,0 +1,131 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+import { diffConfig } from "./config-diff.js";
+
+// Builds the manifest shown before an import is applied: what the staged backup contains and
+// what it would change compared to the live state. Reads only; never touches live dirs.
+
+export const CONFIG_FILE_NAMES = ["openclaw.json", "moltbot.json", "clawdbot.json"];
+
+// relative path -> { size, abs } for every regular file under dir (symlinks are skipped).
+function walkFiles(dir, skip = new Set()) {
+  const out = new Map();
+  const visit = (abs, rel) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(abs, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const childAbs = path.join(abs, entry.name);
+      const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (skip.has(childAbs)) continue;
+      if (entry.isDirectory()) visit(childAbs, childRel);
+      else if (entry.isFile()) out.set(childRel, { size: fs.statSync(childAbs).size, abs: childAbs });
+    }
+  };
+  if (dir) visit(dir, "");
+  return out;
+}
+
+function sha256File(file) {
+  return crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+}
+
+export function summarizeDir(dir, opts = {}) {
+  let bytes = 0;
+  const files = walkFiles(dir, opts.skip);
+  for (const f of files.values()) bytes += f.size;
+  return { files: files.size, bytes };
+}
+
+// File-level diff of two directory trees. Same-size files are compared by content hash.
+// opts.only(rel) limits the current files considered (the rest are neither removed nor unchanged).
+export function diffDirs(currentDir, incomingDir, opts = {}) {
+  const limit = opts.limit ?? 200;
+  const current = walkFiles(currentDir, opts.skip);
+  if (opts.only) for (const rel of current.keys()) if (!opts.only(rel)) current.delete(rel);
+  const incoming = walkFiles(incomingDir, opts.skip);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [rel, f] of incoming) {
+    const cur = current.get(rel);
+    if (!cur) added.push(rel);
+    else if (cur.size !== f.size || sha256File(cur.abs) !== sha256File(f.abs)) changed.push(rel);
+    else unchanged++;
+  }
+  for (const rel of current.keys()) {
+    if (!incoming.has(rel)) removed.push(rel);
+  }
+
+  const cap = (list) => list.sort().slice(0, limit);
+  return {
+    added: cap(added),
+    removed: cap(removed),
+    changed: cap(changed),
+    counts: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+    truncated: Math.max(added.length, removed.length, changed.length) > limit,
+  };
+}
+
+export function readConfigFile(stateDir, explicitPath = null) {
+  const candidates = explicitPath ? [explicitPath] : CONFIG_FILE_NAMES.map((n) => path.join(stateDir, n));
+  for (const file of candidates) {
+    if (!fs.existsSync(file)) continue;
+    try {
+      return { file: path.basename(file), config: JSON.parse(fs.readFileSync(file, "utf8")) };
+    } catch (err) {
+      return { file: path.basename(file), config: null, error: `Unparseable config: ${String(err)}` };
+    }
+  }
+  return null;
+}
+
+export function configuredChannels(config) {
+  const channels = config?.channels;
+  if (!channels || typeof channels !== "object") return [];
+  return Object.entries(channels).map(([name, cfg]) => ({ name, enabled: cfg?.enabled !== false }));
+}
+
+// staged: { stateVariant, stateDir, workspaceDir, archive?, covers? }  live: { stateDir, workspaceDir, configPath }
+// A scoped archive has `covers` = { state(rel), workspace }: the live files it doesn't cover are
+// kept on import, so they aren't reported as removed.
+export function buildImportManifest(staged, live) {
+  const covers = staged.covers ?? null;
+  // A workspace nested in the state dir is reported separately, not double-counted.
+  const stagedSkip = new Set(staged.workspaceDir ? [staged.workspaceDir] : []);
+  const liveSkip = new Set([live.workspaceDir]);
+
+  const current = readConfigFile(live.stateDir, live.configPath);
+  const keepsConfig = covers && !CONFIG_FILE_NAMES.some((name) => covers.state(name));
+  const incoming = keepsConfig ? current : staged.stateDir ? readConfigFile(staged.stateDir) : null;
+
+  return {
+    // Export details from the archive's manifest.json (null for archives without one).
+    archive: staged.archive ?? null,
+    stateVariant: staged.stateVariant,
+    state: summarizeDir(staged.stateDir, { skip: stagedSkip }),
+    workspace: staged.workspaceDir ? summarizeDir(staged.workspaceDir) : null,
+    config: {
+      file: incoming?.file ?? null,
+      error: incoming?.error ?? null,
+      currentFile: current?.file ?? null,
+      diff: diffConfig(current?.config ?? {}, incoming?.config ?? {}),
+    },
+    channels: {
+      incoming: configuredChannels(incoming?.config),
+      current: configuredChannels(current?.config),
+    },
+    stateFiles: diffDirs(live.stateDir, staged.stateDir, {
+      skip: new Set([...stagedSkip, ...liveSkip]),
+      only: covers ? covers.state : null,
+    }),
+    workspaceFiles: staged.workspaceDir ? diffDirs(live.workspaceDir, staged.workspaceDir) : null,
+  };
+}
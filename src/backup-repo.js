@@ -0,0 +1,300 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { once } from "node:events";
+import path from "node:path";
+import zlib from "node:zlib";
+import * as tar from "tar";
+
+import {
+  buildManifest,
+  collectArchiveFiles,
+  packDir,
+  packFileEntry,
+  packManifest,
+  packSymlink,
+} from "./backup-archive.js";
+import { selectBackupsToPrune } from "./backups.js";
+
+// Incremental backups. Files are cut into fixed-size chunks stored once, by SHA-256, under
+// "chunks/<ab>/<sha256>" (gzipped); a snapshot is "snapshots/<id>.json", the export manifest
+// (see buildManifest) with each file's chunk list added. Unchanged files cost nothing, and an
+// appended-to file (chat sessions, logs) only adds its last chunk. Any snapshot can be turned
+// back into a regular backup archive with createTarStream.
+//
+// Taking snapshots, deleting them and gc() must not overlap: gc drops chunks no snapshot index
+// references yet. The server runs them all as jobs, which are serialized.
+
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const ID_RE = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+const HASH_RE = /^[0-9a-f]{64}$/;
+
+function repoError(message) {
+  const err = new Error(message);
+  err.code = "EBACKUPREPO";
+  return err;
+}
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+function chunkKey(hash) {
+  return `chunks/${hash.slice(0, 2)}/${hash}`;
+}
+
+export function isValidRepoSnapshotId(id) {
+  return typeof id === "string" && ID_RE.test(id);
+}
+
+// Stores hold opaque objects by "/"-separated key: read(key) -> Buffer, write(key, buf),
+// list(prefix) -> [{ key, size }], remove(key).
+export function createFsStore(dir) {
+  const abs = (key) => path.join(dir, ...key.split("/"));
+  return {
+    describe: dir,
+    read: (key) => fs.promises.readFile(abs(key)),
+    async write(key, buf) {
+      const dest = abs(key);
+      fs.mkdirSync(path.dirname(dest), { recursive: true, mode: 0o700 });
+      const tmp = `${dest}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+      await fs.promises.writeFile(tmp, buf, { mode: 0o600 });
+      fs.renameSync(tmp, dest);
+    },
+    async list(prefix) {
+      const out = [];
+      const visit = (rel) => {
+        let entries;
+        try {
+          entries = fs.readdirSync(abs(rel), { withFileTypes: true });
+        } catch {
+          return;
+        }
+        for (const e of entries) {
+          const key = `${rel}${e.name}`;
+          if (e.isDirectory()) visit(`${key}/`);
+          else if (e.isFile() && !e.name.endsWith(".tmp")) out.push({ key, size: fs.statSync(abs(key)).size });
+        }
+      };
+      visit(prefix);
+      return out;
+    },
+    async remove(key) {
+      fs.rmSync(abs(key), { force: true });
+    },
+  };
+}
+
+// The same, in a bucket (see createS3Client) under `prefix`.
+export function createS3Store(client, prefix, describe) {
+  return {
+    describe,
+    read: (key) => client.getBuffer(`${prefix}${key}`),
+    write: (key, buf) => client.putBuffer(`${prefix}${key}`, buf),
+    async list(p) {
+      return (await client.list(`${prefix}${p}`)).map((o) => ({ key: o.key.slice(prefix.length), size: o.size }));
+    },
+    remove: (key) => client.remove(`${prefix}${key}`),
+  };
+}
+
+function summarize(index) {
+  let bytes = 0;
+  let files = 0;
+  for (const f of Object.values(index.files)) {
+    files += 1;
+    bytes += f.size ?? 0;
+  }
+  return {
+    id: index.id,
+    createdAt: Date.parse(index.createdAt),
+    reason: index.reason ?? null,
+    scope: index.scope,
+    files,
+    bytes,
+  };
+}
+
+export function createBackupRepo({ store, chunkSize = DEFAULT_CHUNK_SIZE }) {
+  // Like addFile in backup-archive.js: null for a file that is gone by now, else the file as it
+  // is when opened (a file truncated mid-read is stored as read).
+  async function storeFile(f, known, totals) {
+    let fh;
+    try {
+      fh = await fs.promises.open(f.abs, "r");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    try {
+      const stat = await fh.stat();
+      const fileHash = crypto.createHash("sha256");
+      const chunks = [];
+      let pos = 0;
+      while (pos < stat.size) {
+        const want = Math.min(chunkSize, stat.size - pos);
+        const { bytesRead, buffer } = await fh.read(Buffer.alloc(want), 0, want, pos);
+        if (bytesRead === 0) break;
+        const buf = buffer.subarray(0, bytesRead);
+        const hash = sha256(buf);
+        fileHash.update(buf);
+        if (!known.has(hash)) {
+          const stored = zlib.gzipSync(buf);
+          await store.write(chunkKey(hash), stored);
+          known.add(hash);
+          totals.newChunks += 1;
+          totals.newBytes += stored.length;
+        }
+        chunks.push(hash);
+        pos += bytesRead;
+      }
+      return { size: pos, sha256: fileHash.digest("hex"), mode: stat.mode & 0o7777, mtime: stat.mtimeMs, chunks };
+    } finally {
+      await fh.close();
+    }
+  }
+
+  // Snapshot the dirs like an export of `scope` would. Returns the summary plus what it added.
+  async function snapshot({ stateDir, workspaceDir, scope = "full", meta = {}, reason = "manual", now = new Date() }) {
+    const collected = collectArchiveFiles({ stateDir, workspaceDir, scope });
+    const known = new Set(
+      (await store.list("chunks/")).map((o) => o.key.split("/").pop()).filter((h) => HASH_RE.test(h))
+    );
+    const totals = { newChunks: 0, newBytes: 0 };
+    const files = {};
+    for (const f of [...collected.state, ...(collected.workspace ?? [])]) {
+      const record = f.stat.isSymbolicLink() ? { symlink: fs.readlinkSync(f.abs) } : await storeFile(f, known, totals);
+      if (record) files[f.archivePath] = record;
+    }
+
+    const id = now.toISOString().replace(/[:.]/g, "-");
+    const index = {
+      ...buildManifest({ stateDir, workspaceDir, scope, meta, collected, files, createdAt: now }),
+      id,
+      reason,
+    };
+    await store.write(`snapshots/${id}.json`, Buffer.from(JSON.stringify(index)));
+    return { ...summarize(index), ...totals };
+  }
+
+  // The full index, or null if there's no such snapshot.
+  async function load(id) {
+    if (!isValidRepoSnapshotId(id)) return null;
+    let raw;
+    try {
+      raw = await store.read(`snapshots/${id}.json`);
+    } catch (err) {
+      if (err.code === "ENOENT" || err.statusCode === 404) return null;
+      throw err;
+    }
+    try {
+      return JSON.parse(raw.toString("utf8"));
+    } catch {
+      throw repoError(`Snapshot ${id} has an unreadable index.`);
+    }
+  }
+
+  // Newest first.
+  async function list() {
+    const keys = (await store.list("snapshots/"))
+      .map((o) => o.key.match(/^snapshots\/(.+)\.json$/)?.[1])
+      .filter(isValidRepoSnapshotId);
+    const out = [];
+    for (const id of keys) {
+      try {
+        const index = await load(id);
+        if (index) out.push(summarize(index));
+      } catch {
+        // Still listed, so it can be deleted; gc() refuses to run while it exists.
+        out.push({ id, createdAt: null, reason: null, scope: null, files: null, bytes: null, unreadable: true });
+      }
+    }
+    return out.sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0));
+  }
+
+  async function readChunk(hash) {
+    let buf;
+    try {
+      buf = zlib.gunzipSync(await store.read(chunkKey(hash)));
+    } catch (err) {
+      if (err.code === "ENOENT" || err.statusCode === 404) throw repoError(`Chunk ${hash.slice(0, 12)} is missing.`);
+      if (String(err.code).startsWith("Z_")) throw repoError(`Chunk ${hash.slice(0, 12)} is corrupted.`);
+      throw err;
+    }
+    if (sha256(buf) !== hash) throw repoError(`Chunk ${hash.slice(0, 12)} is corrupted.`);
+    return buf;
+  }
+
+  // A regular .tar.gz backup (manifest included) of a snapshot index, filled in the background
+  // like createArchiveStream; damaged chunks surface as an "error" event.
+  function createTarStream(index) {
+    const pack = new tar.Pack({ gzip: true, portable: true });
+    const populate = async () => {
+      if (index.paths.state) packDir(pack, index.paths.state);
+      if (index.paths.workspace) packDir(pack, index.paths.workspace);
+      const files = {};
+      for (const [archivePath, f] of Object.entries(index.files)) {
+        if (f.symlink !== undefined) {
+          files[archivePath] = packSymlink(pack, archivePath, f.symlink, new Date(index.createdAt));
+          continue;
+        }
+        const entry = packFileEntry(pack, archivePath, { size: f.size, mode: f.mode, mtime: new Date(f.mtime) });
+        for (const hash of f.chunks) {
+          if (!entry.write(await readChunk(hash))) await once(entry, "drain");
+        }
+        entry.end();
+        files[archivePath] = { size: f.size, sha256: f.sha256 };
+      }
+      const manifest = { ...index, files };
+      delete manifest.id;
+      delete manifest.reason;
+      packManifest(pack, manifest);
+    };
+    populate().catch((err) => pack.emit("error", err));
+    return pack;
+  }
+
+  async function remove(id) {
+    try {
+      if (!(await load(id))) return false;
+    } catch (err) {
+      // An unreadable index can still be deleted.
+      if (err.code !== "EBACKUPREPO") throw err;
+    }
+    await store.remove(`snapshots/${id}.json`);
+    return true;
+  }
+
+  // Drop every chunk no snapshot references. Refuses to run if any index can't be read, since
+  // its chunks would look unreferenced.
+  async function gc() {
+    const referenced = new Set();
+    for (const s of await list()) {
+      if (s.unreadable) throw repoError(`Snapshot ${s.id} has an unreadable index; not collecting garbage.`);
+      for (const f of Object.values((await load(s.id)).files)) for (const h of f.chunks ?? []) referenced.add(h);
+    }
+    let removedChunks = 0;
+    let freedBytes = 0;
+    for (const o of await store.list("chunks/")) {
+      if (referenced.has(o.key.split("/").pop())) continue;
+      await store.remove(o.key);
+      removedChunks += 1;
+      freedBytes += o.size;
+    }
+    return { removedChunks, freedBytes, keptChunks: referenced.size };
+  }
+
+  // Retention as for stored backups (see selectBackupsToPrune); returns the deleted ids.
+  async function prune({ keep = 0, maxAgeMs = 0, now = Date.now() } = {}) {
+    const snapshots = (await list()).filter((s) => !s.unreadable).map((s) => ({ ...s, name: s.id }));
+    const ids = selectBackupsToPrune(snapshots, { keep, maxAgeMs, now });
+    for (const id of ids) await store.remove(`snapshots/${id}.json`);
+    return ids;
+  }
+
+  async function stats() {
+    const chunks = await store.list("chunks/");
+    return { chunks: chunks.length, storedBytes: chunks.reduce((n, o) => n + o.size, 0) };
+  }
+
+  return { describe: store.describe, snapshot, load, list, createTarStream, remove, gc, prune, stats };
+}
@@ -0,0 +1,84 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+
+// Stored backup snapshots: plain .tar.gz files (same format as /setup/export) in one directory.
+// File names carry the creation time and the reason, e.g.
+//   openclaw-backup-2026-01-31T06-00-00-000Z-scheduled.tar.gz
+
+export const BACKUP_NAME_RE = /^openclaw-backup-[0-9A-Za-z-]+\.tar\.gz$/;
+
+export function backupFileName(reason, now = new Date()) {
+  return `openclaw-backup-${now.toISOString().replace(/[:.]/g, "-")}-${reason}.tar.gz`;
+}
+
+export function isValidBackupName(name) {
+  return typeof name === "string" && BACKUP_NAME_RE.test(name) && !name.includes("..");
+}
+
+// Off-site copies keep the stored name, plus ".enc" when they were encrypted before upload.
+export function isValidOffsiteName(name) {
+  return typeof name === "string" && isValidBackupName(name.replace(/\.enc$/, ""));
+}
+
+export function backupReason(name) {
+  return name.match(/-([a-z]+)\.tar\.gz(?:\.enc)?$/)?.[1] ?? null;
+}
+
+// Newest first.
+export function listBackups(dir) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir).filter(isValidBackupName);
+  } catch {
+    return [];
+  }
+  return names
+    .map((name) => {
+      try {
+        const st = fs.statSync(path.join(dir, name));
+        return { name, size: st.size, createdAt: st.mtimeMs, reason: backupReason(name) };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Which backups fall outside retention: beyond the newest `keep`, or older than `maxAgeMs`.
+// The newest backup always survives, so a long outage can't age out every snapshot.
+export function selectBackupsToPrune(backups, { keep = 0, maxAgeMs = 0, now = Date.now() } = {}) {
+  return backups
+    .filter((b, i) => {
+      if (i === 0) return false;
+      if (keep > 0 && i >= keep) return true;
+      return maxAgeMs > 0 && now - b.createdAt > maxAgeMs;
+    })
+    .map((b) => b.name);
+}
+
+export function pruneBackups(dir, opts) {
+  const names = selectBackupsToPrune(listBackups(dir), opts);
+  for (const name of names) {
+    try {
+      fs.rmSync(path.join(dir, name), { force: true });
+    } catch {
+      // best-effort
+    }
+  }
+  return names;
+}
+
+// Write a stream to dest via a temp file, so a half-written archive never shows up in the list.
+export async function writeArchive(stream, dest) {
+  const tmp = `${dest}.partial`;
+  try {
+    await pipeline(stream, fs.createWriteStream(tmp, { mode: 0o600 }));
+    fs.renameSync(tmp, dest);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+  return dest;
+}
@@ -0,0 +1,186 @@
+import { redactConfig } from "./config-diff.js";
+
+// Chat channels the wizard can configure. Each definition drives both the setup forms (onboarding
+// and the Channels card) and the config object written under channels.<name>, so supporting a new
+// channel means adding an entry here:
+//   {
+//     name: "config key under channels.",
+//     label, help: "shown under the form",
+//     capability: "what `channels add --help` must mention for this build to support it" (default: name),
+//     fields: [{
+//       key: "config key", label, placeholder?,
+//       type: "secret" | "text" | "list",   // list: comma/newline-separated in forms, an array in config
+//       required?: true,                     // needed to add the channel (not to update it)
+//       payloadKey?: "flat /setup/api/run body key older clients send",
+//     }],
+//     defaults: { ...policies written for a new channel (dmPolicy, groupPolicy, ...) },
+//   }
+
+export const CHANNEL_DEFINITIONS = [
+  {
+    name: "telegram",
+    label: "Telegram",
+    help: "Get a bot token from BotFather: open Telegram, message @BotFather, run /newbot, then copy the token.",
+    fields: [
+      { key: "botToken", label: "Bot token", type: "secret", required: true, placeholder: "123456:ABC...", payloadKey: "telegramToken" },
+    ],
+    defaults: { dmPolicy: "pairing", groupPolicy: "allowlist", streamMode: "partial" },
+  },
+  {
+    name: "discord",
+    label: "Discord",
+    help:
+      "Get a bot token from the Discord Developer Portal: create an application, add a Bot, then copy the Bot Token. " +
+      "Important: enable MESSAGE CONTENT INTENT in Bot > Privileged Gateway Intents, or the bot will crash on startup.",
+    fields: [{ key: "token", label: "Bot token", type: "secret", required: true, placeholder: "Bot token", payloadKey: "discordToken" }],
+    defaults: { groupPolicy: "allowlist", dm: { policy: "pairing" } },
+  },
+  {
+    name: "slack",
+    label: "Slack",
+    help: "Create a Slack app with Socket Mode enabled, then copy its bot token (xoxb-) and app-level token (xapp-).",
+    fields: [
+      { key: "botToken", label: "Bot token", type: "secret", placeholder: "xoxb-...", payloadKey: "slackBotToken" },
+      { key: "appToken", label: "App token", type: "secret", placeholder: "xapp-...", payloadKey: "slackAppToken" },
+    ],
+    defaults: {},
+  },
+  {
+    name: "whatsapp",
+    label: "WhatsApp",
+    help:
+      "Only the listed numbers can message the bot without pairing. After setup, link the WhatsApp account by " +
+      "scanning the QR code from `openclaw channels login`.",
+    fields: [{ key: "allowFrom", label: "Allowed phone numbers", type: "list", required: true, placeholder: "+15551234567" }],
+    defaults: { dmPolicy: "pairing", groupPolicy: "allowlist" },
+  },
+  {
+    name: "signal",
+    label: "Signal",
+    help: "Needs signal-cli on the server, registered or linked to this number.",
+    fields: [{ key: "account", label: "Signal number", type: "text", required: true, placeholder: "+15551234567" }],
+    defaults: { dmPolicy: "pairing", groupPolicy: "allowlist" },
+  },
+  {
+    name: "matrix",
+    label: "Matrix",
+    help: "Create a Matrix account for the bot and copy its access token (Element: Settings > Help & About).",
+    fields: [
+      { key: "homeserver", label: "Homeserver URL", type: "text", required: true, placeholder: "https://matrix.org" },
+      { key: "userId", label: "User ID", type: "text", placeholder: "@bot:matrix.org" },
+      { key: "accessToken", label: "Access token", type: "secret", required: true, placeholder: "syt_..." },
+    ],
+    defaults: { groupPolicy: "allowlist", dm: { policy: "pairing" } },
+  },
+];
+
+export const CHANNEL_NAMES = CHANNEL_DEFINITIONS.map((d) => d.name);
+
+function channelError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function getChannelDefinition(name) {
+  return CHANNEL_DEFINITIONS.find((d) => d.name === name) ?? null;
+}
+
+export function isKnownChannel(name) {
+  return Boolean(getChannelDefinition(name));
+}
+
+// Whether this build's `channels add --help` lists the channel.
+export function channelSupported(def, helpText) {
+  return String(helpText ?? "").includes(def.capability ?? def.name);
+}
+
+// The definitions as the setup UI needs them, each marked with whether this build supports it.
+export function describeChannels(helpText) {
+  return CHANNEL_DEFINITIONS.map((def) => ({
+    name: def.name,
+    label: def.label,
+    help: def.help,
+    supported: channelSupported(def, helpText),
+    fields: def.fields.map(({ key, label, type, required, placeholder }) => ({
+      key,
+      label,
+      type,
+      required: Boolean(required),
+      placeholder: placeholder ?? "",
+    })),
+  }));
+}
+
+// The field values in `input`, by config key: trimmed non-empty strings, and lists as arrays
+// (from an array or a comma/newline-separated string). Other keys are ignored.
+function pickValues(def, input) {
+  const out = {};
+  for (const field of def.fields) {
+    const v = input?.[field.key];
+    if (field.type === "list") {
+      const items = (Array.isArray(v) ? v : typeof v === "string" ? v.split(/[,\n]/) : [])
+        .filter((item) => typeof item === "string")
+        .map((item) => item.trim())
+        .filter(Boolean);
+      if (items.length) out[field.key] = items;
+    } else if (typeof v === "string" && v.trim()) {
+      out[field.key] = v.trim();
+    }
+  }
+  return out;
+}
+
+function newChannelConfig(def, values) {
+  return { enabled: true, ...structuredClone(def.defaults), ...values };
+}
+
+// The channels requested in an onboarding payload, as [{ name, cfgObj }]: `channels: { <name>:
+// { <key>: value } }`, or the flat keys older clients send (telegramToken, slackBotToken, ...).
+// A channel is requested when any of its fields is filled in.
+export function channelConfigsFromRunPayload(payload) {
+  const out = [];
+  for (const def of CHANNEL_DEFINITIONS) {
+    const input = {};
+    for (const field of def.fields) {
+      if (field.payloadKey) input[field.key] = payload?.[field.payloadKey];
+    }
+    Object.assign(input, payload?.channels?.[def.name]);
+    const values = pickValues(def, input);
+    if (Object.keys(values).length) out.push({ name: def.name, cfgObj: newChannelConfig(def, values) });
+  }
+  return out;
+}
+
+// channels.<name> after an add/update. A new channel gets the definition's defaults and needs its
+// required fields (or, without any, at least one value); an existing one keeps its settings
+// (allowlists, policies, ...) and any value not given again, and is enabled.
+export function upsertChannelConfig(name, existing, input) {
+  const def = getChannelDefinition(name);
+  if (!def) throw channelError(404, `Unknown channel: ${name}`);
+  const values = pickValues(def, input);
+  if (existing && typeof existing === "object" && !Array.isArray(existing)) {
+    return { ...existing, ...values, enabled: true };
+  }
+  const required = def.fields.filter((f) => f.required);
+  const missing = required.filter((f) => values[f.key] === undefined);
+  if (missing.length || !Object.keys(values).length) {
+    const needed = required.length ? missing : def.fields;
+    throw channelError(
+      400,
+      `${def.label} needs ${needed.map((f) => f.label.toLowerCase()).join(required.length ? " and " : " or ")} to be added`
+    );
+  }
+  return newChannelConfig(def, values);
+}
+
+// Every channel in the config (known or not), credentials masked.
+export function listChannels(config) {
+  const channels = config?.channels && typeof config.channels === "object" ? config.channels : {};
+  return Object.entries(channels).map(([name, cfg]) => ({
+    name,
+    known: isKnownChannel(name),
+    enabled: cfg?.enabled !== false,
+    config: redactConfig(cfg, `channels.${name}`),
+  }));
+}
@@ -0,0 +1,78 @@
+import fs from "node:fs";
+
+// What the installed OpenClaw CLI says about itself (--version, help texts). Each answer costs a
+// full Node boot of the CLI, so answers are kept until the CLI changes: the cache is keyed by the
+// entry file and its mtime, which an image rebuild or in-place upgrade both change. Only
+// successful runs (exit 0) are kept; a failure is retried on the next lookup. Concurrent lookups
+// of the same command share one run.
+//
+// `commands` maps a name to CLI args; `run(args)` resolves to { code, output }.
+
+export function createCliIntrospection({ entry, commands, run, now = Date.now }) {
+  let key = null;
+  const results = new Map();
+  const pending = new Map();
+
+  function currentKey() {
+    try {
+      return `${entry}@${fs.statSync(entry).mtimeMs}`;
+    } catch {
+      return `${entry}@missing`;
+    }
+  }
+
+  function reset(nextKey) {
+    key = nextKey;
+    results.clear();
+    pending.clear();
+  }
+
+  // { code, output, fetchedAt, cached } for the named command.
+  async function get(name) {
+    if (!Object.hasOwn(commands, name)) throw new Error(`Unknown CLI introspection command: ${name}`);
+    const k = currentKey();
+    if (k !== key) reset(k);
+
+    const hit = results.get(name);
+    if (hit) return { ...hit, cached: true };
+    if (!pending.has(name)) {
+      const p = run(commands[name]).then((r) => {
+        const rec = { code: r.code, output: r.output ?? "", fetchedAt: now() };
+        // Skip results from before a refresh or a CLI change.
+        if (pending.get(name) === p) {
+          pending.delete(name);
+          if (rec.code === 0 && key === k) results.set(name, rec);
+        }
+        return rec;
+      });
+      pending.set(name, p);
+    }
+    return { ...(await pending.get(name)), cached: false };
+  }
+
+  // Run every command now (one at a time), e.g. at startup or after refresh().
+  async function warm() {
+    for (const name of Object.keys(commands)) await get(name);
+    return describe();
+  }
+
+  async function refresh() {
+    reset(null);
+    return warm();
+  }
+
+  function describe() {
+    return {
+      entry,
+      key,
+      commands: Object.keys(commands).map((name) => ({
+        name,
+        args: commands[name],
+        cached: results.has(name),
+        fetchedAt: results.get(name)?.fetchedAt ?? null,
+      })),
+    };
+  }
+
+  return { get, warm, refresh, describe };
+}
@@ -0,0 +1,72 @@
+// Helpers for showing OpenClaw config to humans: flatten to dot paths, diff two configs,
+// and mask anything that looks like a credential. Values under a secret-looking key are
+// never returned, only whether they changed.
+
+const SECRET_KEY_RE =
+  /(token|secret|password|passwd|passphrase|api[-_]?key|private[-_]?key|credential|cookie|webhook[-_]?url)/i;
+
+export const REDACTED = "[REDACTED]";
+
+export function isSecretKey(key) {
+  return SECRET_KEY_RE.test(String(key));
+}
+
+export function isSecretPath(dotPath) {
+  return String(dotPath).split(".").some(isSecretKey);
+}
+
+// { a: { b: 1, c: [1, 2] } } -> { "a.b": 1, "a.c": [1, 2] }. Arrays are leaves; empty objects too.
+export function flattenConfig(obj, prefix = "", out = {}) {
+  if (obj === null || typeof obj !== "object" || Array.isArray(obj)) {
+    if (prefix) out[prefix] = obj;
+    return out;
+  }
+  const keys = Object.keys(obj);
+  if (keys.length === 0 && prefix) {
+    out[prefix] = {};
+    return out;
+  }
+  for (const key of keys) {
+    flattenConfig(obj[key], prefix ? `${prefix}.${key}` : key, out);
+  }
+  return out;
+}
+
+// Numbers and booleans pass through: "maxTokens: 4096" is not a secret. Arrays are leaves of
+// flattenConfig, so one may still hold objects with secrets (agents.list.0.apiKey); those are
+// masked item by item.
+export function redactValue(dotPath, value) {
+  if (value === undefined || value === null || value === "") return value;
+  if (typeof value === "number" || typeof value === "boolean") return value;
+  if (isSecretPath(dotPath)) return REDACTED;
+  return typeof value === "object" ? redactConfig(value, dotPath) : value;
+}
+
+// Deep copy with every secret-looking leaf masked.
+export function redactConfig(obj, prefix = "") {
+  if (Array.isArray(obj)) return obj.map((v, i) => redactConfig(v, `${prefix}.${i}`));
+  if (obj === null || typeof obj !== "object") return redactValue(prefix, obj);
+  const out = {};
+  for (const [key, value] of Object.entries(obj)) {
+    out[key] = redactConfig(value, prefix ? `${prefix}.${key}` : key);
+  }
+  return out;
+}
+
+export function diffConfig(before, after) {
+  const a = flattenConfig(before ?? {});
+  const b = flattenConfig(after ?? {});
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const key of Object.keys(b)) {
+    if (!(key in a)) added.push({ path: key, value: redactValue(key, b[key]) });
+    else if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+      changed.push({ path: key, before: redactValue(key, a[key]), after: redactValue(key, b[key]) });
+    }
+  }
+  for (const key of Object.keys(a)) {
+    if (!(key in b)) removed.push({ path: key, value: redactValue(key, a[key]) });
+  }
+  return { added, removed, changed };
+}
@@ -0,0 +1,187 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+
+import { REDACTED } from "./config-diff.js";
+
+// Edits to the OpenClaw config as JSON-pointer (RFC 6901) operations:
+//   { op: "set", path: "/channels/telegram/enabled", value: true }   (missing objects are created)
+//   { op: "remove", path: "/messages/tts" }
+// A "[REDACTED]" value means "keep the current secret", so a client can send back a subtree it
+// was shown masked without ever seeing the credentials in it.
+
+const FORBIDDEN_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+function editError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function parsePointer(pointer) {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw editError(`Invalid JSON pointer: ${JSON.stringify(pointer)}`);
+  }
+  if (pointer === "") return [];
+  const tokens = pointer
+    .slice(1)
+    .split("/")
+    .map((t) => t.replace(/~1/g, "/").replace(/~0/g, "~"));
+  if (tokens.some((t) => FORBIDDEN_KEYS.has(t))) throw editError(`Invalid JSON pointer: ${pointer}`);
+  return tokens;
+}
+
+export function formatPointer(tokens) {
+  return tokens.map((t) => `/${String(t).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+}
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// Array index token -> number; "-" (one past the end) only where `allowEnd`.
+function arrayIndex(token, length, allowEnd, where) {
+  if (allowEnd && token === "-") return length;
+  if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) > (allowEnd ? length : length - 1)) {
+    throw editError(`${formatPointer(where)}: array index ${token} is out of range`);
+  }
+  return Number(token);
+}
+
+export function getAtPointer(obj, tokens) {
+  let cur = obj;
+  for (const t of tokens) {
+    if (Array.isArray(cur)) cur = /^(0|[1-9]\d*)$/.test(t) ? cur[Number(t)] : undefined;
+    else if (isObject(cur) && Object.hasOwn(cur, t)) cur = cur[t];
+    else return undefined;
+    if (cur === undefined) return undefined;
+  }
+  return cur;
+}
+
+// Copy of `value` with masked leaves swapped for the current values at the same place.
+function keepMaskedSecrets(value, current, where) {
+  if (value === REDACTED) {
+    if (current === undefined || isObject(current) || Array.isArray(current)) {
+      throw editError(`${formatPointer(where)} is masked but there is no current value to keep`);
+    }
+    return current;
+  }
+  if (Array.isArray(value)) {
+    return value.map((v, i) => keepMaskedSecrets(v, Array.isArray(current) ? current[i] : undefined, [...where, String(i)]));
+  }
+  if (isObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (FORBIDDEN_KEYS.has(k)) throw editError(`${formatPointer(where)}: invalid key ${k}`);
+      out[k] = keepMaskedSecrets(v, isObject(current) ? current[k] : undefined, [...where, k]);
+    }
+    return out;
+  }
+  return value;
+}
+
+// Returns the new root (a "set" of "" replaces the whole config).
+function applyOp(root, op) {
+  if (!isObject(op)) throw editError("Each op must be an object");
+  const tokens = parsePointer(op.path);
+
+  if (op.op === "remove") {
+    if (!tokens.length) throw editError("The whole config can't be removed");
+    const parent = getAtPointer(root, tokens.slice(0, -1));
+    const last = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+      parent.splice(arrayIndex(last, parent.length, false, tokens), 1);
+    } else if (isObject(parent) && Object.hasOwn(parent, last)) {
+      delete parent[last];
+    } else {
+      throw editError(`${op.path}: nothing to remove`);
+    }
+    return root;
+  }
+
+  if (op.op !== "set") throw editError(`Unknown op ${JSON.stringify(op.op)}; use "set" or "remove"`);
+  if (!Object.hasOwn(op, "value") || op.value === undefined) throw editError(`${op.path}: "set" needs a value`);
+  const value = keepMaskedSecrets(op.value, getAtPointer(root, tokens), tokens);
+  if (!tokens.length) {
+    if (!isObject(value)) throw editError("The config must be an object");
+    return value;
+  }
+
+  let cur = root;
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const t = tokens[i];
+    const where = tokens.slice(0, i + 1);
+    if (Array.isArray(cur)) {
+      cur = cur[arrayIndex(t, cur.length, false, where)];
+    } else {
+      if (!Object.hasOwn(cur, t) || cur[t] === undefined) cur[t] = {};
+      cur = cur[t];
+    }
+    if (cur === null || typeof cur !== "object") {
+      throw editError(`${formatPointer(where)} is ${cur === null ? "null" : `a ${typeof cur}`}, not an object`);
+    }
+  }
+  const last = tokens[tokens.length - 1];
+  if (Array.isArray(cur)) cur[arrayIndex(last, cur.length, true, tokens)] = value;
+  else cur[last] = value;
+  return root;
+}
+
+// Apply ops to a copy of config. Every op is checked; a bad one fails the whole patch with a 400
+// listing each problem. `locked` pointers (wrapper-managed keys) must come out unchanged.
+export function applyConfigPatch(config, ops, { locked = [] } = {}) {
+  if (!Array.isArray(ops) || ops.length === 0) throw editError("ops must be a non-empty array");
+
+  let next = structuredClone(config ?? {});
+  const problems = [];
+  ops.forEach((op, i) => {
+    try {
+      next = applyOp(next, op);
+    } catch (err) {
+      if (!err.status) throw err;
+      problems.push(`op ${i}: ${err.message}`);
+    }
+  });
+  for (const pointer of locked) {
+    const tokens = parsePointer(pointer);
+    if (JSON.stringify(getAtPointer(config, tokens)) !== JSON.stringify(getAtPointer(next, tokens))) {
+      problems.push(`${pointer} is managed by the wrapper and can't be edited`);
+    }
+  }
+  if (problems.length) {
+    const err = editError(`Invalid config update: ${problems.join("; ")}`);
+    err.problems = problems;
+    throw err;
+  }
+  return next;
+}
+
+// Short content hash, used to refuse edits based on a config that has changed since.
+export function configVersion(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+// Write via a synced temp file + rename, so a crash never leaves a half-written config. The
+// file keeps its mode (0600 for new files).
+export function writeFileAtomic(file, text) {
+  let mode = 0o600;
+  try {
+    mode = fs.statSync(file).mode & 0o777;
+  } catch {
+    // new file
+  }
+  const tmp = `${file}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  const fd = fs.openSync(tmp, "w", mode);
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
@@ -0,0 +1,240 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { diffConfig, isSecretKey, redactConfig } from "./config-diff.js";
+import { configVersion, writeFileAtomic } from "./config-edit.js";
+
+// Numbered versions of the OpenClaw config file. Version 42 is "000042.json" (the file exactly as
+// it was on disk) plus "000042.meta.json":
+//   { version, createdAt, action, author, source: "wrapper"|"watch", jobId, note, hash, size, deleted }
+// The meta file is written last, so a version only exists once both are complete. A deleted
+// config (reset) is recorded as a meta-only version with deleted: true.
+
+const VERSION_RE = /^(\d{6,})\.meta\.json$/;
+
+function historyError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function pad(n) {
+  return String(n).padStart(6, "0");
+}
+
+export function createConfigHistory({ dir, keep = 100 }) {
+  function versions() {
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch {
+      return [];
+    }
+    return names
+      .map((n) => n.match(VERSION_RE)?.[1])
+      .filter(Boolean)
+      .map(Number)
+      .sort((a, b) => a - b);
+  }
+
+  function readMeta(n) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, `${pad(n)}.meta.json`), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  // Newest first.
+  function list() {
+    return versions()
+      .reverse()
+      .map(readMeta)
+      .filter(Boolean);
+  }
+
+  function latest() {
+    const all = versions();
+    return all.length ? readMeta(all[all.length - 1]) : null;
+  }
+
+  // { meta, text } (text is null for a deletion), or null if there's no such version.
+  function read(n) {
+    if (!Number.isSafeInteger(n) || n < 1) return null;
+    const meta = readMeta(n);
+    if (!meta) return null;
+    if (meta.deleted) return { meta, text: null };
+    try {
+      return { meta, text: fs.readFileSync(path.join(dir, `${pad(n)}.json`), "utf8") };
+    } catch {
+      return null;
+    }
+  }
+
+  // Record `text` (null: the config is gone) unless it matches the latest version. Returns the
+  // new version's meta, or null when nothing changed.
+  function record(text, { action, author = null, source = "wrapper", jobId = null, note = null, now = new Date() } = {}) {
+    const hash = text === null ? null : configVersion(text);
+    const prev = latest();
+    if (prev ? prev.hash === hash : text === null) return null;
+
+    const version = (prev?.version ?? 0) + 1;
+    const meta = {
+      version,
+      createdAt: now.toISOString(),
+      action: action ?? null,
+      author,
+      source,
+      jobId,
+      note,
+      hash,
+      size: text === null ? 0 : Buffer.byteLength(text),
+      deleted: text === null,
+    };
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    if (text !== null) writeFileAtomic(path.join(dir, `${pad(version)}.json`), text);
+    writeFileAtomic(path.join(dir, `${pad(version)}.meta.json`), JSON.stringify(meta, null, 2));
+    prune();
+    return meta;
+  }
+
+  function prune() {
+    if (!keep) return;
+    const all = versions();
+    for (const n of all.slice(0, Math.max(0, all.length - keep))) {
+      fs.rmSync(path.join(dir, `${pad(n)}.meta.json`), { force: true });
+      fs.rmSync(path.join(dir, `${pad(n)}.json`), { force: true });
+    }
+  }
+
+  return { dir, list, latest, read, record };
+}
+
+// Parse a version number from a route param / query string.
+export function parseConfigVersion(value) {
+  const n = Number(value);
+  if (!/^\d+$/.test(String(value ?? "")) || !Number.isSafeInteger(n) || n < 1) {
+    throw historyError(400, `Invalid config version: ${JSON.stringify(value ?? null)}`);
+  }
+  return n;
+}
+
+// The config as text with every secret masked: valid JSON is re-printed through redactConfig;
+// anything else (a hand edit gone wrong) is masked line by line on secret-looking keys.
+export function redactConfigText(text) {
+  if (text === null || text === undefined) return "";
+  try {
+    return JSON.stringify(redactConfig(JSON.parse(text)), null, 2) + "\n";
+  } catch {
+    return text.replace(/^([ \t]*"([^"]+)"[ \t]*:[ \t]*)(.*?)(,?[ \t]*)$/gm, (line, head, key, _value, tail) =>
+      isSecretKey(key) ? `${head}"[REDACTED]"${tail}` : line
+    );
+  }
+}
+
+// Longest-common-subsequence edit script: [{ op: " "|"-"|"+", line }]. Configs are a few hundred
+// lines; past MAX_CELLS the middle is shown as a plain replace rather than using the memory.
+const MAX_CELLS = 4_000_000;
+
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = a.slice(0, start).map((line) => ({ op: " ", line }));
+
+  if (midA.length * midB.length > MAX_CELLS) {
+    for (const line of midA) ops.push({ op: "-", line });
+    for (const line of midB) ops.push({ op: "+", line });
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..], in one flat array.
+    const w = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * w);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * w + j] =
+          midA[i] === midB[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push({ op: " ", line: midA[i++] });
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * w + j] >= lcs[i * w + j + 1])) {
+        ops.push({ op: "-", line: midA[i++] });
+      } else {
+        ops.push({ op: "+", line: midB[j++] });
+      }
+    }
+  }
+  for (const line of a.slice(endA)) ops.push({ op: " ", line });
+  return ops;
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// A unified diff ("diff -u" style, `context` lines around each change). Empty when equal.
+export function unifiedDiff(fromText, toText, { fromLabel = "a", toLabel = "b", context = 3 } = {}) {
+  const ops = diffLines(splitLines(fromText), splitLines(toText));
+  const changes = ops.map((o, i) => (o.op === " " ? -1 : i)).filter((i) => i >= 0);
+  if (!changes.length) return "";
+
+  // Group changes whose context windows touch into hunks of [first, last] op indexes.
+  const hunks = [];
+  for (const i of changes) {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last[1] <= context * 2) last[1] = i;
+    else hunks.push([i, i]);
+  }
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const [first, last] of hunks) {
+    const from = Math.max(0, first - context);
+    const to = Math.min(ops.length - 1, last + context);
+    // Line numbers at the start of the hunk.
+    let a = 1;
+    let b = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k].op !== "+") a++;
+      if (ops[k].op !== "-") b++;
+    }
+    const body = ops.slice(from, to + 1);
+    const lenA = body.filter((o) => o.op !== "+").length;
+    const lenB = body.filter((o) => o.op !== "-").length;
+    // As in diff -u, an empty side is numbered from the line before it.
+    out.push(`@@ -${lenA ? a : a - 1},${lenA} +${lenB ? b : b - 1},${lenB} @@`);
+    for (const o of body) out.push(`${o.op}${o.line}`);
+  }
+  return out.join("\n") + "\n";
+}
+
+// The parsed config, or null for a deleted or unparsable version.
+export function parseConfigOrNull(text) {
+  try {
+    return text === null || text === undefined ? null : JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// What /setup/api/config/versions/diff shows viewers: the unified diff of the redacted texts and
+// the per-path `changes`, both masked (see diffConfig).
+export function configVersionDiff(fromText, toText, labels = {}) {
+  return {
+    diff: unifiedDiff(redactConfigText(fromText), redactConfigText(toText), labels),
+    changes: diffConfig(parseConfigOrNull(fromText), parseConfigOrNull(toText)),
+  };
+}
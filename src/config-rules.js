@@ -0,0 +1,103 @@
+// Known-bad config shapes and how to repair them, one rule per OpenClaw breaking change:
+//   {
+//     id: "kebab-case, stable (clients select rules by it)",
+//     description: "what the fix does, shown to the user",
+//     openclaw: ">=2026.1.0 <2026.3.0",   // optional version range; omitted = every version
+//     detect(config) -> false/undefined when fine, true or a string saying what's wrong,
+//     fix(config),                          // mutates the (already copied) config
+//   }
+// New rules go at the end of CONFIG_RULES; they run in this order.
+
+function rulesError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export const CONFIG_RULES = [
+  {
+    id: "messages-tts-invalid-provider",
+    description: "Remove messages.tts (invalid provider)",
+    detect: (config) => config.messages?.tts !== undefined && "messages.tts is set",
+    fix: (config) => {
+      delete config.messages.tts;
+    },
+  },
+  {
+    id: "gateway-trusted-proxies",
+    description: "Remove gateway.trustedProxies",
+    detect: (config) => config.gateway?.trustedProxies !== undefined && "gateway.trustedProxies is set",
+    fix: (config) => {
+      delete config.gateway.trustedProxies;
+    },
+  },
+];
+
+// "OpenClaw 2026.1.29 (abc123)" -> "2026.1.29". Null when there's no version in it.
+export function parseOpenclawVersion(output) {
+  return String(output ?? "").match(/\d+(?:\.\d+)+/)?.[0] ?? null;
+}
+
+function compareVersions(a, b) {
+  const pa = a.split(".").map(Number);
+  const pb = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (d) return Math.sign(d);
+  }
+  return 0;
+}
+
+// Space-separated comparators that must all hold (">=2026.1.0 <2026.3.0", "=2026.2.1"). An
+// unknown version satisfies every range: better to offer a fix than to hide it.
+export function versionSatisfies(version, range) {
+  if (!range || !version) return true;
+  return String(range)
+    .trim()
+    .split(/\s+/)
+    .every((comparator) => {
+      const m = comparator.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)*)$/);
+      if (!m) throw new Error(`Invalid version range: ${range}`);
+      const d = compareVersions(version, m[2]);
+      return { ">=": d >= 0, "<=": d <= 0, ">": d > 0, "<": d < 0, "=": d === 0 }[m[1] ?? "="];
+    });
+}
+
+// Every rule with whether it matches `config` (and why) for this OpenClaw version.
+export function checkConfigRules(config, { version = null, rules = CONFIG_RULES } = {}) {
+  return rules.map((rule) => {
+    const applies = versionSatisfies(version, rule.openclaw);
+    const found = applies ? rule.detect(config ?? {}) : false;
+    return {
+      id: rule.id,
+      description: rule.description,
+      openclaw: rule.openclaw ?? null,
+      applies,
+      matches: Boolean(found),
+      detail: typeof found === "string" ? found : null,
+    };
+  });
+}
+
+// Run the fixes of the selected rules (default: every matching one) on a copy of `config`.
+// Rules that no longer match are skipped, so applying twice is harmless. Unknown ids are a 400.
+export function applyConfigRules(config, { ids = null, version = null, rules = CONFIG_RULES } = {}) {
+  if (ids !== null) {
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== "string")) throw rulesError("ids must be an array of rule ids");
+    const unknown = ids.filter((id) => !rules.some((r) => r.id === id));
+    if (unknown.length) throw rulesError(`Unknown rule(s): ${unknown.join(", ")}`);
+  }
+  const next = structuredClone(config ?? {});
+  const applied = [];
+  const skipped = [];
+  for (const rule of rules) {
+    if (ids !== null && !ids.includes(rule.id)) continue;
+    if (!versionSatisfies(version, rule.openclaw) || !rule.detect(next)) {
+      if (ids !== null) skipped.push(rule.id);
+      continue;
+    }
+    rule.fix(next);
+    applied.push({ id: rule.id, description: rule.description });
+  }
+  return { config: next, applied, skipped };
+}
@@ -0,0 +1,178 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// In-memory ring buffer for gateway output, optionally mirrored to a size-rotated file.
+// Lines are redacted on the way in, so nothing downstream (API, SSE, file) sees raw secrets.
+// Sizes (file rotation, the per-line limit) are counted in UTF-8 bytes.
+
+export const LOG_LEVELS = ["trace", "debug", "info", "warn", "error", "fatal"];
+
+const ANSI_RE = /\x1b\[[0-9;]*[A-Za-z]/g;
+const LEVEL_RE = /\b(trace|debug|info|warn(?:ing)?|error|err|fatal)\b/i;
+
+export function detectLevel(text, stream) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{")) {
+    try {
+      const obj = JSON.parse(trimmed);
+      const lvl = String(obj.level ?? obj.lvl ?? "").toLowerCase();
+      if (LOG_LEVELS.includes(lvl)) return lvl;
+    } catch {
+      // not JSON
+    }
+  }
+  // Only look at the start of the line so "error" inside a message body doesn't count.
+  const m = trimmed.slice(0, 48).match(LEVEL_RE);
+  if (m) {
+    const word = m[1].toLowerCase();
+    if (word.startsWith("warn")) return "warn";
+    if (word === "err") return "error";
+    return word;
+  }
+  return stream === "stderr" ? "warn" : "info";
+}
+
+// Shared by query() and SSE follow mode: { level: minimum level, q: case-insensitive substring }.
+export function matchesLogQuery(entry, q = {}) {
+  const minLevel = LOG_LEVELS.indexOf(q.level);
+  if (minLevel >= 0 && LOG_LEVELS.indexOf(entry.level) < minLevel) return false;
+  if (q.q && !entry.text.toLowerCase().includes(String(q.q).toLowerCase())) return false;
+  return true;
+}
+
+// Splits `text` after at most `maxBytes` UTF-8 bytes, never inside a character.
+function splitAtBytes(text, maxBytes) {
+  const buf = Buffer.from(text, "utf8");
+  let end = maxBytes;
+  while (end > 0 && (buf[end] & 0xc0) === 0x80) end--;
+  return [buf.subarray(0, end).toString("utf8"), buf.subarray(end).toString("utf8")];
+}
+
+export function createLogBuffer(opts = {}) {
+  const maxLines = opts.maxLines ?? 2000;
+  const filePath = opts.filePath ?? null;
+  const maxFileBytes = opts.maxFileBytes ?? 5 * 1024 * 1024;
+  const maxFiles = opts.maxFiles ?? 3;
+  const maxLineBytes = opts.maxLineBytes ?? 16 * 1024;
+  const redact = opts.redact ?? ((s) => s);
+
+  const lines = [];
+  const listeners = new Set();
+  const partial = {};
+  let seq = 0;
+  let pendingFile = "";
+  let flushScheduled = false;
+  let fileSize = null;
+
+  function rotate() {
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      const from = i === 1 ? filePath : `${filePath}.${i - 1}`;
+      try {
+        fs.renameSync(from, `${filePath}.${i}`);
+      } catch {
+        // missing generation
+      }
+    }
+    fileSize = 0;
+  }
+
+  function flush() {
+    flushScheduled = false;
+    if (!filePath || !pendingFile) return;
+    const chunk = pendingFile;
+    pendingFile = "";
+    try {
+      if (fileSize === null) {
+        try {
+          fileSize = fs.statSync(filePath).size;
+        } catch {
+          fileSize = 0;
+        }
+      }
+      const bytes = Buffer.byteLength(chunk);
+      if (fileSize + bytes > maxFileBytes) rotate();
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, chunk, { mode: 0o600 });
+      fileSize += bytes;
+    } catch {
+      // best-effort: the ring buffer still has the lines
+    }
+  }
+
+  function append(stream, text) {
+    const clean = redact(text.replace(ANSI_RE, ""));
+    const entry = { seq: ++seq, ts: Date.now(), stream, level: detectLevel(clean, stream), text: clean };
+    lines.push(entry);
+    if (lines.length > maxLines) lines.shift();
+
+    if (filePath && maxFileBytes > 0) {
+      pendingFile += `${new Date(entry.ts).toISOString()} ${stream} ${entry.level} ${clean}\n`;
+      if (!flushScheduled) {
+        flushScheduled = true;
+        setImmediate(flush);
+      }
+    }
+
+    for (const fn of listeners) {
+      try {
+        fn(entry);
+      } catch {
+        // a broken subscriber must not break logging
+      }
+    }
+  }
+
+  // Appends `maxLineBytes` pieces of `text` while it is longer than that; returns the rest.
+  function appendOverlong(stream, text) {
+    let rest = text;
+    while (Buffer.byteLength(rest) > maxLineBytes) {
+      const [head, tail] = splitAtBytes(rest, maxLineBytes);
+      append(stream, head);
+      rest = tail;
+    }
+    return rest;
+  }
+
+  // Accepts raw chunks from a child stream; holds back an incomplete trailing line. Output that
+  // never ends a line (progress bars, a dumped blob) is let through in `maxLineBytes` pieces
+  // instead of piling up.
+  function write(stream, chunk) {
+    const text = (partial[stream] ?? "") + chunk.toString("utf8");
+    const parts = text.split(/\r?\n/);
+    const trailing = parts.pop();
+    for (const line of parts) append(stream, appendOverlong(stream, line));
+    partial[stream] = appendOverlong(stream, trailing);
+  }
+
+  // Appends whatever incomplete line is still held back (the process that wrote it is gone), so
+  // a last message without a newline shows up and isn't glued onto the next process's output.
+  function flushPartial() {
+    for (const stream of Object.keys(partial)) {
+      const text = partial[stream];
+      delete partial[stream];
+      if (text) append(stream, text);
+    }
+  }
+
+  function query(q = {}) {
+    const since = Number.isFinite(q.since) ? q.since : 0;
+    const out = lines.filter((e) => e.seq > since && matchesLogQuery(e, q));
+    const tail = Number.isFinite(q.tail) && q.tail > 0 ? q.tail : out.length;
+    return out.slice(-tail);
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return {
+    write,
+    flushPartial,
+    append,
+    query,
+    subscribe,
+    flush,
+    stats: () => ({ lines: lines.length, maxLines, lastSeq: seq, filePath, subscribers: listeners.size }),
+  };
+}
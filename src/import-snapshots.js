@@ -0,0 +1,103 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { summarizeDir } from "./backup-preview.js";
+
+// Pre-import snapshots: before an import replaces STATE_DIR and WORKSPACE_DIR, the live dirs are
+// renamed next to themselves as `<dir>.bak-<timestamp>`. Both renames share one timestamp, which
+// doubles as the snapshot id. Either half may be missing (e.g. a workspace nested in the state dir).
+
+const SNAPSHOT_ID_RE = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+export function snapshotId(now = new Date()) {
+  return now.toISOString().replace(/[:.]/g, "-");
+}
+
+export function isValidSnapshotId(id) {
+  return typeof id === "string" && SNAPSHOT_ID_RE.test(id);
+}
+
+// "2026-01-31T06-00-00-000Z" -> epoch ms
+export function snapshotTime(id) {
+  const iso = id.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, "T$1:$2:$3.$4Z");
+  return Date.parse(iso);
+}
+
+export function snapshotPaths(stateDir, workspaceDir, id) {
+  return { state: `${stateDir}.bak-${id}`, workspace: `${workspaceDir}.bak-${id}` };
+}
+
+function idsNextTo(dir) {
+  const prefix = `${path.basename(dir)}.bak-`;
+  try {
+    return fs
+      .readdirSync(path.dirname(dir), { withFileTypes: true })
+      .filter((e) => e.isDirectory() && e.name.startsWith(prefix))
+      .map((e) => e.name.slice(prefix.length))
+      .filter(isValidSnapshotId);
+  } catch {
+    return [];
+  }
+}
+
+// Newest first. Sizes are computed only when asked for; walking big workspaces isn't free.
+export function listSnapshots(stateDir, workspaceDir, opts = {}) {
+  const ids = new Set([...idsNextTo(stateDir), ...idsNextTo(workspaceDir)]);
+  const describe = (dir) => {
+    if (!fs.existsSync(dir)) return null;
+    return opts.sizes ? { path: dir, ...summarizeDir(dir) } : { path: dir };
+  };
+  return [...ids]
+    .map((id) => {
+      const p = snapshotPaths(stateDir, workspaceDir, id);
+      return { id, createdAt: snapshotTime(id), state: describe(p.state), workspace: describe(p.workspace) };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Everything beyond the newest `keep`; keep=0 selects all of them.
+export function selectSnapshotsToPrune(snapshots, keep) {
+  return snapshots.slice(Math.max(0, keep)).map((s) => s.id);
+}
+
+export function deleteSnapshot(stateDir, workspaceDir, id) {
+  const p = snapshotPaths(stateDir, workspaceDir, id);
+  let found = false;
+  for (const dir of [p.state, p.workspace]) {
+    if (!fs.existsSync(dir)) continue;
+    found = true;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  return found;
+}
+
+export function pruneSnapshots(stateDir, workspaceDir, keep) {
+  const ids = selectSnapshotsToPrune(listSnapshots(stateDir, workspaceDir), keep);
+  for (const id of ids) {
+    try {
+      deleteSnapshot(stateDir, workspaceDir, id);
+    } catch {
+      // best-effort
+    }
+  }
+  return ids;
+}
+
+// State-dir files that belong to the install rather than to any backup: the setup accounts.
+// After a swap they are copied from the dir that was moved aside, and dropped when the install
+// had none, so a backup can't bring its own accounts (or lose ours).
+export const INSTALL_STATE_FILES = ["setup-users.json"];
+
+export function carryInstallFiles(fromStateDir, toStateDir, rels = INSTALL_STATE_FILES) {
+  for (const rel of rels) {
+    const from = path.join(fromStateDir, rel);
+    const to = path.join(toStateDir, rel);
+    if (fs.existsSync(from)) {
+      fs.mkdirSync(path.dirname(to), { recursive: true });
+      fs.copyFileSync(from, to);
+      fs.chmodSync(to, 0o600);
+    } else {
+      fs.rmSync(to, { force: true });
+    }
+  }
+}
@@ -0,0 +1,178 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+// Serialized job runner for mutating setup actions (run, reset, import, ...).
+// Only one job runs at a time; the rest wait in FIFO order behind a single promise chain.
+// The running job is tracked in AsyncLocalStorage so runCmd can register its child processes
+// without every helper having to pass the job around; cancel() kills those children.
+
+const TERMINAL = new Set(["succeeded", "failed", "cancelled"]);
+
+export function createJobRunner(opts = {}) {
+  const historyFile = opts.historyFile ?? null;
+  const historyLimit = opts.historyLimit ?? 200;
+  const storage = new AsyncLocalStorage();
+
+  const jobs = new Map();
+  let chain = Promise.resolve();
+
+  function publicView(job) {
+    const { children, ...rest } = job;
+    return { ...rest, children: children.size };
+  }
+
+  function persist(job) {
+    if (!historyFile) return;
+    try {
+      fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+      fs.appendFileSync(historyFile, JSON.stringify(publicView(job)) + "\n", { mode: 0o600 });
+      // Keep the file bounded: rewrite it once it holds twice the limit.
+      const lines = fs.readFileSync(historyFile, "utf8").split("\n").filter(Boolean);
+      if (lines.length > historyLimit * 2) {
+        fs.writeFileSync(historyFile, lines.slice(-historyLimit).join("\n") + "\n", { mode: 0o600 });
+      }
+    } catch {
+      // best-effort
+    }
+  }
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, fields, { status, finishedAt: Date.now() });
+    job.durationMs = job.startedAt ? job.finishedAt - job.startedAt : 0;
+    job.children.clear();
+    persist(job);
+    // Finished jobs live on in the history file; keep memory small.
+    const finished = [...jobs.values()].filter((j) => TERMINAL.has(j.status));
+    for (const old of finished.slice(0, Math.max(0, finished.length - 50))) jobs.delete(old.id);
+  }
+
+  async function execute(job, fn) {
+    if (job.status === "cancelled") {
+      throw cancelledError(job);
+    }
+    job.status = "running";
+    job.startedAt = Date.now();
+    try {
+      const result = await storage.run(job, () => fn(job));
+      if (job.cancelRequested) {
+        finish(job, "cancelled", { result });
+        throw cancelledError(job);
+      }
+      finish(job, result?.ok === false ? "failed" : "succeeded", {
+        result,
+        error: result?.ok === false ? (result.error ?? null) : null,
+      });
+      return result;
+    } catch (err) {
+      if (!TERMINAL.has(job.status)) {
+        finish(job, job.cancelRequested ? "cancelled" : "failed", { error: String(err) });
+      }
+      throw err;
+    }
+  }
+
+  // Queue fn behind every earlier job. Returns the job record; await job.done for the result.
+  function enqueue(kind, fn, meta = {}) {
+    const job = {
+      id: crypto.randomBytes(6).toString("hex"),
+      kind,
+      status: "queued",
+      params: meta.params ?? null,
+      source: meta.source ?? "api",
+      // Who started it (the /setup account), when it came from a request.
+      user: meta.user ?? null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      error: null,
+      result: null,
+      cancelRequested: false,
+      children: new Set(),
+    };
+    jobs.set(job.id, job);
+
+    const done = chain.then(() => execute(job, fn));
+    chain = done.catch(() => {});
+    Object.defineProperty(job, "done", { value: done, enumerable: false });
+    return job;
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || TERMINAL.has(job.status)) return null;
+    job.cancelRequested = true;
+    if (job.status === "queued") {
+      finish(job, "cancelled", { error: "cancelled before start" });
+      return job;
+    }
+    for (const child of job.children) {
+      try {
+        child.kill("SIGTERM");
+      } catch {}
+      setTimeout(() => {
+        try {
+          if (child.exitCode === null && child.signalCode === null) child.kill("SIGKILL");
+        } catch {}
+      }, 2_000).unref?.();
+    }
+    return job;
+  }
+
+  // The running job for the current async context (null outside jobs and once it finished).
+  function current() {
+    const job = storage.getStore();
+    return job && job.status === "running" ? job : null;
+  }
+
+  function track(proc) {
+    const job = current();
+    if (!job) return;
+    job.children.add(proc);
+    proc.once("close", () => job.children.delete(proc));
+  }
+
+  function history(limit = 50) {
+    if (!historyFile) return [];
+    try {
+      return fs
+        .readFileSync(historyFile, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .slice(-limit)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .reverse();
+    } catch {
+      return [];
+    }
+  }
+
+  return {
+    enqueue,
+    cancel,
+    current,
+    track,
+    history,
+    get: (id) => {
+      const job = jobs.get(id);
+      if (job) return publicView(job);
+      return history(historyLimit).find((j) => j.id === id) ?? null;
+    },
+    active: () => [...jobs.values()].filter((j) => !TERMINAL.has(j.status)).map(publicView),
+  };
+}
+
+function cancelledError(job) {
+  const err = new Error(`Job ${job.id} (${job.kind}) was cancelled`);
+  err.code = "ECANCELED";
+  return err;
+}
@@ -0,0 +1,111 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { writeFileAtomic } from "./config-edit.js";
+
+// OpenClaw's DM pairing store, read straight from the credentials dir so listing doesn't boot the
+// CLI once per channel:
+//   <channel>-pairing.json    { version: 1, requests: [{ id, code, createdAt, lastSeenAt, meta }] }
+//   <channel>-allowFrom.json  { version: 1, allowFrom: ["<sender id>", ...] }
+// Approving goes through `openclaw pairing approve` (see server.js); denying a request and
+// revoking an approved sender edit these files the way OpenClaw does.
+
+// OpenClaw drops pending requests after an hour.
+export const PAIRING_PENDING_TTL_MS = 60 * 60 * 1000;
+
+function pairingError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function isPairingChannel(channel) {
+  return typeof channel === "string" && /^[a-z0-9_-]+$/.test(channel);
+}
+
+export function checkPairingChannel(channel) {
+  if (!isPairingChannel(channel)) throw pairingError(400, "Invalid channel");
+  return channel;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw pairingError(409, `${path.basename(file)} is not valid JSON: ${err.message}`);
+  }
+}
+
+export function createPairingStore({ dir, now = Date.now }) {
+  const pendingFile = (channel) => path.join(dir, `${checkPairingChannel(channel)}-pairing.json`);
+  const allowFile = (channel) => path.join(dir, `${checkPairingChannel(channel)}-allowFrom.json`);
+
+  function requests(channel) {
+    const data = readJson(pendingFile(channel));
+    return Array.isArray(data?.requests) ? data.requests : [];
+  }
+
+  function isLive(request) {
+    const created = Date.parse(request?.createdAt);
+    return Number.isFinite(created) && now() - created < PAIRING_PENDING_TTL_MS;
+  }
+
+  // Channels with a pairing or allowFrom file.
+  function channels() {
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    const out = new Set();
+    for (const name of names) {
+      const m = name.match(/^([a-z0-9_-]+)-(?:pairing|allowFrom)\.json$/);
+      if (m) out.add(m[1]);
+    }
+    return [...out].sort();
+  }
+
+  // Unexpired requests, oldest first: [{ id, code, createdAt, lastSeenAt, meta }].
+  function pending(channel) {
+    return requests(channel)
+      .filter(isLive)
+      .map((r) => ({
+        id: String(r.id ?? ""),
+        code: String(r.code ?? ""),
+        createdAt: r.createdAt ?? null,
+        lastSeenAt: r.lastSeenAt ?? null,
+        meta: r.meta && typeof r.meta === "object" ? r.meta : {},
+      }))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  function approved(channel) {
+    const data = readJson(allowFile(channel));
+    return Array.isArray(data?.allowFrom) ? data.allowFrom.map(String) : [];
+  }
+
+  // Drop a pending request by its code. Returns the request that was dropped.
+  function deny(channel, code) {
+    const file = pendingFile(channel);
+    const all = requests(channel);
+    const wanted = String(code ?? "").trim().toUpperCase();
+    const hit = all.find((r) => String(r.code).toUpperCase() === wanted && isLive(r));
+    if (!hit) throw pairingError(404, `No pending ${channel} pairing request with code ${code}`);
+    writeFileAtomic(file, JSON.stringify({ version: 1, requests: all.filter((r) => r !== hit) }, null, 2));
+    return hit;
+  }
+
+  // Take a sender off the approved list.
+  function revoke(channel, id) {
+    const file = allowFile(channel);
+    const list = approved(channel);
+    const wanted = String(id ?? "");
+    if (!list.includes(wanted)) throw pairingError(404, `${wanted} is not an approved ${channel} sender`);
+    writeFileAtomic(file, JSON.stringify({ version: 1, allowFrom: list.filter((v) => v !== wanted) }, null, 2));
+  }
+
+  return { dir, channels, pending, approved, deny, revoke };
+}
@@ -0,0 +1,241 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+// Just enough of an S3 client for off-site backups: PUT, GET, LIST (v2) and DELETE against AWS
+// or any S3-compatible store (MinIO, R2, B2, ...). Requests are signed here with AWS Signature
+// Version 4, so the wrapper doesn't pull in an SDK for four calls.
+
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+export async function sha256File(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest("hex");
+}
+
+// RFC 3986 encoding, as SigV4 wants it (encodeURIComponent leaves !'()* alone).
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKeyPath(key) {
+  return key.split("/").map(uriEncode).join("/");
+}
+
+// "20130524T000000Z"
+function amzDate(now) {
+  return now.toISOString().replace(/[:-]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Sign a request. Returns the headers to send: the ones passed in plus host, x-amz-date,
+// x-amz-content-sha256, the session token (if any) and authorization. `payloadHash` is the hex
+// SHA-256 of the body (or "UNSIGNED-PAYLOAD").
+export function signRequest({
+  method,
+  url,
+  headers = {},
+  payloadHash = EMPTY_SHA256,
+  region,
+  service = "s3",
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+  now = new Date(),
+}) {
+  const u = new URL(url);
+  const stamp = amzDate(now);
+  const day = stamp.slice(0, 8);
+
+  const signed = {};
+  for (const [name, value] of Object.entries(headers)) signed[name.toLowerCase()] = String(value).trim();
+  signed.host = u.host;
+  signed["x-amz-date"] = stamp;
+  signed["x-amz-content-sha256"] = payloadHash;
+  if (sessionToken) signed["x-amz-security-token"] = sessionToken;
+
+  const names = Object.keys(signed).sort();
+  const query = [...u.searchParams]
+    .map(([k, v]) => [uriEncode(k), uriEncode(v)])
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : a[0] < b[0] ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+  const canonical = [
+    method,
+    u.pathname || "/",
+    query,
+    names.map((n) => `${n}:${signed[n]}\n`).join(""),
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", stamp, scope, sha256Hex(canonical)].join("\n");
+  const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), service), "aws4_request");
+  const signature = crypto.createHmac("sha256", key).update(stringToSign).digest("hex");
+
+  return {
+    ...signed,
+    authorization:
+      `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${names.join(";")}, Signature=${signature}`,
+  };
+}
+
+function xmlText(xml, tag) {
+  const m = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return m ? decodeXml(m[1]) : null;
+}
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// ListObjectsV2 response -> { objects: [{ key, size, lastModified }], nextToken }
+export function parseListObjects(xml) {
+  const objects = [];
+  for (const m of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+    objects.push({
+      key: xmlText(m[1], "Key"),
+      size: Number(xmlText(m[1], "Size") ?? 0),
+      lastModified: Date.parse(xmlText(m[1], "LastModified") ?? "") || null,
+    });
+  }
+  const truncated = xmlText(xml, "IsTruncated") === "true";
+  return { objects, nextToken: truncated ? xmlText(xml, "NextContinuationToken") : null };
+}
+
+async function s3Error(res, what) {
+  let detail = "";
+  try {
+    const body = await res.text();
+    detail = [xmlText(body, "Code"), xmlText(body, "Message")].filter(Boolean).join(": ");
+  } catch {
+    // no body
+  }
+  const err = new Error(`S3 ${what} failed: HTTP ${res.status}${detail ? ` (${detail})` : ""}`);
+  // Not `.status`: a 403 from the bucket is a gateway problem, not the caller's.
+  err.statusCode = res.status;
+  err.code = "ES3";
+  return err;
+}
+
+// opts: { endpoint?, bucket, region?, accessKeyId, secretAccessKey, sessionToken?, pathStyle? }
+// Without an endpoint this talks to AWS (virtual-hosted buckets); with one it defaults to
+// path-style URLs, which is what MinIO and most self-hosted stores expect.
+export function createS3Client(opts) {
+  const region = opts.region || "us-east-1";
+  const endpoint = new URL(opts.endpoint || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = opts.pathStyle ?? Boolean(opts.endpoint);
+  const fetchImpl = opts.fetch ?? globalThis.fetch;
+
+  function objectUrl(key = "", query = {}) {
+    const u = new URL(endpoint);
+    const base = endpoint.pathname.replace(/\/+$/, "");
+    if (pathStyle) {
+      u.pathname = `${base}/${uriEncode(opts.bucket)}/${encodeKeyPath(key)}`;
+    } else {
+      u.hostname = `${opts.bucket}.${endpoint.hostname}`;
+      u.pathname = `${base}/${encodeKeyPath(key)}`;
+    }
+    for (const [k, v] of Object.entries(query)) if (v != null) u.searchParams.set(k, v);
+    return u.toString();
+  }
+
+  function send(method, url, { headers = {}, payloadHash, body } = {}) {
+    const signed = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash,
+      region,
+      accessKeyId: opts.accessKeyId,
+      secretAccessKey: opts.secretAccessKey,
+      sessionToken: opts.sessionToken,
+    });
+    // fetch sets Host itself, and refuses to be told.
+    delete signed.host;
+    return fetchImpl(url, { method, headers: signed, body, duplex: body ? "half" : undefined });
+  }
+
+  async function putFile(key, filePath) {
+    const size = fs.statSync(filePath).size;
+    const res = await send("PUT", objectUrl(key), {
+      headers: { "content-length": size, "content-type": "application/octet-stream" },
+      payloadHash: await sha256File(filePath),
+      body: Readable.toWeb(fs.createReadStream(filePath)),
+    });
+    if (!res.ok) throw await s3Error(res, `upload of ${key}`);
+    await res.arrayBuffer();
+    return { key, size };
+  }
+
+  async function putBuffer(key, body) {
+    const res = await send("PUT", objectUrl(key), {
+      headers: { "content-length": body.length, "content-type": "application/octet-stream" },
+      payloadHash: sha256Hex(body),
+      body,
+    });
+    if (!res.ok) throw await s3Error(res, `upload of ${key}`);
+    await res.arrayBuffer();
+    return { key, size: body.length };
+  }
+
+  async function getBuffer(key) {
+    const res = await send("GET", objectUrl(key));
+    if (!res.ok) throw await s3Error(res, `download of ${key}`);
+    return Buffer.from(await res.arrayBuffer());
+  }
+
+  // Stream an object to dest via a temp file.
+  async function getToFile(key, dest) {
+    const res = await send("GET", objectUrl(key));
+    if (!res.ok) throw await s3Error(res, `download of ${key}`);
+    const tmp = `${dest}.partial`;
+    try {
+      await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(tmp, { mode: 0o600 }));
+      fs.renameSync(tmp, dest);
+    } catch (err) {
+      fs.rmSync(tmp, { force: true });
+      throw err;
+    }
+    return dest;
+  }
+
+  // Every object under prefix; with a delimiter ("/"), only the ones not in a deeper "folder".
+  async function list(prefix = "", { delimiter } = {}) {
+    const objects = [];
+    let token = null;
+    do {
+      const url = objectUrl("", { "list-type": "2", prefix, delimiter, "continuation-token": token });
+      const res = await send("GET", url);
+      if (!res.ok) throw await s3Error(res, "listing");
+      const page = parseListObjects(await res.text());
+      objects.push(...page.objects);
+      token = page.nextToken;
+    } while (token);
+    return objects;
+  }
+
+  async function remove(key) {
+    const res = await send("DELETE", objectUrl(key));
+    if (!res.ok && res.status !== 404) throw await s3Error(res, `delete of ${key}`);
+    await res.arrayBuffer();
+  }
+
+  return { objectUrl, putFile, putBuffer, getToFile, getBuffer, list, remove };
+}
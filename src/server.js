@@ -3,12 +3,72 @@ import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
+import { pipeline } from "node:stream/promises";
 
 import express from "express";
 import httpProxy from "http-proxy";
 import multer from "multer";
 import * as tar from "tar";
 
+import { discoverAuthProviders } from "./auth-providers.js";
+import { createAuditLog } from "./audit-log.js";
+import { clientIpFrom, createAuthThrottle } from "./auth-throttle.js";
+import {
+  MIN_PASSPHRASE_LENGTH,
+  createEncryptStream,
+  decryptBackupFile,
+  isEncryptedBackup,
+} from "./backup-crypto.js";
+import {
+  backupFileName,
+  backupReason,
+  isValidBackupName,
+  isValidOffsiteName,
+  listBackups,
+  pruneBackups,
+  writeArchive,
+} from "./backups.js";
+import {
+  EXPORT_SCOPES,
+  createArchiveStream,
+  fillFromLive,
+  isExportScope,
+  locateLegacyDirs,
+  matchLiveLayout,
+  verifyExtractedArchive,
+} from "./backup-archive.js";
+import { buildImportManifest, readConfigFile } from "./backup-preview.js";
+import { createBackupRepo, createFsStore, createS3Store } from "./backup-repo.js";
+import {
+  CHANNEL_DEFINITIONS,
+  channelConfigsFromRunPayload,
+  channelSupported,
+  describeChannels,
+  getChannelDefinition,
+  listChannels,
+  upsertChannelConfig,
+} from "./channels.js";
+import { createCliIntrospection } from "./cli-introspection.js";
+import { diffConfig, redactConfig } from "./config-diff.js";
+import { applyConfigPatch, configVersion, getAtPointer, parsePointer, writeFileAtomic } from "./config-edit.js";
+import { configVersionDiff, createConfigHistory, parseConfigOrNull, parseConfigVersion } from "./config-history.js";
+import { applyConfigRules, checkConfigRules, parseOpenclawVersion } from "./config-rules.js";
+import { LOG_LEVELS, createLogBuffer, matchesLogQuery } from "./gateway-logs.js";
+import {
+  carryInstallFiles,
+  deleteSnapshot,
+  listSnapshots,
+  pruneSnapshots,
+  snapshotId,
+  snapshotPaths,
+} from "./import-snapshots.js";
+import { createJobRunner } from "./jobs.js";
+import { createPairingStore, isPairingChannel } from "./pairing-store.js";
+import { SESSION_COOKIE, createSessionStore, parseCookies, serializeCookie } from "./sessions.js";
+import { createS3Client } from "./s3.js";
+import { createUploadStore } from "./uploads.js";
+import { ROLES, createUserStore, roleAtLeast } from "./users.js";
+
 // Railway deployments sometimes inject PORT=3000 by default. We want the wrapper to
 // reliably listen on 8080 unless explicitly overridden.
 //
@@ -29,6 +89,12 @@ const VALID_LOG_LEVELS = ["trace", "debug", "info", "warn", "error", "fatal"];
 const rawConsoleLevel = process.env.OPENCLAW_CONSOLE_LEVEL?.toLowerCase() || "warn";
 const CONSOLE_LEVEL = VALID_LOG_LEVELS.includes(rawConsoleLevel) ? rawConsoleLevel : "warn";
 
+// Read a non-negative integer from the environment, falling back on missing/invalid values.
+function envInt(name, fallback) {
+  const n = Number.parseInt(process.env[name] ?? "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
 // Auto-detect state directory: prefer existing directories for backwards compat
 function autoDetectStateDir() {
   const openclawDir = "/data/.openclaw";
@@ -59,8 +125,71 @@ const WORKSPACE_DIR =
   process.env.CLAWDBOT_WORKSPACE_DIR?.trim() ||
   path.join(STATE_DIR, "workspace");
 
-// Protect /setup with a user-provided password.
+// Scheduled snapshots of STATE_DIR + WORKSPACE_DIR. Kept next to (never inside) the state dir,
+// so they survive an import replacing it and aren't archived into the next snapshot.
+const BACKUP_DIR =
+  process.env.OPENCLAW_BACKUP_DIR?.trim() ||
+  path.join(path.dirname(path.resolve(STATE_DIR)), "openclaw-backups");
+const BACKUP_INTERVAL_HOURS = envInt("OPENCLAW_BACKUP_INTERVAL_HOURS", 6);
+const BACKUP_KEEP = envInt("OPENCLAW_BACKUP_KEEP", 10);
+const BACKUP_MAX_AGE_DAYS = envInt("OPENCLAW_BACKUP_MAX_AGE_DAYS", 30);
+// Uploaded backups are written here (same volume as the state dir, but outside it) instead of
+// being buffered in memory. OPENCLAW_IMPORT_MAX_MB caps a single import.
+const UPLOAD_DIR =
+  process.env.OPENCLAW_UPLOAD_DIR?.trim() ||
+  path.join(path.dirname(path.resolve(STATE_DIR)), "openclaw-uploads");
+const IMPORT_MAX_MB = envInt("OPENCLAW_IMPORT_MAX_MB", 2048);
+
+// Off-site copies of stored backups in an S3-compatible bucket (AWS, MinIO, R2, ...). Setting the
+// bucket turns it on; every stored backup is then pushed after it's written. Leave the endpoint
+// empty for AWS. OPENCLAW_S3_PASSPHRASE encrypts copies before they leave the volume.
+const S3_BUCKET = process.env.OPENCLAW_S3_BUCKET?.trim() || "";
+const S3_ENDPOINT = process.env.OPENCLAW_S3_ENDPOINT?.trim() || "";
+const S3_REGION = process.env.OPENCLAW_S3_REGION?.trim() || process.env.AWS_REGION?.trim() || "us-east-1";
+const S3_PREFIX = (process.env.OPENCLAW_S3_PREFIX?.trim() ?? "openclaw-backups")
+  .replace(/^\/+|\/+$/g, "")
+  .replace(/.+/, "$&/");
+const S3_PASSPHRASE = process.env.OPENCLAW_S3_PASSPHRASE?.trim() || "";
+
+// Incremental backups (see backup-repo.js). In "incremental" mode scheduled backups are
+// deduplicated snapshots in the backup repository instead of full archives in BACKUP_DIR. The
+// repository lives on the volume, or under "<prefix>repo/" in the off-site bucket.
+const BACKUP_MODE = process.env.OPENCLAW_BACKUP_MODE?.trim().toLowerCase() === "incremental" ? "incremental" : "archive";
+const BACKUP_REPO_DIR =
+  process.env.OPENCLAW_BACKUP_REPO_DIR?.trim() ||
+  path.join(path.dirname(path.resolve(STATE_DIR)), "openclaw-backup-repo");
+const BACKUP_REPO_TARGET = process.env.OPENCLAW_BACKUP_REPO_TARGET?.trim().toLowerCase() === "s3" ? "s3" : "volume";
+
+// Pre-import snapshots (<dir>.bak-<timestamp>) to keep after each import or rollback; 0 keeps all.
+const IMPORT_SNAPSHOT_KEEP = envInt("OPENCLAW_IMPORT_SNAPSHOT_KEEP", 5);
+
+// Versions of the config file to keep in STATE_DIR/config-history (see config-history.js); 0 keeps all.
+const CONFIG_HISTORY_KEEP = envInt("OPENCLAW_CONFIG_HISTORY_KEEP", 100);
+
+// Apply the matching config fix rules (see config-rules.js) before every gateway start.
+const rawRulesOnStart = process.env.OPENCLAW_CONFIG_RULES_ON_START?.trim().toLowerCase();
+const CONFIG_RULES_ON_START = rawRulesOnStart === "true" || rawRulesOnStart === "1";
+
+// Protect /setup with a user-provided password. It becomes the password of the first admin
+// account (OPENCLAW_SETUP_ADMIN_USER, default "admin"); more accounts are added in /setup.
 const SETUP_PASSWORD = process.env.SETUP_PASSWORD?.trim();
+const SETUP_ADMIN_USER = process.env.OPENCLAW_SETUP_ADMIN_USER?.trim() || "admin";
+
+// Browsers sign in at /setup/login and get a session cookie that lasts this long.
+const SESSION_TTL_HOURS = envInt("OPENCLAW_SESSION_TTL_HOURS", 12);
+// Also accept HTTP Basic credentials on every request (for scripts and curl). Off by default:
+// browsers cache Basic credentials until restart, so there's no logging out of them.
+const rawBasicAuth = process.env.OPENCLAW_SETUP_BASIC_AUTH?.trim().toLowerCase();
+const SETUP_BASIC_AUTH = rawBasicAuth === "true" || rawBasicAuth === "1";
+
+// Failed password checks (see auth-throttle.js): this many from one client lock it out, this
+// many from everyone within the window lock out password sign-in altogether, for this long.
+const AUTH_LOCKOUT_ATTEMPTS = Math.max(1, envInt("OPENCLAW_AUTH_LOCKOUT_ATTEMPTS", 10));
+const AUTH_GLOBAL_LOCKOUT_ATTEMPTS = Math.max(1, envInt("OPENCLAW_AUTH_GLOBAL_LOCKOUT_ATTEMPTS", 100));
+const AUTH_LOCKOUT_MINUTES = Math.max(1, envInt("OPENCLAW_AUTH_LOCKOUT_MINUTES", 15));
+// Reverse proxies in front of the wrapper whose X-Forwarded-For entries are believed when
+// working out the client address. Railway's edge is one; set 0 when clients connect directly.
+const TRUSTED_PROXY_HOPS = envInt("OPENCLAW_TRUSTED_PROXY_HOPS", 1);
 
 // Gateway admin token (protects OpenClaw gateway + Control UI).
 // Must be stable across restarts. If not provided via env, persist it in the state dir.
@@ -90,6 +219,7 @@ function resolveGatewayToken() {
 }
 
 const GATEWAY_TOKEN = resolveGatewayToken();
+
 // Set all env vars for compatibility (OpenClaw reads OPENCLAW_*, legacy reads others)
 process.env.OPENCLAW_GATEWAY_TOKEN = GATEWAY_TOKEN;
 process.env.MOLTBOT_GATEWAY_TOKEN = GATEWAY_TOKEN;
@@ -138,6 +268,16 @@ function configPath() {
   return openclawConfig;
 }
 
+// Every name the config may have, for callers that must handle them all (reset, the file watch).
+function resolveConfigCandidates() {
+  const explicit =
+    process.env.OPENCLAW_CONFIG_PATH?.trim() ||
+    process.env.MOLTBOT_CONFIG_PATH?.trim() ||
+    process.env.CLAWDBOT_CONFIG_PATH?.trim();
+  if (explicit) return [explicit];
+  return ["openclaw.json", "moltbot.json", "clawdbot.json"].map((name) => path.join(STATE_DIR, name));
+}
+
 function isConfigured() {
   try {
     return fs.existsSync(configPath());
@@ -148,6 +288,7 @@ function isConfigured() {
 
 let gatewayProc = null;
 let gatewayStarting = null;
+let gatewayStartedAt = null;
 
 // Debug breadcrumbs for common Railway failures (502 / "Application failed to respond").
 let lastGatewayError = null;
@@ -155,6 +296,94 @@ let lastGatewayExit = null;
 let lastDoctorOutput = null;
 let lastDoctorAt = null;
 
+// Gateway supervisor: an unexpected exit schedules a restart with exponential backoff + jitter,
+// so Telegram/Discord bots come back without anyone visiting the site. N unexpected exits within
+// the crash-loop window flips the state to "crash-looping"; we keep retrying at the max delay.
+const GATEWAY_RESTART_BASE_MS = envInt("OPENCLAW_GATEWAY_RESTART_BASE_MS", 1_000);
+const GATEWAY_RESTART_MAX_MS = envInt("OPENCLAW_GATEWAY_RESTART_MAX_MS", 60_000);
+const GATEWAY_CRASH_LOOP_COUNT = envInt("OPENCLAW_GATEWAY_CRASH_LOOP_COUNT", 5);
+const GATEWAY_CRASH_LOOP_WINDOW_MS = envInt("OPENCLAW_GATEWAY_CRASH_LOOP_WINDOW_MINUTES", 10) * 60_000;
+// A gateway that stayed up this long before exiting starts the backoff over.
+const GATEWAY_STABLE_UPTIME_MS = 60_000;
+const GATEWAY_HISTORY_LIMIT = 50;
+// How long a stop waits for the gateway to exit after SIGTERM, and then after SIGKILL.
+const GATEWAY_STOP_TIMEOUT_MS = envInt("OPENCLAW_GATEWAY_STOP_TIMEOUT_MS", 10_000);
+const GATEWAY_KILL_TIMEOUT_MS = 5_000;
+
+let gatewayRestartTimer = null;
+let gatewayNextRestartAt = null;
+let gatewayConsecutiveCrashes = 0;
+const gatewayRestartHistory = [];
+let shuttingDown = false;
+
+// Gateway stdout/stderr is teed into this buffer (and a rotating file under STATE_DIR)
+// so /setup can show it without the Railway dashboard.
+const GATEWAY_LOG_FILE_MB = envInt("OPENCLAW_GATEWAY_LOG_FILE_MB", 5);
+const gatewayLogs = createLogBuffer({
+  maxLines: envInt("OPENCLAW_GATEWAY_LOG_LINES", 2000),
+  filePath: GATEWAY_LOG_FILE_MB > 0 ? path.join(STATE_DIR, "logs", "gateway.log") : null,
+  maxFileBytes: GATEWAY_LOG_FILE_MB * 1024 * 1024,
+  maxFiles: envInt("OPENCLAW_GATEWAY_LOG_FILES", 3),
+  redact: (s) => redactSecrets(s),
+});
+
+// Mutating setup actions run as jobs behind one global lock (see jobRoute below).
+const jobs = createJobRunner({ historyFile: path.join(STATE_DIR, "jobs", "history.jsonl") });
+
+// Who did what in /setup (see auditRequest), rotated by size.
+const AUDIT_LOG_FILE_MB = Math.max(1, envInt("OPENCLAW_AUDIT_LOG_FILE_MB", 5));
+const auditLog = createAuditLog({
+  file: path.join(STATE_DIR, "logs", "audit.log"),
+  maxFileBytes: AUDIT_LOG_FILE_MB * 1024 * 1024,
+  maxFiles: Math.max(1, envInt("OPENCLAW_AUDIT_LOG_FILES", 5)),
+  redact: redactSecrets,
+});
+
+// Config history lives in the state dir, so it travels with exports and an import brings the
+// backup's own history along (the replaced one stays in the pre-import snapshot).
+const configHistory = createConfigHistory({ dir: path.join(STATE_DIR, "config-history"), keep: CONFIG_HISTORY_KEEP });
+
+// Snapshot the config file as it is now, if it differs from the latest version. Never throws:
+// history is a record of what happened, not something that should fail the change itself.
+function recordConfigVersion(meta) {
+  try {
+    let text = null;
+    try {
+      text = fs.readFileSync(configPath(), "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    const version = configHistory.record(text, meta);
+    if (version) console.log(`[config] recorded version ${version.version} (${version.action})`);
+    return version;
+  } catch (err) {
+    console.warn(`[config] could not record config version: ${String(err)}`);
+    return null;
+  }
+}
+
+// Changes made outside the wrapper (a shell, the Control UI, the gateway itself) are picked up
+// by polling the config file. While jobs run the check waits: the job records what it changed.
+function watchConfigFile() {
+  let timer = null;
+  const check = () => {
+    timer = null;
+    if (jobs.active().length) {
+      timer = setTimeout(check, 2_000);
+      timer.unref?.();
+      return;
+    }
+    recordConfigVersion({ action: "external-edit", source: "watch" });
+  };
+  for (const file of resolveConfigCandidates()) {
+    fs.watchFile(file, { interval: 2_000, persistent: false }, () => {
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(check, 1_000);
+      timer.unref?.();
+    });
+  }
+}
+
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
@@ -163,6 +392,9 @@ async function waitForGatewayReady(opts = {}) {
   const timeoutMs = opts.timeoutMs ?? 20_000;
   const start = Date.now();
   while (Date.now() - start < timeoutMs) {
+    // The process died while we were waiting; the supervisor takes it from here.
+    if (opts.proc && opts.proc.exitCode !== null) return false;
+    if (opts.proc && opts.proc.signalCode !== null) return false;
     try {
       // OpenClaw gateway responds at /openclaw (configured via controlUi.basePath)
       const res = await fetch(`${GATEWAY_TARGET}/openclaw`, { method: "GET" });
@@ -176,12 +408,98 @@ async function waitForGatewayReady(opts = {}) {
   return false;
 }
 
+function recordGatewayExit({ code, signal, startedAt, expected, error }) {
+  const at = Date.now();
+  const uptimeMs = at - startedAt;
+  lastGatewayExit = { code, signal, at, uptimeMs, expected, error: error ?? null };
+  gatewayRestartHistory.push(lastGatewayExit);
+  if (gatewayRestartHistory.length > GATEWAY_HISTORY_LIMIT) gatewayRestartHistory.shift();
+  if (!expected) {
+    gatewayConsecutiveCrashes = uptimeMs >= GATEWAY_STABLE_UPTIME_MS ? 1 : gatewayConsecutiveCrashes + 1;
+  }
+}
+
+function recentGatewayCrashes() {
+  const cutoff = Date.now() - GATEWAY_CRASH_LOOP_WINDOW_MS;
+  return gatewayRestartHistory.filter((e) => !e.expected && e.at >= cutoff).length;
+}
+
+function isGatewayCrashLooping() {
+  // A gateway that has been up for a while has recovered, even if the window still holds crashes.
+  if (gatewayProc && gatewayStartedAt && Date.now() - gatewayStartedAt >= GATEWAY_STABLE_UPTIME_MS) {
+    return false;
+  }
+  return recentGatewayCrashes() >= GATEWAY_CRASH_LOOP_COUNT;
+}
+
+function cancelScheduledGatewayRestart() {
+  if (gatewayRestartTimer) clearTimeout(gatewayRestartTimer);
+  gatewayRestartTimer = null;
+  gatewayNextRestartAt = null;
+}
+
+function scheduleGatewayRestart() {
+  if (shuttingDown || gatewayRestartTimer || !isConfigured()) return;
+
+  const crashLooping = isGatewayCrashLooping();
+  const attempt = Math.max(1, gatewayConsecutiveCrashes);
+  const base = crashLooping
+    ? GATEWAY_RESTART_MAX_MS
+    : Math.min(GATEWAY_RESTART_MAX_MS, GATEWAY_RESTART_BASE_MS * 2 ** (attempt - 1));
+  // Jitter the delay down by up to 25% so restarts don't line up with whatever killed the gateway.
+  const delay = Math.round(base * (0.75 + Math.random() * 0.25));
+
+  const msg = `[gateway] restarting in ${delay}ms (attempt ${attempt}${crashLooping ? ", crash-looping" : ""})`;
+  console.error(msg);
+  gatewayLogs.append("wrapper", msg);
+  if (crashLooping) {
+    // Rate-limited internally; gives /setup/api/debug something to show.
+    runDoctorBestEffort().catch(() => {});
+  }
+
+  gatewayNextRestartAt = Date.now() + delay;
+  gatewayRestartTimer = setTimeout(() => {
+    gatewayRestartTimer = null;
+    gatewayNextRestartAt = null;
+    ensureGatewayRunning().catch((err) => {
+      console.error(`[gateway] supervised restart failed: ${String(err)}`);
+      // If the process died, its exit handler already rescheduled; this covers start errors.
+      if (!gatewayProc) scheduleGatewayRestart();
+    });
+  }, delay);
+  gatewayRestartTimer.unref?.();
+}
+
+function gatewaySupervisorState() {
+  let state = "stopped";
+  if (gatewayStarting) state = "starting";
+  else if (gatewayProc) state = "running";
+  else if (gatewayRestartTimer) state = "backoff";
+  if (state !== "stopped" && isGatewayCrashLooping()) state = "crash-looping";
+
+  return {
+    state,
+    pid: gatewayProc?.pid ?? null,
+    startedAt: gatewayStartedAt,
+    uptimeMs: gatewayStartedAt ? Date.now() - gatewayStartedAt : null,
+    consecutiveCrashes: gatewayConsecutiveCrashes,
+    recentCrashes: recentGatewayCrashes(),
+    nextRestartAt: gatewayNextRestartAt,
+    crashLoop: {
+      count: GATEWAY_CRASH_LOOP_COUNT,
+      windowMs: GATEWAY_CRASH_LOOP_WINDOW_MS,
+    },
+  };
+}
+
 async function startGateway() {
   if (gatewayProc) return;
   if (!isConfigured()) throw new Error("Gateway cannot start: not configured");
 
+  cancelScheduledGatewayRestart();
   fs.mkdirSync(STATE_DIR, { recursive: true });
   fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+  if (CONFIG_RULES_ON_START) await fixConfigBeforeStart();
 
   const args = [
     "gateway",
@@ -196,8 +514,8 @@ async function startGateway() {
     GATEWAY_TOKEN,
   ];
 
-  gatewayProc = childProcess.spawn(OPENCLAW_NODE, openclawArgs(args), {
-    stdio: "inherit",
+  const proc = childProcess.spawn(OPENCLAW_NODE, openclawArgs(args), {
+    stdio: ["ignore", "pipe", "pipe"],
     env: {
       ...process.env,
       OPENCLAW_STATE_DIR: STATE_DIR,
@@ -208,16 +526,52 @@ async function startGateway() {
       CLAWDBOT_WORKSPACE_DIR: WORKSPACE_DIR,
     },
   });
+  const startedAt = Date.now();
+  gatewayProc = proc;
+  gatewayStartedAt = startedAt;
+
+  // Tee output: Railway's log stream still gets everything, the ring buffer gets a redacted copy.
+  proc.stdout.on("data", (d) => {
+    process.stdout.write(d);
+    gatewayLogs.write("stdout", d);
+  });
+  proc.stderr.on("data", (d) => {
+    process.stderr.write(d);
+    gatewayLogs.write("stderr", d);
+  });
 
-  gatewayProc.on("error", (err) => {
-    console.error(`[gateway] spawn error: ${String(err)}`);
-    gatewayProc = null;
+  // "error" and "exit" can both fire for one process; only the first one counts.
+  let settled = false;
+  const onGone = ({ code = null, signal = null, error }) => {
+    if (settled) return;
+    settled = true;
+    if (gatewayProc === proc) {
+      gatewayProc = null;
+      gatewayStartedAt = null;
+    }
+    const expected = Boolean(proc.stopRequested) || shuttingDown;
+    recordGatewayExit({ code, signal, startedAt, expected, error });
+    if (!expected) scheduleGatewayRestart();
+  };
+
+  proc.on("error", (err) => {
+    gatewayLogs.flushPartial();
+    const msg = `[gateway] spawn error: ${String(err)}`;
+    console.error(msg);
+    gatewayLogs.append("wrapper", msg);
+    onGone({ error: String(err) });
   });
 
-  gatewayProc.on("exit", (code, signal) => {
-    console.error(`[gateway] exited code=${code} signal=${signal}`);
-    gatewayProc = null;
+  proc.on("exit", (code, signal) => {
+    gatewayLogs.flushPartial();
+    const msg = `[gateway] exited code=${code} signal=${signal}`;
+    console.error(msg);
+    gatewayLogs.append("wrapper", msg);
+    onGone({ code, signal });
   });
+
+  // Output can still be draining from the pipes after "exit"; "close" comes once they're done.
+  proc.on("close", () => gatewayLogs.flushPartial());
 }
 
 async function ensureGatewayRunning() {
@@ -228,7 +582,7 @@ async function ensureGatewayRunning() {
       try {
         lastGatewayError = null;
         await startGateway();
-        const ready = await waitForGatewayReady({ timeoutMs: 20_000 });
+        const ready = await waitForGatewayReady({ timeoutMs: 20_000, proc: gatewayProc });
         if (!ready) {
           throw new Error("Gateway did not become ready in time");
         }
@@ -247,17 +601,62 @@ async function ensureGatewayRunning() {
   return { ok: true };
 }
 
-async function restartGateway() {
-  if (gatewayProc) {
+// Resolves true once `proc` has exited, false if it is still running after `timeoutMs`.
+function waitForExit(proc, timeoutMs) {
+  if (proc.exitCode !== null || proc.signalCode !== null) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const onExit = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      proc.off("exit", onExit);
+      resolve(false);
+    }, timeoutMs);
+    proc.once("exit", onExit);
+  });
+}
+
+// Stop the gateway on purpose: the supervisor must not treat this exit as a crash.
+async function stopGateway() {
+  cancelScheduledGatewayRestart();
+  const proc = gatewayProc;
+  if (!proc) return;
+  proc.stopRequested = true;
+  try {
+    proc.kill("SIGTERM");
+  } catch {
+    // ignore
+  }
+  // Wait until it has actually exited (and released the port) before anyone starts another;
+  // a gateway that ignores SIGTERM gets SIGKILL.
+  if (!(await waitForExit(proc, GATEWAY_STOP_TIMEOUT_MS))) {
+    const msg = `[gateway] still running ${GATEWAY_STOP_TIMEOUT_MS}ms after SIGTERM; sending SIGKILL`;
+    console.error(msg);
+    gatewayLogs.append("wrapper", msg);
     try {
-      gatewayProc.kill("SIGTERM");
+      proc.kill("SIGKILL");
     } catch {
       // ignore
     }
-    // Give it a moment to exit and release the port.
-    await sleep(750);
+    // Keep the handle of a process that won't die: starting another one would find the port taken.
+    if (!(await waitForExit(proc, GATEWAY_KILL_TIMEOUT_MS))) {
+      const stuck = `[gateway] pid ${proc.pid} is still running ${GATEWAY_KILL_TIMEOUT_MS}ms after SIGKILL`;
+      console.error(stuck);
+      gatewayLogs.append("wrapper", stuck);
+      throw new Error(`Gateway (pid ${proc.pid}) did not exit, even after SIGKILL; not starting another one.`);
+    }
+  }
+  if (gatewayProc === proc) {
     gatewayProc = null;
+    gatewayStartedAt = null;
   }
+}
+
+async function restartGateway() {
+  await stopGateway();
+  // An operator-initiated restart starts the backoff over.
+  gatewayConsecutiveCrashes = 0;
   return ensureGatewayRunning();
 }
 
@@ -288,28 +687,293 @@ async function runDoctorBestEffort() {
   }
 }
 
-function requireSetupAuth(req, res, next) {
-  if (!SETUP_PASSWORD) {
-    return res
-      .status(500)
-      .type("text/plain")
-      .send("SETUP_PASSWORD is not set. Set it in Railway Variables before using /setup.");
+// Setup/Control UI accounts (see users.js). Bootstrapping hashes SETUP_PASSWORD, so requests
+// wait for it instead of racing it. It runs again whenever the store turns up empty (e.g. after
+// restoring a state dir that had no accounts file).
+const userStore = createUserStore({ file: path.join(STATE_DIR, "setup-users.json") });
+
+async function bootstrapSetupAccounts() {
+  try {
+    const what = await userStore.bootstrap(SETUP_ADMIN_USER, SETUP_PASSWORD);
+    if (what) console.log(`[auth] ${what} admin account ${SETUP_ADMIN_USER} from SETUP_PASSWORD`);
+  } catch (err) {
+    console.error("[auth] bootstrap failed:", err);
   }
+}
+
+const usersReady = bootstrapSetupAccounts();
+
+// Before any sign-in: the startup bootstrap is done, and an emptied store gets its admin back.
+async function setupAccountsReady() {
+  await usersReady;
+  if (userStore.isEmpty()) await bootstrapSetupAccounts();
+}
+
+// The lowest role each /setup route needs, keyed "METHOD path" as the route is registered.
+// viewer: look at status, logs and history. operator: restart, pair, back up, open the Control
+// UI. Routes not listed here (reset, import, export, token reveal, config and channel edits,
+// user management, the audit log, ...) need admin.
+const ROUTE_ROLES = {
+  "GET /setup": "viewer",
+  "GET /setup/app.js": "viewer",
+  "GET /setup/api/status": "viewer",
+  "GET /setup/api/me": "viewer",
+  "POST /setup/api/me/password": "viewer",
+  "GET /setup/api/debug": "viewer",
+  "GET /setup/api/logs": "viewer",
+  "GET /setup/api/jobs": "viewer",
+  "GET /setup/api/jobs/:id": "viewer",
+  "GET /setup/api/channels": "viewer",
+  "GET /setup/api/pairing": "viewer",
+  "GET /setup/api/config": "viewer",
+  "GET /setup/api/config/versions": "viewer",
+  "GET /setup/api/config/versions/diff": "viewer",
+  "GET /setup/api/config/rules": "viewer",
+  "GET /setup/api/backups": "viewer",
+  "GET /setup/api/offsite": "viewer",
+  "GET /setup/api/backup-repo": "viewer",
+  "GET /setup/api/import-snapshots": "viewer",
+
+  "GET /setup/dashboard": "operator",
+  "POST /setup/api/gateway/restart": "operator",
+  "POST /setup/api/doctor": "operator",
+  "POST /setup/api/fix-permissions": "operator",
+  "POST /setup/api/introspection/refresh": "operator",
+  "POST /setup/api/jobs/:id/cancel": "operator",
+  "POST /setup/api/pairing/approve": "operator",
+  "POST /setup/api/pairing/deny": "operator",
+  "POST /setup/api/pairing/revoke": "operator",
+  "POST /setup/api/backups": "operator",
+  "POST /setup/api/backups/:name/offsite": "operator",
+  "POST /setup/api/backup-repo/snapshots": "operator",
+  "POST /setup/api/backup-repo/gc": "operator",
+};
+
+// Using the Control UI (HTTP and WebSocket) is an operator's job.
+const CONTROL_UI_ROLE = "operator";
+
+function routeRole(req) {
+  const method = req.method === "HEAD" ? "GET" : req.method;
+  return ROUTE_ROLES[`${method} ${req.route?.path}`] ?? "admin";
+}
 
+function basicCredentials(req) {
   const header = req.headers.authorization || "";
   const [scheme, encoded] = header.split(" ");
-  if (scheme !== "Basic" || !encoded) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Setup"');
-    return res.status(401).send("Auth required");
-  }
+  if (scheme !== "Basic" || !encoded) return null;
   const decoded = Buffer.from(encoded, "base64").toString("utf8");
   const idx = decoded.indexOf(":");
-  const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-  if (password !== SETUP_PASSWORD) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Setup"');
-    return res.status(401).send("Invalid password");
+  return idx >= 0 ? { username: decoded.slice(0, idx), password: decoded.slice(idx + 1) } : { username: decoded, password: "" };
+}
+
+// Browser sessions (see sessions.js); Basic credentials only with OPENCLAW_SETUP_BASIC_AUTH.
+// Sessions live only in memory and end with the process, so the cookie-signing key is made at
+// startup (unless OPENCLAW_SESSION_SECRET pins one); there is nothing for a stored key to keep.
+const SESSION_SECRET = process.env.OPENCLAW_SESSION_SECRET?.trim() || crypto.randomBytes(32).toString("hex");
+const sessions = createSessionStore({ secret: SESSION_SECRET, ttlMs: SESSION_TTL_HOURS * 60 * 60 * 1000 });
+
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+function isSecureRequest(req) {
+  return req.secure || req.headers["x-forwarded-proto"] === "https";
+}
+
+// Browsers send Origin with cross-site requests (and WebSocket handshakes); those are refused
+// whatever credentials they carry. Requests without one (scripts) pass.
+function sameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === (req.headers["x-forwarded-host"] || req.headers.host);
+  } catch {
+    return false;
+  }
+}
+
+const authThrottle = createAuthThrottle({
+  lockAfter: AUTH_LOCKOUT_ATTEMPTS,
+  globalLockAfter: AUTH_GLOBAL_LOCKOUT_ATTEMPTS,
+  lockMs: AUTH_LOCKOUT_MINUTES * 60 * 1000,
+});
+
+function clientIp(req) {
+  return clientIpFrom({
+    remoteAddress: req.socket?.remoteAddress,
+    forwardedFor: req.headers["x-forwarded-for"],
+    trustedHops: TRUSTED_PROXY_HOPS,
+  });
+}
+
+// Every password check goes through here. A locked-out client is refused without a check;
+// others first sit out their delay. -> { user } or { user: null, locked: true, retryAfterMs }.
+// A lockout that starts while the check runs (parallel guesses) wins even over a right
+// password, so a burst can't confirm one.
+async function checkPassword(req, username, password) {
+  const ip = clientIp(req);
+  const gate = authThrottle.check(ip);
+  if (gate.locked) return { user: null, locked: true, retryAfterMs: gate.retryAfterMs };
+  if (gate.delayMs) await sleep(gate.delayMs);
+
+  const user = username ? await userStore.authenticate(username, password) : null;
+  if (!user) {
+    const after = authThrottle.recordFailure(ip, { username });
+    console.warn(
+      `[auth] failed sign-in for ${JSON.stringify(username)} from ${ip}` +
+        (after.locked ? ` (${after.scope === "global" ? "all password sign-in" : "client"} locked out)` : "")
+    );
+  }
+  const after = authThrottle.check(ip);
+  if (after.locked) return { user: null, locked: true, retryAfterMs: after.retryAfterMs };
+  if (user) authThrottle.recordSuccess(ip);
+  return { user };
+}
+
+function lockedOutMessage(retryAfterMs) {
+  return `Too many failed sign-ins. Try again in ${Math.ceil(retryAfterMs / 60_000)} minute(s).`;
+}
+
+// { user, session } from the session cookie or, if enabled, Basic credentials (session null);
+// { user: null, invalid: true } for wrong Basic credentials (plus locked/retryAfterMs when
+// locked out); null when the request has neither.
+// Works on plain http.IncomingMessage too (the WebSocket upgrade).
+async function authenticateRequest(req) {
+  const session = sessions.get(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  if (session) {
+    // Re-read the account each time: role changes apply at once, removed accounts are out.
+    const user = userStore.get(session.username);
+    if (user) return { user, session };
+  }
+  if (SETUP_BASIC_AUTH) {
+    const creds = basicCredentials(req);
+    if (creds) {
+      const result = await checkPassword(req, creds.username, creds.password);
+      return result.user ? { user: result.user, session: null } : { ...result, invalid: true };
+    }
+  }
+  return null;
+}
+
+const parseForm = express.urlencoded({ extended: false });
+
+// The CSRF token sent with a request: the x-csrf-token header (fetch), or the _csrf field of a
+// plain HTML form, parsed here since route-level body parsers haven't run yet.
+async function csrfTokenOf(req, res) {
+  const header = req.get("x-csrf-token");
+  if (header) return header;
+  if (!req.is("application/x-www-form-urlencoded")) return null;
+  await new Promise((resolve, reject) => parseForm(req, res, (err) => (err ? reject(err) : resolve())));
+  return typeof req.body?._csrf === "string" ? req.body._csrf : null;
+}
+
+function signInRedirect(req) {
+  return `/setup/login?next=${encodeURIComponent(req.originalUrl)}`;
+}
+
+// Checks who is asking, the role and (for /setup, `csrf`) the CSRF token of mutating requests;
+// sets req.user and req.setupSession. Returns false after answering the request.
+async function authorize(req, res, { role, csrf }) {
+  await setupAccountsReady();
+  if (userStore.isEmpty()) {
+    res
+      .status(500)
+      .type("text/plain")
+      .send("SETUP_PASSWORD is not set. Set it in Railway Variables before using /setup.");
+    return false;
+  }
+
+  const auth = await authenticateRequest(req);
+  if (auth?.user) {
+    // Set before the checks below so the audit log knows who was refused.
+    req.user = auth.user;
+    req.setupSession = auth.session;
+  }
+  if (!auth?.user) {
+    if (auth?.locked) {
+      res.set("Retry-After", String(Math.ceil(auth.retryAfterMs / 1000)));
+      res.status(429).type("text/plain").send(lockedOutMessage(auth.retryAfterMs));
+    } else if (auth?.invalid) {
+      res.status(401).type("text/plain").send("Invalid username or password");
+    } else if (req.method === "GET" && !req.path.startsWith("/setup/api/")) {
+      res.redirect(signInRedirect(req));
+    } else {
+      res.status(401).json({ ok: false, error: "Sign in required", login: "/setup/login" });
+    }
+    return false;
+  }
+  if (MUTATING_METHODS.has(req.method)) {
+    if (!sameOrigin(req)) {
+      res.status(403).type("text/plain").send("Cross-site request refused");
+      return false;
+    }
+    if (csrf && auth.session && !sessions.checkCsrf(auth.session, await csrfTokenOf(req, res))) {
+      res.status(403).type("text/plain").send("Missing or invalid CSRF token. Reload /setup and try again.");
+      return false;
+    }
+  }
+  if (!roleAtLeast(auth.user.role, role)) {
+    res
+      .status(403)
+      .type("text/plain")
+      .send(`Forbidden: this needs the ${role} role (${auth.user.username} is ${auth.user.role})`);
+    return false;
   }
-  return next();
+  return true;
+}
+
+// Audited: every state change in /setup, plus the reads that hand out secrets or whole backups.
+// Upload chunks are left out; one import sends hundreds of them.
+const AUDITED_READS = new Set([
+  "GET /setup/api/token",
+  "GET /setup/dashboard",
+  "GET /setup/export",
+  "GET /setup/api/backups/:name",
+  "GET /setup/api/backup-repo/snapshots/:id/download",
+]);
+const UNAUDITED_WRITES = new Set(["PUT /setup/api/uploads/:id/chunks/:index"]);
+
+function isAudited(req) {
+  const key = `${req.method} ${req.route?.path}`;
+  return MUTATING_METHODS.has(req.method) ? !UNAUDITED_WRITES.has(key) : AUDITED_READS.has(key);
+}
+
+function auditParams(req) {
+  const body = req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body) ? req.body : {};
+  const params = { ...req.query, ...req.params, ...body };
+  delete params._csrf;
+  if (req.file) params.file = { name: req.file.originalname, size: req.file.size };
+  return params;
+}
+
+// Writes the audit entry once the response is over. The actor is req.user (authorize sets it
+// even when it then refuses) or `user` for sign-in attempts. Requests nobody signed in for
+// (scanners, locked-out clients) aren't recorded, so they can't rotate real entries away.
+function auditRequest(req, res, { user } = {}) {
+  const startedAt = Date.now();
+  res.once("close", () => {
+    const actor = req.user?.username ?? user ?? null;
+    if (!actor || res.statusCode === 429) return;
+    let outcome = "ok";
+    if (!res.writableFinished) outcome = "aborted";
+    else if (res.statusCode === 401 || res.statusCode === 403) outcome = "denied";
+    else if (res.statusCode >= 400 || res.locals.jobOk === false) outcome = "failed";
+    auditLog.record({
+      ip: clientIp(req),
+      user: actor,
+      role: req.user?.role ?? null,
+      method: req.method,
+      route: req.route?.path ?? req.path,
+      params: auditParams(req),
+      outcome,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      jobId: res.get("x-job-id") ?? null,
+    });
+  });
+}
+
+async function requireSetupAuth(req, res, next) {
+  if (isAudited(req)) auditRequest(req, res);
+  if (await authorize(req, res, { role: routeRole(req), csrf: true })) return next();
 }
 
 const app = express();
@@ -327,20 +991,42 @@ app.use((req, res, next) => {
 
 app.use(express.json({ limit: "1mb" }));
 
-// Configure multer for file uploads (used by /setup/import)
+const uploads = createUploadStore({ dir: UPLOAD_DIR, maxBytes: IMPORT_MAX_MB * 1024 * 1024 });
+
+const rawPathStyle = process.env.OPENCLAW_S3_FORCE_PATH_STYLE?.trim().toLowerCase();
+const offsite = S3_BUCKET
+  ? createS3Client({
+      endpoint: S3_ENDPOINT || undefined,
+      bucket: S3_BUCKET,
+      region: S3_REGION,
+      accessKeyId: process.env.OPENCLAW_S3_ACCESS_KEY_ID?.trim() || process.env.AWS_ACCESS_KEY_ID?.trim(),
+      secretAccessKey:
+        process.env.OPENCLAW_S3_SECRET_ACCESS_KEY?.trim() || process.env.AWS_SECRET_ACCESS_KEY?.trim(),
+      sessionToken: process.env.AWS_SESSION_TOKEN?.trim() || undefined,
+      pathStyle: rawPathStyle ? rawPathStyle === "true" || rawPathStyle === "1" : undefined,
+    })
+  : null;
+
+// Configure multer for file uploads (used by /setup/import). Files stream to UPLOAD_DIR.
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: multer.diskStorage({
+    destination: (_req, _file, cb) => {
+      fs.mkdir(UPLOAD_DIR, { recursive: true, mode: 0o700 }, (err) => cb(err, UPLOAD_DIR));
+    },
+    filename: (_req, _file, cb) => cb(null, `multipart-${crypto.randomBytes(8).toString("hex")}.upload`),
+  }),
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB max
+    fileSize: IMPORT_MAX_MB * 1024 * 1024,
   },
   fileFilter: (_req, file, cb) => {
-    // Only accept .tar.gz or .tgz files
+    // Only accept .tar.gz or .tgz files (optionally encrypted: .tar.gz.enc)
     if (
       file.mimetype === "application/gzip" ||
       file.mimetype === "application/x-gzip" ||
       file.mimetype === "application/x-tar" ||
       file.originalname.endsWith(".tar.gz") ||
-      file.originalname.endsWith(".tgz")
+      file.originalname.endsWith(".tgz") ||
+      file.originalname.endsWith(".tar.gz.enc")
     ) {
       cb(null, true);
     } else {
@@ -349,9 +1035,167 @@ const upload = multer({
   },
 });
 
+const backupRepo = createBackupRepo({
+  store:
+    BACKUP_REPO_TARGET === "s3" && offsite
+      ? createS3Store(offsite, `${S3_PREFIX}repo/`, `s3://${S3_BUCKET}/${S3_PREFIX}repo/`)
+      : createFsStore(BACKUP_REPO_DIR),
+});
+
+// upload.single("backup") with JSON errors, and a free-space check before any bytes are written.
+function receiveBackupUpload(req, res, next) {
+  const declared = Number.parseInt(req.headers["content-length"] ?? "", 10);
+  if (req.is("multipart/form-data") && declared > 0) {
+    try {
+      uploads.checkSpace(declared);
+    } catch (err) {
+      return res.status(err.status ?? 500).json({ ok: false, error: err.message });
+    }
+  }
+  upload.single("backup")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res
+        .status(413)
+        .json({ ok: false, error: `Backup is over the ${IMPORT_MAX_MB}MB import limit (OPENCLAW_IMPORT_MAX_MB).` });
+    }
+    return res.status(400).json({ ok: false, error: err.message });
+  });
+}
+
+// The archive an import request refers to: a multipart upload (already on disk), a finished
+// chunked upload (body.uploadId), an incremental snapshot (body.repoSnapshot, written out as an
+// archive first) or an off-site backup (body.offsite, downloaded first).
+// release(ok) deletes it when done; a chunked upload survives a failed attempt (e.g. a mistyped
+// passphrase) so it can be retried without uploading again.
+async function importSource(req) {
+  if (req.file) {
+    return {
+      path: req.file.path,
+      name: req.file.originalname,
+      size: req.file.size,
+      release: () => fs.rmSync(req.file.path, { force: true }),
+    };
+  }
+  if (req.body?.uploadId) {
+    const done = uploads.completed(String(req.body.uploadId));
+    return {
+      path: done.path,
+      name: done.fileName,
+      size: done.size,
+      release: (ok) => ok && uploads.remove(done.id),
+    };
+  }
+  if (req.body?.repoSnapshot) {
+    const local = await materializeRepoSnapshot(String(req.body.repoSnapshot));
+    return { ...local, release: () => fs.rmSync(local.path, { force: true }) };
+  }
+  if (req.body?.offsite) {
+    const remote = await fetchOffsiteBackup(String(req.body.offsite));
+    return {
+      ...remote,
+      passphrase: S3_PASSPHRASE || undefined,
+      release: () => fs.rmSync(remote.path, { force: true }),
+    };
+  }
+  return null;
+}
+
+function importSourceParams(req) {
+  if (req.file) return { file: req.file.originalname, size: req.file.size };
+  if (req.body?.repoSnapshot) return { file: String(req.body.repoSnapshot), repoSnapshot: true };
+  if (req.body?.offsite) return { file: String(req.body.offsite), offsite: true };
+  const u = req.body?.uploadId ? uploads.get(String(req.body.uploadId)) : null;
+  return { file: u?.fileName ?? null, size: u?.size ?? null, uploadId: u?.id ?? null };
+}
+
 // Minimal health endpoint for Railway.
 app.get("/setup/healthz", (_req, res) => res.json({ ok: true }));
 
+// Sign-in. Only same-site relative paths are followed after signing in.
+function safeNextPath(value) {
+  const next = String(value ?? "");
+  return /^\/(?![/\\])/.test(next) ? next : "/setup";
+}
+
+function escapeHtmlText(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function loginPage({ next = "/setup", username = "", error = "" } = {}) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Sign in - OpenClaw Setup</title>
+  <style>
+    body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; margin: 2rem auto; max-width: 400px; }
+    label { display:block; margin-top: 0.75rem; font-weight: 600; }
+    input { width: 100%; padding: 0.6rem; margin-top: 0.25rem; box-sizing: border-box; }
+    button { margin-top: 1rem; padding: 0.8rem 1.2rem; border-radius: 10px; border: 0; background: #111; color: #fff; font-weight: 700; cursor: pointer; }
+    .error { color: #b91c1c; }
+  </style>
+</head>
+<body>
+  <h1>OpenClaw Setup</h1>
+  ${error ? `<p class="error">${escapeHtmlText(error)}</p>` : ""}
+  <form method="post" action="/setup/login">
+    <input type="hidden" name="next" value="${escapeHtmlText(next)}" />
+    <label>Username</label>
+    <input name="username" autocomplete="username" value="${escapeHtmlText(username)}" autofocus />
+    <label>Password</label>
+    <input name="password" type="password" autocomplete="current-password" />
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+}
+
+app.get("/setup/login", (req, res) => {
+  res.type("html").send(loginPage({ next: safeNextPath(req.query.next) }));
+});
+
+// Form post (redirects) or JSON { username, password } (answers { ok, user }).
+app.post("/setup/login", express.urlencoded({ extended: false }), async (req, res) => {
+  await setupAccountsReady();
+  const json = Boolean(req.is("application/json"));
+  const username = String(req.body?.username ?? "").trim();
+  const next = safeNextPath(req.body?.next);
+  auditRequest(req, res, { user: username });
+  if (!sameOrigin(req)) return res.status(403).type("text/plain").send("Cross-site request refused");
+
+  const { user, locked, retryAfterMs } = await checkPassword(req, username, String(req.body?.password ?? ""));
+  if (!user) {
+    const [status, error] = locked ? [429, lockedOutMessage(retryAfterMs)] : [401, "Invalid username or password"];
+    if (locked) res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    return json
+      ? res.status(status).json({ ok: false, error })
+      : res.status(status).type("html").send(loginPage({ next, username, error }));
+  }
+
+  const session = sessions.create(user.username);
+  res.append(
+    "Set-Cookie",
+    serializeCookie(SESSION_COOKIE, session.cookie, { maxAgeMs: SESSION_TTL_HOURS * 60 * 60 * 1000, secure: isSecureRequest(req) })
+  );
+  console.log(`[auth] ${user.username} signed in`);
+  return json ? res.json({ ok: true, user }) : res.redirect(303, next);
+});
+
+app.post("/setup/logout", async (req, res) => {
+  const cookie = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = sessions.get(cookie);
+  auditRequest(req, res, { user: session?.username });
+  if (session && (!sameOrigin(req) || !sessions.checkCsrf(session, await csrfTokenOf(req, res)))) {
+    return res.status(403).type("text/plain").send("Missing or invalid CSRF token");
+  }
+  sessions.destroy(cookie);
+  res.append("Set-Cookie", serializeCookie(SESSION_COOKIE, "", { maxAgeMs: 0, secure: isSecureRequest(req) }));
+  if (session) console.log(`[auth] ${session.username} signed out`);
+  return req.is("application/json") ? res.json({ ok: true }) : res.redirect(303, "/setup/login");
+});
+
 async function probeGateway() {
   // Don't assume HTTP — the gateway primarily speaks WebSocket.
   // A simple TCP connect check is enough for "is it up".
@@ -397,6 +1241,9 @@ app.get("/healthz", async (_req, res) => {
     gateway: {
       target: GATEWAY_TARGET,
       reachable: gatewayReachable,
+      state: gatewaySupervisorState().state,
+      recentCrashes: recentGatewayCrashes(),
+      nextRestartAt: gatewayNextRestartAt,
       lastError: lastGatewayError,
       lastExit: lastGatewayExit,
       lastDoctorAt,
@@ -409,19 +1256,21 @@ app.get("/setup/app.js", requireSetupAuth, (_req, res) => {
   res.send(fs.readFileSync(path.join(process.cwd(), "src", "setup-app.js"), "utf8"));
 });
 
-app.get("/setup", requireSetupAuth, (_req, res) => {
+app.get("/setup", requireSetupAuth, (req, res) => {
   // No inline <script>: serve JS from /setup/app.js to avoid any encoding/template-literal issues.
+  // The CSRF token for this session rides along in a meta tag (empty for Basic-auth requests).
   res.type("html").send(`<!doctype html>
 <html>
 <head>
   <meta charset="utf-8" />
+  <meta name="csrf-token" content="${escapeHtmlText(req.setupSession?.csrfToken ?? "")}" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
   <title>OpenClaw Setup</title>
   <style>
     body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; margin: 2rem; max-width: 900px; }
     .card { border: 1px solid #ddd; border-radius: 12px; padding: 1.25rem; margin: 1rem 0; }
     label { display:block; margin-top: 0.75rem; font-weight: 600; }
-    input, select { width: 100%; padding: 0.6rem; margin-top: 0.25rem; }
+    input, select, textarea { width: 100%; padding: 0.6rem; margin-top: 0.25rem; }
     button { padding: 0.8rem 1.2rem; border-radius: 10px; border: 0; background: #111; color: #fff; font-weight: 700; cursor: pointer; }
     code { background: #f6f6f6; padding: 0.1rem 0.3rem; border-radius: 6px; }
     .muted { color: #555; }
@@ -434,11 +1283,22 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
   <div class="card">
     <h2>Status</h2>
     <div id="status">Loading...</div>
+    <div class="muted" style="margin-top: 0.25rem"><span id="whoami"></span> <button id="logout" style="padding:0.3rem 0.7rem; margin-left:0.5rem; background:#444">Sign out</button></div>
     <div style="margin-top: 0.75rem">
       <a href="/openclaw" target="_blank">Open Control UI</a>
       &nbsp;|&nbsp;
       <a href="/setup/export" target="_blank">Download backup (.tar.gz)</a>
     </div>
+    <form method="post" action="/setup/export" style="margin-top: 0.75rem">
+      <label>Backup contents</label>
+      <select name="scope">
+        ${Object.entries(EXPORT_SCOPES).map(([value, s]) => `<option value="${value}">${s.label}</option>`).join("")}
+      </select>
+      <label>Encryption passphrase (optional)</label>
+      <input name="passphrase" type="password" minlength="8" placeholder="At least 8 characters; needed again to import" />
+      <button type="submit" style="margin-top: 0.5rem">Download backup</button>
+    </form>
+    <p class="muted">The plain backup contains your gateway token and channel/API credentials. Prefer the encrypted download when storing it anywhere else.</p>
   </div>
 
   <div class="card">
@@ -465,41 +1325,218 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     <h2>2) Optional: Channels</h2>
     <p class="muted">You can also add channels later inside OpenClaw, but this helps you get messaging working immediately.</p>
 
-    <label>Telegram bot token (optional)</label>
-    <input id="telegramToken" type="password" placeholder="123456:ABC..." />
-    <div class="muted" style="margin-top: 0.25rem">
-      Get it from BotFather: open Telegram, message <code>@BotFather</code>, run <code>/newbot</code>, then copy the token.
-    </div>
-
-    <label>Discord bot token (optional)</label>
-    <input id="discordToken" type="password" placeholder="Bot token" />
-    <div class="muted" style="margin-top: 0.25rem">
-      Get it from the Discord Developer Portal: create an application, add a Bot, then copy the Bot Token.<br/>
-      <strong>Important:</strong> Enable <strong>MESSAGE CONTENT INTENT</strong> in Bot > Privileged Gateway Intents, or the bot will crash on startup.
-    </div>
-
-    <label>Slack bot token (optional)</label>
-    <input id="slackBotToken" type="password" placeholder="xoxb-..." />
-
-    <label>Slack app token (optional)</label>
-    <input id="slackAppToken" type="password" placeholder="xapp-..." />
+    <div id="channelForms">Loading channels...</div>
   </div>
 
   <div class="card">
     <h2>3) Run onboarding</h2>
     <button id="run">Run setup</button>
-    <button id="pairingApprove" style="background:#1f2937; margin-left:0.5rem">Approve pairing</button>
     <button id="reset" style="background:#444; margin-left:0.5rem">Reset setup</button>
+    <ul id="runSteps" style="list-style:none; padding-left:0; margin-top:1rem"></ul>
     <pre id="log" style="white-space:pre-wrap"></pre>
-    <p class="muted">Reset deletes the OpenClaw config file so you can rerun onboarding. Pairing approval lets you grant DM access when dmPolicy=pairing.</p>
+    <p class="muted">Reset deletes the OpenClaw config file so you can rerun onboarding. Pairing requests are handled in the Pairing card.</p>
   </div>
 
   <div class="card">
     <h2>4) Restore from backup</h2>
-    <p class="muted">Upload a previously exported .tar.gz backup to restore state, workspace, and config.</p>
-    <input type="file" id="importFile" accept=".tar.gz,.tgz" />
-    <button id="importBtn" style="margin-top: 0.5rem">Import backup</button>
+    <p class="muted">Upload a previously exported .tar.gz backup to restore state, workspace, and config. You'll see what it changes before anything is replaced.</p>
+    <input type="file" id="importFile" accept=".tar.gz,.tgz,.enc" />
+    <label>Passphrase (encrypted backups only)</label>
+    <input type="password" id="importPassphrase" placeholder="Leave empty for a plain .tar.gz" />
+    <button id="importBtn" style="margin-top: 0.5rem">Preview import</button>
     <div id="importStatus" style="margin-top: 0.5rem"></div>
+    <div id="importPreview" style="margin-top: 0.5rem"></div>
+  </div>
+
+  <div class="card">
+    <h2>Config editor</h2>
+    <p class="muted">Edit the OpenClaw config directly. Secrets stay masked; leave them empty to keep them. Changes are shown as a diff before they're written.</p>
+    <button id="configReload">Reload</button>
+    <div id="configTree" style="margin-top:0.75rem; font-size:14px"></div>
+    <div style="margin-top:0.75rem">
+      <button id="configReview">Review changes</button>
+      <button id="configApply" style="margin-left:0.5rem" disabled>Apply</button>
+      <label style="display:inline; font-weight:400; margin-left:0.75rem">
+        <input id="configRestart" type="checkbox" style="width:auto" checked /> Restart gateway after saving
+      </label>
+    </div>
+    <div id="configStatus" style="margin-top: 0.5rem"></div>
+    <div id="configDiff" style="margin-top: 0.5rem"></div>
+  </div>
+
+  <div class="card">
+    <h2>Config history</h2>
+    <p class="muted">Every version of the config file, whether the wrapper wrote it or it changed on disk. Diffs hide secrets. Reverting restarts the gateway.</p>
+    <button id="configHistoryRefresh">Refresh</button>
+    <table id="configHistory" style="width:100%; margin-top:0.75rem; border-collapse:collapse; font-size:14px"></table>
+    <div style="display:flex; gap:0.5rem; align-items:flex-end; margin-top:0.75rem">
+      <div style="flex:1">
+        <label>From</label>
+        <select id="configHistoryFrom"></select>
+      </div>
+      <div style="flex:1">
+        <label>To</label>
+        <select id="configHistoryTo"></select>
+      </div>
+      <button id="configHistoryDiffBtn">Show diff</button>
+    </div>
+    <div id="configHistoryStatus" style="margin-top: 0.5rem"></div>
+    <pre id="configHistoryDiff" style="white-space:pre-wrap; display:none"></pre>
+  </div>
+
+  <div class="card">
+    <h2>Config fixes</h2>
+    <p class="muted" id="configRulesInfo">Known config problems (usually left behind by an OpenClaw upgrade) and their fixes. Matching ones are selected.</p>
+    <button id="configRulesRefresh">Check again</button>
+    <table id="configRules" style="width:100%; margin-top:0.75rem; border-collapse:collapse; font-size:14px"></table>
+    <div style="margin-top:0.75rem">
+      <button id="configRulesPreview">Preview</button>
+      <button id="configRulesApply" style="margin-left:0.5rem" disabled>Apply</button>
+      <label style="display:inline; font-weight:400; margin-left:0.75rem">
+        <input id="configRulesRestart" type="checkbox" style="width:auto" checked /> Restart gateway after fixing
+      </label>
+    </div>
+    <div id="configRulesStatus" style="margin-top: 0.5rem"></div>
+    <div id="configRulesDiff" style="margin-top: 0.5rem"></div>
+  </div>
+
+  <div class="card">
+    <h2>Channels</h2>
+    <p class="muted" id="channelsInfo">Chat channels in the config (tokens masked). Changes run <code>openclaw doctor --fix</code> and restart the gateway.</p>
+    <table id="channels" style="width:100%; margin-top:0.75rem; border-collapse:collapse; font-size:14px"></table>
+    <div style="margin-top:0.75rem">
+      <label>Add or update a channel</label>
+      <select id="channelName"></select>
+      <div id="channelFields"></div>
+      <button id="channelSave" style="margin-top:0.5rem">Save channel</button>
+    </div>
+    <div id="channelsStatus" style="margin-top: 0.5rem"></div>
+    <pre id="channelsOut" style="white-space:pre-wrap; display:none"></pre>
+  </div>
+
+  <div class="card">
+    <h2>Pairing</h2>
+    <p class="muted">With <code>dmPolicy: "pairing"</code>, people who DM the bot get a code and wait here until you approve them. Pending requests expire after an hour.</p>
+    <button id="pairingRefresh">Refresh</button>
+    <div id="pairing" style="margin-top:0.75rem"></div>
+    <div id="pairingStatus" style="margin-top: 0.5rem"></div>
+  </div>
+
+  <div class="card">
+    <h2>Accounts</h2>
+    <p class="muted">Viewers see status and logs; operators can also restart, pair, back up and use the Control UI; admins can do everything, including reset, import, config edits and managing accounts.</p>
+    <label>Change your password</label>
+    <input id="myPasswordCurrent" type="password" placeholder="Current password" />
+    <input id="myPasswordNew" type="password" placeholder="New password (8+ characters)" />
+    <button id="myPasswordSave" style="margin-top:0.5rem">Change password</button>
+    <div id="usersAdmin" style="display:none; margin-top:1rem">
+      <table id="users" style="width:100%; border-collapse:collapse; font-size:14px"></table>
+      <label>Add an account</label>
+      <input id="userNewName" placeholder="Username" />
+      <input id="userNewPassword" type="password" placeholder="Password (8+ characters)" />
+      <select id="userNewRole"></select>
+      <button id="userAdd" style="margin-top:0.5rem">Add account</button>
+      <label>Failed sign-ins</label>
+      <table id="authLockouts" style="width:100%; border-collapse:collapse; font-size:14px"></table>
+      <button id="authLockoutsClear" style="margin-top:0.5rem">Clear all lockouts</button>
+    </div>
+    <div id="usersStatus" style="margin-top: 0.5rem"></div>
+  </div>
+
+  <div class="card">
+    <h2>Backups</h2>
+    <p class="muted" id="backupsInfo">Snapshots of state + workspace stored on the volume.</p>
+    <button id="backupCreate">Create backup now</button>
+    <table id="backups" style="width:100%; margin-top:0.75rem; border-collapse:collapse; font-size:14px"></table>
+    <div id="backupsStatus" style="margin-top: 0.5rem"></div>
+  </div>
+
+  <div class="card">
+    <h2>Incremental snapshots</h2>
+    <p class="muted" id="backupRepoInfo">Deduplicated snapshots: unchanged files are stored once across all snapshots. Set <code>OPENCLAW_BACKUP_MODE=incremental</code> to take scheduled backups this way.</p>
+    <button id="backupRepoCreate">Take snapshot now</button>
+    <button id="backupRepoGc" style="background:#444; margin-left:0.5rem">Collect garbage</button>
+    <table id="backupRepo" style="width:100%; margin-top:0.75rem; border-collapse:collapse; font-size:14px"></table>
+    <div id="backupRepoStatus" style="margin-top: 0.5rem"></div>
+  </div>
+
+  <div class="card">
+    <h2>Off-site backups</h2>
+    <p class="muted" id="offsiteInfo">Copies of stored backups in an S3-compatible bucket. Set <code>OPENCLAW_S3_BUCKET</code> (and endpoint/keys) to enable.</p>
+    <button id="offsiteRefresh">Refresh</button>
+    <table id="offsite" style="width:100%; margin-top:0.75rem; border-collapse:collapse; font-size:14px"></table>
+    <div id="offsiteStatus" style="margin-top: 0.5rem"></div>
+  </div>
+
+  <div class="card">
+    <h2>Pre-import snapshots</h2>
+    <p class="muted" id="importSnapshotsInfo">Every import keeps the state it replaced as a <code>.bak-*</code> snapshot. Roll back to undo an import.</p>
+    <button id="importSnapshotsPrune">Prune old snapshots</button>
+    <table id="importSnapshots" style="width:100%; margin-top:0.75rem; border-collapse:collapse; font-size:14px"></table>
+    <div id="importSnapshotsStatus" style="margin-top: 0.5rem"></div>
+  </div>
+
+  <div class="card">
+    <h2>Jobs</h2>
+    <p class="muted">Setup actions run one at a time. Running or queued jobs can be cancelled (their commands are killed).</p>
+    <button id="jobsRefresh">Refresh</button>
+    <button id="gatewayRestart" style="background:#1f2937; margin-left:0.5rem">Restart gateway</button>
+    <table id="jobs" style="width:100%; margin-top:0.75rem; border-collapse:collapse; font-size:14px"></table>
+  </div>
+
+  <div class="card" id="auditCard" style="display:none">
+    <h2>Audit log</h2>
+    <p class="muted">Every change made through /setup, plus token reveals, dashboard visits, exports, downloads and sign-ins: who, from where, what (secrets redacted) and how it went.</p>
+    <div style="display:flex; gap:0.5rem; align-items:flex-end">
+      <div style="flex:1">
+        <label>User</label>
+        <input id="auditUser" placeholder="any" />
+      </div>
+      <div style="flex:1">
+        <label>Outcome</label>
+        <select id="auditOutcome">
+          <option value="">any</option>
+          <option value="ok">ok</option>
+          <option value="failed">failed</option>
+          <option value="denied">denied</option>
+          <option value="aborted">aborted</option>
+        </select>
+      </div>
+      <div style="flex:2">
+        <label>Action</label>
+        <input id="auditRoute" placeholder="substring, e.g. reset" />
+      </div>
+    </div>
+    <button id="auditRefresh" style="margin-top:0.5rem">Search</button>
+    <table id="audit" style="width:100%; margin-top:0.75rem; border-collapse:collapse; font-size:14px"></table>
+  </div>
+
+  <div class="card">
+    <h2>Gateway logs</h2>
+    <p class="muted">Recent gateway output (secrets redacted). Follow streams new lines as they arrive.</p>
+    <div style="display:flex; gap:0.5rem; align-items:flex-end">
+      <div style="flex:1">
+        <label>Minimum level</label>
+        <select id="logLevel">
+          <option value="">all</option>
+          <option value="debug">debug</option>
+          <option value="info">info</option>
+          <option value="warn">warn</option>
+          <option value="error">error</option>
+        </select>
+      </div>
+      <div style="flex:2">
+        <label>Filter</label>
+        <input id="logFilter" placeholder="substring, e.g. telegram" />
+      </div>
+    </div>
+    <div style="margin-top: 0.5rem">
+      <button id="logRefresh">Refresh</button>
+      <label style="display:inline; font-weight:400; margin-left:0.75rem">
+        <input id="logFollow" type="checkbox" style="width:auto" /> Follow
+      </label>
+    </div>
+    <pre id="gatewayLogs" style="white-space:pre-wrap; max-height:400px; overflow:auto; background:#0b0b0b; color:#ddd; padding:0.75rem; border-radius:8px; font-size:12px"></pre>
   </div>
 
   <script src="/setup/app.js"></script>
@@ -507,118 +1544,56 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
 </html>`);
 });
 
+// Version and capability info from the installed CLI, shared by every route that needs it (see
+// cli-introspection.js). Filled at startup and on first use; POST /setup/api/introspection/refresh
+// reads it again.
+const cli = createCliIntrospection({
+  entry: OPENCLAW_ENTRY,
+  commands: {
+    version: ["--version"],
+    channelsAddHelp: ["channels", "add", "--help"],
+    onboardHelp: ["onboard", "--help"],
+  },
+  run: (args) => runCmd(OPENCLAW_NODE, openclawArgs(args), { timeoutMs: 30_000 }),
+});
+
+async function openclawVersion() {
+  const result = await cli.get("version");
+  return result.code === 0 ? parseOpenclawVersion(result.output) : null;
+}
+
 app.get("/setup/api/status", requireSetupAuth, async (_req, res) => {
-  const version = await runCmd(OPENCLAW_NODE, openclawArgs(["--version"]));
-  const channelsHelp = await runCmd(OPENCLAW_NODE, openclawArgs(["channels", "add", "--help"]));
-
-  // We reuse OpenClaw's own auth-choice grouping logic indirectly by hardcoding the same group defs.
-  // This is intentionally minimal; later we can parse the CLI help output to stay perfectly in sync.
-  const authGroups = [
-    {
-      value: "openai",
-      label: "OpenAI",
-      hint: "Codex OAuth + API key",
-      options: [
-        { value: "codex-cli", label: "OpenAI Codex OAuth (Codex CLI)" },
-        { value: "openai-codex", label: "OpenAI Codex (ChatGPT OAuth)" },
-        { value: "openai-api-key", label: "OpenAI API key" },
-      ],
-    },
-    {
-      value: "anthropic",
-      label: "Anthropic",
-      hint: "Claude Code CLI + API key",
-      options: [
-        { value: "claude-cli", label: "Anthropic token (Claude Code CLI)" },
-        { value: "token", label: "Anthropic token (paste setup-token)" },
-        { value: "apiKey", label: "Anthropic API key" },
-      ],
-    },
-    {
-      value: "google",
-      label: "Google",
-      hint: "Gemini API key + OAuth",
-      options: [
-        { value: "gemini-api-key", label: "Google Gemini API key" },
-        { value: "google-antigravity", label: "Google Antigravity OAuth" },
-        { value: "google-gemini-cli", label: "Google Gemini CLI OAuth" },
-      ],
-    },
-    {
-      value: "openrouter",
-      label: "OpenRouter",
-      hint: "API key",
-      options: [{ value: "openrouter-api-key", label: "OpenRouter API key" }],
-    },
-    {
-      value: "ai-gateway",
-      label: "Vercel AI Gateway",
-      hint: "API key",
-      options: [{ value: "ai-gateway-api-key", label: "Vercel AI Gateway API key" }],
-    },
-    {
-      value: "moonshot",
-      label: "Moonshot AI",
-      hint: "Kimi K2 + Kimi Code",
-      options: [
-        { value: "moonshot-api-key", label: "Moonshot AI API key" },
-        { value: "kimi-code-api-key", label: "Kimi Code API key" },
-      ],
-    },
-    {
-      value: "zai",
-      label: "Z.AI (GLM 4.7)",
-      hint: "API key",
-      options: [{ value: "zai-api-key", label: "Z.AI (GLM 4.7) API key" }],
-    },
-    {
-      value: "minimax",
-      label: "MiniMax",
-      hint: "M2.1 (recommended)",
-      options: [
-        { value: "minimax-api", label: "MiniMax M2.1" },
-        { value: "minimax-api-lightning", label: "MiniMax M2.1 Lightning" },
-      ],
-    },
-    {
-      value: "qwen",
-      label: "Qwen",
-      hint: "OAuth",
-      options: [{ value: "qwen-portal", label: "Qwen OAuth" }],
-    },
-    {
-      value: "copilot",
-      label: "Copilot",
-      hint: "GitHub + local proxy",
-      options: [
-        { value: "github-copilot", label: "GitHub Copilot (GitHub device login)" },
-        { value: "copilot-proxy", label: "Copilot Proxy (local)" },
-      ],
-    },
-    {
-      value: "synthetic",
-      label: "Synthetic",
-      hint: "Anthropic-compatible (multi-model)",
-      options: [{ value: "synthetic-api-key", label: "Synthetic API key" }],
-    },
-    {
-      value: "opencode-zen",
-      label: "OpenCode Zen",
-      hint: "API key",
-      options: [{ value: "opencode-zen", label: "OpenCode Zen (multi-model proxy)" }],
-    },
-  ];
+  const version = await cli.get("version");
+  const channelsHelp = await cli.get("channelsAddHelp");
+  const auth = await authProviders();
 
   res.json({
     configured: isConfigured(),
     gatewayTarget: GATEWAY_TARGET,
     openclawVersion: version.output.trim(),
     channelsAddHelp: channelsHelp.output,
-    authGroups,
+    channels: describeChannels(channelsHelp.output),
+    authGroups: auth.groups,
+    authSource: auth.source,
   });
 });
 
-function buildOnboardArgs(payload) {
+// Auth choices as the installed CLI describes them (see auth-providers.js), parsed again only
+// when the `onboard --help` output changes.
+let authProvidersMemo = { help: null, auth: null };
+
+async function authProviders() {
+  const result = await cli.get("onboardHelp");
+  const help = result.code === 0 ? result.output : "";
+  if (authProvidersMemo.help !== help || !authProvidersMemo.auth) {
+    const auth = discoverAuthProviders(help);
+    if (auth.source === "fallback") console.warn("[auth] couldn't read auth choices from onboard --help; using the built-in list");
+    authProvidersMemo = { help, auth };
+  }
+  return authProvidersMemo.auth;
+}
+
+function buildOnboardArgs(payload, auth) {
   const args = [
     "onboard",
     "--non-interactive",
@@ -644,30 +1619,11 @@ function buildOnboardArgs(payload) {
   if (payload.authChoice) {
     args.push("--auth-choice", payload.authChoice);
 
-    // Map secret to correct flag for common choices.
+    // Pass the secret with the flag(s) this CLI takes for the choice.
     const secret = (payload.authSecret || "").trim();
-    const map = {
-      "openai-api-key": "--openai-api-key",
-      apiKey: "--anthropic-api-key",
-      "openrouter-api-key": "--openrouter-api-key",
-      "ai-gateway-api-key": "--ai-gateway-api-key",
-      "moonshot-api-key": "--moonshot-api-key",
-      "kimi-code-api-key": "--kimi-code-api-key",
-      "gemini-api-key": "--gemini-api-key",
-      "zai-api-key": "--zai-api-key",
-      "minimax-api": "--minimax-api-key",
-      "minimax-api-lightning": "--minimax-api-key",
-      "synthetic-api-key": "--synthetic-api-key",
-      "opencode-zen": "--opencode-zen-api-key",
-    };
-    const flag = map[payload.authChoice];
-    if (flag && secret) {
-      args.push(flag, secret);
-    }
-
-    if (payload.authChoice === "token" && secret) {
-      // This is the Anthropics setup-token flow.
-      args.push("--token-provider", "anthropic", "--token", secret);
+    const secretArgs = auth.secretArgs[payload.authChoice];
+    if (secretArgs && secret) {
+      args.push(...secretArgs, secret);
     }
   }
 
@@ -676,10 +1632,17 @@ function buildOnboardArgs(payload) {
 
 function runCmd(cmd, args, opts = {}) {
   return new Promise((resolve) => {
+    const { onOutput, ...spawnOpts } = opts;
     const timeoutMs = Number.isFinite(opts.timeoutMs) ? opts.timeoutMs : 120_000;
 
+    // A cancelled job short-circuits the rest of its commands.
+    if (jobs.current()?.cancelRequested) {
+      resolve({ code: 130, output: "[cancelled] Job was cancelled; command not run.\n" });
+      return;
+    }
+
     const proc = childProcess.spawn(cmd, args, {
-      ...opts,
+      ...spawnOpts,
       env: {
         ...process.env,
         OPENCLAW_STATE_DIR: STATE_DIR,
@@ -690,10 +1653,16 @@ function runCmd(cmd, args, opts = {}) {
         CLAWDBOT_WORKSPACE_DIR: WORKSPACE_DIR,
       },
     });
+    jobs.track(proc);
 
     let out = "";
-    proc.stdout?.on("data", (d) => (out += d.toString("utf8")));
-    proc.stderr?.on("data", (d) => (out += d.toString("utf8")));
+    const onData = (d) => {
+      const chunk = d.toString("utf8");
+      out += chunk;
+      onOutput?.(chunk);
+    };
+    proc.stdout?.on("data", onData);
+    proc.stderr?.on("data", onData);
 
     let killTimer;
     const timer = setTimeout(() => {
@@ -712,39 +1681,176 @@ function runCmd(cmd, args, opts = {}) {
       resolve({ code: 127, output: out });
     });
 
-    proc.on("close", (code) => {
+    proc.on("close", (code, signal) => {
       clearTimeout(timer);
       if (killTimer) clearTimeout(killTimer);
+      // Killed by a signal (job cancel, OOM): report it as a failure, shell-style (128 + n).
+      if (code === null && signal) {
+        out += `\n[killed] ${signal}\n`;
+        resolve({ code: 128 + (os.constants.signals[signal] ?? 0), output: out });
+        return;
+      }
       resolve({ code: code ?? 0, output: out });
     });
   });
 }
 
-app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
+// Wraps a mutating /setup handler in a job: serialized behind the global lock, cancellable via
+// /setup/api/jobs/:id/cancel, and recorded in the job history. The handler writes its own response;
+// an HTTP status >= 400 (or res.locals.jobOk === false) marks the job failed.
+function jobRoute(kind, handler, opts = {}) {
+  return async (req, res) => {
+    const job = jobs.enqueue(
+      kind,
+      async (j) => {
+        // Anything the file watch hasn't seen yet predates this job; keep it apart from our changes.
+        recordConfigVersion({ action: "external-edit", source: "watch" });
+        try {
+          await handler(req, res);
+        } finally {
+          recordConfigVersion({ action: kind, author: req.user?.username ?? "setup", jobId: j.id });
+        }
+        return { ok: res.locals.jobOk ?? res.statusCode < 400, httpStatus: res.statusCode };
+      },
+      { params: opts.params ? opts.params(req) : null, user: req.user?.username ?? null }
+    );
+    res.set("x-job-id", job.id);
+    try {
+      await job.done;
+    } catch (err) {
+      if (!res.headersSent) {
+        const status = err.code === "ECANCELED" ? 409 : 500;
+        return res.status(status).json({ ok: false, jobId: job.id, error: String(err) });
+      }
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+// Reports /setup/api/run progress either as one JSON blob (legacy clients) or as NDJSON events:
+//   {type:"step", id, label, status:"running"|"ok"|"failed"|"skipped", code?, durationMs?}
+//   {type:"output", step, chunk}
+//   {type:"summary", ok, durationMs, steps}
+function createStepReporter(res, { stream }) {
+  const startedAt = Date.now();
+  const steps = [];
+  let output = "";
+
+  if (stream) {
+    res.writeHead(200, {
+      "content-type": "application/x-ndjson; charset=utf-8",
+      "cache-control": "no-cache",
+      // Flush each event through Railway's edge instead of buffering the whole response.
+      "x-accel-buffering": "no",
+    });
+  }
+
+  const emit = (event) => {
+    if (!stream || res.writableEnded) return;
+    try {
+      res.write(JSON.stringify(event) + "\n");
+    } catch {}
+  };
+
+  const log = (stepId, chunk) => {
+    output += chunk;
+    emit({ type: "output", step: stepId, chunk });
+  };
+
+  // fn receives an onOutput callback for runCmd and returns a result with a `code`.
+  async function step(id, label, fn) {
+    const rec = { id, label, status: "running", startedAt: Date.now() };
+    steps.push(rec);
+    emit({ type: "step", ...rec });
+    try {
+      const result = await fn((chunk) => log(id, chunk));
+      rec.code = result?.code ?? 0;
+      rec.status = rec.code === 0 ? "ok" : "failed";
+      return result;
+    } catch (err) {
+      rec.status = "failed";
+      rec.error = String(err);
+      log(id, `\n[${id}] error: ${String(err)}\n`);
+      return { code: 1, output: String(err) };
+    } finally {
+      rec.durationMs = Date.now() - rec.startedAt;
+      emit({ type: "step", ...rec });
+    }
+  }
+
+  function skip(id, label, reason) {
+    const rec = { id, label, status: "skipped", reason };
+    steps.push(rec);
+    log(id, `\n[${id}] skipped (${reason})\n`);
+    emit({ type: "step", ...rec });
+  }
+
+  function finish(ok, extraOutput = "") {
+    if (extraOutput) log("summary", extraOutput);
+    // Streamed responses are always HTTP 200; tell jobRoute the real outcome.
+    res.locals.jobOk = ok;
+    if (stream) {
+      emit({ type: "summary", ok, durationMs: Date.now() - startedAt, steps });
+      return res.end();
+    }
+    return res.status(ok ? 200 : 500).json({ ok, output, steps });
+  }
+
+  return { step, skip, log, finish };
+}
+
+// `openclaw config set` calls that pin the gateway to what the wrapper expects. Applied after
+// onboarding and after every restore (an imported config carries the old token/port).
+function wrapperGatewayConfigArgs() {
+  return [
+    ["config", "set", "gateway.auth.mode", "token"],
+    ["config", "set", "gateway.auth.token", GATEWAY_TOKEN],
+    ["config", "set", "gateway.bind", "loopback"],
+    ["config", "set", "gateway.port", String(INTERNAL_GATEWAY_PORT)],
+    // Set Control UI basePath to /openclaw (wrapper routes to this path)
+    ["config", "set", "gateway.controlUi.basePath", "/openclaw"],
+    // Set console logging level (configurable via OPENCLAW_CONSOLE_LEVEL, default: warn)
+    // This reduces Railway log verbosity while avoiding privacy leaks from verbose ws logs
+    ["config", "set", "logging.consoleLevel", CONSOLE_LEVEL],
+  ];
+}
+
+// Runs several `openclaw` commands as one step, stopping at the first failure.
+async function runCmdSequence(argLists, onOutput) {
+  let last = { code: 0, output: "" };
+  for (const args of argLists) {
+    onOutput(`$ openclaw ${args.join(" ")}\n`);
+    last = await runCmd(OPENCLAW_NODE, openclawArgs(args), { onOutput });
+    if (last.code !== 0) return last;
+  }
+  return last;
+}
+
+// POST /setup/api/run - onboarding. Send `Accept: application/x-ndjson` (or ?stream=1) to get
+// a live event stream instead of one response at the end; slow instances can take minutes.
+app.post("/setup/api/run", requireSetupAuth, jobRoute("run", async (req, res) => {
+  const stream =
+    req.query.stream === "1" || (req.get("accept") || "").includes("application/x-ndjson");
+  const report = createStepReporter(res, { stream });
+
   try {
-    const safeWrite = (msg) => {
-      try {
-        if (!res.writableEnded) res.write(String(msg) + "\n");
-      } catch {}
-    };
     if (isConfigured()) {
       await ensureGatewayRunning();
-      return res.json({
-        ok: true,
-        output: "Already configured.\nUse Reset setup if you want to rerun onboarding.\n",
-      });
+      return report.finish(
+        true,
+        "Already configured.\nUse Reset setup if you want to rerun onboarding.\n"
+      );
     }
 
     fs.mkdirSync(STATE_DIR, { recursive: true });
     fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
 
     const payload = req.body || {};
-    const onboardArgs = buildOnboardArgs(payload);
+    const onboardArgs = buildOnboardArgs(payload, await authProviders());
 
-    safeWrite("[setup] running openclaw onboard...");
-    const onboard = await runCmd(OPENCLAW_NODE, openclawArgs(onboardArgs));
-
-    let extra = "";
+    const onboard = await report.step("onboard", "Run openclaw onboard", (onOutput) =>
+      runCmd(OPENCLAW_NODE, openclawArgs(onboardArgs), { onOutput })
+    );
 
     const ok = onboard.code === 0 && isConfigured();
 
@@ -752,121 +1858,142 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
     if (ok) {
       // Ensure gateway token is written into config so the browser UI can authenticate reliably.
       // (We also enforce loopback bind since the wrapper proxies externally.)
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.auth.mode", "token"]));
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.auth.token", GATEWAY_TOKEN]));
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.bind", "loopback"]));
-      await runCmd(
-        OPENCLAW_NODE,
-        openclawArgs(["config", "set", "gateway.port", String(INTERNAL_GATEWAY_PORT)])
+      await report.step("gateway-config", "Apply wrapper gateway settings", (onOutput) =>
+        runCmdSequence(
+          wrapperGatewayConfigArgs(),
+          // Don't echo the gateway token into the browser log.
+          (chunk) => onOutput(chunk.replaceAll(GATEWAY_TOKEN, "[REDACTED]"))
+        )
       );
-      // Set Control UI basePath to /openclaw (wrapper routes to this path)
-      await runCmd(
-        OPENCLAW_NODE,
-        openclawArgs(["config", "set", "gateway.controlUi.basePath", "/openclaw"])
-      );
-
-      // Set console logging level (configurable via OPENCLAW_CONSOLE_LEVEL, default: warn)
-      // This reduces Railway log verbosity while avoiding privacy leaks from verbose ws logs
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "logging.consoleLevel", CONSOLE_LEVEL]));
 
-      const channelsHelp = await runCmd(OPENCLAW_NODE, openclawArgs(["channels", "add", "--help"]));
+      const channelsHelp = await cli.get("channelsAddHelp");
       const helpText = channelsHelp.output || "";
 
-      const supports = (name) => helpText.includes(name);
-
-      if (payload.telegramToken?.trim()) {
-        if (!supports("telegram")) {
-          extra +=
-            "\n[telegram] skipped (this openclaw build does not list telegram in `channels add --help`)\n";
-        } else {
-          // Avoid `channels add` here (it has proven flaky across builds); write config directly.
-          const token = payload.telegramToken.trim();
-          const cfgObj = {
-            enabled: true,
-            dmPolicy: "pairing",
-            botToken: token,
-            groupPolicy: "allowlist",
-            streamMode: "partial",
-          };
-          const set = await runCmd(
-            OPENCLAW_NODE,
-            openclawArgs(["config", "set", "--json", "channels.telegram", JSON.stringify(cfgObj)])
-          );
-          const get = await runCmd(OPENCLAW_NODE, openclawArgs(["config", "get", "channels.telegram"]));
-          extra += `\n[telegram config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
-          extra += `\n[telegram verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`;
-        }
-      }
+      const supports = (name) => channelSupported(getChannelDefinition(name), helpText);
 
-      if (payload.discordToken?.trim()) {
-        if (!supports("discord")) {
-          extra +=
-            "\n[discord] skipped (this openclaw build does not list discord in `channels add --help`)\n";
-        } else {
-          const token = payload.discordToken.trim();
-          const cfgObj = {
-            enabled: true,
-            token,
-            groupPolicy: "allowlist",
-            dm: {
-              policy: "pairing",
-            },
-          };
-          const set = await runCmd(
-            OPENCLAW_NODE,
-            openclawArgs(["config", "set", "--json", "channels.discord", JSON.stringify(cfgObj)])
+      // Avoid `channels add` here (it has proven flaky across builds); write config directly.
+      const channelSteps = channelConfigsFromRunPayload(payload);
+
+      for (const { name, cfgObj } of channelSteps) {
+        if (!supports(name)) {
+          report.skip(
+            `channel-${name}`,
+            `Configure ${name}`,
+            `this openclaw build does not list ${name} in \`channels add --help\``
           );
-          const get = await runCmd(OPENCLAW_NODE, openclawArgs(["config", "get", "channels.discord"]));
-          extra += `\n[discord config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
-          extra += `\n[discord verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`;
+          continue;
         }
-      }
-
-      if (payload.slackBotToken?.trim() || payload.slackAppToken?.trim()) {
-        if (!supports("slack")) {
-          extra +=
-            "\n[slack] skipped (this openclaw build does not list slack in `channels add --help`)\n";
-        } else {
-          const cfgObj = {
-            enabled: true,
-            botToken: payload.slackBotToken?.trim() || undefined,
-            appToken: payload.slackAppToken?.trim() || undefined,
-          };
+        await report.step(`channel-${name}`, `Configure ${name}`, async (onOutput) => {
           const set = await runCmd(
             OPENCLAW_NODE,
-            openclawArgs(["config", "set", "--json", "channels.slack", JSON.stringify(cfgObj)])
+            openclawArgs(["config", "set", "--json", `channels.${name}`, JSON.stringify(cfgObj)])
           );
-          const get = await runCmd(OPENCLAW_NODE, openclawArgs(["config", "get", "channels.slack"]));
-          extra += `\n[slack config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
-          extra += `\n[slack verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`;
-        }
+          const get = await runCmd(OPENCLAW_NODE, openclawArgs(["config", "get", `channels.${name}`]));
+          onOutput(`\n[${name} config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`);
+          onOutput(`\n[${name} verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`);
+          return set;
+        });
       }
 
       // Apply changes immediately.
-      await restartGateway();
+      await report.step("gateway-restart", "Restart gateway", () => restartGateway().then(() => ({ code: 0 })));
 
       // Ensure OpenClaw applies any "configured but not enabled" channel/plugin changes.
       // This makes Telegram/Discord pairing issues much less "silent".
-      const fix = await runCmd(OPENCLAW_NODE, openclawArgs(["doctor", "--fix"]));
-      extra += `\n[doctor --fix] exit=${fix.code} (output ${fix.output.length} chars)\n${fix.output || "(no output)"}`;
+      await report.step("doctor-fix", "Run openclaw doctor --fix", (onOutput) =>
+        runCmd(OPENCLAW_NODE, openclawArgs(["doctor", "--fix"]), { onOutput })
+      );
 
       // Doctor may require a restart depending on changes.
-      await restartGateway();
+      await report.step("gateway-restart-final", "Restart gateway after doctor", () =>
+        restartGateway().then(() => ({ code: 0 }))
+      );
     }
 
-    return res.status(ok ? 200 : 500).json({
-      ok,
-      output: `${onboard.output}${extra}`,
-    });
+    return report.finish(ok);
   } catch (err) {
     console.error("[/setup/api/run] error:", err);
-    return res.status(500).json({ ok: false, output: `Internal error: ${String(err)}` });
+    return report.finish(false, `Internal error: ${String(err)}`);
+  }
+}, {
+  params: (req) => ({
+    flow: req.body?.flow || "quickstart",
+    authChoice: req.body?.authChoice || null,
+    // Which channels were requested, never the tokens themselves.
+    channels: channelConfigsFromRunPayload(req.body).map((c) => c.name),
+  }),
+}));
+
+// Channels after onboarding. Adding, updating, disabling and removing a channel edits
+// channels.<name> in the config (with the objects onboarding writes, see channels.js), then runs
+// `doctor --fix` and restarts the gateway, as onboarding does.
+async function channelsSupportedByCli() {
+  const help = await cli.get("channelsAddHelp");
+  return CHANNEL_DEFINITIONS.filter((def) => channelSupported(def, help.output)).map((def) => def.name);
+}
+
+async function changeChannel(req, res, name, change) {
+  try {
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) throw configEditError(400, "Invalid channel name");
+    const current = readConfigForEdit();
+    const ops = change(current.config?.channels?.[name]);
+    const next = applyConfigPatch(current.config, ops, { locked: LOCKED_CONFIG_POINTERS });
+    writeFileAtomic(current.file, JSON.stringify(next, null, 2));
+    console.log(`[channels] ${req.method} ${name}`);
+
+    const doctor = await runCmd(OPENCLAW_NODE, openclawArgs(["doctor", "--fix"]), { timeoutMs: 60_000 });
+    const result = {
+      ok: true,
+      channels: listChannels(readConfigForEdit().config),
+      doctor: { code: doctor.code, output: redactSecrets(doctor.output) },
+    };
+    await restartForConfigChange(res, result);
+    return res.json(result);
+  } catch (err) {
+    return sendConfigEditError(res, err);
+  }
+}
+
+app.get("/setup/api/channels", requireSetupAuth, async (_req, res) => {
+  try {
+    const { config } = readConfigForEdit();
+    const help = await cli.get("channelsAddHelp");
+    res.json({ ok: true, channels: listChannels(config), definitions: describeChannels(help.output) });
+  } catch (err) {
+    sendConfigEditError(res, err);
   }
 });
 
+// Body: the channel's field values by config key (see CHANNEL_DEFINITIONS), e.g. { botToken }.
+app.put("/setup/api/channels/:name", requireSetupAuth, jobRoute("channel-set", async (req, res) => {
+  const name = req.params.name;
+  if (!(await channelsSupportedByCli()).includes(name)) {
+    return sendConfigEditError(res, configEditError(400, `This openclaw build does not list ${name} in \`channels add --help\`.`));
+  }
+  return changeChannel(req, res, name, (existing) => [
+    { op: "set", path: `/channels/${name}`, value: upsertChannelConfig(name, existing, req.body) },
+  ]);
+}, { params: (req) => ({ channel: req.params.name, credentials: Object.keys(req.body ?? {}) }) }));
+
+app.post("/setup/api/channels/:name/disable", requireSetupAuth, jobRoute("channel-disable", async (req, res) => {
+  const name = req.params.name;
+  return changeChannel(req, res, name, (existing) => {
+    if (!existing) throw configEditError(404, `Channel ${name} is not configured`);
+    return [{ op: "set", path: `/channels/${name}/enabled`, value: false }];
+  });
+}, { params: (req) => ({ channel: req.params.name }) }));
+
+app.delete("/setup/api/channels/:name", requireSetupAuth, jobRoute("channel-remove", async (req, res) => {
+  const name = req.params.name;
+  return changeChannel(req, res, name, (existing) => {
+    if (!existing) throw configEditError(404, `Channel ${name} is not configured`);
+    return [{ op: "remove", path: `/channels/${name}` }];
+  });
+}, { params: (req) => ({ channel: req.params.name }) }));
+
 app.get("/setup/api/debug", requireSetupAuth, async (_req, res) => {
-  const v = await runCmd(OPENCLAW_NODE, openclawArgs(["--version"]));
-  const help = await runCmd(OPENCLAW_NODE, openclawArgs(["channels", "add", "--help"]));
+  const v = await cli.get("version");
+  const help = await cli.get("channelsAddHelp");
   res.json({
     wrapper: {
       node: process.version,
@@ -882,8 +2009,11 @@ app.get("/setup/api/debug", requireSetupAuth, async (_req, res) => {
       gatewayTokenPersisted: fs.existsSync(path.join(STATE_DIR, "gateway.token")),
       lastGatewayError,
       lastGatewayExit,
+      gatewaySupervisor: gatewaySupervisorState(),
+      gatewayRestartHistory,
       lastDoctorAt,
       lastDoctorOutput,
+      authLockouts: authThrottle.state(),
       railwayCommit: process.env.RAILWAY_GIT_COMMIT_SHA || null,
     },
     openclaw: {
@@ -891,35 +2021,144 @@ app.get("/setup/api/debug", requireSetupAuth, async (_req, res) => {
       node: OPENCLAW_NODE,
       version: v.output.trim(),
       channelsAddHelpIncludesTelegram: help.output.includes("telegram"),
+      introspection: cli.describe(),
     },
   });
 });
 
+// Forget what the CLI said about itself and ask again (e.g. after swapping OPENCLAW_ENTRY's build
+// without changing its mtime).
+app.post("/setup/api/introspection/refresh", requireSetupAuth, async (_req, res) => {
+  const introspection = await cli.refresh();
+  const version = await cli.get("version");
+  res.json({ ok: version.code === 0, openclawVersion: version.output.trim(), introspection });
+});
+
+// GET /setup/api/logs - gateway output from the ring buffer.
+// ?tail=N&level=warn&q=substring; ?follow=1 switches to Server-Sent Events.
+app.get("/setup/api/logs", requireSetupAuth, (req, res) => {
+  const tail = Number.parseInt(String(req.query.tail ?? "200"), 10);
+  const filter = {
+    level: LOG_LEVELS.includes(String(req.query.level)) ? String(req.query.level) : undefined,
+    q: req.query.q ? String(req.query.q) : undefined,
+  };
+
+  if (req.query.follow !== "1" && req.query.follow !== "true") {
+    return res.json({ ok: true, lines: gatewayLogs.query({ ...filter, tail }), stats: gatewayLogs.stats() });
+  }
+
+  res.writeHead(200, {
+    "content-type": "text/event-stream",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+    // Railway's edge buffers responses unless told otherwise.
+    "x-accel-buffering": "no",
+  });
+
+  const send = (entry) => res.write(`id: ${entry.seq}\ndata: ${JSON.stringify(entry)}\n\n`);
+
+  // EventSource reconnects with Last-Event-ID; resume instead of replaying the tail.
+  const lastId = Number.parseInt(String(req.get("last-event-id") ?? ""), 10);
+  const backlog = Number.isFinite(lastId)
+    ? gatewayLogs.query({ ...filter, since: lastId })
+    : gatewayLogs.query({ ...filter, tail });
+  for (const entry of backlog) send(entry);
+
+  const unsubscribe = gatewayLogs.subscribe((entry) => {
+    if (matchesLogQuery(entry, filter)) send(entry);
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15_000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// DM pairing (dmPolicy "pairing"): pending requests and approved senders for every channel that
+// is configured or has pairing state. Approval goes through the CLI; deny/revoke edit the store.
+const pairingStore = createPairingStore({ dir: path.join(STATE_DIR, "credentials") });
+
+function sendPairingError(res, err) {
+  if (!err.status) console.error("[pairing]", err);
+  res.status(err.status ?? 500).json({ ok: false, error: err.status ? err.message : `Pairing failed: ${String(err)}` });
+}
+
+app.get("/setup/api/pairing", requireSetupAuth, (_req, res) => {
+  try {
+    let configured = {};
+    try {
+      configured = readConfigForEdit().config?.channels ?? {};
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+    const names = [...new Set([...Object.keys(configured), ...pairingStore.channels()])].filter(isPairingChannel).sort();
+    const channels = names.map((name) => {
+      const cfg = configured[name];
+      return {
+        name,
+        configured: Boolean(cfg),
+        enabled: Boolean(cfg) && cfg.enabled !== false,
+        dmPolicy: cfg?.dmPolicy ?? cfg?.dm?.policy ?? null,
+        pending: pairingStore.pending(name),
+        approved: pairingStore.approved(name),
+        // Senders allowed in the config itself; change those in the config editor.
+        configAllowFrom: [cfg?.allowFrom, cfg?.dm?.allowFrom].flatMap((v) => (Array.isArray(v) ? v.map(String) : [])),
+      };
+    });
+    res.json({ ok: true, channels });
+  } catch (err) {
+    sendPairingError(res, err);
+  }
+});
+
 app.post("/setup/api/pairing/approve", requireSetupAuth, async (req, res) => {
   const { channel, code } = req.body || {};
   if (!channel || !code) {
     return res.status(400).json({ ok: false, error: "Missing channel or code" });
   }
-  const r = await runCmd(OPENCLAW_NODE, openclawArgs(["pairing", "approve", String(channel), String(code)]));
+  if (!isPairingChannel(String(channel))) return res.status(400).json({ ok: false, error: "Invalid channel" });
+  const r = await runCmd(OPENCLAW_NODE, openclawArgs(["pairing", "approve", String(channel), String(code).trim()]));
   return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: r.output });
 });
 
-app.post("/setup/api/reset", requireSetupAuth, async (_req, res) => {
+app.post("/setup/api/pairing/deny", requireSetupAuth, (req, res) => {
+  const { channel, code } = req.body || {};
+  if (!channel || !code) {
+    return res.status(400).json({ ok: false, error: "Missing channel or code" });
+  }
+  try {
+    const request = pairingStore.deny(String(channel), code);
+    console.log(`[pairing] denied ${channel} request ${request.code}`);
+    res.json({ ok: true });
+  } catch (err) {
+    sendPairingError(res, err);
+  }
+});
+
+app.post("/setup/api/pairing/revoke", requireSetupAuth, (req, res) => {
+  const { channel, id } = req.body || {};
+  if (!channel || !id) {
+    return res.status(400).json({ ok: false, error: "Missing channel or id" });
+  }
+  try {
+    pairingStore.revoke(String(channel), id);
+    console.log(`[pairing] revoked ${channel} sender ${id}`);
+    res.json({ ok: true });
+  } catch (err) {
+    sendPairingError(res, err);
+  }
+});
+
+app.post("/setup/api/reset", requireSetupAuth, jobRoute("reset", async (_req, res) => {
   // Reset: stop gateway (frees memory) + delete config file(s) so /setup can rerun.
   // Keep credentials/sessions/workspace by default.
   try {
     // Stop gateway to avoid running gateway + onboard concurrently on small Railway instances.
-    try {
-      if (gatewayProc) {
-        try { gatewayProc.kill("SIGTERM"); } catch {}
-        await sleep(750);
-        gatewayProc = null;
-      }
-    } catch {
-      // ignore
-    }
+    // A gateway that won't stop fails the reset before anything is deleted.
+    await stopGateway();
 
-    const candidates = typeof resolveConfigCandidates === "function" ? resolveConfigCandidates() : [configPath()];
+    const candidates = resolveConfigCandidates();
     for (const p of candidates) {
       try { fs.rmSync(p, { force: true }); } catch {}
     }
@@ -928,10 +2167,11 @@ app.post("/setup/api/reset", requireSetupAuth, async (_req, res) => {
   } catch (err) {
     res.status(500).type("text/plain").send(String(err));
   }
-});
+}));
 
-app.post("/setup/api/fix-config", requireSetupAuth, async (_req, res) => {
-  // Manually fix known config issues that doctor can't handle
+app.post("/setup/api/fix-config", requireSetupAuth, jobRoute("fix-config", async (_req, res) => {
+  // Manually fix known config issues that doctor can't handle: every matching config rule
+  // (see /setup/api/config/rules for choosing which).
   try {
     const configFile = configPath();
     if (!fs.existsSync(configFile)) {
@@ -939,55 +2179,301 @@ app.post("/setup/api/fix-config", requireSetupAuth, async (_req, res) => {
     }
 
     const config = JSON.parse(fs.readFileSync(configFile, "utf8"));
-    let changes = [];
-
-    // Remove invalid tts config
-    if (config.messages?.tts) {
-      delete config.messages.tts;
-      changes.push("Removed messages.tts (invalid provider)");
-    }
-
-    // Remove trustedProxies if present
-    if (config.gateway?.trustedProxies) {
-      delete config.gateway.trustedProxies;
-      changes.push("Removed gateway.trustedProxies");
-    }
-
-    if (changes.length === 0) {
+    const { config: fixed, applied } = applyConfigRules(config, { version: await openclawVersion() });
+    if (applied.length === 0) {
       return res.type("text/plain").send("No fixes needed - config looks clean");
     }
 
-    fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
-    res.type("text/plain").send("Config fixed:\n- " + changes.join("\n- "));
+    writeFileAtomic(configFile, JSON.stringify(fixed, null, 2));
+    res.type("text/plain").send("Config fixed:\n- " + applied.map((r) => r.description).join("\n- "));
   } catch (err) {
     res.status(500).type("text/plain").send("Fix failed: " + String(err));
   }
+}));
+
+// Config editor. GET returns the config with secrets masked and a version (hash of the file);
+// PATCH takes { ops, baseVersion?, dryRun?, restart? } (see config-edit.js). A dry run returns
+// the diff without writing; a stale baseVersion is refused so edits can't clobber each other.
+// The keys the wrapper sets itself (see wrapperGatewayConfigArgs) are read-only here.
+const LOCKED_CONFIG_POINTERS = [
+  "/gateway/auth/mode",
+  "/gateway/auth/token",
+  "/gateway/bind",
+  "/gateway/port",
+  "/gateway/controlUi/basePath",
+];
+
+function configEditError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function readConfigForEdit() {
+  const file = configPath();
+  if (!fs.existsSync(file)) throw configEditError(404, "Config file not found. Run setup first.");
+  const text = fs.readFileSync(file, "utf8");
+  try {
+    return { file, text, config: JSON.parse(text), version: configVersion(text) };
+  } catch (err) {
+    throw configEditError(409, `Config file is not valid JSON (${err.message}). Run doctor or fix it by hand first.`);
+  }
+}
+
+function planConfigEdit(body) {
+  const current = readConfigForEdit();
+  if (body?.baseVersion && body.baseVersion !== current.version) {
+    throw configEditError(409, "The config changed since it was loaded. Reload it and try again.");
+  }
+  const next = applyConfigPatch(current.config, body?.ops, { locked: LOCKED_CONFIG_POINTERS });
+  const diff = diffConfig(current.config, next);
+  const changed = diff.added.length + diff.removed.length + diff.changed.length > 0;
+  return { current, next, diff, changed };
+}
+
+function sendConfigEditError(res, err) {
+  if (!err.status) console.error("[config]", err);
+  res.status(err.status ?? 500).json({ ok: false, error: err.status ? err.message : `Config update failed: ${String(err)}` });
+}
+
+// The config is written either way; a failed restart is reported alongside the change.
+async function restartForConfigChange(res, result) {
+  try {
+    await restartGateway();
+    result.gateway = gatewaySupervisorState();
+  } catch (err) {
+    res.locals.jobOk = false;
+    result.restartError = String(err);
+  }
+}
+
+app.get("/setup/api/config", requireSetupAuth, (_req, res) => {
+  try {
+    const { file, config, version } = readConfigForEdit();
+    res.json({ ok: true, path: file, version, config: redactConfig(config), locked: LOCKED_CONFIG_POINTERS });
+  } catch (err) {
+    sendConfigEditError(res, err);
+  }
 });
 
-app.post("/setup/api/doctor", requireSetupAuth, async (_req, res) => {
-  // Run openclaw doctor --fix to clean up invalid config keys
+const applyConfigEdit = jobRoute("config-edit", async (req, res) => {
   try {
-    const result = childProcess.spawnSync("openclaw", ["doctor", "--fix"], {
-      encoding: "utf8",
-      timeout: 30000,
-      env: {
-        ...process.env,
-        HOME: "/root",
-        MOLTBOT_STATE_DIR: STATE_DIR,
-        CLAWDBOT_STATE_DIR: STATE_DIR,
-        MOLTBOT_GATEWAY_TOKEN: GATEWAY_TOKEN,
-        CLAWDBOT_GATEWAY_TOKEN: GATEWAY_TOKEN,
-      },
+    const { current, next, diff, changed } = planConfigEdit(req.body);
+    if (!changed) return res.json({ ok: true, changed: false, version: current.version, diff });
+
+    const text = JSON.stringify(next, null, 2);
+    writeFileAtomic(current.file, text);
+    console.log(`[config] updated ${current.file} (${req.body.ops.length} op(s))`);
+
+    const result = { ok: true, changed: true, version: configVersion(text), diff, config: redactConfig(next) };
+    if (req.body?.restart) await restartForConfigChange(res, result);
+    return res.json(result);
+  } catch (err) {
+    return sendConfigEditError(res, err);
+  }
+}, {
+  params: (req) => ({
+    ops: Array.isArray(req.body?.ops) ? req.body.ops.map((o) => `${o?.op} ${o?.path}`) : null,
+    restart: Boolean(req.body?.restart),
+  }),
+});
+
+app.patch("/setup/api/config", requireSetupAuth, (req, res, next) => {
+  if (!req.body?.dryRun) return applyConfigEdit(req, res, next);
+  try {
+    const { current, diff, changed } = planConfigEdit(req.body);
+    return res.json({ ok: true, dryRun: true, changed, version: current.version, diff });
+  } catch (err) {
+    return sendConfigEditError(res, err);
+  }
+});
+
+// Config history: every version of the config file the wrapper has seen (see recordConfigVersion).
+// Diffs are between redacted copies, so they never show a secret; `changes` still lists which
+// secret paths differ. "current" stands for the file on disk.
+function readConfigHistoryVersion(value) {
+  if (value === "current") {
+    const file = configPath();
+    return { label: "current", text: fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null };
+  }
+  const version = parseConfigVersion(value);
+  const found = configHistory.read(version);
+  if (!found) throw configEditError(404, `No config version ${version}`);
+  return { label: `version ${version} (${found.meta.createdAt}, ${found.meta.action})`, text: found.text, meta: found.meta };
+}
+
+app.get("/setup/api/config/versions", requireSetupAuth, (_req, res) => {
+  let current = null;
+  try {
+    current = configVersion(fs.readFileSync(configPath(), "utf8"));
+  } catch {}
+  res.json({ ok: true, current, keep: CONFIG_HISTORY_KEEP, versions: configHistory.list() });
+});
+
+app.get("/setup/api/config/versions/diff", requireSetupAuth, (req, res) => {
+  try {
+    const from = readConfigHistoryVersion(String(req.query.from ?? ""));
+    const to = readConfigHistoryVersion(String(req.query.to ?? "current"));
+    const { diff, changes } = configVersionDiff(from.text, to.text, { fromLabel: from.label, toLabel: to.label });
+    res.json({ ok: true, from: from.meta ?? null, to: to.meta ?? null, diff, changes });
+  } catch (err) {
+    sendConfigEditError(res, err);
+  }
+});
+
+// Revert writes the old version back (the wrapper-managed keys keep their current values, so a
+// revert can't bring back an old gateway token) and restarts the gateway on it.
+app.post("/setup/api/config/versions/:version/revert", requireSetupAuth, jobRoute("config-revert", async (req, res) => {
+  try {
+    const version = parseConfigVersion(req.params.version);
+    const found = configHistory.read(version);
+    if (!found) throw configEditError(404, `No config version ${version}`);
+    if (found.text === null) {
+      throw configEditError(400, `Version ${version} is the config being deleted; use Reset setup for that.`);
+    }
+    const target = parseConfigOrNull(found.text);
+    if (!target) throw configEditError(409, `Version ${version} is not valid JSON and can't be restored.`);
+
+    const file = configPath();
+    const current = fs.existsSync(file) ? parseConfigOrNull(fs.readFileSync(file, "utf8")) : null;
+    const keepOps = [];
+    for (const pointer of LOCKED_CONFIG_POINTERS) {
+      const tokens = parsePointer(pointer);
+      const now = getAtPointer(current, tokens);
+      if (JSON.stringify(now) === JSON.stringify(getAtPointer(target, tokens))) continue;
+      keepOps.push(now === undefined ? { op: "remove", path: pointer } : { op: "set", path: pointer, value: now });
+    }
+    const text = keepOps.length ? JSON.stringify(applyConfigPatch(target, keepOps), null, 2) : found.text;
+    writeFileAtomic(file, text);
+    console.log(`[config] reverted ${file} to version ${version}`);
+
+    const recorded = recordConfigVersion({
+      action: "config-revert",
+      author: req.user?.username ?? "setup",
+      jobId: jobs.current()?.id ?? null,
+      note: `reverted to version ${version}`,
     });
-    const output = (result.stdout || "") + (result.stderr || "");
-    if (result.status === 0) {
-      res.type("text/plain").send("Doctor completed successfully:\n" + output);
+    const result = { ok: true, revertedTo: version, version: recorded ?? configHistory.latest() };
+    await restartForConfigChange(res, result);
+    return res.json(result);
+  } catch (err) {
+    return sendConfigEditError(res, err);
+  }
+}, { params: (req) => ({ version: req.params.version }) }));
+
+// Config fix rules (see config-rules.js). GET lists every rule and whether it matches the
+// config; POST { ids?, dryRun?, restart? } applies the selected ones (default: all matching),
+// previewed as a diff like the config editor.
+async function planConfigRules(body) {
+  const current = readConfigForEdit();
+  const version = await openclawVersion();
+  const { config: next, applied, skipped } = applyConfigRules(current.config, { ids: body?.ids ?? null, version });
+  return { current, next, applied, skipped, diff: diffConfig(current.config, next) };
+}
+
+// With OPENCLAW_CONFIG_RULES_ON_START, before every gateway start: an OpenClaw upgrade or an
+// imported backup shouldn't crash-loop the gateway on a key it no longer accepts.
+async function fixConfigBeforeStart() {
+  try {
+    const { current, next, applied } = await planConfigRules(null);
+    if (!applied.length) return;
+    writeFileAtomic(current.file, JSON.stringify(next, null, 2));
+    const ids = applied.map((r) => r.id).join(", ");
+    console.log(`[config] applied fix rules before gateway start: ${ids}`);
+    recordConfigVersion({ action: "config-rules", note: `before gateway start: ${ids}` });
+  } catch (err) {
+    console.warn(`[config] fix rules before gateway start failed: ${String(err)}`);
+  }
+}
+
+app.get("/setup/api/config/rules", requireSetupAuth, async (_req, res) => {
+  try {
+    const { config } = readConfigForEdit();
+    const version = await openclawVersion();
+    res.json({ ok: true, openclawVersion: version, onStart: CONFIG_RULES_ON_START, rules: checkConfigRules(config, { version }) });
+  } catch (err) {
+    sendConfigEditError(res, err);
+  }
+});
+
+const applyConfigRulesJob = jobRoute("config-rules", async (req, res) => {
+  try {
+    const { current, next, applied, skipped, diff } = await planConfigRules(req.body);
+    if (!applied.length) return res.json({ ok: true, changed: false, applied, skipped, diff });
+
+    writeFileAtomic(current.file, JSON.stringify(next, null, 2));
+    console.log(`[config] applied fix rules: ${applied.map((r) => r.id).join(", ")}`);
+    const result = { ok: true, changed: true, applied, skipped, diff };
+    if (req.body?.restart) await restartForConfigChange(res, result);
+    return res.json(result);
+  } catch (err) {
+    return sendConfigEditError(res, err);
+  }
+}, {
+  params: (req) => ({ ids: Array.isArray(req.body?.ids) ? req.body.ids : null, restart: Boolean(req.body?.restart) }),
+});
+
+app.post("/setup/api/config/rules/apply", requireSetupAuth, async (req, res, next) => {
+  if (!req.body?.dryRun) return applyConfigRulesJob(req, res, next);
+  try {
+    const { applied, skipped, diff } = await planConfigRules(req.body);
+    return res.json({ ok: true, dryRun: true, changed: applied.length > 0, applied, skipped, diff });
+  } catch (err) {
+    return sendConfigEditError(res, err);
+  }
+});
+
+app.post("/setup/api/doctor", requireSetupAuth, jobRoute("doctor", async (_req, res) => {
+  // Run openclaw doctor --fix to clean up invalid config keys.
+  // Goes through runCmd (not spawnSync) so it doesn't block the event loop and can be cancelled.
+  try {
+    const result = await runCmd(OPENCLAW_NODE, openclawArgs(["doctor", "--fix"]), { timeoutMs: 30_000 });
+    if (result.code === 0) {
+      res.type("text/plain").send("Doctor completed successfully:\n" + result.output);
     } else {
-      res.type("text/plain").send("Doctor exited with code " + result.status + ":\n" + output);
+      res.type("text/plain").send("Doctor exited with code " + result.code + ":\n" + result.output);
     }
   } catch (err) {
     res.status(500).type("text/plain").send("Doctor failed: " + String(err));
   }
+}));
+
+app.post("/setup/api/gateway/restart", requireSetupAuth, jobRoute("restart", async (_req, res) => {
+  try {
+    await restartGateway();
+    res.json({ ok: true, gateway: gatewaySupervisorState() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+}));
+
+// Job status + cancellation. Deliberately not jobs themselves: they must not wait for the lock.
+app.get("/setup/api/jobs", requireSetupAuth, (req, res) => {
+  const limit = Math.min(Number.parseInt(String(req.query.limit ?? "50"), 10) || 50, 200);
+  res.json({ ok: true, active: jobs.active(), history: jobs.history(limit) });
+});
+
+// GET /setup/api/audit - who did what, newest first.
+// ?user=&ip=&outcome=ok|failed|denied|aborted&route=substring&q=substring&since=&until=&limit=N
+app.get("/setup/api/audit", requireSetupAuth, (req, res) => {
+  try {
+    res.json({ ok: true, ...auditLog.query(req.query), file: auditLog.file });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: `Can't read the audit log: ${String(err)}` });
+  }
+});
+
+app.get("/setup/api/jobs/:id", requireSetupAuth, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  return res.json({ ok: true, job });
+});
+
+app.post("/setup/api/jobs/:id/cancel", requireSetupAuth, (req, res) => {
+  const job = jobs.cancel(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "No queued or running job with that id" });
+  console.log(`[jobs] cancel requested for ${job.kind} ${job.id}`);
+  return res.json({ ok: true, job: jobs.get(job.id) });
 });
 
 app.post("/setup/api/fix-permissions", requireSetupAuth, async (_req, res) => {
@@ -1017,84 +2503,213 @@ app.get("/setup/dashboard", requireSetupAuth, (req, res) => {
   res.redirect(dashboardUrl);
 });
 
-app.get("/setup/export", requireSetupAuth, async (_req, res) => {
-  fs.mkdirSync(STATE_DIR, { recursive: true });
-  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
-
-  res.setHeader("content-type", "application/gzip");
-  res.setHeader(
-    "content-disposition",
-    `attachment; filename="openclaw-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz"`
-  );
+// Accounts. Everyone can see who they are and change their own password; the rest is admin-only
+// (see ROUTE_ROLES).
+function sendUserError(res, err) {
+  if (!err.status) console.error("[auth]", err);
+  res.status(err.status ?? 500).json({ ok: false, error: err.status ? err.message : `User update failed: ${String(err)}` });
+}
 
-  // Prefer exporting from a common /data root so archives are easy to inspect and restore.
-  // This preserves dotfiles like /data/.openclaw/openclaw.json (or legacy .clawdbot).
-  const stateAbs = path.resolve(STATE_DIR);
-  const workspaceAbs = path.resolve(WORKSPACE_DIR);
-
-  const dataRoot = "/data";
-  const underData = (p) => p === dataRoot || p.startsWith(dataRoot + path.sep);
-
-  let cwd = "/";
-  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
-
-  if (underData(stateAbs) && underData(workspaceAbs)) {
-    cwd = dataRoot;
-    // We export relative to /data so the archive contains: .clawdbot/... and workspace/...
-    paths = [
-      path.relative(dataRoot, stateAbs) || ".",
-      path.relative(dataRoot, workspaceAbs) || ".",
-    ];
-  }
-
-  const stream = tar.c(
-    {
-      gzip: true,
-      portable: true,
-      noMtime: true,
-      cwd,
-      onwarn: () => {},
-    },
-    paths
-  );
+app.get("/setup/api/me", requireSetupAuth, (req, res) => {
+  res.json({ ok: true, user: req.user, roles: ROLES });
+});
 
-  stream.on("error", (err) => {
-    console.error("[export]", err);
-    if (!res.headersSent) res.status(500);
-    res.end(String(err));
-  });
+app.post("/setup/api/me/password", requireSetupAuth, async (req, res) => {
+  const { currentPassword, password } = req.body || {};
+  try {
+    const check = await checkPassword(req, req.user.username, String(currentPassword ?? ""));
+    if (check.locked) return res.status(429).json({ ok: false, error: lockedOutMessage(check.retryAfterMs) });
+    if (!check.user) return res.status(403).json({ ok: false, error: "Current password is wrong" });
+    await userStore.update(req.user.username, { password });
+    sessions.endForUser(req.user.username, { except: req.setupSession?.id });
+    console.log(`[auth] ${req.user.username} changed their password`);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendUserError(res, err);
+  }
+});
 
-  stream.pipe(res);
+app.get("/setup/api/users", requireSetupAuth, (_req, res) => {
+  res.json({ ok: true, users: userStore.list(), roles: ROLES });
 });
 
-// POST /setup/import - Restore from a backup tarball
-// Security: Same auth as /setup/export, 50MB limit, validates archive structure
-app.post("/setup/import", requireSetupAuth, upload.single("backup"), async (req, res) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[import] ${timestamp} - Import request received`);
+app.post("/setup/api/users", requireSetupAuth, async (req, res) => {
+  try {
+    const user = await userStore.create(req.body || {});
+    console.log(`[auth] ${req.user.username} added ${user.username} (${user.role})`);
+    res.json({ ok: true, user });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
 
+// Body: { role?, password? }.
+app.patch("/setup/api/users/:username", requireSetupAuth, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ ok: false, error: "No file uploaded" });
-    }
+    const user = await userStore.update(req.params.username, req.body || {});
+    if (req.body?.password !== undefined) sessions.endForUser(user.username);
+    console.log(`[auth] ${req.user.username} updated ${user.username} (${user.role})`);
+    res.json({ ok: true, user });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
 
-    console.log(
-      `[import] File received: ${req.file.originalname}, size: ${req.file.size} bytes`
-    );
+app.delete("/setup/api/users/:username", requireSetupAuth, (req, res) => {
+  try {
+    userStore.remove(req.params.username);
+    sessions.endForUser(req.params.username);
+    console.log(`[auth] ${req.user.username} removed ${req.params.username}`);
+    res.json({ ok: true });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
 
-    // Create staging directory
-    const stagingDir = path.join(os.tmpdir(), `openclaw-import-${crypto.randomBytes(8).toString("hex")}`);
-    fs.mkdirSync(stagingDir, { recursive: true });
+// Admin override for sign-in lockouts (listed under authLockouts in /setup/api/debug).
+// Body: { client? } - one client as listed there, or nothing to clear every lockout.
+app.post("/setup/api/auth/lockouts/clear", requireSetupAuth, (req, res) => {
+  try {
+    const client = req.body?.client ? String(req.body.client) : null;
+    const cleared = authThrottle.clear(client);
+    console.log(`[auth] ${req.user.username} cleared sign-in lockouts for ${client ?? "everyone"}`);
+    res.json({ ok: true, cleared, authLockouts: authThrottle.state() });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
 
-    try {
-      // Write uploaded file to staging
-      const tarPath = path.join(stagingDir, "backup.tar.gz");
-      fs.writeFileSync(tarPath, req.file.buffer);
+// Recorded in backup manifests.
+const WRAPPER_PKG = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+async function backupManifestMeta() {
+  const version = await cli.get("version");
+  return {
+    wrapper: {
+      name: WRAPPER_PKG.name,
+      version: WRAPPER_PKG.version ?? null,
+      commit: process.env.RAILWAY_GIT_COMMIT_SHA?.trim() || null,
+    },
+    openclaw: { version: version.code === 0 ? version.output.trim() : null },
+  };
+}
+
+// Build a gzipped tar stream of STATE_DIR + WORKSPACE_DIR (used by /setup/export and stored snapshots).
+// `scope` (see EXPORT_SCOPES) narrows it down; every archive carries a manifest.json.
+function createBackupStream(scope = "full") {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+
+  // Archive paths are normalized (.openclaw/..., workspace/...) wherever the dirs live, so
+  // exports from installs outside /data import like any other (see archiveLayout).
+  return createArchiveStream({
+    stateDir: path.resolve(STATE_DIR),
+    workspaceDir: path.resolve(WORKSPACE_DIR),
+    scope,
+    meta: backupManifestMeta(),
+  });
+}
+
+async function sendBackupDownload(res, passphrase, scope = "full") {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const encrypt = Boolean(passphrase);
+  const encryptStream = encrypt ? await createEncryptStream(passphrase) : null;
+
+  res.setHeader("content-type", encrypt ? "application/octet-stream" : "application/gzip");
+  res.setHeader(
+    "content-disposition",
+    `attachment; filename="openclaw-backup-${stamp}${scope === "full" ? "" : `-${scope}`}.tar.gz${encrypt ? ".enc" : ""}"`
+  );
+
+  const stream = createBackupStream(scope);
+
+  const onError = (err) => {
+    console.error("[export]", err);
+    // Once the archive is on its way, ending it cleanly would pass a broken download off as a
+    // complete one; abort the response so the client sees it fail.
+    if (res.headersSent) return res.destroy(err);
+    res.removeHeader("content-disposition");
+    res.status(500).type("text/plain").end(`Export failed: ${String(err)}`);
+  };
+  stream.on("error", onError);
+
+  if (encryptStream) {
+    encryptStream.on("error", onError);
+    stream.pipe(encryptStream).pipe(res);
+  } else {
+    stream.pipe(res);
+  }
+}
 
-      // Extract to staging directory
-      const extractDir = path.join(stagingDir, "extracted");
-      fs.mkdirSync(extractDir, { recursive: true });
+function exportScopeParam(value) {
+  const scope = String(value ?? "full");
+  return isExportScope(scope) ? scope : null;
+}
+
+app.get("/setup/export", requireSetupAuth, async (req, res) => {
+  const scope = exportScopeParam(req.query.scope);
+  if (!scope) {
+    return res.status(400).type("text/plain").send(`scope must be one of: ${Object.keys(EXPORT_SCOPES).join(", ")}`);
+  }
+  await sendBackupDownload(res, null, scope);
+});
 
+// POST /setup/export - same archive, encrypted with a passphrase (form field, so it never
+// lands in a URL or access log). An empty passphrase exports plaintext, like GET.
+app.post("/setup/export", requireSetupAuth, express.urlencoded({ extended: false }), async (req, res) => {
+  const passphrase = String(req.body?.passphrase ?? "");
+  const scope = exportScopeParam(req.body?.scope);
+  if (!scope) {
+    return res.status(400).type("text/plain").send(`scope must be one of: ${Object.keys(EXPORT_SCOPES).join(", ")}`);
+  }
+  if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return res
+      .status(400)
+      .type("text/plain")
+      .send(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+  try {
+    await sendBackupDownload(res, passphrase || null, scope);
+  } catch (err) {
+    console.error("[export]", err);
+    if (!res.headersSent) res.status(500).type("text/plain").send(`Export failed: ${String(err)}`);
+  }
+});
+
+// Error for archives that are not restorable backups (reported as HTTP 400, not 500).
+function invalidBackupError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Unpack a backup archive into a fresh staging dir and locate the state/workspace dirs in it.
+// Encrypted archives are detected by their header and need opts.passphrase. Scoped archives
+// are staged as they are; applyStagedRestore completes them from the live dirs. Never reads
+// or modifies live state; the caller owns (and must remove) staged.stagingDir.
+async function stageArchive(tarPath, opts = {}) {
+  // Create staging directory
+  const stagingDir = path.join(os.tmpdir(), `openclaw-import-${crypto.randomBytes(8).toString("hex")}`);
+  fs.mkdirSync(stagingDir, { recursive: true });
+
+  try {
+    if (isEncryptedBackup(tarPath)) {
+      console.log("[import] Archive is encrypted, decrypting...");
+      const decrypted = path.join(stagingDir, "backup.tar.gz");
+      try {
+        await decryptBackupFile(tarPath, decrypted, opts.passphrase);
+      } catch (err) {
+        if (err.code === "EBACKUPCRYPTO") throw invalidBackupError(err.message);
+        throw err;
+      }
+      tarPath = decrypted;
+    }
+
+    // Extract to staging directory
+    const extractDir = path.join(stagingDir, "extracted");
+    fs.mkdirSync(extractDir, { recursive: true });
+
+    try {
       await tar.x({
         file: tarPath,
         cwd: extractDir,
@@ -1109,127 +2724,758 @@ app.post("/setup/import", requireSetupAuth, upload.single("backup"), async (req,
           return true;
         },
       });
+    } catch (err) {
+      // zlib/tar parse errors mean a damaged or cut-off file, not a server problem.
+      if (/^(Z_|TAR_)/.test(String(err.code))) {
+        throw invalidBackupError(`Backup archive is corrupted or incomplete (${err.message}).`);
+      }
+      throw err;
+    }
+    // The decrypted copy is no longer needed; don't keep two copies around on disk.
+    if (tarPath.startsWith(stagingDir)) fs.rmSync(tarPath, { force: true });
 
-      // Validate extracted structure - should have .openclaw, .clawdbot, or .moltbot directory
-      const extractedContents = fs.readdirSync(extractDir);
-      console.log(`[import] Extracted contents: ${extractedContents.join(", ")}`);
+    // Archives with a manifest are checked file by file and say where their dirs are.
+    let manifest;
+    try {
+      manifest = verifyExtractedArchive(extractDir);
+    } catch (err) {
+      if (err.code === "EBACKUPMANIFEST") throw invalidBackupError(err.message);
+      throw err;
+    }
+    const live = { stateDir: STATE_DIR, workspaceDir: WORKSPACE_DIR };
+    let located;
+    let stateVariant;
+    let archive = null;
+    let scope = "full";
+    if (manifest) {
+      const { state, workspace } = manifest.paths ?? {};
+      if (manifest.scope === "full" && !state) {
+        throw invalidBackupError("Invalid backup: the archive contains no state directory.");
+      }
+      console.log(`[import] Manifest OK: scope ${manifest.scope}, ${Object.keys(manifest.files).length} files`);
+      located = {
+        stateDir: state ? path.join(extractDir, state) : null,
+        workspaceDir: workspace ? path.join(extractDir, workspace) : null,
+      };
+      scope = manifest.scope;
+      stateVariant = state ? path.basename(state) : path.basename(STATE_DIR);
+      const { files, ...details } = manifest;
+      archive = details;
+    } else {
+      // Older archives: the state dir may sit at any depth (e.g. root/.openclaw for installs
+      // outside /data), with the workspace under a custom name.
+      console.log(`[import] No manifest; extracted contents: ${fs.readdirSync(extractDir).join(", ")}`);
+      located = locateLegacyDirs(extractDir);
+      if (!located) {
+        throw invalidBackupError(
+          "Invalid backup: no .openclaw, .clawdbot, or .moltbot state directory (or openclaw.json config) found in the archive."
+        );
+      }
+      stateVariant = located.stateVariant;
+    }
 
-      const hasOpenclaw = extractedContents.includes(".openclaw");
-      const hasClawdbot = extractedContents.includes(".clawdbot");
-      const hasMoltbot = extractedContents.includes(".moltbot");
-      const hasWorkspace = extractedContents.includes("workspace");
+    const { stateDir, workspaceDir } = matchLiveLayout({ extractDir, ...located }, live);
+    console.log(`[import] State dir: ${path.relative(extractDir, stateDir)}, workspace: ${workspaceDir ? path.relative(extractDir, workspaceDir) : "(none)"}`);
+    // `covers` tells the preview which live files a scoped archive replaces (see EXPORT_SCOPES).
+    const covers = scope === "full" ? null : EXPORT_SCOPES[scope];
+    return { stagingDir, extractDir, stateVariant, stateDir, workspaceDir, archive, scope, covers };
+  } catch (err) {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    throw err;
+  }
+}
 
-      if (!hasOpenclaw && !hasClawdbot && !hasMoltbot) {
-        return res.status(400).json({
-          ok: false,
-          error:
-            "Invalid backup: missing .openclaw, .clawdbot, or .moltbot directory. Archive should contain state directory.",
-        });
-      }
+// Swap a staged backup in: stop the gateway, keep the current dirs as *.bak-<timestamp>, move the
+// backup in, reapply the wrapper's gateway settings and restart.
+async function applyStagedRestore(staged) {
+  // Stop gateway before restore
+  console.log("[import] Stopping gateway...");
+  await stopGateway();
+
+  // Helper: move directory (works across filesystems unlike rename)
+  const moveDir = (src, dest) => {
+    fs.cpSync(src, dest, { recursive: true });
+    fs.rmSync(src, { recursive: true, force: true });
+  };
+
+  // A scoped archive (e.g. config-only) keeps everything it doesn't carry. Those files are copied
+  // from the live dirs only now, with the gateway stopped, so nothing written since the preview
+  // is lost.
+  const live = { stateDir: STATE_DIR, workspaceDir: WORKSPACE_DIR };
+  if (staged.scope !== "full") {
+    console.log(`[import] Completing the ${staged.scope} backup from the live dirs...`);
+    const filled = fillFromLive(staged, live, staged.scope);
+    staged = { ...staged, ...matchLiveLayout({ extractDir: staged.extractDir, ...filled }, live) };
+  }
 
-      // Stop gateway before restore
-      console.log("[import] Stopping gateway...");
-      if (gatewayProc) {
-        try {
-          gatewayProc.kill("SIGTERM");
-        } catch {
-          // ignore
-        }
-        await sleep(750);
-        gatewayProc = null;
-      }
+  // Keep the current state as a pre-import snapshot (see /setup/api/import-snapshots)
+  const aside = moveLiveDirsAside();
 
-      // Helper: move directory (works across filesystems unlike rename)
-      const moveDir = (src, dest) => {
-        fs.cpSync(src, dest, { recursive: true });
-        fs.rmSync(src, { recursive: true, force: true });
-      };
+  // Ensure parent directories exist
+  fs.mkdirSync(path.dirname(STATE_DIR), { recursive: true });
+  fs.mkdirSync(path.dirname(WORKSPACE_DIR), { recursive: true });
 
-      // Backup current state (optional safety measure)
-      const backupTimestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const stateBackupPath = `${STATE_DIR}.bak-${backupTimestamp}`;
-      const workspaceBackupPath = `${WORKSPACE_DIR}.bak-${backupTimestamp}`;
+  // Move extracted files to their destinations (use copy+delete for cross-device)
+  console.log(`[import] Copying ${staged.stateDir} to ${STATE_DIR}`);
+  moveDir(staged.stateDir, STATE_DIR);
+  keepInstallFiles(aside.state);
+  await bootstrapSetupAccounts();
 
-      if (fs.existsSync(STATE_DIR)) {
-        console.log(`[import] Backing up current state to ${stateBackupPath}`);
-        fs.renameSync(STATE_DIR, stateBackupPath);
-      }
-      if (fs.existsSync(WORKSPACE_DIR) && WORKSPACE_DIR !== path.join(STATE_DIR, "workspace")) {
-        console.log(`[import] Backing up current workspace to ${workspaceBackupPath}`);
-        fs.renameSync(WORKSPACE_DIR, workspaceBackupPath);
-      }
+  if (staged.workspaceDir && fs.existsSync(staged.workspaceDir)) {
+    console.log(`[import] Copying ${staged.workspaceDir} to ${WORKSPACE_DIR}`);
 
-      // Ensure parent directories exist
-      fs.mkdirSync(path.dirname(STATE_DIR), { recursive: true });
-      fs.mkdirSync(path.dirname(WORKSPACE_DIR), { recursive: true });
+    // If workspace is inside state dir, it was already moved
+    if (!workspaceInsideState()) {
+      moveDir(staged.workspaceDir, WORKSPACE_DIR);
+    }
+  }
 
-      // Move extracted files to their destinations (use copy+delete for cross-device)
-      // Prefer .openclaw, then .clawdbot, then .moltbot
-      const sourceStateDir = hasOpenclaw
-        ? path.join(extractDir, ".openclaw")
-        : hasClawdbot
-          ? path.join(extractDir, ".clawdbot")
-          : path.join(extractDir, ".moltbot");
+  // Update config to use the wrapper's gateway token (imported config has old token)
+  console.log("[import] Updating gateway token in config...");
+  for (const args of wrapperGatewayConfigArgs()) {
+    await runCmd(OPENCLAW_NODE, openclawArgs(args));
+  }
 
-      console.log(`[import] Copying ${sourceStateDir} to ${STATE_DIR}`);
-      moveDir(sourceStateDir, STATE_DIR);
+  // A backup from another install points the agent at that install's workspace path.
+  const importedWorkspace = readConfigFile(STATE_DIR, configPath())?.config?.agents?.defaults?.workspace;
+  if (typeof importedWorkspace === "string" && path.resolve(importedWorkspace) !== path.resolve(WORKSPACE_DIR)) {
+    console.log(`[import] Pointing agents.defaults.workspace at ${WORKSPACE_DIR} (was ${importedWorkspace})`);
+    await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "agents.defaults.workspace", WORKSPACE_DIR]));
+  }
 
-      if (hasWorkspace) {
-        const sourceWorkspaceDir = path.join(extractDir, "workspace");
-        console.log(`[import] Copying ${sourceWorkspaceDir} to ${WORKSPACE_DIR}`);
+  // Restart gateway with new config
+  console.log("[import] Restarting gateway...");
+  await restartGateway();
+
+  return {
+    stateDir: STATE_DIR,
+    workspaceDir: WORKSPACE_DIR,
+    previousBackup: aside.state,
+    snapshotId: aside.id,
+    prunedSnapshots: pruneImportSnapshots(),
+  };
+}
 
-        // If workspace is inside state dir, it was already moved
-        if (WORKSPACE_DIR !== path.join(STATE_DIR, "workspace")) {
-          moveDir(sourceWorkspaceDir, WORKSPACE_DIR);
-        }
-      }
+function workspaceInsideState() {
+  return WORKSPACE_DIR === path.join(STATE_DIR, "workspace");
+}
 
-      // Update config to use the wrapper's gateway token (imported config has old token)
-      console.log("[import] Updating gateway token in config...");
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.auth.mode", "token"]));
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.auth.token", GATEWAY_TOKEN]));
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.bind", "loopback"]));
-      await runCmd(
-        OPENCLAW_NODE,
-        openclawArgs(["config", "set", "gateway.port", String(INTERNAL_GATEWAY_PORT)])
-      );
-      // Set Control UI basePath to /openclaw (wrapper routes to this path)
-      await runCmd(
-        OPENCLAW_NODE,
-        openclawArgs(["config", "set", "gateway.controlUi.basePath", "/openclaw"])
-      );
+// Rename the live state/workspace dirs to `<dir>.bak-<id>`. Renames stay on the same volume,
+// so each one is atomic. Returns the snapshot id and which paths were actually moved.
+function moveLiveDirsAside() {
+  const id = snapshotId();
+  const p = snapshotPaths(STATE_DIR, WORKSPACE_DIR, id);
+  const moved = { id, state: null, workspace: null };
+  if (fs.existsSync(STATE_DIR)) {
+    console.log(`[import] Backing up current state to ${p.state}`);
+    fs.renameSync(STATE_DIR, p.state);
+    moved.state = p.state;
+  }
+  if (fs.existsSync(WORKSPACE_DIR) && !workspaceInsideState()) {
+    console.log(`[import] Backing up current workspace to ${p.workspace}`);
+    fs.renameSync(WORKSPACE_DIR, p.workspace);
+    moved.workspace = p.workspace;
+  }
+  return moved;
+}
 
-      // Set console logging level (configurable via OPENCLAW_CONSOLE_LEVEL, default: warn)
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "logging.consoleLevel", CONSOLE_LEVEL]));
-
-      // Restart gateway with new config
-      console.log("[import] Restarting gateway...");
-      await restartGateway();
-
-      console.log("[import] Import completed successfully");
-      return res.json({
-        ok: true,
-        message: "Backup imported successfully. Gateway restarted.",
-        details: {
-          stateDir: STATE_DIR,
-          workspaceDir: WORKSPACE_DIR,
-          previousBackup: stateBackupPath,
-        },
-      });
-    } finally {
-      // Clean up staging directory
-      try {
-        fs.rmSync(stagingDir, { recursive: true, force: true });
-      } catch {
-        // best-effort cleanup
-      }
+// The audit log and setup accounts belong to the install, not to whichever state
+// dir is swapped in: bring them over from the dir that was just moved aside.
+function keepInstallFiles(previousStateDir) {
+  if (!previousStateDir) return;
+  try {
+    auditLog.adopt(path.join(previousStateDir, path.relative(STATE_DIR, auditLog.file)));
+  } catch (err) {
+    console.error(`[audit] couldn't carry the audit log over from ${previousStateDir}: ${String(err)}`);
+  }
+  try {
+    carryInstallFiles(previousStateDir, STATE_DIR);
+  } catch (err) {
+    console.error(`[auth] couldn't carry setup accounts over from ${previousStateDir}: ${String(err)}`);
+  }
+}
+
+// Retention after imports/rollbacks; OPENCLAW_IMPORT_SNAPSHOT_KEEP=0 disables it.
+function pruneImportSnapshots() {
+  if (!IMPORT_SNAPSHOT_KEEP) return [];
+  const pruned = pruneSnapshots(STATE_DIR, WORKSPACE_DIR, IMPORT_SNAPSHOT_KEEP);
+  if (pruned.length) console.log(`[import] Pruned pre-import snapshots: ${pruned.join(", ")}`);
+  return pruned;
+}
+
+// Swap a pre-import snapshot back in. The live dirs become a snapshot of their own, so a
+// rollback can itself be rolled back.
+async function rollbackToSnapshot(snapshot) {
+  console.log(`[rollback] Rolling back to snapshot ${snapshot.id}`);
+  await stopGateway();
+
+  const aside = moveLiveDirsAside();
+  try {
+    if (snapshot.state) fs.renameSync(snapshot.state.path, STATE_DIR);
+    if (snapshot.workspace && !workspaceInsideState()) fs.renameSync(snapshot.workspace.path, WORKSPACE_DIR);
+    keepInstallFiles(aside.state);
+  } catch (err) {
+    // Put the live dirs back where they were before giving up.
+    console.error(`[rollback] Swap failed, restoring live dirs: ${String(err)}`);
+    for (const [live, moved, back] of [
+      [STATE_DIR, aside.state, snapshot.state?.path],
+      [WORKSPACE_DIR, aside.workspace, snapshot.workspace?.path],
+    ]) {
+      if (!moved) continue;
+      if (back && fs.existsSync(live) && !fs.existsSync(back)) fs.renameSync(live, back);
+      if (!fs.existsSync(live)) fs.renameSync(moved, live);
+    }
+    await ensureGatewayRunning().catch(() => {});
+    throw err;
+  }
+  await bootstrapSetupAccounts();
+
+  if (isConfigured()) {
+    for (const args of wrapperGatewayConfigArgs()) {
+      await runCmd(OPENCLAW_NODE, openclawArgs(args));
     }
+  }
+  await restartGateway();
+
+  return {
+    restored: snapshot.id,
+    snapshotId: aside.id,
+    prunedSnapshots: pruneImportSnapshots(),
+  };
+}
+
+// Restore STATE_DIR/WORKSPACE_DIR from a backup archive on disk in one go.
+// Shared by /setup/import and stored snapshot restores.
+async function restoreFromArchive(tarPath, opts = {}) {
+  const staged = await stageArchive(tarPath, opts);
+  try {
+    return await applyStagedRestore(staged);
+  } finally {
+    // Clean up staging directory
+    try {
+      fs.rmSync(staged.stagingDir, { recursive: true, force: true });
+    } catch {
+      // best-effort cleanup
+    }
+  }
+}
+
+// POST /setup/import - Restore from a backup tarball (multipart "backup" field, JSON { uploadId }
+// for a finished chunked upload, see /setup/api/uploads, or JSON { offsite } for an off-site copy)
+// Security: Same auth as /setup/export, OPENCLAW_IMPORT_MAX_MB limit, validates archive structure
+app.post("/setup/import", requireSetupAuth, receiveBackupUpload, jobRoute("import", async (req, res) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[import] ${timestamp} - Import request received`);
+
+  let source = null;
+  let ok = false;
+  try {
+    source = await importSource(req);
+    if (!source) {
+      return res.status(400).json({ ok: false, error: "No file uploaded" });
+    }
+
+    console.log(`[import] File received: ${source.name}, size: ${source.size} bytes`);
+
+    const details = await restoreFromArchive(source.path, { passphrase: req.body?.passphrase || source.passphrase });
+    ok = true;
+
+    console.log("[import] Import completed successfully");
+    return res.json({
+      ok: true,
+      message: "Backup imported successfully. Gateway restarted.",
+      details,
+    });
   } catch (err) {
     console.error("[import] Error:", err);
+    if (err.status >= 400 && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
     return res.status(500).json({ ok: false, error: `Import failed: ${String(err)}` });
+  } finally {
+    try {
+      source?.release(ok);
+    } catch {
+      // best-effort cleanup
+    }
+  }
+}, { params: importSourceParams }));
+
+// Chunked, resumable uploads for large backups. Create a session, PUT each chunk (raw body,
+// x-chunk-sha256 header) in any order and as often as needed, then complete it and pass
+// { uploadId } to /setup/import or /setup/import/preview. GET tells a client what to resend.
+function sendUploadError(res, err) {
+  if (!err.status) console.error("[upload]", err);
+  res.status(err.status ?? 500).json({ ok: false, error: err.status ? err.message : `Upload failed: ${String(err)}` });
+}
+
+app.post("/setup/api/uploads", requireSetupAuth, (req, res) => {
+  try {
+    res.json({ ok: true, upload: uploads.create(req.body ?? {}) });
+  } catch (err) {
+    sendUploadError(res, err);
   }
 });
 
+app.get("/setup/api/uploads/:id", requireSetupAuth, (req, res) => {
+  const upload = uploads.get(req.params.id);
+  if (!upload) return res.status(404).json({ ok: false, error: "Upload not found or expired" });
+  return res.json({ ok: true, upload });
+});
+
+app.put("/setup/api/uploads/:id/chunks/:index", requireSetupAuth, async (req, res) => {
+  try {
+    const upload = await uploads.writeChunk(req.params.id, req.params.index, req, {
+      sha256: req.headers["x-chunk-sha256"],
+    });
+    res.json({ ok: true, upload });
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
+
+app.post("/setup/api/uploads/:id/complete", requireSetupAuth, async (req, res) => {
+  try {
+    res.json({ ok: true, upload: await uploads.complete(req.params.id) });
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
+
+app.delete("/setup/api/uploads/:id", requireSetupAuth, (req, res) => {
+  const ok = uploads.remove(req.params.id);
+  res.status(ok ? 200 : 404).json({ ok });
+});
+
+// Import preview: stage the upload, return a manifest + token, apply only on confirm.
+// Staged extractions expire so abandoned previews don't fill the disk.
+const IMPORT_PREVIEW_TTL_MS = 30 * 60 * 1000;
+const IMPORT_PREVIEW_MAX = 3;
+const pendingImports = new Map();
+
+function discardPendingImport(token) {
+  const pending = pendingImports.get(token);
+  if (!pending) return false;
+  pendingImports.delete(token);
+  clearTimeout(pending.timer);
+  fs.rmSync(pending.staged.stagingDir, { recursive: true, force: true });
+  return true;
+}
+
+app.post("/setup/import/preview", requireSetupAuth, receiveBackupUpload, async (req, res) => {
+  let source = null;
+  let ok = false;
+  try {
+    source = await importSource(req);
+    if (!source) return res.status(400).json({ ok: false, error: "No file uploaded" });
+
+    const staged = await stageArchive(source.path, { passphrase: req.body?.passphrase || source.passphrase });
+    ok = true;
+    const manifest = buildImportManifest(staged, {
+      stateDir: STATE_DIR,
+      workspaceDir: WORKSPACE_DIR,
+      configPath: configPath(),
+    });
+
+    // Oldest previews make room for new ones.
+    while (pendingImports.size >= IMPORT_PREVIEW_MAX) {
+      discardPendingImport(pendingImports.keys().next().value);
+    }
+    const token = crypto.randomBytes(16).toString("hex");
+    const expiresAt = Date.now() + IMPORT_PREVIEW_TTL_MS;
+    const timer = setTimeout(() => discardPendingImport(token), IMPORT_PREVIEW_TTL_MS);
+    timer.unref?.();
+    pendingImports.set(token, { staged, manifest, file: source.name, expiresAt, timer });
+
+    console.log(`[import] Staged preview of ${source.name} (${staged.stateVariant})`);
+    return res.json({ ok: true, token, expiresAt, file: source.name, manifest });
+  } catch (err) {
+    console.error("[import] Preview error:", err);
+    if (err.status >= 400 && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+    return res.status(500).json({ ok: false, error: `Preview failed: ${String(err)}` });
+  } finally {
+    source?.release(ok);
+  }
+});
+
+app.post("/setup/import/confirm", requireSetupAuth, jobRoute("import", async (req, res) => {
+  const token = String(req.body?.token ?? "");
+  const pending = pendingImports.get(token);
+  if (!pending) {
+    return res.status(404).json({ ok: false, error: "Preview not found or expired. Upload the backup again." });
+  }
+  // Take it out of the map first so the expiry timer can't delete it mid-restore.
+  pendingImports.delete(token);
+  clearTimeout(pending.timer);
+
+  try {
+    const details = await applyStagedRestore(pending.staged);
+    console.log("[import] Import completed successfully");
+    return res.json({ ok: true, message: "Backup imported successfully. Gateway restarted.", details });
+  } catch (err) {
+    console.error("[import] Error:", err);
+    return res.status(500).json({ ok: false, error: `Import failed: ${String(err)}` });
+  } finally {
+    fs.rmSync(pending.staged.stagingDir, { recursive: true, force: true });
+  }
+}, { params: (req) => ({ file: pendingImports.get(String(req.body?.token ?? ""))?.file ?? null, preview: true }) }));
+
+app.delete("/setup/import/preview/:token", requireSetupAuth, (req, res) => {
+  const ok = discardPendingImport(req.params.token);
+  res.status(ok ? 200 : 404).json({ ok });
+});
+
+// Stored snapshots (see BACKUP_DIR). Creating one runs as a job so it never races an import.
+async function createStoredBackup(reason) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true, mode: 0o700 });
+  const name = backupFileName(reason);
+  await writeArchive(createBackupStream(), path.join(BACKUP_DIR, name));
+  const pruned = pruneBackups(BACKUP_DIR, {
+    keep: BACKUP_KEEP,
+    maxAgeMs: BACKUP_MAX_AGE_DAYS * 24 * 60 * 60 * 1000,
+  });
+  console.log(`[backup] wrote ${name}${pruned.length ? `, pruned ${pruned.join(", ")}` : ""}`);
+
+  // A failed push doesn't fail the backup: the local copy is there, and the next one retries.
+  let offsiteResult = null;
+  if (offsite) {
+    try {
+      offsiteResult = { ok: true, ...(await pushBackupOffsite(name)) };
+    } catch (err) {
+      console.error(`[backup] off-site push of ${name} failed: ${err.message}`);
+      offsiteResult = { ok: false, error: err.message };
+    }
+  }
+  return { ok: true, name, pruned, offsite: offsiteResult };
+}
+
+// Off-site copies live under S3_PREFIX with the stored backup's name (+ ".enc" when encrypted).
+function offsiteTarget() {
+  return {
+    bucket: S3_BUCKET,
+    endpoint: S3_ENDPOINT || `https://s3.${S3_REGION}.amazonaws.com`,
+    prefix: S3_PREFIX,
+    encrypted: Boolean(S3_PASSPHRASE),
+  };
+}
+
+async function pushBackupOffsite(name) {
+  const src = path.join(BACKUP_DIR, name);
+  if (!S3_PASSPHRASE) return offsite.putFile(`${S3_PREFIX}${name}`, src);
+
+  // The upload needs its length and checksum up front, so encrypt to a temp file first.
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true, mode: 0o700 });
+  const tmp = path.join(UPLOAD_DIR, `offsite-${crypto.randomBytes(8).toString("hex")}.enc`);
+  try {
+    await pipeline(
+      fs.createReadStream(src),
+      await createEncryptStream(S3_PASSPHRASE),
+      fs.createWriteStream(tmp, { mode: 0o600 })
+    );
+    return await offsite.putFile(`${S3_PREFIX}${name}.enc`, tmp);
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+}
+
+// Newest first, same shape as listBackups().
+async function listOffsiteBackups() {
+  const objects = await offsite.list(S3_PREFIX, { delimiter: "/" });
+  return objects
+    .map((o) => ({ name: o.key.slice(S3_PREFIX.length), size: o.size, createdAt: o.lastModified }))
+    .filter((b) => isValidOffsiteName(b.name))
+    .map((b) => ({ ...b, reason: backupReason(b.name), encrypted: b.name.endsWith(".enc") }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function importSourceError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Download an off-site backup into UPLOAD_DIR so it can be imported like an upload.
+async function fetchOffsiteBackup(name) {
+  if (!offsite) throw importSourceError(400, "Off-site backups are not configured (OPENCLAW_S3_BUCKET).");
+  if (!isValidOffsiteName(name)) throw importSourceError(400, "Invalid off-site backup name");
+  const found = (await listOffsiteBackups()).find((b) => b.name === name);
+  if (!found) throw importSourceError(404, `Off-site backup ${name} not found`);
+  uploads.checkSpace(found.size);
+
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true, mode: 0o700 });
+  const dest = path.join(UPLOAD_DIR, `offsite-${crypto.randomBytes(8).toString("hex")}.download`);
+  console.log(`[import] Downloading off-site backup ${name} (${found.size} bytes)`);
+  await offsite.getToFile(`${S3_PREFIX}${name}`, dest);
+  return { path: dest, name, size: found.size };
+}
+
+let backupTimer = null;
+let nextBackupAt = null;
+
+// Incremental snapshots (see BACKUP_MODE). Retention is the same as for stored backups; chunks
+// only the pruned snapshots used are collected right away.
+async function createRepoSnapshot(reason) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+  const snapshot = await backupRepo.snapshot({
+    stateDir: path.resolve(STATE_DIR),
+    workspaceDir: path.resolve(WORKSPACE_DIR),
+    meta: await backupManifestMeta(),
+    reason,
+  });
+  const pruned = await backupRepo.prune({
+    keep: BACKUP_KEEP,
+    maxAgeMs: BACKUP_MAX_AGE_DAYS * 24 * 60 * 60 * 1000,
+  });
+  const gc = pruned.length ? await backupRepo.gc() : null;
+  console.log(
+    `[backup] snapshot ${snapshot.id}: ${snapshot.files} files, ${snapshot.newChunks} new chunk(s) ` +
+      `(${snapshot.newBytes} bytes stored)${pruned.length ? `, pruned ${pruned.join(", ")}` : ""}`
+  );
+  return { ok: true, snapshot, pruned, gc };
+}
+
+// Write an incremental snapshot out as a regular archive in UPLOAD_DIR, so it can be imported.
+async function materializeRepoSnapshot(id) {
+  const index = await backupRepo.load(id);
+  if (!index) throw importSourceError(404, `Snapshot ${id} not found`);
+  const bytes = Object.values(index.files).reduce((n, f) => n + (f.size ?? 0), 0);
+  uploads.checkSpace(bytes);
+
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true, mode: 0o700 });
+  const dest = path.join(UPLOAD_DIR, `repo-${crypto.randomBytes(8).toString("hex")}.download`);
+  await writeArchive(backupRepo.createTarStream(index), dest);
+  const name = backupFileName(index.reason ?? "snapshot", new Date(index.createdAt));
+  return { path: dest, name, size: fs.statSync(dest).size };
+}
+
+async function lastScheduledBackupAt() {
+  const list = BACKUP_MODE === "incremental" ? await backupRepo.list() : listBackups(BACKUP_DIR);
+  return list.find((b) => b.reason === "scheduled")?.createdAt ?? null;
+}
+
+async function scheduleNextBackup() {
+  if (!BACKUP_INTERVAL_HOURS || shuttingDown) return;
+  const intervalMs = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+  // Continue from the last scheduled snapshot so redeploys don't push the schedule back.
+  // A fresh volume gets its first snapshot a few minutes after boot, not during it.
+  let last = null;
+  try {
+    last = await lastScheduledBackupAt();
+  } catch (err) {
+    console.error(`[backup] couldn't list backups: ${err.message}`);
+  }
+  if (shuttingDown) return;
+  const due = last ? last + intervalMs : Date.now() + 5 * 60 * 1000;
+  const delay = Math.min(Math.max(due - Date.now(), 60_000), 2 ** 31 - 1);
+
+  nextBackupAt = Date.now() + delay;
+  backupTimer = setTimeout(() => {
+    backupTimer = null;
+    if (!isConfigured()) return scheduleNextBackup();
+    const take = BACKUP_MODE === "incremental" ? createRepoSnapshot : createStoredBackup;
+    jobs
+      .enqueue("backup", () => take("scheduled"), {
+        params: { reason: "scheduled", mode: BACKUP_MODE },
+        source: "schedule",
+      })
+      .done.catch((err) => console.error(`[backup] scheduled snapshot failed: ${String(err)}`))
+      .finally(scheduleNextBackup);
+  }, delay);
+  backupTimer.unref?.();
+}
+
+function storedBackupPath(name) {
+  if (!isValidBackupName(name)) return null;
+  const p = path.join(BACKUP_DIR, name);
+  return fs.existsSync(p) ? p : null;
+}
+
+app.get("/setup/api/backups", requireSetupAuth, (_req, res) => {
+  res.json({
+    ok: true,
+    dir: BACKUP_DIR,
+    schedule: {
+      intervalHours: BACKUP_INTERVAL_HOURS,
+      keep: BACKUP_KEEP,
+      maxAgeDays: BACKUP_MAX_AGE_DAYS,
+      nextAt: nextBackupAt,
+    },
+    backups: listBackups(BACKUP_DIR),
+    offsite: offsite ? offsiteTarget() : null,
+  });
+});
+
+app.post("/setup/api/backups", requireSetupAuth, jobRoute("backup", async (_req, res) => {
+  try {
+    res.json(await createStoredBackup("manual"));
+  } catch (err) {
+    console.error("[backup]", err);
+    res.status(500).json({ ok: false, error: `Backup failed: ${String(err)}` });
+  }
+}, { params: () => ({ reason: "manual" }) }));
+
+app.get("/setup/api/backups/:name", requireSetupAuth, (req, res) => {
+  const p = storedBackupPath(req.params.name);
+  if (!p) return res.status(404).json({ ok: false, error: "Backup not found" });
+  return res.download(p, req.params.name);
+});
+
+app.delete("/setup/api/backups/:name", requireSetupAuth, jobRoute("backup-delete", async (req, res) => {
+  const p = storedBackupPath(req.params.name);
+  if (!p) return res.status(404).json({ ok: false, error: "Backup not found" });
+  fs.rmSync(p, { force: true });
+  return res.json({ ok: true, deleted: req.params.name });
+}, { params: (req) => ({ name: req.params.name }) }));
+
+app.post("/setup/api/backups/:name/restore", requireSetupAuth, jobRoute("restore", async (req, res) => {
+  const p = storedBackupPath(req.params.name);
+  if (!p) return res.status(404).json({ ok: false, error: "Backup not found" });
+  try {
+    console.log(`[import] Restoring stored backup ${req.params.name}`);
+    const details = await restoreFromArchive(p, { passphrase: req.body?.passphrase });
+    return res.json({ ok: true, message: "Backup restored. Gateway restarted.", details });
+  } catch (err) {
+    console.error("[import] Error:", err);
+    if (err.status === 400) return res.status(400).json({ ok: false, error: err.message });
+    return res.status(500).json({ ok: false, error: `Restore failed: ${String(err)}` });
+  }
+}, { params: (req) => ({ name: req.params.name }) }));
+
+// Off-site backups. Restoring one goes through /setup/import or /setup/import/preview with
+// { offsite: "<name>" }, so it gets the same checks, preview and pre-import snapshot.
+app.get("/setup/api/offsite", requireSetupAuth, async (_req, res) => {
+  if (!offsite) return res.json({ ok: true, configured: false });
+  try {
+    res.json({ ok: true, configured: true, target: offsiteTarget(), backups: await listOffsiteBackups() });
+  } catch (err) {
+    res.status(502).json({ ok: false, configured: true, target: offsiteTarget(), error: err.message });
+  }
+});
+
+app.post("/setup/api/backups/:name/offsite", requireSetupAuth, jobRoute("offsite-push", async (req, res) => {
+  if (!offsite) return res.status(400).json({ ok: false, error: "Off-site backups are not configured (OPENCLAW_S3_BUCKET)." });
+  if (!storedBackupPath(req.params.name)) return res.status(404).json({ ok: false, error: "Backup not found" });
+  try {
+    return res.json({ ok: true, ...(await pushBackupOffsite(req.params.name)) });
+  } catch (err) {
+    console.error("[backup] off-site push failed:", err);
+    return res.status(502).json({ ok: false, error: err.message });
+  }
+}, { params: (req) => ({ name: req.params.name }) }));
+
+app.delete("/setup/api/offsite/:name", requireSetupAuth, jobRoute("offsite-delete", async (req, res) => {
+  if (!offsite) return res.status(400).json({ ok: false, error: "Off-site backups are not configured (OPENCLAW_S3_BUCKET)." });
+  if (!isValidOffsiteName(req.params.name)) return res.status(400).json({ ok: false, error: "Invalid off-site backup name" });
+  try {
+    await offsite.remove(`${S3_PREFIX}${req.params.name}`);
+    return res.json({ ok: true, deleted: req.params.name });
+  } catch (err) {
+    return res.status(502).json({ ok: false, error: err.message });
+  }
+}, { params: (req) => ({ name: req.params.name }) }));
+
+// Incremental snapshots. Restoring one goes through /setup/import or /setup/import/preview with
+// { repoSnapshot: "<id>" }; any snapshot also downloads as a regular backup archive.
+app.get("/setup/api/backup-repo", requireSetupAuth, async (_req, res) => {
+  const info = { mode: BACKUP_MODE, target: backupRepo.describe };
+  try {
+    res.json({ ok: true, ...info, stats: await backupRepo.stats(), snapshots: await backupRepo.list() });
+  } catch (err) {
+    res.status(502).json({ ok: false, ...info, error: err.message });
+  }
+});
+
+app.post("/setup/api/backup-repo/snapshots", requireSetupAuth, jobRoute("repo-snapshot", async (_req, res) => {
+  try {
+    res.json(await createRepoSnapshot("manual"));
+  } catch (err) {
+    console.error("[backup]", err);
+    res.status(500).json({ ok: false, error: `Snapshot failed: ${String(err)}` });
+  }
+}, { params: () => ({ reason: "manual" }) }));
+
+app.get("/setup/api/backup-repo/snapshots/:id/download", requireSetupAuth, async (req, res) => {
+  let index;
+  try {
+    index = await backupRepo.load(req.params.id);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+  if (!index) return res.status(404).json({ ok: false, error: "Snapshot not found" });
+
+  res.setHeader("content-type", "application/gzip");
+  res.setHeader(
+    "content-disposition",
+    `attachment; filename="${backupFileName(index.reason ?? "snapshot", new Date(index.createdAt))}"`
+  );
+  const stream = backupRepo.createTarStream(index);
+  stream.on("error", (err) => {
+    console.error("[backup] snapshot download:", err);
+    // Headers are out; cut the response so the client sees a truncated (refused) archive.
+    res.destroy(err);
+  });
+  stream.pipe(res);
+});
+
+app.delete("/setup/api/backup-repo/snapshots/:id", requireSetupAuth, jobRoute("repo-delete", async (req, res) => {
+  try {
+    if (!(await backupRepo.remove(req.params.id))) {
+      return res.status(404).json({ ok: false, error: "Snapshot not found" });
+    }
+    return res.json({ ok: true, deleted: req.params.id, gc: await backupRepo.gc() });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err.message ?? err) });
+  }
+}, { params: (req) => ({ id: req.params.id }) }));
+
+app.post("/setup/api/backup-repo/gc", requireSetupAuth, jobRoute("repo-gc", async (_req, res) => {
+  try {
+    res.json({ ok: true, ...(await backupRepo.gc()) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+}));
+
+// Pre-import snapshots: the live dirs an import (or rollback) moved aside.
+function findImportSnapshot(id) {
+  return listSnapshots(STATE_DIR, WORKSPACE_DIR).find((s) => s.id === id) ?? null;
+}
+
+app.get("/setup/api/import-snapshots", requireSetupAuth, (_req, res) => {
+  res.json({
+    ok: true,
+    keep: IMPORT_SNAPSHOT_KEEP,
+    snapshots: listSnapshots(STATE_DIR, WORKSPACE_DIR, { sizes: true }),
+  });
+});
+
+app.post("/setup/api/import-snapshots/prune", requireSetupAuth, jobRoute("snapshot-prune", async (req, res) => {
+  const keep = Number.parseInt(req.body?.keep ?? IMPORT_SNAPSHOT_KEEP, 10);
+  if (!Number.isFinite(keep) || keep < 0) {
+    return res.status(400).json({ ok: false, error: "keep must be a non-negative integer" });
+  }
+  // An explicit keep=0 deletes every snapshot.
+  const pruned = pruneSnapshots(STATE_DIR, WORKSPACE_DIR, keep);
+  return res.json({ ok: true, pruned });
+}, { params: (req) => ({ keep: req.body?.keep ?? IMPORT_SNAPSHOT_KEEP }) }));
+
+app.delete("/setup/api/import-snapshots/:id", requireSetupAuth, jobRoute("snapshot-delete", async (req, res) => {
+  if (!findImportSnapshot(req.params.id)) return res.status(404).json({ ok: false, error: "Snapshot not found" });
+  deleteSnapshot(STATE_DIR, WORKSPACE_DIR, req.params.id);
+  return res.json({ ok: true, deleted: req.params.id });
+}, { params: (req) => ({ id: req.params.id }) }));
+
+app.post("/setup/api/import-snapshots/:id/rollback", requireSetupAuth, jobRoute("rollback", async (req, res) => {
+  const snapshot = findImportSnapshot(req.params.id);
+  if (!snapshot) return res.status(404).json({ ok: false, error: "Snapshot not found" });
+  try {
+    const details = await rollbackToSnapshot(snapshot);
+    return res.json({ ok: true, message: "Rolled back. Gateway restarted.", details });
+  } catch (err) {
+    console.error("[rollback] Error:", err);
+    return res.status(500).json({ ok: false, error: `Rollback failed: ${String(err)}` });
+  }
+}, { params: (req) => ({ id: req.params.id }) }));
+
 // Proxy everything else to the gateway.
 const proxy = httpProxy.createProxyServer({
   target: GATEWAY_TARGET,
@@ -1264,7 +3510,7 @@ function isPublicRoute(path) {
 
 // Security: Control UI routes require Basic Auth (same as /setup)
 // This adds a layer of protection before the gateway token check
-function requireControlUiAuth(req, res, next) {
+async function requireControlUiAuth(req, res, next) {
   // Skip auth for public webhook routes
   if (isPublicRoute(req.path)) {
     return next();
@@ -1275,28 +3521,8 @@ function requireControlUiAuth(req, res, next) {
     return next();
   }
 
-  // Require SETUP_PASSWORD for Control UI access
-  if (!SETUP_PASSWORD) {
-    return res
-      .status(500)
-      .type("text/plain")
-      .send("SETUP_PASSWORD is not set. Set it in Railway Variables.");
-  }
-
-  const header = req.headers.authorization || "";
-  const [scheme, encoded] = header.split(" ");
-  if (scheme !== "Basic" || !encoded) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Control UI"');
-    return res.status(401).send("Auth required");
-  }
-  const decoded = Buffer.from(encoded, "base64").toString("utf8");
-  const idx = decoded.indexOf(":");
-  const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-  if (password !== SETUP_PASSWORD) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Control UI"');
-    return res.status(401).send("Invalid password");
-  }
-  return next();
+  // The Control UI's own requests can't carry our CSRF token; the Origin check still applies.
+  if (await authorize(req, res, { role: CONTROL_UI_ROLE, csrf: false })) return next();
 }
 
 app.use(requireControlUiAuth);
@@ -1330,6 +3556,12 @@ const server = app.listen(PORT, "0.0.0.0", () => {
   try {
     fs.chmodSync(STATE_DIR, 0o700);
   } catch {}
+  try {
+    uploads.sweep();
+  } catch {}
+  if (BACKUP_REPO_TARGET === "s3" && !offsite) {
+    console.warn("[wrapper] OPENCLAW_BACKUP_REPO_TARGET=s3 needs OPENCLAW_S3_BUCKET; using the volume.");
+  }
 
   console.log(`[wrapper] gateway token: ${GATEWAY_TOKEN ? "(set)" : "(missing)"}`);
   console.log(`[wrapper] gateway target: ${GATEWAY_TARGET}`);
@@ -1337,6 +3569,15 @@ const server = app.listen(PORT, "0.0.0.0", () => {
     console.warn("[wrapper] WARNING: SETUP_PASSWORD is not set; /setup will error.");
   }
   // Don't start gateway unless configured; proxy will ensure it starts.
+
+  // Whatever is on disk now is the baseline for the history.
+  recordConfigVersion({ action: "startup", source: "watch" });
+  watchConfigFile();
+
+  // Ask the CLI about itself once now, so the first /setup load doesn't wait for it.
+  cli.warm().catch((err) => console.warn(`[wrapper] CLI introspection failed: ${String(err)}`));
+
+  scheduleNextBackup();
 });
 
 server.on("upgrade", async (req, socket, head) => {
@@ -1345,26 +3586,23 @@ server.on("upgrade", async (req, socket, head) => {
     return;
   }
 
-  // Security: Require Basic Auth for Control UI WebSocket connections
-  // (The gateway token is a second layer of auth, but this ensures only
-  // users with SETUP_PASSWORD can even attempt to connect)
+  // Security: Require a signed-in operator/admin (session cookie, or Basic if enabled) for
+  // Control UI WebSocket connections. The gateway token is a second layer of auth; the Origin
+  // check stops other sites from riding the browser's cookie.
   const url = new URL(req.url, `http://${req.headers.host}`);
   const isControlUi = url.pathname.startsWith("/openclaw");
 
-  if (isControlUi && SETUP_PASSWORD) {
-    const header = req.headers.authorization || "";
-    const [scheme, encoded] = header.split(" ");
-    let authenticated = false;
-    if (scheme === "Basic" && encoded) {
-      const decoded = Buffer.from(encoded, "base64").toString("utf8");
-      const idx = decoded.indexOf(":");
-      const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-      authenticated = password === SETUP_PASSWORD;
-    }
-    if (!authenticated) {
+  if (isControlUi) {
+    await setupAccountsReady();
+    const auth = sameOrigin(req) ? await authenticateRequest(req) : null;
+    const user = auth?.user;
+    if (!user || !roleAtLeast(user.role, CONTROL_UI_ROLE)) {
       // WebSocket upgrade: can't send proper 401 with WWW-Authenticate,
       // so just close the socket
-      socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      let status = "401 Unauthorized\r\n";
+      if (user) status = "403 Forbidden\r\n";
+      else if (auth?.locked) status = `429 Too Many Requests\r\nRetry-After: ${Math.ceil(auth.retryAfterMs / 1000)}\r\n`;
+      socket.write(`HTTP/1.1 ${status}\r\n`);
       socket.destroy();
       return;
     }
@@ -1380,7 +3618,10 @@ server.on("upgrade", async (req, socket, head) => {
 });
 
 process.on("SIGTERM", () => {
-  // Best-effort shutdown
+  // Best-effort shutdown (the supervisor must not bring the gateway back).
+  shuttingDown = true;
+  cancelScheduledGatewayRestart();
+  if (backupTimer) clearTimeout(backupTimer);
   try {
     if (gatewayProc) gatewayProc.kill("SIGTERM");
   } catch {
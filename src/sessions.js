@@ -0,0 +1,100 @@
+import crypto from "node:crypto";
+
+// Browser sign-in sessions for /setup and the Control UI. The cookie holds a random session id
+// plus an HMAC of it, so a guessed or altered id is rejected before any lookup; the session
+// itself (account, CSRF token, expiry) stays in memory, which means a wrapper restart signs
+// everyone out and logout really ends the session.
+
+export const SESSION_COOKIE = "openclaw_setup_session";
+
+function sign(secret, id) {
+  return crypto.createHmac("sha256", secret).update(id).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+export function parseCookies(header) {
+  const out = {};
+  for (const part of String(header ?? "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name || Object.hasOwn(out, name)) continue;
+    try {
+      out[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      out[name] = part.slice(idx + 1).trim();
+    }
+  }
+  return out;
+}
+
+// A Set-Cookie value. maxAgeMs 0 deletes the cookie.
+export function serializeCookie(name, value, { maxAgeMs, secure = false, path = "/" } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`, "HttpOnly", "SameSite=Lax"];
+  if (maxAgeMs !== undefined) parts.push(`Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`);
+  if (secure) parts.push("Secure");
+  return parts.join("; ");
+}
+
+export function createSessionStore({ secret, ttlMs, now = Date.now }) {
+  const sessions = new Map();
+
+  function prune() {
+    const t = now();
+    for (const [id, s] of sessions) if (s.expiresAt <= t) sessions.delete(id);
+  }
+
+  // -> { id, cookie (the signed cookie value), username, csrfToken, createdAt, expiresAt }
+  function create(username) {
+    prune();
+    const id = crypto.randomBytes(32).toString("base64url");
+    const createdAt = now();
+    const session = { id, username, csrfToken: crypto.randomBytes(24).toString("base64url"), createdAt, expiresAt: createdAt + ttlMs };
+    sessions.set(id, session);
+    return { ...session, cookie: `${id}.${sign(secret, id)}` };
+  }
+
+  function idFromCookie(value) {
+    const [id, mac] = String(value ?? "").split(".");
+    if (!id || !mac || !safeEqual(mac, sign(secret, id))) return null;
+    return id;
+  }
+
+  // The live session for a cookie value, or null.
+  function get(value) {
+    const id = idFromCookie(value);
+    const session = id ? sessions.get(id) : null;
+    if (!session) return null;
+    if (session.expiresAt <= now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  function destroy(value) {
+    const id = idFromCookie(value);
+    if (id) sessions.delete(id);
+  }
+
+  // Sign an account out everywhere (but `except` this session id), e.g. after a password change.
+  function endForUser(username, { except = null } = {}) {
+    for (const [id, s] of sessions) if (s.username === username && id !== except) sessions.delete(id);
+  }
+
+  function checkCsrf(session, token) {
+    return Boolean(session && token) && safeEqual(token, session.csrfToken);
+  }
+
+  function count() {
+    prune();
+    return sessions.size;
+  }
+
+  return { create, get, destroy, endForUser, checkCsrf, count };
+}
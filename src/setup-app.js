@@ -7,11 +7,36 @@
   var authChoiceEl = document.getElementById('authChoice');
   var logEl = document.getElementById('log');
   var importStatusEl = document.getElementById('importStatus');
+  var importPreviewEl = document.getElementById('importPreview');
 
   function setStatus(s) {
     statusEl.textContent = s;
   }
 
+  // Mutating requests carry the session's CSRF token (from the page's meta tag).
+  var csrfMetaEl = document.querySelector('meta[name="csrf-token"]');
+  var CSRF_TOKEN = csrfMetaEl ? csrfMetaEl.getAttribute('content') : '';
+
+  function withCsrf(opts) {
+    opts = opts || {};
+    opts.credentials = 'same-origin';
+    if (opts.method && opts.method !== 'GET' && CSRF_TOKEN) {
+      opts.headers = opts.headers || {};
+      opts.headers['x-csrf-token'] = CSRF_TOKEN;
+    }
+    return opts;
+  }
+
+  // Plain HTML forms send it as a hidden field.
+  var postForms = document.querySelectorAll('form[method=post]');
+  for (var f = 0; f < postForms.length; f++) {
+    var csrfInput = document.createElement('input');
+    csrfInput.type = 'hidden';
+    csrfInput.name = '_csrf';
+    csrfInput.value = CSRF_TOKEN;
+    postForms[f].appendChild(csrfInput);
+  }
+
   function renderAuth(groups) {
     authGroupEl.innerHTML = '';
     for (var i = 0; i < groups.length; i++) {
@@ -42,9 +67,11 @@
   }
 
   function httpJson(url, opts) {
-    opts = opts || {};
-    opts.credentials = 'same-origin';
-    return fetch(url, opts).then(function (res) {
+    return fetch(url, withCsrf(opts)).then(function (res) {
+      if (res.status === 401) {
+        // Session expired or signed out elsewhere.
+        window.location.href = '/setup/login?next=' + encodeURIComponent('/setup');
+      }
       if (!res.ok) {
         return res.text().then(function (t) {
           throw new Error('HTTP ' + res.status + ': ' + (t || res.statusText));
@@ -60,75 +87,179 @@
       var ver = j.openclawVersion ? (' | ' + j.openclawVersion) : '';
       setStatus((j.configured ? 'Configured - open /openclaw' : 'Not configured - run setup below') + ver);
       renderAuth(j.authGroups || []);
-      // If channels are unsupported, surface it for debugging.
-      if (j.channelsAddHelp && j.channelsAddHelp.indexOf('telegram') === -1) {
-        logEl.textContent += '\nNote: this openclaw build does not list telegram in `channels add --help`. Telegram auto-add will be skipped.\n';
-      }
-
+      renderChannelForms(j.channels || []);
     }).catch(function (e) {
       setStatus('Error: ' + String(e));
     });
   }
 
+  // Channel inputs, generated from the definitions in channels.js. Each input is named after its
+  // config key; list fields take comma- or newline-separated values.
+  function channelFieldInput(field, placeholderSuffix) {
+    var input = document.createElement(field.type === 'list' ? 'textarea' : 'input');
+    if (field.type === 'secret') input.type = 'password';
+    if (field.type === 'list') input.rows = 2;
+    input.name = field.key;
+    input.placeholder = field.placeholder + (placeholderSuffix || '');
+    return input;
+  }
+
+  function channelFormValues(container) {
+    var values = {};
+    var inputs = container.querySelectorAll('input, textarea');
+    for (var i = 0; i < inputs.length; i++) {
+      if (inputs[i].value.trim()) values[inputs[i].name] = inputs[i].value.trim();
+    }
+    return values;
+  }
+
+  var channelFormsEl = document.getElementById('channelForms');
+
+  function renderChannelForms(defs) {
+    // Keep what was typed when the status refreshes.
+    var typed = collectChannelPayload();
+    channelFormsEl.innerHTML = '';
+    for (var i = 0; i < defs.length; i++) {
+      var def = defs[i];
+      var section = document.createElement('div');
+      section.setAttribute('data-channel', def.name);
+      var title = document.createElement('h3');
+      title.textContent = def.label + (def.supported ? ' (optional)' : ' (not supported by this openclaw build)');
+      section.appendChild(title);
+      for (var f = 0; f < def.fields.length; f++) {
+        var label = document.createElement('label');
+        label.textContent = def.fields[f].label;
+        section.appendChild(label);
+        var input = channelFieldInput(def.fields[f]);
+        input.disabled = !def.supported;
+        if (typed[def.name] && typed[def.name][def.fields[f].key]) input.value = typed[def.name][def.fields[f].key];
+        section.appendChild(input);
+      }
+      var help = document.createElement('div');
+      help.className = 'muted';
+      help.style.marginTop = '0.25rem';
+      help.textContent = def.help;
+      section.appendChild(help);
+      channelFormsEl.appendChild(section);
+    }
+  }
+
+  // { <channel>: { <key>: value } } for the channels with anything filled in.
+  function collectChannelPayload() {
+    var out = {};
+    var sections = channelFormsEl.querySelectorAll('[data-channel]');
+    for (var i = 0; i < sections.length; i++) {
+      var values = channelFormValues(sections[i]);
+      for (var k in values) {
+        out[sections[i].getAttribute('data-channel')] = values;
+        break;
+      }
+    }
+    return out;
+  }
+
+  // Onboarding progress: /setup/api/run streams NDJSON events (step / output / summary).
+  var runStepsEl = document.getElementById('runSteps');
+  var runStepEls = {};
+  var STEP_ICONS = { running: '\u23F3', ok: '\u2705', failed: '\u274C', skipped: '\u23ED' };
+
+  function renderStep(ev) {
+    var li = runStepEls[ev.id];
+    if (!li) {
+      li = document.createElement('li');
+      li.style.margin = '0.25rem 0';
+      runStepEls[ev.id] = li;
+      runStepsEl.appendChild(li);
+    }
+    var text = (STEP_ICONS[ev.status] || '') + ' ' + ev.label;
+    if (ev.durationMs != null) text += ' (' + (ev.durationMs / 1000).toFixed(1) + 's)';
+    if (ev.status === 'failed' && ev.code != null) text += ' - exit ' + ev.code;
+    if (ev.status === 'skipped' && ev.reason) text += ' - ' + ev.reason;
+    li.textContent = text;
+  }
+
+  function handleRunEvent(ev) {
+    if (ev.type === 'step') {
+      renderStep(ev);
+    } else if (ev.type === 'output') {
+      logEl.textContent += ev.chunk;
+    } else if (ev.type === 'summary') {
+      logEl.textContent += '\n' + (ev.ok ? 'Setup finished' : 'Setup failed') +
+        ' in ' + (ev.durationMs / 1000).toFixed(1) + 's\n';
+    }
+  }
+
+  // Calls onEvent for every JSON line. Falls back to buffering when the browser
+  // can't stream response bodies, or the server answered with plain JSON.
+  function readNdjson(res, onEvent) {
+    var ctype = res.headers.get('content-type') || '';
+    if (ctype.indexOf('application/x-ndjson') === -1) {
+      return res.text().then(function (text) {
+        var j;
+        try { j = JSON.parse(text); } catch (_e) { j = { ok: false, output: text }; }
+        logEl.textContent += (j.output || JSON.stringify(j, null, 2));
+      });
+    }
+
+    var buffered = '';
+    function feed(text) {
+      buffered += text;
+      var lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (var i = 0; i < lines.length; i++) {
+        if (!lines[i]) continue;
+        try { onEvent(JSON.parse(lines[i])); } catch (_e) {}
+      }
+    }
+
+    if (!res.body || !res.body.getReader || typeof TextDecoder === 'undefined') {
+      return res.text().then(function (text) { feed(text + '\n'); });
+    }
+
+    var reader = res.body.getReader();
+    var decoder = new TextDecoder();
+    function pump() {
+      return reader.read().then(function (r) {
+        if (r.done) {
+          feed(decoder.decode() + '\n');
+          return;
+        }
+        feed(decoder.decode(r.value, { stream: true }));
+        return pump();
+      });
+    }
+    return pump();
+  }
+
   document.getElementById('run').onclick = function () {
     var payload = {
       flow: document.getElementById('flow').value,
       authChoice: authChoiceEl.value,
       authSecret: document.getElementById('authSecret').value,
-      telegramToken: document.getElementById('telegramToken').value,
-      discordToken: document.getElementById('discordToken').value,
-      slackBotToken: document.getElementById('slackBotToken').value,
-      slackAppToken: document.getElementById('slackAppToken').value
+      channels: collectChannelPayload()
     };
 
     logEl.textContent = 'Running...\n';
+    runStepsEl.innerHTML = '';
+    runStepEls = {};
 
-    fetch('/setup/api/run', {
+    fetch('/setup/api/run', withCsrf({
       method: 'POST',
-      credentials: 'same-origin',
-      headers: { 'content-type': 'application/json' },
+      headers: { 'content-type': 'application/json', accept: 'application/x-ndjson' },
       body: JSON.stringify(payload)
-    }).then(function (res) {
-      return res.text();
-    }).then(function (text) {
-      var j;
-      try { j = JSON.parse(text); } catch (_e) { j = { ok: false, output: text }; }
-      logEl.textContent += (j.output || JSON.stringify(j, null, 2));
+    })).then(function (res) {
+      return readNdjson(res, handleRunEvent);
+    }).then(function () {
       return refreshStatus();
     }).catch(function (e) {
       logEl.textContent += '\nError: ' + String(e) + '\n';
     });
   };
 
-  // Pairing approve helper
-  var pairingBtn = document.getElementById('pairingApprove');
-  if (pairingBtn) {
-    pairingBtn.onclick = function () {
-      var channel = prompt('Enter channel (telegram or discord):');
-      if (!channel) return;
-      channel = channel.trim().toLowerCase();
-      if (channel !== 'telegram' && channel !== 'discord') {
-        alert('Channel must be "telegram" or "discord"');
-        return;
-      }
-      var code = prompt('Enter pairing code (e.g. 3EY4PUYS):');
-      if (!code) return;
-      logEl.textContent += '\nApproving pairing for ' + channel + '...\n';
-      fetch('/setup/api/pairing/approve', {
-        method: 'POST',
-        credentials: 'same-origin',
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ channel: channel, code: code.trim() })
-      }).then(function (r) { return r.text(); })
-        .then(function (t) { logEl.textContent += t + '\n'; })
-        .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
-    };
-  }
-
   document.getElementById('reset').onclick = function () {
     if (!confirm('Reset setup? This deletes the config file so onboarding can run again.')) return;
     logEl.textContent = 'Resetting...\n';
-    fetch('/setup/api/reset', { method: 'POST', credentials: 'same-origin' })
+    fetch('/setup/api/reset', withCsrf({ method: 'POST' }))
       .then(function (res) { return res.text(); })
       .then(function (t) { logEl.textContent += t + '\n'; return refreshStatus(); })
       .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
@@ -145,44 +276,1483 @@
         return;
       }
 
-      if (!file.name.endsWith('.tar.gz') && !file.name.endsWith('.tgz')) {
-        importStatusEl.textContent = 'Error: File must be a .tar.gz or .tgz archive.';
+      if (!file.name.endsWith('.tar.gz') && !file.name.endsWith('.tgz') && !file.name.endsWith('.tar.gz.enc')) {
+        importStatusEl.textContent = 'Error: File must be a .tar.gz, .tgz or .tar.gz.enc archive.';
+        return;
+      }
+
+      importPreviewEl.innerHTML = '';
+      importBtn.disabled = true;
+
+      var passphraseEl = document.getElementById('importPassphrase');
+      var passphrase = passphraseEl ? passphraseEl.value : '';
+
+      var preview;
+      if (window.crypto && window.crypto.subtle && window.FileReader) {
+        preview = uploadInChunks(file, function (done, total) {
+          importStatusEl.textContent = 'Uploading... ' + Math.floor((done / total) * 100) + '% (' + done + '/' + total + ' chunks)';
+        }).then(function (upload) {
+          importStatusEl.textContent = 'Checking backup...';
+          return fetch('/setup/import/preview', withCsrf({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ uploadId: upload.id, passphrase: passphrase })
+          }));
+        });
+      } else {
+        // No WebCrypto (plain http on a non-localhost address): single request, no resume.
+        importStatusEl.textContent = 'Uploading and checking backup... (this may take a moment)';
+        var formData = new FormData();
+        // Text fields go first so the server has them when the file part arrives.
+        if (passphrase) formData.append('passphrase', passphrase);
+        formData.append('backup', file);
+        preview = fetch('/setup/import/preview', withCsrf({
+          method: 'POST',
+          body: formData
+        }));
+      }
+
+      preview.then(function (res) {
+        return res.json();
+      }).then(function (j) {
+        if (!j.ok) {
+          importStatusEl.innerHTML = '<strong style="color:red">Import failed:</strong> ' + escapeHtml(j.error || 'Unknown error');
+          return;
+        }
+        forgetUpload(file);
+        importStatusEl.textContent = 'Review the changes below, then apply or discard.';
+        renderImportPreview(j);
+      }).catch(function (e) {
+        importStatusEl.innerHTML = '<strong style="color:red">Import error:</strong> ' + escapeHtml(String(e));
+      }).finally(function () {
+        importBtn.disabled = false;
+      });
+    };
+  }
+
+  // Chunked, resumable upload: every chunk is sent with its SHA-256 and retried on failure.
+  // The upload id is remembered per file, so picking the same file again resumes it.
+  var UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+
+  function uploadKey(file) {
+    return 'openclaw-upload:' + file.name + ':' + file.size + ':' + file.lastModified;
+  }
+
+  function forgetUpload(file) {
+    try { localStorage.removeItem(uploadKey(file)); } catch (e) {}
+  }
+
+  function readSlice(blob) {
+    return new Promise(function (resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function () { resolve(reader.result); };
+      reader.onerror = function () { reject(reader.error); };
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  function sha256Hex(buf) {
+    return window.crypto.subtle.digest('SHA-256', buf).then(function (digest) {
+      var bytes = new Uint8Array(digest);
+      var out = '';
+      for (var i = 0; i < bytes.length; i++) out += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+      return out;
+    });
+  }
+
+  function putChunk(id, index, buf, sha, attempt) {
+    return fetch('/setup/api/uploads/' + encodeURIComponent(id) + '/chunks/' + index, withCsrf({
+      method: 'PUT',
+      headers: { 'content-type': 'application/octet-stream', 'x-chunk-sha256': sha },
+      body: buf
+    })).then(function (res) {
+      if (res.ok) return;
+      return res.text().then(function (t) {
+        var err = new Error('HTTP ' + res.status + ': ' + t);
+        err.fatal = res.status === 404 || res.status === 413 || res.status === 507;
+        throw err;
+      });
+    }).catch(function (e) {
+      if (e.fatal || attempt >= 5) throw e;
+      return new Promise(function (resolve) { setTimeout(resolve, 1000 * Math.pow(2, attempt)); })
+        .then(function () { return putChunk(id, index, buf, sha, attempt + 1); });
+    });
+  }
+
+  function uploadInChunks(file, onProgress) {
+    var key = uploadKey(file);
+    var savedId = null;
+    try { savedId = localStorage.getItem(key); } catch (e) {}
+
+    var existing = savedId
+      ? httpJson('/setup/api/uploads/' + encodeURIComponent(savedId)).then(function (j) { return j.upload; }).catch(function () { return null; })
+      : Promise.resolve(null);
+
+    return existing.then(function (upload) {
+      if (upload && upload.size === file.size) return upload;
+      return httpJson('/setup/api/uploads', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ fileName: file.name, size: file.size, chunkSize: UPLOAD_CHUNK_SIZE })
+      }).then(function (j) {
+        try { localStorage.setItem(key, j.upload.id); } catch (e) {}
+        return j.upload;
+      });
+    }).then(function (upload) {
+      var received = {};
+      for (var i = 0; i < upload.received.length; i++) received[upload.received[i]] = true;
+      var count = upload.received.length;
+      var index = 0;
+
+      function next() {
+        while (index < upload.chunks && received[index]) index++;
+        if (index >= upload.chunks) {
+          return httpJson('/setup/api/uploads/' + encodeURIComponent(upload.id) + '/complete', { method: 'POST' })
+            .then(function (j) { return j.upload; });
+        }
+        var chunk = index++;
+        var start = chunk * upload.chunkSize;
+        return readSlice(file.slice(start, Math.min(file.size, start + upload.chunkSize))).then(function (buf) {
+          return sha256Hex(buf).then(function (sha) { return putChunk(upload.id, chunk, buf, sha, 0); });
+        }).then(function () {
+          count++;
+          onProgress(count, upload.chunks);
+          return next();
+        });
+      }
+
+      onProgress(count, upload.chunks);
+      return next();
+    });
+  }
+
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+
+  function formatValue(v) {
+    return v === undefined ? '' : escapeHtml(JSON.stringify(v));
+  }
+
+  function previewList(title, items, render) {
+    if (!items || !items.length) return '';
+    var html = '<div><strong>' + escapeHtml(title) + '</strong><ul style="margin:0.25rem 0">';
+    for (var i = 0; i < items.length && i < 50; i++) html += '<li><code>' + render(items[i]) + '</code></li>';
+    if (items.length > 50) html += '<li>... ' + (items.length - 50) + ' more</li>';
+    return html + '</ul></div>';
+  }
+
+  function renderImportPreview(j) {
+    var m = j.manifest;
+    var html = '<p>Backup <code>' + escapeHtml(j.file) + '</code> contains <code>' + escapeHtml(m.stateVariant) + '</code> (' +
+      m.state.files + ' files, ' + formatBytes(m.state.bytes) + ')';
+    if (m.workspace) html += ' and a workspace (' + m.workspace.files + ' files, ' + formatBytes(m.workspace.bytes) + ')';
+    html += '.</p>';
+    if (m.archive) {
+      html += '<p class="muted">Exported ' + escapeHtml(new Date(m.archive.createdAt).toLocaleString()) +
+        ' (' + escapeHtml(m.archive.scope) + ' backup' +
+        (m.archive.openclaw && m.archive.openclaw.version ? ', OpenClaw ' + escapeHtml(m.archive.openclaw.version) : '') +
+        '); all file checksums verified.' +
+        (m.archive.scope !== 'full' ? ' Anything the backup does not contain is kept from the current install.' : '') + '</p>';
+    }
+
+    var names = function (list) {
+      var out = [];
+      for (var i = 0; i < list.length; i++) out.push(list[i].name + (list[i].enabled ? '' : ' (disabled)'));
+      return out.length ? out.join(', ') : 'none';
+    };
+    html += '<p>Channels: ' + escapeHtml(names(m.channels.incoming)) + ' <span class="muted">(currently ' +
+      escapeHtml(names(m.channels.current)) + ')</span></p>';
+
+    var d = m.config.diff;
+    if (m.config.error) html += '<p style="color:red">' + escapeHtml(m.config.error) + '</p>';
+    if (!d.added.length && !d.removed.length && !d.changed.length) {
+      html += '<p>Config: no differences from the current config.</p>';
+    } else {
+      html += previewList('Config keys added', d.added, function (e) { return escapeHtml(e.path) + ' = ' + formatValue(e.value); });
+      html += previewList('Config keys removed', d.removed, function (e) { return escapeHtml(e.path); });
+      html += previewList('Config keys changed', d.changed, function (e) {
+        return escapeHtml(e.path) + ': ' + formatValue(e.before) + ' \u2192 ' + formatValue(e.after);
+      });
+    }
+
+    var w = m.workspaceFiles;
+    if (w) {
+      html += '<p>Workspace files: ' + w.counts.added + ' added, ' + w.counts.changed + ' changed, ' +
+        w.counts.removed + ' removed, ' + w.counts.unchanged + ' unchanged.</p>';
+      html += previewList('Added', w.added, escapeHtml);
+      html += previewList('Changed', w.changed, escapeHtml);
+      html += previewList('Removed', w.removed, escapeHtml);
+    }
+    html += '<p class="muted">The current state and workspace will be kept as .bak copies.</p>';
+    importPreviewEl.innerHTML = html;
+
+    var apply = document.createElement('button');
+    apply.textContent = 'Apply this backup';
+    var discard = document.createElement('button');
+    discard.textContent = 'Discard';
+    discard.style.background = '#444';
+    discard.style.marginLeft = '0.5rem';
+    importPreviewEl.appendChild(apply);
+    importPreviewEl.appendChild(discard);
+
+    discard.onclick = function () {
+      fetch('/setup/import/preview/' + encodeURIComponent(j.token), withCsrf({ method: 'DELETE' }));
+      importPreviewEl.innerHTML = '';
+      importStatusEl.textContent = 'Import discarded.';
+    };
+
+    apply.onclick = function () {
+      apply.disabled = true;
+      discard.disabled = true;
+      importStatusEl.textContent = 'Applying backup and restarting gateway...';
+      httpJson('/setup/import/confirm', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ token: j.token })
+      }).then(function (r) {
+        importPreviewEl.innerHTML = '';
+        importStatusEl.innerHTML = '<strong style="color:green">Import successful!</strong> ' + escapeHtml(r.message || '');
+        if (r.details) {
+          importStatusEl.innerHTML += '<br>State dir: ' + escapeHtml(r.details.stateDir);
+          importStatusEl.innerHTML += '<br>Previous backup: ' + escapeHtml(r.details.previousBackup);
+        }
+        refreshImportSnapshots();
+        return refreshStatus();
+      }).catch(function (e) {
+        apply.disabled = false;
+        discard.disabled = false;
+        importStatusEl.innerHTML = '<strong style="color:red">Import failed:</strong> ' + escapeHtml(String(e));
+      });
+    };
+  }
+
+  // Jobs: active + recent history, with cancel for anything not finished.
+  var jobsEl = document.getElementById('jobs');
+
+  function jobCell(tr, text) {
+    var td = document.createElement('td');
+    td.style.padding = '0.25rem 0.5rem 0.25rem 0';
+    td.style.borderBottom = '1px solid #eee';
+    td.textContent = text;
+    tr.appendChild(td);
+    return td;
+  }
+
+  function cancelJob(id) {
+    return httpJson('/setup/api/jobs/' + encodeURIComponent(id) + '/cancel', { method: 'POST' })
+      .then(refreshJobs)
+      .catch(function (e) { alert('Cancel failed: ' + String(e)); });
+  }
+
+  function refreshJobs() {
+    if (!jobsEl) return;
+    return httpJson('/setup/api/jobs?limit=20').then(function (j) {
+      var rows = (j.active || []).concat(j.history || []);
+      jobsEl.innerHTML = '';
+      if (!rows.length) {
+        jobsEl.textContent = 'No jobs yet.';
+        return;
+      }
+      for (var i = 0; i < rows.length; i++) {
+        var job = rows[i];
+        var tr = document.createElement('tr');
+        jobCell(tr, new Date(job.createdAt).toLocaleString());
+        jobCell(tr, job.kind);
+        jobCell(tr, job.status + (job.error ? ' - ' + job.error : ''));
+        jobCell(tr, job.durationMs != null ? (job.durationMs / 1000).toFixed(1) + 's' : '');
+        var actions = jobCell(tr, '');
+        if (job.status === 'queued' || job.status === 'running') {
+          var btn = document.createElement('button');
+          btn.textContent = 'Cancel';
+          btn.style.padding = '0.3rem 0.6rem';
+          btn.onclick = (function (id) { return function () { cancelJob(id); }; })(job.id);
+          actions.appendChild(btn);
+        }
+        jobsEl.appendChild(tr);
+      }
+    }).catch(function (e) {
+      jobsEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (jobsEl) {
+    document.getElementById('jobsRefresh').onclick = refreshJobs;
+    document.getElementById('gatewayRestart').onclick = function () {
+      logEl.textContent += '\nRestarting gateway...\n';
+      httpJson('/setup/api/gateway/restart', { method: 'POST' })
+        .then(function (j) { logEl.textContent += 'Gateway ' + j.gateway.state + '\n'; })
+        .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; })
+        .then(refreshJobs);
+    };
+    refreshJobs();
+  }
+
+  // Stored backups: list, create, download, restore, delete.
+  var backupsEl = document.getElementById('backups');
+  var backupsInfoEl = document.getElementById('backupsInfo');
+  var backupsStatusEl = document.getElementById('backupsStatus');
+
+  function formatBytes(n) {
+    if (n < 1024) return n + ' B';
+    if (n < 1024 * 1024) return (n / 1024).toFixed(1) + ' KB';
+    return (n / 1024 / 1024).toFixed(1) + ' MB';
+  }
+
+  function backupAction(label, fn) {
+    var btn = document.createElement('button');
+    btn.textContent = label;
+    btn.style.padding = '0.3rem 0.6rem';
+    btn.style.marginRight = '0.25rem';
+    btn.onclick = fn;
+    return btn;
+  }
+
+  function restoreBackup(name) {
+    if (!confirm('Restore ' + name + '? This replaces your current config and workspace (the current state is kept as a .bak copy).')) return;
+    backupsStatusEl.textContent = 'Restoring ' + name + '...';
+    httpJson('/setup/api/backups/' + encodeURIComponent(name) + '/restore', { method: 'POST' })
+      .then(function (j) { backupsStatusEl.textContent = j.message || 'Restored.'; return refreshStatus(); })
+      .catch(function (e) { backupsStatusEl.textContent = 'Restore failed: ' + String(e); });
+  }
+
+  function deleteBackup(name) {
+    if (!confirm('Delete ' + name + '?')) return;
+    httpJson('/setup/api/backups/' + encodeURIComponent(name), { method: 'DELETE' })
+      .then(refreshBackups)
+      .catch(function (e) { backupsStatusEl.textContent = 'Delete failed: ' + String(e); });
+  }
+
+  function pushBackupOffsite(name) {
+    backupsStatusEl.textContent = 'Pushing ' + name + ' off-site...';
+    httpJson('/setup/api/backups/' + encodeURIComponent(name) + '/offsite', { method: 'POST' })
+      .then(function (j) { backupsStatusEl.textContent = 'Uploaded ' + j.key; return refreshOffsite(); })
+      .catch(function (e) { backupsStatusEl.textContent = 'Off-site push failed: ' + String(e); });
+  }
+
+  function refreshBackups() {
+    if (!backupsEl) return;
+    return httpJson('/setup/api/backups').then(function (j) {
+      var sch = j.schedule || {};
+      backupsInfoEl.textContent = 'Stored in ' + j.dir + '. ' +
+        (sch.intervalHours ? 'Automatic every ' + sch.intervalHours + 'h' +
+          (sch.nextAt ? ' (next ' + new Date(sch.nextAt).toLocaleString() + ')' : '') : 'Automatic backups disabled') +
+        '; keeping ' + (sch.keep || 'all') + (sch.maxAgeDays ? ', up to ' + sch.maxAgeDays + ' days' : '') + '.';
+      backupsEl.innerHTML = '';
+      var list = j.backups || [];
+      if (!list.length) {
+        backupsEl.textContent = 'No stored backups yet.';
+        return;
+      }
+      for (var i = 0; i < list.length; i++) {
+        var b = list[i];
+        var tr = document.createElement('tr');
+        jobCell(tr, new Date(b.createdAt).toLocaleString());
+        jobCell(tr, b.reason || '');
+        jobCell(tr, formatBytes(b.size));
+        var actions = jobCell(tr, '');
+        var link = document.createElement('a');
+        link.href = '/setup/api/backups/' + encodeURIComponent(b.name);
+        link.textContent = 'Download';
+        link.style.marginRight = '0.5rem';
+        actions.appendChild(link);
+        actions.appendChild(backupAction('Restore', (function (n) { return function () { restoreBackup(n); }; })(b.name)));
+        if (j.offsite) {
+          actions.appendChild(backupAction('Push off-site', (function (n) { return function () { pushBackupOffsite(n); }; })(b.name)));
+        }
+        actions.appendChild(backupAction('Delete', (function (n) { return function () { deleteBackup(n); }; })(b.name)));
+        backupsEl.appendChild(tr);
+      }
+    }).catch(function (e) {
+      backupsEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (backupsEl) {
+    document.getElementById('backupCreate').onclick = function () {
+      backupsStatusEl.textContent = 'Creating backup...';
+      httpJson('/setup/api/backups', { method: 'POST' })
+        .then(function (j) {
+          backupsStatusEl.textContent = 'Created ' + j.name + (!j.offsite ? '' : j.offsite.ok
+            ? ', copied off-site.' : ' (off-site copy failed: ' + j.offsite.error + ')');
+          refreshOffsite();
+          return refreshBackups();
+        })
+        .catch(function (e) { backupsStatusEl.textContent = 'Backup failed: ' + String(e); });
+    };
+    refreshBackups();
+  }
+
+  // Incremental snapshots: list, take, download, restore (through the import preview), delete, gc.
+  var backupRepoEl = document.getElementById('backupRepo');
+  var backupRepoInfoEl = document.getElementById('backupRepoInfo');
+  var backupRepoStatusEl = document.getElementById('backupRepoStatus');
+
+  function previewImportOf(source, label) {
+    var passphraseEl = document.getElementById('importPassphrase');
+    source.passphrase = passphraseEl ? passphraseEl.value : '';
+    importPreviewEl.innerHTML = '';
+    importStatusEl.textContent = 'Preparing ' + label + ' and checking it...';
+    importStatusEl.scrollIntoView();
+    httpJson('/setup/import/preview', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(source)
+    }).then(function (j) {
+      importStatusEl.textContent = 'Review the changes below, then apply or discard.';
+      renderImportPreview(j);
+    }).catch(function (e) {
+      importStatusEl.innerHTML = '<strong style="color:red">Import failed:</strong> ' + escapeHtml(String(e));
+    });
+  }
+
+  function deleteRepoSnapshot(id) {
+    if (!confirm('Delete snapshot ' + id + '? Chunks no other snapshot uses are freed.')) return;
+    httpJson('/setup/api/backup-repo/snapshots/' + encodeURIComponent(id), { method: 'DELETE' })
+      .then(function (j) {
+        backupRepoStatusEl.textContent = 'Deleted; freed ' + formatBytes(j.gc.freedBytes) + '.';
+        return refreshBackupRepo();
+      })
+      .catch(function (e) { backupRepoStatusEl.textContent = 'Delete failed: ' + String(e); });
+  }
+
+  function refreshBackupRepo() {
+    if (!backupRepoEl) return;
+    return httpJson('/setup/api/backup-repo').then(function (j) {
+      var list = j.snapshots || [];
+      var total = 0;
+      for (var k = 0; k < list.length; k++) total += list[k].bytes || 0;
+      backupRepoInfoEl.textContent = 'Stored in ' + j.target + ': ' + list.length + ' snapshot(s) of ' +
+        formatBytes(total) + ' in total take ' + formatBytes(j.stats.storedBytes) + '. ' +
+        (j.mode === 'incremental' ? 'Scheduled backups are incremental.' : 'Scheduled backups are full archives (OPENCLAW_BACKUP_MODE=archive).');
+      backupRepoEl.innerHTML = '';
+      if (!list.length) {
+        backupRepoEl.textContent = 'No snapshots yet.';
         return;
       }
+      for (var i = 0; i < list.length; i++) {
+        var s = list[i];
+        var tr = document.createElement('tr');
+        jobCell(tr, s.unreadable ? s.id : new Date(s.createdAt).toLocaleString());
+        jobCell(tr, s.unreadable ? 'unreadable' : (s.reason || ''));
+        jobCell(tr, s.unreadable ? '' : s.files + ' files, ' + formatBytes(s.bytes));
+        var actions = jobCell(tr, '');
+        if (!s.unreadable) {
+          var link = document.createElement('a');
+          link.href = '/setup/api/backup-repo/snapshots/' + encodeURIComponent(s.id) + '/download';
+          link.textContent = 'Download';
+          link.style.marginRight = '0.5rem';
+          actions.appendChild(link);
+          actions.appendChild(backupAction('Restore', (function (id) {
+            return function () { previewImportOf({ repoSnapshot: id }, 'snapshot ' + id); };
+          })(s.id)));
+        }
+        actions.appendChild(backupAction('Delete', (function (id) { return function () { deleteRepoSnapshot(id); }; })(s.id)));
+        backupRepoEl.appendChild(tr);
+      }
+    }).catch(function (e) {
+      backupRepoEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (backupRepoEl) {
+    document.getElementById('backupRepoCreate').onclick = function () {
+      backupRepoStatusEl.textContent = 'Taking snapshot...';
+      httpJson('/setup/api/backup-repo/snapshots', { method: 'POST' })
+        .then(function (j) {
+          backupRepoStatusEl.textContent = 'Snapshot ' + j.snapshot.id + ': ' + j.snapshot.newChunks +
+            ' new chunk(s), ' + formatBytes(j.snapshot.newBytes) + ' added.';
+          return refreshBackupRepo();
+        })
+        .catch(function (e) { backupRepoStatusEl.textContent = 'Snapshot failed: ' + String(e); });
+    };
+    document.getElementById('backupRepoGc').onclick = function () {
+      backupRepoStatusEl.textContent = 'Collecting garbage...';
+      httpJson('/setup/api/backup-repo/gc', { method: 'POST' })
+        .then(function (j) {
+          backupRepoStatusEl.textContent = 'Removed ' + j.removedChunks + ' unused chunk(s), freed ' + formatBytes(j.freedBytes) + '.';
+          return refreshBackupRepo();
+        })
+        .catch(function (e) { backupRepoStatusEl.textContent = 'Garbage collection failed: ' + String(e); });
+    };
+    refreshBackupRepo();
+  }
+
+  // Off-site backups: list, restore (through the import preview above), delete.
+  var offsiteEl = document.getElementById('offsite');
+  var offsiteInfoEl = document.getElementById('offsiteInfo');
+  var offsiteStatusEl = document.getElementById('offsiteStatus');
 
-      if (!confirm('Import backup? This will replace your current config and workspace with the backup contents.')) {
+  function previewOffsite(name) {
+    previewImportOf({ offsite: name }, name);
+  }
+
+  function deleteOffsite(name) {
+    if (!confirm('Delete ' + name + ' from the bucket?')) return;
+    httpJson('/setup/api/offsite/' + encodeURIComponent(name), { method: 'DELETE' })
+      .then(refreshOffsite)
+      .catch(function (e) { offsiteStatusEl.textContent = 'Delete failed: ' + String(e); });
+  }
+
+  function refreshOffsite() {
+    if (!offsiteEl) return;
+    return httpJson('/setup/api/offsite').then(function (j) {
+      offsiteEl.innerHTML = '';
+      if (!j.configured) return;
+      var t = j.target;
+      offsiteInfoEl.textContent = 'Bucket ' + t.bucket + ' at ' + t.endpoint + (t.prefix ? ', under ' + t.prefix : '') +
+        '. Every stored backup is copied here' + (t.encrypted ? ', encrypted' : '') + '.';
+      var list = j.backups || [];
+      if (!list.length) {
+        offsiteEl.textContent = 'No off-site backups yet.';
         return;
       }
+      for (var i = 0; i < list.length; i++) {
+        var b = list[i];
+        var tr = document.createElement('tr');
+        jobCell(tr, new Date(b.createdAt).toLocaleString());
+        jobCell(tr, (b.reason || '') + (b.encrypted ? ' (encrypted)' : ''));
+        jobCell(tr, formatBytes(b.size));
+        var actions = jobCell(tr, '');
+        actions.appendChild(backupAction('Restore', (function (n) { return function () { previewOffsite(n); }; })(b.name)));
+        actions.appendChild(backupAction('Delete', (function (n) { return function () { deleteOffsite(n); }; })(b.name)));
+        offsiteEl.appendChild(tr);
+      }
+    }).catch(function (e) {
+      offsiteEl.textContent = 'Error: ' + String(e);
+    });
+  }
 
-      importStatusEl.textContent = 'Uploading and importing... (this may take a moment)';
-      importBtn.disabled = true;
+  if (offsiteEl) {
+    document.getElementById('offsiteRefresh').onclick = refreshOffsite;
+    refreshOffsite();
+  }
+
+  // Pre-import snapshots: list, roll back, delete, prune.
+  var importSnapshotsEl = document.getElementById('importSnapshots');
+  var importSnapshotsInfoEl = document.getElementById('importSnapshotsInfo');
+  var importSnapshotsStatusEl = document.getElementById('importSnapshotsStatus');
+
+  function rollbackSnapshot(id) {
+    if (!confirm('Roll back to the state from ' + new Date(snapshotTimes[id]).toLocaleString() + '? The current state is kept as a new snapshot.')) return;
+    importSnapshotsStatusEl.textContent = 'Rolling back...';
+    httpJson('/setup/api/import-snapshots/' + encodeURIComponent(id) + '/rollback', { method: 'POST' })
+      .then(function (j) {
+        importSnapshotsStatusEl.textContent = j.message || 'Rolled back.';
+        return refreshStatus();
+      })
+      .then(refreshImportSnapshots)
+      .catch(function (e) { importSnapshotsStatusEl.textContent = 'Rollback failed: ' + String(e); });
+  }
+
+  function deleteSnapshot(id) {
+    if (!confirm('Delete this snapshot? It cannot be recovered.')) return;
+    httpJson('/setup/api/import-snapshots/' + encodeURIComponent(id), { method: 'DELETE' })
+      .then(refreshImportSnapshots)
+      .catch(function (e) { importSnapshotsStatusEl.textContent = 'Delete failed: ' + String(e); });
+  }
+
+  function snapshotPart(part) {
+    return part ? part.files + ' files, ' + formatBytes(part.bytes) : '-';
+  }
+
+  var snapshotTimes = {};
+  var snapshotKeep = 0;
 
-      var formData = new FormData();
-      formData.append('backup', file);
+  function refreshImportSnapshots() {
+    if (!importSnapshotsEl) return;
+    return httpJson('/setup/api/import-snapshots').then(function (j) {
+      snapshotKeep = j.keep;
+      importSnapshotsInfoEl.textContent = 'Every import keeps the state it replaced as a .bak-* snapshot. ' +
+        (j.keep ? 'The newest ' + j.keep + ' are kept.' : 'All snapshots are kept.');
+      importSnapshotsEl.innerHTML = '';
+      var list = j.snapshots || [];
+      if (!list.length) {
+        importSnapshotsEl.textContent = 'No pre-import snapshots.';
+        return;
+      }
+      var head = document.createElement('tr');
+      jobCell(head, 'Taken');
+      jobCell(head, 'State');
+      jobCell(head, 'Workspace');
+      jobCell(head, '');
+      importSnapshotsEl.appendChild(head);
+      for (var i = 0; i < list.length; i++) {
+        var s = list[i];
+        snapshotTimes[s.id] = s.createdAt;
+        var tr = document.createElement('tr');
+        jobCell(tr, new Date(s.createdAt).toLocaleString());
+        jobCell(tr, snapshotPart(s.state));
+        jobCell(tr, snapshotPart(s.workspace));
+        var actions = jobCell(tr, '');
+        actions.appendChild(backupAction('Roll back', (function (id) { return function () { rollbackSnapshot(id); }; })(s.id)));
+        actions.appendChild(backupAction('Delete', (function (id) { return function () { deleteSnapshot(id); }; })(s.id)));
+        importSnapshotsEl.appendChild(tr);
+      }
+    }).catch(function (e) {
+      importSnapshotsEl.textContent = 'Error: ' + String(e);
+    });
+  }
 
-      fetch('/setup/import', {
+  if (importSnapshotsEl) {
+    document.getElementById('importSnapshotsPrune').onclick = function () {
+      var keep = prompt('How many of the newest snapshots should be kept?', String(snapshotKeep || 1));
+      if (keep === null) return;
+      httpJson('/setup/api/import-snapshots/prune', {
         method: 'POST',
-        credentials: 'same-origin',
-        body: formData
-      }).then(function (res) {
-        return res.json();
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ keep: keep })
+      }).then(function (j) {
+        importSnapshotsStatusEl.textContent = 'Pruned ' + j.pruned.length + ' snapshot(s).';
+        return refreshImportSnapshots();
+      }).catch(function (e) { importSnapshotsStatusEl.textContent = 'Prune failed: ' + String(e); });
+    };
+    refreshImportSnapshots();
+  }
+
+  // Gateway log viewer
+  var gatewayLogsEl = document.getElementById('gatewayLogs');
+  var logLevelEl = document.getElementById('logLevel');
+  var logFilterEl = document.getElementById('logFilter');
+  var logFollowEl = document.getElementById('logFollow');
+  var logSource = null;
+
+  function formatLogLine(e) {
+    return new Date(e.ts).toISOString().slice(11, 19) + ' ' + e.level.toUpperCase() + ' ' + e.text;
+  }
+
+  function logQuery(extra) {
+    var q = '?tail=300' + (extra || '');
+    if (logLevelEl.value) q += '&level=' + encodeURIComponent(logLevelEl.value);
+    if (logFilterEl.value) q += '&q=' + encodeURIComponent(logFilterEl.value);
+    return q;
+  }
+
+  function appendLogLine(e) {
+    var atBottom = gatewayLogsEl.scrollTop + gatewayLogsEl.clientHeight >= gatewayLogsEl.scrollHeight - 20;
+    gatewayLogsEl.textContent += formatLogLine(e) + '\n';
+    if (atBottom) gatewayLogsEl.scrollTop = gatewayLogsEl.scrollHeight;
+  }
+
+  function stopFollow() {
+    if (logSource) logSource.close();
+    logSource = null;
+  }
+
+  function refreshLogs() {
+    stopFollow();
+    gatewayLogsEl.textContent = '';
+    if (logFollowEl.checked) {
+      logSource = new EventSource('/setup/api/logs' + logQuery('&follow=1'));
+      logSource.onmessage = function (ev) {
+        try { appendLogLine(JSON.parse(ev.data)); } catch (_e) {}
+      };
+      return;
+    }
+    httpJson('/setup/api/logs' + logQuery()).then(function (j) {
+      var lines = j.lines || [];
+      for (var i = 0; i < lines.length; i++) appendLogLine(lines[i]);
+      if (!lines.length) gatewayLogsEl.textContent = '(no gateway output yet)';
+    }).catch(function (e) {
+      gatewayLogsEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (gatewayLogsEl) {
+    document.getElementById('logRefresh').onclick = refreshLogs;
+    logFollowEl.onchange = refreshLogs;
+    logLevelEl.onchange = refreshLogs;
+    logFilterEl.onchange = refreshLogs;
+    refreshLogs();
+  }
+
+  // Config editor: a tree of the current config (secrets masked). Edits are collected as
+  // JSON-pointer ops, reviewed as a diff (dry run), then applied against the version loaded.
+  var configTreeEl = document.getElementById('configTree');
+  var configStatusEl = document.getElementById('configStatus');
+  var configDiffEl = document.getElementById('configDiff');
+  var configApplyEl = document.getElementById('configApply');
+  var configVersion = null;
+  var configLocked = [];
+  var configOps = [];
+
+  function configPointer(tokens) {
+    var out = '';
+    for (var i = 0; i < tokens.length; i++) out += '/' + String(tokens[i]).replace(/~/g, '~0').replace(/\//g, '~1');
+    return out;
+  }
+
+  // 'locked' for wrapper-managed keys, 'contains' for their parents, '' otherwise.
+  function configLockState(pointer) {
+    for (var i = 0; i < configLocked.length; i++) {
+      if (configLocked[i] === pointer) return 'locked';
+      if (configLocked[i].indexOf(pointer + '/') === 0) return 'contains';
+    }
+    return '';
+  }
+
+  function recordConfigOp(op) {
+    var kept = [];
+    for (var i = 0; i < configOps.length; i++) {
+      if (configOps[i].path !== op.path) kept.push(configOps[i]);
+    }
+    if (op.op) kept.push(op);
+    configOps = kept;
+    configApplyEl.disabled = true;
+    configDiffEl.innerHTML = '';
+    configStatusEl.textContent = configOps.length + ' pending change(s). Review them before applying.';
+  }
+
+  function configLeafInput(value, pointer, locked) {
+    var input = document.createElement('input');
+    input.style.width = '60%';
+    input.style.marginLeft = '0.5rem';
+    input.disabled = locked;
+    if (typeof value === 'boolean') {
+      input.type = 'checkbox';
+      input.style.width = 'auto';
+      input.checked = value;
+    } else if (value === '[REDACTED]') {
+      input.type = 'password';
+      input.placeholder = 'secret (unchanged)';
+    } else {
+      input.value = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    input.onchange = function () {
+      var v;
+      if (input.type === 'checkbox') v = input.checked;
+      else if (value === '[REDACTED]') {
+        // Leaving a secret empty keeps the current one.
+        return recordConfigOp(input.value ? { op: 'set', path: pointer, value: input.value } : { path: pointer });
+      } else if (typeof value === 'string') v = input.value;
+      else {
+        try { v = JSON.parse(input.value); } catch (_e) {
+          configStatusEl.textContent = pointer + ': not valid JSON';
+          return;
+        }
+      }
+      recordConfigOp({ op: 'set', path: pointer, value: v });
+    };
+    return input;
+  }
+
+  function configButton(label, fn) {
+    var btn = backupAction(label, fn);
+    btn.style.marginLeft = '0.5rem';
+    btn.style.padding = '0.1rem 0.4rem';
+    btn.style.fontSize = '12px';
+    return btn;
+  }
+
+  function renderConfigNode(parentEl, key, value, tokens) {
+    var pointer = configPointer(tokens);
+    var lock = configLockState(pointer);
+    var row;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      row = document.createElement('details');
+      row.open = tokens.length === 0;
+      var summary = document.createElement('summary');
+      summary.textContent = key;
+      row.appendChild(summary);
+      var body = document.createElement('div');
+      body.style.paddingLeft = '1rem';
+      var keys = Object.keys(value);
+      for (var i = 0; i < keys.length; i++) renderConfigNode(body, keys[i], value[keys[i]], tokens.concat([keys[i]]));
+      summary.appendChild(configButton('+ key', function (ev) {
+        ev.preventDefault();
+        var name = prompt('New key under ' + (pointer || 'the config root') + ':');
+        if (!name) return;
+        var raw = prompt('Value for ' + name + ' (JSON, e.g. true, 42, "text", {}):');
+        if (raw === null) return;
+        try {
+          recordConfigOp({ op: 'set', path: configPointer(tokens.concat([name])), value: JSON.parse(raw) });
+          configStatusEl.textContent += ' Added ' + name + '.';
+        } catch (_e) {
+          configStatusEl.textContent = 'Not valid JSON: ' + raw;
+        }
+      }));
+    } else {
+      row = document.createElement('div');
+      row.style.margin = '0.2rem 0';
+      var label = document.createElement('code');
+      label.textContent = key;
+      row.appendChild(label);
+      row.appendChild(configLeafInput(value, pointer, lock === 'locked'));
+    }
+    if (tokens.length && !lock) {
+      var target = row.tagName === 'DETAILS' ? row.firstChild : row;
+      target.appendChild(configButton('remove', function (ev) {
+        ev.preventDefault();
+        row.style.opacity = '0.4';
+        recordConfigOp({ op: 'remove', path: pointer });
+      }));
+    }
+    if (lock === 'locked') row.title = 'Managed by the wrapper';
+    parentEl.appendChild(row);
+  }
+
+  function loadConfigEditor() {
+    return httpJson('/setup/api/config').then(function (j) {
+      configVersion = j.version;
+      configLocked = j.locked || [];
+      configOps = [];
+      configApplyEl.disabled = true;
+      configDiffEl.innerHTML = '';
+      configTreeEl.innerHTML = '';
+      renderConfigNode(configTreeEl, j.path, j.config, []);
+      configStatusEl.textContent = 'Loaded. Greyed-out keys are managed by the wrapper.';
+    }).catch(function (e) {
+      configTreeEl.textContent = String(e).indexOf('HTTP 404') >= 0 ? 'No config yet. Run setup first.' : 'Error: ' + String(e);
+    });
+  }
+
+  function patchConfig(extra) {
+    var body = { ops: configOps, baseVersion: configVersion };
+    for (var k in extra) body[k] = extra[k];
+    return httpJson('/setup/api/config', {
+      method: 'PATCH',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  if (configTreeEl) {
+    document.getElementById('configReload').onclick = loadConfigEditor;
+    document.getElementById('configReview').onclick = function () {
+      if (!configOps.length) {
+        configStatusEl.textContent = 'No pending changes.';
+        return;
+      }
+      patchConfig({ dryRun: true }).then(function (j) {
+        var d = j.diff;
+        configDiffEl.innerHTML = !j.changed ? '<p>These edits change nothing.</p>' :
+          previewList('Added', d.added, function (e) { return escapeHtml(e.path) + ' = ' + formatValue(e.value); }) +
+          previewList('Removed', d.removed, function (e) { return escapeHtml(e.path); }) +
+          previewList('Changed', d.changed, function (e) {
+            return escapeHtml(e.path) + ': ' + formatValue(e.before) + ' \u2192 ' + formatValue(e.after);
+          });
+        configApplyEl.disabled = !j.changed;
+        configStatusEl.textContent = j.changed ? 'Review the diff, then apply.' : '';
+      }).catch(function (e) {
+        configStatusEl.textContent = 'Invalid changes: ' + String(e);
+      });
+    };
+    configApplyEl.onclick = function () {
+      configApplyEl.disabled = true;
+      var restart = document.getElementById('configRestart').checked;
+      configStatusEl.textContent = restart ? 'Saving and restarting gateway...' : 'Saving...';
+      patchConfig({ restart: restart }).then(function (j) {
+        if (configHistoryEl) refreshConfigHistory();
+        return loadConfigEditor().then(function () {
+          configStatusEl.textContent = 'Saved.' + (j.restartError ? ' Gateway restart failed: ' + j.restartError
+            : restart ? ' Gateway restarted.' : ' Restart the gateway for it to take effect.');
+        });
+      }).catch(function (e) {
+        configStatusEl.textContent = 'Save failed: ' + String(e);
+      });
+    };
+    loadConfigEditor();
+  }
+
+  // Config history: numbered versions of the config file, a redacted diff between any two
+  // (or against the file on disk), and revert.
+  var configHistoryEl = document.getElementById('configHistory');
+  var configHistoryStatusEl = document.getElementById('configHistoryStatus');
+  var configHistoryDiffEl = document.getElementById('configHistoryDiff');
+  var configHistoryFromEl = document.getElementById('configHistoryFrom');
+  var configHistoryToEl = document.getElementById('configHistoryTo');
+
+  function configVersionOption(selectEl, value, label) {
+    var opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    selectEl.appendChild(opt);
+  }
+
+  function showConfigDiff(from, to) {
+    configHistoryStatusEl.textContent = 'Loading diff...';
+    return httpJson('/setup/api/config/versions/diff?from=' + encodeURIComponent(from) + '&to=' + encodeURIComponent(to))
+      .then(function (j) {
+        var secrets = [];
+        var all = j.changes.added.concat(j.changes.removed, j.changes.changed);
+        for (var i = 0; i < all.length; i++) {
+          if (all[i].value === '[REDACTED]' || all[i].after === '[REDACTED]' || all[i].before === '[REDACTED]') secrets.push(all[i].path);
+        }
+        configHistoryStatusEl.textContent = (j.diff ? '' : 'No differences. ') +
+          (secrets.length ? 'Secrets that differ: ' + secrets.join(', ') : '');
+        configHistoryDiffEl.style.display = j.diff ? 'block' : 'none';
+        configHistoryDiffEl.textContent = j.diff;
+      })
+      .catch(function (e) { configHistoryStatusEl.textContent = 'Diff failed: ' + String(e); });
+  }
+
+  function revertConfig(version) {
+    if (!confirm('Revert the config to version ' + version + ' and restart the gateway?')) return;
+    configHistoryStatusEl.textContent = 'Reverting to version ' + version + '...';
+    httpJson('/setup/api/config/versions/' + version + '/revert', { method: 'POST' })
+      .then(function (j) {
+        configHistoryStatusEl.textContent = 'Reverted to version ' + version + '.' +
+          (j.restartError ? ' Gateway restart failed: ' + j.restartError : ' Gateway restarted.');
+        if (configTreeEl) loadConfigEditor();
+        return refreshConfigHistory();
+      })
+      .catch(function (e) { configHistoryStatusEl.textContent = 'Revert failed: ' + String(e); });
+  }
+
+  function refreshConfigHistory() {
+    return httpJson('/setup/api/config/versions').then(function (j) {
+      var list = j.versions || [];
+      configHistoryEl.innerHTML = '';
+      configHistoryFromEl.innerHTML = '';
+      configHistoryToEl.innerHTML = '';
+      configVersionOption(configHistoryToEl, 'current', 'current file');
+      if (!list.length) {
+        configHistoryEl.textContent = 'No versions recorded yet.';
+        return;
+      }
+      for (var i = 0; i < list.length; i++) {
+        var v = list[i];
+        var tr = document.createElement('tr');
+        jobCell(tr, 'v' + v.version + (v.hash && v.hash === j.current ? ' (current)' : ''));
+        jobCell(tr, new Date(v.createdAt).toLocaleString());
+        jobCell(tr, v.action + (v.note ? ' \u2014 ' + v.note : '') + (v.deleted ? ' (deleted)' : ''));
+        jobCell(tr, v.source === 'watch' ? 'changed on disk' : (v.author || ''));
+        var actions = jobCell(tr, '');
+        if (i + 1 < list.length) {
+          actions.appendChild(backupAction('Diff', (function (a, b) {
+            return function () { showConfigDiff(a, b); };
+          })(list[i + 1].version, v.version)));
+        }
+        if (!v.deleted && v.hash !== j.current) {
+          actions.appendChild(backupAction('Revert', (function (n) { return function () { revertConfig(n); }; })(v.version)));
+        }
+        configHistoryEl.appendChild(tr);
+        configVersionOption(configHistoryFromEl, v.version, 'v' + v.version + ' (' + v.action + ')');
+        configVersionOption(configHistoryToEl, v.version, 'v' + v.version + ' (' + v.action + ')');
+      }
+    }).catch(function (e) {
+      configHistoryEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (configHistoryEl) {
+    document.getElementById('configHistoryRefresh').onclick = refreshConfigHistory;
+    document.getElementById('configHistoryDiffBtn').onclick = function () {
+      if (!configHistoryFromEl.value) return;
+      showConfigDiff(configHistoryFromEl.value, configHistoryToEl.value);
+    };
+    refreshConfigHistory();
+  }
+
+  // Config fixes: the rules in config-rules.js that match the current config, applied after a
+  // diff preview like the config editor.
+  var configRulesEl = document.getElementById('configRules');
+  var configRulesStatusEl = document.getElementById('configRulesStatus');
+  var configRulesDiffEl = document.getElementById('configRulesDiff');
+  var configRulesApplyEl = document.getElementById('configRulesApply');
+
+  function selectedConfigRules() {
+    var ids = [];
+    var boxes = configRulesEl.querySelectorAll('input[type=checkbox]');
+    for (var i = 0; i < boxes.length; i++) {
+      if (boxes[i].checked) ids.push(boxes[i].value);
+    }
+    return ids;
+  }
+
+  function postConfigRules(extra) {
+    var body = { ids: selectedConfigRules() };
+    for (var k in extra) body[k] = extra[k];
+    return httpJson('/setup/api/config/rules/apply', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  function refreshConfigRules() {
+    configRulesApplyEl.disabled = true;
+    configRulesDiffEl.innerHTML = '';
+    return httpJson('/setup/api/config/rules').then(function (j) {
+      var rules = j.rules || [];
+      var matching = 0;
+      configRulesEl.innerHTML = '';
+      for (var i = 0; i < rules.length; i++) {
+        var r = rules[i];
+        if (r.matches) matching++;
+        var tr = document.createElement('tr');
+        var pick = jobCell(tr, '');
+        var box = document.createElement('input');
+        box.type = 'checkbox';
+        box.style.width = 'auto';
+        box.value = r.id;
+        box.checked = r.matches;
+        box.disabled = !r.matches;
+        box.onchange = function () { configRulesApplyEl.disabled = true; };
+        pick.appendChild(box);
+        jobCell(tr, r.description);
+        jobCell(tr, r.matches ? (r.detail || 'matches') : r.applies ? 'not needed' : 'not for OpenClaw ' + j.openclawVersion);
+        configRulesEl.appendChild(tr);
+      }
+      configRulesStatusEl.textContent = matching ? matching + ' fix(es) apply to this config.' : 'No known problems found.';
+    }).catch(function (e) {
+      configRulesEl.textContent = String(e).indexOf('HTTP 404') >= 0 ? 'No config yet. Run setup first.' : 'Error: ' + String(e);
+    });
+  }
+
+  if (configRulesEl) {
+    document.getElementById('configRulesRefresh').onclick = refreshConfigRules;
+    document.getElementById('configRulesPreview').onclick = function () {
+      postConfigRules({ dryRun: true }).then(function (j) {
+        var d = j.diff;
+        configRulesDiffEl.innerHTML = !j.changed ? '<p>Nothing to change.</p>' :
+          previewList('Removed', d.removed, function (e) { return escapeHtml(e.path); }) +
+          previewList('Added', d.added, function (e) { return escapeHtml(e.path) + ' = ' + formatValue(e.value); }) +
+          previewList('Changed', d.changed, function (e) {
+            return escapeHtml(e.path) + ': ' + formatValue(e.before) + ' \u2192 ' + formatValue(e.after);
+          });
+        configRulesApplyEl.disabled = !j.changed;
+      }).catch(function (e) {
+        configRulesStatusEl.textContent = 'Preview failed: ' + String(e);
+      });
+    };
+    configRulesApplyEl.onclick = function () {
+      configRulesApplyEl.disabled = true;
+      var restart = document.getElementById('configRulesRestart').checked;
+      configRulesStatusEl.textContent = 'Applying...';
+      postConfigRules({ restart: restart }).then(function (j) {
+        var names = [];
+        for (var i = 0; i < j.applied.length; i++) names.push(j.applied[i].description);
+        return refreshConfigRules().then(function () {
+          configRulesStatusEl.textContent = (names.length ? 'Applied: ' + names.join('; ') + '.' : 'Nothing to change.') +
+            (j.restartError ? ' Gateway restart failed: ' + j.restartError : '');
+          if (configTreeEl) loadConfigEditor();
+          if (configHistoryEl) refreshConfigHistory();
+        });
+      }).catch(function (e) {
+        configRulesStatusEl.textContent = 'Apply failed: ' + String(e);
+      });
+    };
+    refreshConfigRules();
+  }
+
+  // Channels: list, add/update (the definition's fields only; other settings are kept), disable
+  // and remove.
+  var channelsEl = document.getElementById('channels');
+  var channelsStatusEl = document.getElementById('channelsStatus');
+  var channelsOutEl = document.getElementById('channelsOut');
+  var channelNameEl = document.getElementById('channelName');
+  var channelFieldsEl = document.getElementById('channelFields');
+  var channelDefs = {};
+
+  function renderChannelFields() {
+    var def = channelDefs[channelNameEl.value];
+    channelFieldsEl.innerHTML = '';
+    if (!def) return;
+    for (var i = 0; i < def.fields.length; i++) {
+      var label = document.createElement('label');
+      label.textContent = def.fields[i].label;
+      channelFieldsEl.appendChild(label);
+      channelFieldsEl.appendChild(channelFieldInput(def.fields[i], ' (leave empty to keep the current value)'));
+    }
+    var help = document.createElement('div');
+    help.className = 'muted';
+    help.style.marginTop = '0.25rem';
+    help.textContent = def.help;
+    channelFieldsEl.appendChild(help);
+  }
+
+  function channelChange(label, url, opts) {
+    channelsStatusEl.textContent = label + '...';
+    channelsOutEl.style.display = 'none';
+    return httpJson(url, opts).then(function (j) {
+      channelsStatusEl.textContent = label + ' done.' +
+        (j.doctor.code !== 0 ? ' doctor --fix exited with ' + j.doctor.code + '.' : '') +
+        (j.restartError ? ' Gateway restart failed: ' + j.restartError : ' Gateway restarted.');
+      channelsOutEl.textContent = j.doctor.output || '';
+      channelsOutEl.style.display = j.doctor.output ? 'block' : 'none';
+      if (configTreeEl) loadConfigEditor();
+      if (configHistoryEl) refreshConfigHistory();
+      return refreshChannels();
+    }).catch(function (e) {
+      channelsStatusEl.textContent = label + ' failed: ' + String(e);
+    });
+  }
+
+  function refreshChannels() {
+    return httpJson('/setup/api/channels').then(function (j) {
+      var list = j.channels || [];
+      var defs = j.definitions || [];
+      channelDefs = {};
+      for (var d = 0; d < defs.length; d++) channelDefs[defs[d].name] = defs[d];
+      channelsEl.innerHTML = '';
+      if (!list.length) channelsEl.textContent = 'No channels configured.';
+      for (var i = 0; i < list.length; i++) {
+        var c = list[i];
+        var tr = document.createElement('tr');
+        jobCell(tr, c.name);
+        jobCell(tr, c.enabled ? 'enabled' : 'disabled');
+        var fields = channelDefs[c.name] ? channelDefs[c.name].fields : [];
+        var shown = [];
+        for (var k = 0; k < fields.length; k++) {
+          var v = c.config && c.config[fields[k].key];
+          if (v !== undefined) shown.push(fields[k].label + ': ' + (v instanceof Array ? v.join(', ') : v));
+        }
+        jobCell(tr, shown.join(', '));
+        var actions = jobCell(tr, '');
+        if (c.enabled) {
+          actions.appendChild(backupAction('Disable', (function (n) {
+            return function () { channelChange('Disabling ' + n, '/setup/api/channels/' + encodeURIComponent(n) + '/disable', { method: 'POST' }); };
+          })(c.name)));
+        }
+        actions.appendChild(backupAction('Remove', (function (n) {
+          return function () {
+            if (!confirm('Remove ' + n + ' and its settings from the config?')) return;
+            channelChange('Removing ' + n, '/setup/api/channels/' + encodeURIComponent(n), { method: 'DELETE' });
+          };
+        })(c.name)));
+        channelsEl.appendChild(tr);
+      }
+
+      var selected = channelNameEl.value;
+      channelNameEl.innerHTML = '';
+      for (var s = 0; s < defs.length; s++) {
+        if (!defs[s].supported) continue;
+        var opt = document.createElement('option');
+        opt.value = defs[s].name;
+        opt.textContent = defs[s].label;
+        channelNameEl.appendChild(opt);
+      }
+      if (selected && channelDefs[selected] && channelDefs[selected].supported) channelNameEl.value = selected;
+      renderChannelFields();
+    }).catch(function (e) {
+      channelsEl.textContent = String(e).indexOf('HTTP 404') >= 0 ? 'No config yet. Run setup first.' : 'Error: ' + String(e);
+    });
+  }
+
+  if (channelsEl) {
+    channelNameEl.onchange = renderChannelFields;
+    document.getElementById('channelSave').onclick = function () {
+      var name = channelNameEl.value;
+      if (!name) return;
+      var body = channelFormValues(channelFieldsEl);
+      channelChange('Saving ' + name, '/setup/api/channels/' + encodeURIComponent(name), {
+        method: 'PUT',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    };
+    refreshChannels();
+  }
+
+  // Pairing: pending DM pairing requests and approved senders, per channel.
+  var pairingEl = document.getElementById('pairing');
+  var pairingStatusEl = document.getElementById('pairingStatus');
+
+  function pairingSender(id, meta) {
+    var parts = [];
+    for (var k in meta) parts.push(k + ': ' + meta[k]);
+    return id + (parts.length ? ' (' + parts.join(', ') + ')' : '');
+  }
+
+  function pairingAction(label, verb, path, body) {
+    return backupAction(label, function () {
+      if (verb !== 'Approving' && !confirm(label + ' ' + (body.code || body.id) + ' on ' + body.channel + '?')) return;
+      pairingStatusEl.textContent = verb + ' ' + (body.code || body.id) + '...';
+      httpJson('/setup/api/pairing/' + path, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
       }).then(function (j) {
-        if (j.ok) {
-          importStatusEl.innerHTML = '<strong style="color:green">Import successful!</strong> ' + (j.message || '');
-          if (j.details) {
-            importStatusEl.innerHTML += '<br>State dir: ' + j.details.stateDir;
-            importStatusEl.innerHTML += '<br>Previous backup: ' + j.details.previousBackup;
-          }
+        pairingStatusEl.textContent = 'Done.' + (j.output ? ' ' + j.output : '');
+        return refreshPairing();
+      }).catch(function (e) {
+        pairingStatusEl.textContent = verb + ' failed: ' + String(e);
+      });
+    });
+  }
+
+  function pairingTable(rows) {
+    var table = document.createElement('table');
+    table.style.width = '100%';
+    table.style.borderCollapse = 'collapse';
+    table.style.fontSize = '14px';
+    for (var i = 0; i < rows.length; i++) table.appendChild(rows[i]);
+    return table;
+  }
+
+  function refreshPairing() {
+    return httpJson('/setup/api/pairing').then(function (j) {
+      var channels = j.channels || [];
+      pairingEl.innerHTML = '';
+      if (!channels.length) pairingEl.textContent = 'No channels configured.';
+      for (var i = 0; i < channels.length; i++) {
+        var c = channels[i];
+        var title = document.createElement('h3');
+        title.textContent = c.name + (c.dmPolicy ? ' (dmPolicy: ' + c.dmPolicy + ')' : '') + (c.configured ? '' : ' (not configured)');
+        pairingEl.appendChild(title);
+
+        var rows = [];
+        for (var p = 0; p < c.pending.length; p++) {
+          var r = c.pending[p];
+          var tr = document.createElement('tr');
+          jobCell(tr, 'pending');
+          jobCell(tr, r.code);
+          jobCell(tr, pairingSender(r.id, r.meta));
+          jobCell(tr, r.lastSeenAt ? new Date(r.lastSeenAt).toLocaleString() : '');
+          var actions = jobCell(tr, '');
+          actions.appendChild(pairingAction('Approve', 'Approving', 'approve', { channel: c.name, code: r.code }));
+          actions.appendChild(pairingAction('Deny', 'Denying', 'deny', { channel: c.name, code: r.code }));
+          rows.push(tr);
+        }
+        for (var a = 0; a < c.approved.length; a++) {
+          var tra = document.createElement('tr');
+          jobCell(tra, 'approved');
+          jobCell(tra, '');
+          jobCell(tra, c.approved[a]);
+          jobCell(tra, '');
+          jobCell(tra, '').appendChild(pairingAction('Revoke', 'Revoking', 'revoke', { channel: c.name, id: c.approved[a] }));
+          rows.push(tra);
+        }
+        for (var f = 0; f < c.configAllowFrom.length; f++) {
+          var trc = document.createElement('tr');
+          jobCell(trc, 'allowed in config');
+          jobCell(trc, '');
+          jobCell(trc, c.configAllowFrom[f]);
+          jobCell(trc, '');
+          jobCell(trc, 'edit channels.' + c.name + ' in the config editor');
+          rows.push(trc);
+        }
+        if (rows.length) {
+          pairingEl.appendChild(pairingTable(rows));
         } else {
-          importStatusEl.innerHTML = '<strong style="color:red">Import failed:</strong> ' + (j.error || 'Unknown error');
+          var none = document.createElement('div');
+          none.className = 'muted';
+          none.textContent = 'No pending requests or approved senders.';
+          pairingEl.appendChild(none);
         }
-        return refreshStatus();
+      }
+    }).catch(function (e) {
+      pairingEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (pairingEl) {
+    document.getElementById('pairingRefresh').onclick = refreshPairing;
+    refreshPairing();
+  }
+
+  // Accounts: who is signed in, their own password, and (admins) everyone else's role/password.
+  var usersEl = document.getElementById('users');
+  var usersStatusEl = document.getElementById('usersStatus');
+  var accountRoles = [];
+
+  function postJson(url, method, body) {
+    return httpJson(url, {
+      method: method,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  function roleSelect(selected) {
+    var sel = document.createElement('select');
+    sel.style.width = 'auto';
+    for (var i = 0; i < accountRoles.length; i++) {
+      var opt = document.createElement('option');
+      opt.value = accountRoles[i];
+      opt.textContent = accountRoles[i];
+      sel.appendChild(opt);
+    }
+    sel.value = selected;
+    return sel;
+  }
+
+  function userChange(label, promise) {
+    usersStatusEl.textContent = label + '...';
+    return promise.then(function () {
+      usersStatusEl.textContent = label + ' done.';
+      return refreshUsers();
+    }).catch(function (e) {
+      usersStatusEl.textContent = label + ' failed: ' + String(e);
+      return refreshUsers();
+    });
+  }
+
+  function refreshUsers() {
+    return httpJson('/setup/api/users').then(function (j) {
+      var list = j.users || [];
+      usersEl.innerHTML = '';
+      for (var i = 0; i < list.length; i++) {
+        var u = list[i];
+        var tr = document.createElement('tr');
+        jobCell(tr, u.username);
+        var sel = roleSelect(u.role);
+        sel.onchange = (function (name, s) {
+          return function () {
+            userChange('Changing ' + name + ' to ' + s.value, postJson('/setup/api/users/' + encodeURIComponent(name), 'PATCH', { role: s.value }));
+          };
+        })(u.username, sel);
+        jobCell(tr, '').appendChild(sel);
+        jobCell(tr, u.updatedAt ? new Date(u.updatedAt).toLocaleString() : '');
+        var actions = jobCell(tr, '');
+        actions.appendChild(backupAction('Set password', (function (name) {
+          return function () {
+            var pw = prompt('New password for ' + name + ' (8+ characters):');
+            if (!pw) return;
+            userChange('Setting the password of ' + name, postJson('/setup/api/users/' + encodeURIComponent(name), 'PATCH', { password: pw }));
+          };
+        })(u.username)));
+        actions.appendChild(backupAction('Remove', (function (name) {
+          return function () {
+            if (!confirm('Remove the account ' + name + '?')) return;
+            userChange('Removing ' + name, httpJson('/setup/api/users/' + encodeURIComponent(name), { method: 'DELETE' }));
+          };
+        })(u.username)));
+        usersEl.appendChild(tr);
+      }
+    }).catch(function (e) {
+      usersEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  // Failed sign-ins per client and lockouts (admins can clear them).
+  var lockoutsEl = document.getElementById('authLockouts');
+
+  function clearLockouts(client) {
+    return userChange(client ? 'Clearing ' + client : 'Clearing all lockouts',
+      postJson('/setup/api/auth/lockouts/clear', 'POST', client ? { client: client } : {})).then(refreshLockouts);
+  }
+
+  function refreshLockouts() {
+    return httpJson('/setup/api/debug').then(function (j) {
+      var state = j.wrapper.authLockouts;
+      lockoutsEl.innerHTML = '';
+      if (state.global.lockedUntil) {
+        var gtr = document.createElement('tr');
+        jobCell(gtr, 'Everyone');
+        jobCell(gtr, 'Password sign-in locked until ' + new Date(state.global.lockedUntil).toLocaleString());
+        lockoutsEl.appendChild(gtr);
+      }
+      for (var i = 0; i < state.clients.length; i++) {
+        var c = state.clients[i];
+        var tr = document.createElement('tr');
+        jobCell(tr, c.client);
+        jobCell(tr, c.failures + ' failed (last as ' + (c.lastUsername || '?') + ', ' + new Date(c.lastAt).toLocaleString() + ')' +
+          (c.lockedUntil ? ' \u2014 locked until ' + new Date(c.lockedUntil).toLocaleString() : ''));
+        jobCell(tr, '').appendChild(backupAction('Clear', (function (client) {
+          return function () { clearLockouts(client); };
+        })(c.client)));
+        lockoutsEl.appendChild(tr);
+      }
+      if (!lockoutsEl.children.length) lockoutsEl.textContent = 'No recent failed sign-ins.';
+    }).catch(function (e) {
+      lockoutsEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  // Audit log (admins only): newest first, filtered by user, outcome and action.
+  var auditEl = document.getElementById('audit');
+
+  function refreshAudit() {
+    var qs = 'limit=100';
+    var user = document.getElementById('auditUser').value.trim();
+    var outcome = document.getElementById('auditOutcome').value;
+    var route = document.getElementById('auditRoute').value.trim();
+    if (user) qs += '&user=' + encodeURIComponent(user);
+    if (outcome) qs += '&outcome=' + encodeURIComponent(outcome);
+    if (route) qs += '&route=' + encodeURIComponent(route);
+    return httpJson('/setup/api/audit?' + qs).then(function (j) {
+      var rows = j.entries || [];
+      auditEl.innerHTML = '';
+      if (!rows.length) {
+        auditEl.textContent = 'No matching entries.';
+        return;
+      }
+      for (var i = 0; i < rows.length; i++) {
+        var e = rows[i];
+        var tr = document.createElement('tr');
+        jobCell(tr, new Date(e.ts).toLocaleString());
+        jobCell(tr, e.user + (e.role ? ' (' + e.role + ')' : '') + ' from ' + e.ip);
+        jobCell(tr, e.method + ' ' + e.route);
+        jobCell(tr, e.outcome + ' (' + e.status + ')');
+        jobCell(tr, e.durationMs != null ? (e.durationMs / 1000).toFixed(1) + 's' : '');
+        var params = JSON.stringify(e.params || {});
+        jobCell(tr, params === '{}' ? '' : params).style.wordBreak = 'break-all';
+        auditEl.appendChild(tr);
+      }
+      if (j.more) {
+        var more = document.createElement('tr');
+        jobCell(more, 'Older entries not shown; narrow the search.');
+        auditEl.appendChild(more);
+      }
+    }).catch(function (e) {
+      auditEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (auditEl) {
+    document.getElementById('auditRefresh').onclick = refreshAudit;
+  }
+
+  if (usersEl) {
+    httpJson('/setup/api/me').then(function (j) {
+      accountRoles = j.roles || [];
+      document.getElementById('whoami').textContent = 'Signed in as ' + j.user.username + ' (' + j.user.role + ')';
+      if (j.user.role !== 'admin') return;
+      document.getElementById('usersAdmin').style.display = 'block';
+      var newRoleEl = document.getElementById('userNewRole');
+      var filled = roleSelect('viewer');
+      filled.id = 'userNewRole';
+      filled.style.width = '100%';
+      newRoleEl.parentNode.replaceChild(filled, newRoleEl);
+      refreshUsers();
+      refreshLockouts();
+      if (auditEl) {
+        document.getElementById('auditCard').style.display = 'block';
+        refreshAudit();
+      }
+    }).catch(function (e) {
+      usersStatusEl.textContent = 'Error: ' + String(e);
+    });
+
+    document.getElementById('logout').onclick = function () {
+      fetch('/setup/logout', withCsrf({ method: 'POST', headers: { 'content-type': 'application/json' }, body: '{}' }))
+        .then(function () { window.location.href = '/setup/login'; });
+    };
+
+    document.getElementById('myPasswordSave').onclick = function () {
+      var current = document.getElementById('myPasswordCurrent');
+      var next = document.getElementById('myPasswordNew');
+      usersStatusEl.textContent = 'Changing your password...';
+      postJson('/setup/api/me/password', 'POST', { currentPassword: current.value, password: next.value }).then(function () {
+        current.value = '';
+        next.value = '';
+        usersStatusEl.textContent = 'Password changed. Other sessions of this account were signed out.';
       }).catch(function (e) {
-        importStatusEl.innerHTML = '<strong style="color:red">Import error:</strong> ' + String(e);
-      }).finally(function () {
-        importBtn.disabled = false;
+        usersStatusEl.textContent = 'Password change failed: ' + String(e);
       });
     };
+
+    document.getElementById('authLockoutsClear').onclick = function () {
+      clearLockouts(null);
+    };
+
+    document.getElementById('userAdd').onclick = function () {
+      var nameEl = document.getElementById('userNewName');
+      var pwEl = document.getElementById('userNewPassword');
+      var roleEl = document.getElementById('userNewRole');
+      userChange('Adding ' + nameEl.value, postJson('/setup/api/users', 'POST', {
+        username: nameEl.value.trim(),
+        password: pwEl.value,
+        role: roleEl.value
+      }).then(function () {
+        nameEl.value = '';
+        pwEl.value = '';
+      }));
+    };
   }
 
   refreshStatus();
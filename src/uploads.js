@@ -0,0 +1,260 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+// Resumable chunked uploads, kept on disk. A session is `<id>.json` (file name, size, chunk size,
+// received chunks) next to `<id>.part`, the file itself at its final size. Chunks may arrive in
+// any order and be resent; each one carries its own SHA-256 and is streamed to a temp file first,
+// so only a chunk that matches ever reaches `.part` (a bad resend can't spoil one that arrived
+// fine). Sessions survive a wrapper restart and expire after `ttlMs` without activity.
+
+export const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const ID_RE = /^[0-9a-f]{32}$/;
+const SHA256_RE = /^[0-9a-f]{64}$/;
+
+export function freeDiskBytes(dir) {
+  const st = fs.statfsSync(dir);
+  return st.bavail * st.bsize;
+}
+
+function uploadError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatMb(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)}MB`;
+}
+
+export function createUploadStore(opts) {
+  const dir = opts.dir;
+  const maxBytes = opts.maxBytes;
+  const ttlMs = opts.ttlMs ?? 24 * 60 * 60 * 1000;
+  const freeBytes = opts.freeBytes ?? freeDiskBytes;
+
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+  const partPath = (id) => path.join(dir, `${id}.part`);
+
+  function load(id) {
+    if (!ID_RE.test(String(id))) return null;
+    try {
+      return JSON.parse(fs.readFileSync(metaPath(id), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  function save(meta) {
+    meta.updatedAt = Date.now();
+    const tmp = `${metaPath(meta.id)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(meta), { mode: 0o600 });
+    fs.renameSync(tmp, metaPath(meta.id));
+  }
+
+  function mustLoad(id) {
+    const meta = load(id);
+    if (!meta) throw uploadError(404, "Upload not found or expired. Start the upload again.");
+    return meta;
+  }
+
+  function chunkLength(meta, index) {
+    return Math.min(meta.chunkSize, meta.size - index * meta.chunkSize);
+  }
+
+  function view(meta) {
+    return {
+      id: meta.id,
+      fileName: meta.fileName,
+      size: meta.size,
+      chunkSize: meta.chunkSize,
+      chunks: meta.chunks,
+      received: [...meta.received].sort((a, b) => a - b),
+      complete: meta.complete,
+      createdAt: meta.createdAt,
+      expiresAt: meta.updatedAt + ttlMs,
+    };
+  }
+
+  // Enforce the size limit, and leave room on the volume for the upload plus its extracted copy.
+  function checkSpace(size) {
+    if (size > maxBytes) {
+      throw uploadError(413, `Backup is ${formatMb(size)}, over the ${formatMb(maxBytes)} import limit.`);
+    }
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    const free = freeBytes(dir);
+    if (free < size * 2) {
+      throw uploadError(
+        507,
+        `Not enough disk space: importing ${formatMb(size)} needs about ${formatMb(size * 2)} free, ` +
+          `only ${formatMb(free)} is available.`
+      );
+    }
+  }
+
+  // Drop expired sessions and stray files (e.g. a multipart upload cut off by a restart).
+  function sweep(now = Date.now()) {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch {
+      return [];
+    }
+    const removed = [];
+    for (const name of names) {
+      const id = name.split(".")[0];
+      const meta = ID_RE.test(id) ? load(id) : null;
+      let stale;
+      if (meta) stale = now - meta.updatedAt > ttlMs;
+      else {
+        try {
+          stale = now - fs.statSync(path.join(dir, name)).mtimeMs > ttlMs;
+        } catch {
+          continue;
+        }
+      }
+      if (!stale) continue;
+      fs.rmSync(path.join(dir, name), { force: true });
+      removed.push(name);
+    }
+    return removed;
+  }
+
+  function create({ fileName, size, chunkSize = DEFAULT_CHUNK_SIZE, sha256 = null }) {
+    size = Number(size);
+    chunkSize = Number(chunkSize);
+    if (!Number.isSafeInteger(size) || size <= 0) throw uploadError(400, "size must be a positive integer");
+    if (!Number.isSafeInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+      throw uploadError(400, `chunkSize must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`);
+    }
+    if (sha256 !== null && !SHA256_RE.test(String(sha256).toLowerCase())) {
+      throw uploadError(400, "sha256 must be a hex SHA-256 digest");
+    }
+    sweep();
+    checkSpace(size);
+
+    const meta = {
+      id: crypto.randomBytes(16).toString("hex"),
+      fileName: path.basename(String(fileName ?? "backup.tar.gz")),
+      size,
+      chunkSize,
+      chunks: Math.ceil(size / chunkSize),
+      sha256: sha256 ? String(sha256).toLowerCase() : null,
+      received: [],
+      complete: false,
+      createdAt: Date.now(),
+    };
+    const fd = fs.openSync(partPath(meta.id), "w", 0o600);
+    try {
+      fs.ftruncateSync(fd, size);
+    } finally {
+      fs.closeSync(fd);
+    }
+    save(meta);
+    return view(meta);
+  }
+
+  // Stream one chunk into place. `sha256` (hex) is required; a chunk that doesn't match is
+  // rejected without touching `.part`, so the client can resend it.
+  async function writeChunk(id, index, stream, { sha256 } = {}) {
+    const meta = mustLoad(id);
+    index = Number(index);
+    if (!Number.isInteger(index) || index < 0 || index >= meta.chunks) {
+      throw uploadError(400, `Chunk index must be between 0 and ${meta.chunks - 1}`);
+    }
+    const want = String(sha256 ?? "").toLowerCase();
+    if (!SHA256_RE.test(want)) throw uploadError(400, "Missing or invalid chunk SHA-256 (x-chunk-sha256 header)");
+    if (meta.complete) return view(meta);
+
+    const expected = chunkLength(meta, index);
+    const hash = crypto.createHash("sha256");
+    let bytes = 0;
+    const meter = new Transform({
+      transform(chunk, _enc, cb) {
+        bytes += chunk.length;
+        if (bytes > expected) return cb(uploadError(400, `Chunk ${index} is larger than ${expected} bytes`));
+        hash.update(chunk);
+        cb(null, chunk);
+      },
+    });
+    const tmp = path.join(dir, `${id}.${index}.${crypto.randomBytes(4).toString("hex")}.chunk`);
+    try {
+      await pipeline(stream, meter, fs.createWriteStream(tmp, { mode: 0o600 }));
+      if (bytes !== expected) {
+        throw uploadError(400, `Chunk ${index} is ${bytes} bytes, expected ${expected}. Resend it.`);
+      }
+      if (hash.digest("hex") !== want) {
+        throw uploadError(400, `Chunk ${index} failed its checksum. Resend it.`);
+      }
+
+      // Re-read: other chunks may have finished while this one was streaming. The chunk isn't
+      // received while its bytes are being copied, in case the copy is cut off.
+      const copying = mustLoad(id);
+      copying.received = copying.received.filter((i) => i !== index);
+      save(copying);
+      await pipeline(
+        fs.createReadStream(tmp),
+        fs.createWriteStream(partPath(id), { flags: "r+", start: index * meta.chunkSize })
+      );
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+
+    const latest = mustLoad(id);
+    if (!latest.received.includes(index)) latest.received.push(index);
+    save(latest);
+    return view(latest);
+  }
+
+  async function complete(id) {
+    const meta = mustLoad(id);
+    if (meta.complete) return view(meta);
+    const missing = meta.chunks - meta.received.length;
+    if (missing > 0) throw uploadError(409, `Upload is missing ${missing} of ${meta.chunks} chunk(s).`);
+    if (meta.sha256) {
+      const hash = crypto.createHash("sha256");
+      for await (const chunk of fs.createReadStream(partPath(id))) hash.update(chunk);
+      if (hash.digest("hex") !== meta.sha256) {
+        throw uploadError(400, "Uploaded file does not match its SHA-256. Upload it again.");
+      }
+    }
+    meta.complete = true;
+    save(meta);
+    return view(meta);
+  }
+
+  // A finished upload, ready to be imported.
+  function completed(id) {
+    const meta = mustLoad(id);
+    if (!meta.complete) throw uploadError(409, "Upload is not complete yet.");
+    return { ...view(meta), path: partPath(id) };
+  }
+
+  function remove(id) {
+    if (!ID_RE.test(String(id))) return false;
+    const existed = fs.existsSync(metaPath(id));
+    fs.rmSync(metaPath(id), { force: true });
+    fs.rmSync(partPath(id), { force: true });
+    return existed;
+  }
+
+  return {
+    dir,
+    maxBytes,
+    checkSpace,
+    sweep,
+    create,
+    get: (id) => {
+      const meta = load(id);
+      return meta ? view(meta) : null;
+    },
+    writeChunk,
+    complete,
+    completed,
+    remove,
+  };
+}
@@ -0,0 +1,188 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { promisify } from "node:util";
+
+import { writeFileAtomic } from "./config-edit.js";
+
+// Accounts for /setup and the Control UI, kept in one JSON file (mode 0600):
+//   { version: 1, users: [{ username, role, passwordHash, createdAt, updatedAt, fromSetupPassword? }] }
+// Passwords are scrypt hashes ("scrypt$N$r$p$salt$hash", base64). The first admin comes from
+// SETUP_PASSWORD (see bootstrap) and follows it until its password is changed in /setup.
+
+// Lowest to highest; each role can do everything the ones before it can.
+export const ROLES = ["viewer", "operator", "admin"];
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+
+function userError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function roleAtLeast(role, min) {
+  const have = ROLES.indexOf(role);
+  return have >= 0 && have >= ROLES.indexOf(min);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = SCRYPT;
+  const hash = await scrypt(String(password), salt, keylen, { N, r, p, maxmem: 64 * 1024 * 1024 });
+  return `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const parts = String(stored ?? "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  const salt = Buffer.from(parts[4], "base64");
+  const expected = Buffer.from(parts[5], "base64");
+  const actual = await scrypt(String(password), salt, expected.length, { N, r, p, maxmem: 64 * 1024 * 1024 });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function checkUsername(username) {
+  if (typeof username !== "string" || !/^[A-Za-z0-9._@-]{1,64}$/.test(username)) {
+    throw userError(400, "Usernames are 1-64 letters, digits or . _ @ -");
+  }
+  return username;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw userError(400, `role must be one of ${ROLES.join(", ")}`);
+  return role;
+}
+
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw userError(400, `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+function publicUser(u) {
+  return { username: u.username, role: u.role, createdAt: u.createdAt, updatedAt: u.updatedAt };
+}
+
+export function createUserStore({ file, now = Date.now }) {
+  // Verifying a scrypt hash on every Basic-auth request would cost ~50ms of CPU each; remember
+  // which (user, password, stored hash) triples already checked out.
+  const verified = new Map();
+
+  function load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      return Array.isArray(data?.users) ? data.users : [];
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw new Error(`Can't read user store ${file}: ${err.message}`);
+    }
+  }
+
+  function save(users) {
+    writeFileAtomic(file, JSON.stringify({ version: 1, users }, null, 2));
+    verified.clear();
+  }
+
+  function find(users, username) {
+    const u = users.find((x) => x.username === username);
+    if (!u) throw userError(404, `No user ${username}`);
+    return u;
+  }
+
+  // Refuse changes that would leave nobody able to manage users.
+  function keepAnAdmin(users) {
+    if (!users.some((u) => u.role === "admin")) throw userError(409, "At least one admin must remain");
+  }
+
+  function list() {
+    return load().map(publicUser);
+  }
+
+  function get(username) {
+    const u = load().find((x) => x.username === username);
+    return u ? publicUser(u) : null;
+  }
+
+  // The user (without hash) when the password matches, else null.
+  async function authenticate(username, password) {
+    const u = load().find((x) => x.username === username);
+    if (!u) {
+      // Same work as a real check, so response times don't reveal which usernames exist.
+      await verifyPassword(password, `scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$AAAA$${"A".repeat(86)}==`);
+      return null;
+    }
+    const key = crypto.createHash("sha256").update(`${u.username}\0${password}\0${u.passwordHash}`).digest("hex");
+    if (verified.has(key)) return publicUser(u);
+    if (!(await verifyPassword(password, u.passwordHash))) return null;
+    verified.set(key, true);
+    return publicUser(u);
+  }
+
+  async function create({ username, password, role }) {
+    checkUsername(username);
+    checkRole(role);
+    checkPassword(password);
+    const users = load();
+    if (users.some((u) => u.username === username)) throw userError(409, `User ${username} already exists`);
+    const at = new Date(now()).toISOString();
+    const user = { username, role, passwordHash: await hashPassword(password), createdAt: at, updatedAt: at };
+    save([...users, user]);
+    return publicUser(user);
+  }
+
+  async function update(username, { password, role } = {}) {
+    if (password === undefined && role === undefined) throw userError(400, "Nothing to change: give password and/or role");
+    if (role !== undefined) checkRole(role);
+    if (password !== undefined) checkPassword(password);
+    const users = load();
+    const user = find(users, username);
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) {
+      user.passwordHash = await hashPassword(password);
+      delete user.fromSetupPassword;
+    }
+    user.updatedAt = new Date(now()).toISOString();
+    keepAnAdmin(users);
+    save(users);
+    return publicUser(user);
+  }
+
+  function remove(username) {
+    const users = load();
+    find(users, username);
+    const rest = users.filter((u) => u.username !== username);
+    keepAnAdmin(rest);
+    save(rest);
+  }
+
+  // With no users yet, create `username` as admin with SETUP_PASSWORD. Later, keep that admin's
+  // password in step with SETUP_PASSWORD until someone sets it from /setup. Returns what happened.
+  async function bootstrap(username, password) {
+    if (!password) return null;
+    const users = load();
+    if (!users.length) {
+      const at = new Date(now()).toISOString();
+      save([{ username, role: "admin", passwordHash: await hashPassword(password), createdAt: at, updatedAt: at, fromSetupPassword: true }]);
+      return "created";
+    }
+    const seeded = users.find((u) => u.fromSetupPassword);
+    if (seeded && !(await verifyPassword(password, seeded.passwordHash))) {
+      seeded.passwordHash = await hashPassword(password);
+      seeded.updatedAt = new Date(now()).toISOString();
+      save(users);
+      return "updated";
+    }
+    return null;
+  }
+
+  function isEmpty() {
+    return load().length === 0;
+  }
+
+  return { file, list, get, authenticate, create, update, remove, bootstrap, isEmpty };
+}
@@ -0,0 +1,115 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { createAuditLog, redactAuditParams } from "../src/audit-log.js";
+
+function tmpLog(opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-log-test-"));
+  let t = Date.parse("2026-04-01T22:00:00Z");
+  const log = createAuditLog({ file: path.join(dir, "logs", "audit.log"), now: () => (t += 60_000), ...opts });
+  return { dir, log };
+}
+
+test("parameters are redacted and kept small", () => {
+  const out = redactAuditParams(
+    {
+      username: "bob",
+      password: "hunter22",
+      channels: { telegram: { botToken: "123:abc", dmPolicy: "pairing" } },
+      ops: [
+        { op: "set", path: "/gateway/auth/token", value: "s3cret" },
+        { op: "set", path: "/gateway/port", value: 18789 },
+      ],
+      note: "x".repeat(500),
+      text: "key sk-abcdefghijklmnop here",
+    },
+    (s) => s.replace(/sk-[A-Za-z0-9]{10,}/g, "[REDACTED]")
+  );
+  assert.equal(out.username, "bob");
+  assert.equal(out.password, "[REDACTED]");
+  assert.deepEqual(out.channels.telegram, { botToken: "[REDACTED]", dmPolicy: "pairing" });
+  assert.equal(out.ops[0].value, "[REDACTED]", "config edits to secret paths");
+  assert.equal(out.ops[1].value, 18789);
+  assert.match(out.note, /^x{200}\.\.\. \(500 chars\)$/);
+  assert.equal(out.text, "key [REDACTED] here");
+  assert.equal(redactAuditParams(Array.from({ length: 25 }, (_, i) => i)).at(-1), "... (5 more)");
+});
+
+test("entries are appended as JSON lines and queried newest first with filters", () => {
+  const { dir, log } = tmpLog();
+  try {
+    log.record({ ip: "1.1.1.1", user: "alice", role: "admin", method: "POST", route: "/setup/api/doctor", status: 200, durationMs: 900 });
+    log.record({ ip: "2.2.2.2", user: "bob", role: "viewer", method: "POST", route: "/setup/api/reset", outcome: "denied", status: 403 });
+    log.record({ ip: "1.1.1.1", user: "alice", role: "admin", method: "POST", route: "/setup/api/reset", params: { password: "x" }, status: 200, jobId: "abc" });
+
+    const lines = fs.readFileSync(log.file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+    assert.equal(lines.length, 3);
+    assert.deepEqual(Object.keys(lines[0]), ["ts", "ip", "user", "role", "method", "route", "params", "outcome", "status", "durationMs", "jobId"]);
+    assert.equal(fs.statSync(log.file).mode & 0o777, 0o600);
+
+    assert.deepEqual(log.query().entries.map((e) => e.user), ["alice", "bob", "alice"]);
+    const resets = log.query({ route: "RESET", outcome: "ok" }).entries;
+    assert.equal(resets.length, 1);
+    assert.deepEqual(resets[0].params, { password: "[REDACTED]" });
+    assert.equal(resets[0].jobId, "abc");
+    assert.deepEqual(log.query({ user: "bob" }).entries.map((e) => e.outcome), ["denied"]);
+    assert.equal(log.query({ ip: "1.1.1.1", limit: 1 }).more, true);
+    assert.equal(log.query({ since: "2026-04-01T22:02:30Z" }).entries.length, 1);
+    assert.equal(log.query({ until: Date.parse("2026-04-01T22:01:30Z") }).entries.length, 1);
+    assert.equal(log.query({ q: "doctor" }).entries.length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the log rotates by size and queries read every generation", () => {
+  const { dir, log } = tmpLog({ maxFileBytes: 600, maxFiles: 3 });
+  try {
+    for (let i = 0; i < 12; i++) log.record({ user: "alice", method: "POST", route: `/setup/api/step/${i}` });
+    assert.ok(fs.statSync(log.file).size <= 600);
+    assert.ok(fs.existsSync(`${log.file}.1`));
+    assert.ok(fs.existsSync(`${log.file}.2`));
+    assert.ok(!fs.existsSync(`${log.file}.3`));
+    const routes = log.query({ limit: 1000 }).entries.map((e) => e.route);
+    assert.equal(routes[0], "/setup/api/step/11");
+    assert.ok(routes.length < 12, "the oldest generation fell off");
+    assert.deepEqual(routes, [...routes].sort((a, b) => Number(b.split("/").pop()) - Number(a.split("/").pop())));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("adopt carries the log over from a swapped-out state dir", () => {
+  const { dir, log } = tmpLog({ maxFiles: 2 });
+  try {
+    const old = path.join(dir, "old", "audit.log");
+    fs.mkdirSync(path.dirname(old), { recursive: true });
+    fs.writeFileSync(old, JSON.stringify({ ts: "2026-04-01T21:00:00.000Z", user: "alice", route: "/setup/import" }) + "\n");
+    log.record({ user: "imported", route: "/from/the/backup" });
+    fs.writeFileSync(`${log.file}.1`, "{}\n");
+
+    log.adopt(old);
+    assert.deepEqual(log.query().entries.map((e) => e.user), ["alice"]);
+    assert.ok(!fs.existsSync(`${log.file}.1`));
+    log.record({ user: "alice", route: "/setup/api/status" });
+    assert.equal(log.query().entries.length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("server audits admin actions and serves them to admins", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /async function requireSetupAuth\(req, res, next\) \{\n\s+if \(isAudited\(req\)\) auditRequest\(req, res\);/);
+  for (const read of ["GET /setup/api/token", "GET /setup/dashboard", "GET /setup/export"]) {
+    assert.ok(src.includes(`  "${read}",\n`), `${read} is audited`);
+  }
+  assert.match(src, /app\.get\("\/setup\/api\/audit", requireSetupAuth/);
+  const table = src.slice(src.indexOf("const ROUTE_ROLES = {"), src.indexOf("};", src.indexOf("const ROUTE_ROLES = {")));
+  assert.ok(!table.includes("/setup/api/audit"), "the audit log is admin-only");
+  assert.match(src, /auditRequest\(req, res, \{ user: username \}\);/, "sign-ins are audited");
+  assert.equal((src.match(/keepInstallFiles\(aside\.state\);/g) ?? []).length, 2, "imports and rollbacks keep the live log");
+});
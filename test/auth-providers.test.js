@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import {
+  FALLBACK_AUTH_GROUPS,
+  FALLBACK_SECRET_ARGS,
+  discoverAuthProviders,
+  parseOnboardHelp,
+} from "../src/auth-providers.js";
+
+const HELP = `Usage: openclaw onboard [options]
+
+Interactive wizard to set up the gateway, workspace, and skills
+
+Options:
+  --workspace <dir>                 Agent workspace directory (default:
+                                    ~/.openclaw/workspace)
+  --non-interactive                 Run without prompts (default: false)
+  --auth-choice <choice>            Auth: claude-cli|token|apiKey|openai-api-key|
+                                    minimax-api|chutes|acme-cloud-api-key|skip
+  --token-provider <id>             Token provider id (non-interactive; used with
+                                    --auth-choice token)
+  --token <token>                   Token value (non-interactive; used with
+                                    --auth-choice token)
+  --anthropic-api-key <key>         Anthropic API key
+  --openai-api-key <key>            OpenAI API key
+  --minimax-api-key <key>           MiniMax API key
+  --acme-cloud-api-key <key>        Acme Cloud API key
+  -h, --help                        display help for command
+`;
+
+test("help text yields auth choices and value-taking flags", () => {
+  const { choices, flags } = parseOnboardHelp(HELP);
+  assert.deepEqual(choices, ["claude-cli", "token", "apiKey", "openai-api-key", "minimax-api", "chutes", "acme-cloud-api-key", "skip"]);
+  assert.equal(flags.get("--workspace"), "Agent workspace directory (default: ~/.openclaw/workspace)");
+  assert.ok(flags.has("--acme-cloud-api-key"));
+  assert.ok(!flags.has("--non-interactive"), "boolean flags take no secret");
+
+  const commander = parseOnboardHelp('  --auth-choice <choice>  Auth method (choices: "apiKey", "token")\n');
+  assert.deepEqual(commander.choices, ["apiKey", "token"]);
+});
+
+test("choices from the CLI keep known labels and pick up new providers", () => {
+  const auth = discoverAuthProviders(HELP);
+  assert.equal(auth.source, "cli");
+  assert.deepEqual(auth.groups.map((g) => g.value), ["openai", "anthropic", "minimax", "chutes", "acme"]);
+
+  const anthropic = auth.groups.find((g) => g.value === "anthropic");
+  assert.deepEqual(anthropic.options.map((o) => [o.value, o.label, o.secret]), [
+    ["claude-cli", "Anthropic token (Claude Code CLI)", false],
+    ["token", "Anthropic token (paste setup-token)", true],
+    ["apiKey", "Anthropic API key", true],
+  ]);
+  assert.deepEqual(auth.groups.find((g) => g.value === "acme").options, [
+    { value: "acme-cloud-api-key", label: "Acme Cloud API key", secret: true },
+  ]);
+  assert.equal(auth.groups.find((g) => g.value === "chutes").options[0].label, "Chutes");
+  assert.ok(!auth.groups.some((g) => g.options.some((o) => o.value === "skip")));
+  assert.ok(!auth.groups.some((g) => g.value === "qwen"), "choices this CLI lacks are dropped");
+
+  assert.deepEqual(auth.secretArgs, {
+    token: ["--token-provider", "anthropic", "--token"],
+    apiKey: ["--anthropic-api-key"],
+    "openai-api-key": ["--openai-api-key"],
+    "minimax-api": ["--minimax-api-key"],
+    "acme-cloud-api-key": ["--acme-cloud-api-key"],
+  });
+});
+
+test("unparseable help falls back to the built-in list", () => {
+  for (const text of ["", "error: unknown command 'onboard'", "  --auth-choice <choice>  Auth choice\n"]) {
+    const auth = discoverAuthProviders(text);
+    assert.equal(auth.source, "fallback");
+    assert.deepEqual(auth.groups.map((g) => g.value), FALLBACK_AUTH_GROUPS.map((g) => g.value));
+    assert.equal(auth.secretArgs, FALLBACK_SECRET_ARGS);
+  }
+  const opencode = discoverAuthProviders("").groups.find((g) => g.value === "opencode-zen").options[0];
+  assert.equal(opencode.secret, true);
+});
+
+test("server builds onboard args from the discovered providers", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.doesNotMatch(src, /const authGroups = \[/);
+  assert.match(src, /const secretArgs = auth\.secretArgs\[payload\.authChoice\];/);
+  assert.match(src, /buildOnboardArgs\(payload, await authProviders\(\)\)/);
+  assert.match(src, /const result = await cli\.get\("onboardHelp"\);/);
+});
@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { clientIpFrom, createAuthThrottle, throttleKey } from "../src/auth-throttle.js";
+
+function clock(start = Date.parse("2026-03-01T10:00:00Z")) {
+  let t = start;
+  return { now: () => t, advance: (ms) => (t += ms) };
+}
+
+test("the client address comes from the trusted end of X-Forwarded-For", () => {
+  const peer = "::ffff:10.0.0.5";
+  assert.equal(clientIpFrom({ remoteAddress: peer, forwardedFor: "203.0.113.9", trustedHops: 0 }), "10.0.0.5");
+  assert.equal(clientIpFrom({ remoteAddress: peer, forwardedFor: "203.0.113.9", trustedHops: 1 }), "203.0.113.9");
+  assert.equal(
+    clientIpFrom({ remoteAddress: peer, forwardedFor: "1.1.1.1, 2.2.2.2, 203.0.113.9", trustedHops: 1 }),
+    "203.0.113.9",
+    "entries the client made up are ignored"
+  );
+  assert.equal(clientIpFrom({ remoteAddress: peer, forwardedFor: "1.1.1.1, 203.0.113.9:4433", trustedHops: 2 }), "1.1.1.1");
+  assert.equal(clientIpFrom({ remoteAddress: peer, forwardedFor: "203.0.113.9", trustedHops: 5 }), "203.0.113.9");
+  assert.equal(clientIpFrom({ remoteAddress: "127.0.0.1", trustedHops: 1 }), "127.0.0.1");
+  assert.equal(clientIpFrom({ remoteAddress: undefined }), "unknown");
+});
+
+test("IPv6 clients are counted per /64", () => {
+  assert.equal(throttleKey("2001:db8:1:2:aaaa::1"), "2001:db8:1:2::/64");
+  assert.equal(throttleKey("2001:db8:1:2:ffff:ffff:ffff:ffff"), "2001:db8:1:2::/64");
+  assert.equal(throttleKey("2001:db8::1"), "2001:db8:0:0::/64");
+  assert.equal(throttleKey("::ffff:192.0.2.1"), "192.0.2.1");
+  assert.equal(throttleKey("192.0.2.1"), "192.0.2.1");
+});
+
+test("failures slow a client down, then lock it out until the lockout ends", () => {
+  const c = clock();
+  const throttle = createAuthThrottle({ now: c.now, freeAttempts: 2, baseDelayMs: 100, maxDelayMs: 300, lockAfter: 5, lockMs: 60_000, windowMs: 60_000 });
+  const delays = [];
+  for (let i = 0; i < 4; i++) {
+    delays.push(throttle.check("1.2.3.4").delayMs);
+    throttle.recordFailure("1.2.3.4", { username: "admin" });
+  }
+  assert.deepEqual(delays, [0, 0, 100, 200]);
+  assert.equal(throttle.check("1.2.3.4").delayMs, 300, "capped");
+  assert.equal(throttle.check("5.6.7.8").delayMs, 0, "other clients are unaffected");
+
+  assert.deepEqual(throttle.recordFailure("1.2.3.4"), { locked: true, scope: "client", retryAfterMs: 60_000, delayMs: 0 });
+  c.advance(59_999);
+  assert.equal(throttle.check("1.2.3.4").locked, true);
+  c.advance(1);
+  assert.equal(throttle.check("1.2.3.4").locked, false);
+  assert.equal(throttle.recordFailure("1.2.3.4").locked, true, "one more try per lockout");
+
+  c.advance(60_000 + 60_001);
+  assert.deepEqual(throttle.check("1.2.3.4"), { locked: false, scope: null, retryAfterMs: 0, delayMs: 0 }, "a quiet window resets the count");
+});
+
+test("a success resets the client; many failures everywhere lock out everyone", () => {
+  const c = clock();
+  const throttle = createAuthThrottle({ now: c.now, freeAttempts: 1, lockAfter: 3, globalLockAfter: 6, lockMs: 1000, windowMs: 5000 });
+  throttle.recordFailure("1.1.1.1");
+  throttle.recordFailure("1.1.1.1");
+  throttle.recordSuccess("1.1.1.1");
+  assert.equal(throttle.check("1.1.1.1").delayMs, 0);
+
+  for (let i = 0; i < 3; i++) throttle.recordFailure(`10.0.0.${i}`);
+  assert.equal(throttle.check("9.9.9.9").locked, false);
+  throttle.recordFailure("10.0.0.9");
+  const gate = throttle.check("9.9.9.9");
+  assert.equal(gate.locked, true);
+  assert.equal(gate.scope, "global");
+
+  const state = throttle.state();
+  assert.ok(state.global.lockedUntil);
+  assert.deepEqual(state.clients.map((x) => x.client).sort(), ["10.0.0.0", "10.0.0.1", "10.0.0.2", "10.0.0.9"]);
+  assert.equal(state.limits.globalLockAfter, 6);
+});
+
+test("admins can clear one client or every lockout", () => {
+  const throttle = createAuthThrottle({ lockAfter: 1, globalLockAfter: 100 });
+  throttle.recordFailure("1.1.1.1");
+  throttle.recordFailure("2001:db8:1:2::5");
+  assert.equal(throttle.check("1.1.1.1").locked, true);
+
+  assert.equal(throttle.clear("1.1.1.1"), 1);
+  assert.equal(throttle.check("1.1.1.1").locked, false);
+  assert.throws(() => throttle.clear("1.1.1.1"), { status: 404 });
+  assert.equal(throttle.clear("2001:db8:1:2::/64"), 1, "by the key listed in state()");
+
+  throttle.recordFailure("3.3.3.3");
+  assert.equal(throttle.clear(), 1);
+  assert.deepEqual(throttle.state().clients, []);
+});
+
+test("every password check in server.js goes through the throttle", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const calls = [...src.matchAll(/userStore\.authenticate\(/g)];
+  assert.equal(calls.length, 1, "only checkPassword calls userStore.authenticate");
+  const fn = src.slice(src.indexOf("async function checkPassword("), src.indexOf("function lockedOutMessage("));
+  assert.match(fn, /userStore\.authenticate\(/);
+  assert.match(fn, /authThrottle\.recordFailure\(ip/);
+  assert.match(src, /app\.post\("\/setup\/login"[\s\S]{0,600}await checkPassword\(req, username/);
+  assert.match(src, /const result = await checkPassword\(req, creds\.username, creds\.password\)/);
+  assert.match(src, /429 Too Many Requests/);
+  assert.match(src, /authLockouts: authThrottle\.state\(\)/);
+  assert.match(src, /app\.post\("\/setup\/api\/auth\/lockouts\/clear", requireSetupAuth/);
+});
@@ -0,0 +1,172 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import * as tar from "tar";
+
+import {
+  MANIFEST_NAME,
+  createArchiveStream,
+  fillFromLive,
+  isSecretStatePath,
+  verifyExtractedArchive,
+} from "../src/backup-archive.js";
+
+function writeTree(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    const abs = path.join(root, rel);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, content);
+  }
+}
+
+async function exportAndExtract(root, scope) {
+  const file = path.join(root, `${scope}.tar.gz`);
+  const out = path.join(root, `extract-${scope}`);
+  const stream = createArchiveStream({
+    stateDir: path.join(root, "data/.openclaw"),
+    workspaceDir: path.join(root, "data/workspace"),
+    scope,
+    meta: Promise.resolve({ wrapper: { version: "test" }, openclaw: { version: "1.2.3" } }),
+  });
+  await pipeline(stream, fs.createWriteStream(file));
+  fs.mkdirSync(out);
+  await tar.x({ file, cwd: out });
+  return { file, out };
+}
+
+function withFixture(fn) {
+  return async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "backup-archive-test-"));
+    writeTree(path.join(root, "data"), {
+      ".openclaw/openclaw.json": '{"gateway":{}}',
+      ".openclaw/credentials/oauth.json": "secret",
+      ".openclaw/agents/main/sessions/s1.jsonl": "chat",
+      ".openclaw/agents/main/agent/models.json": "{}",
+      "workspace/AGENTS.md": "# agents",
+    });
+    try {
+      await fn(root);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+test("secret state paths cover credentials, sessions and tokens", () => {
+  assert.ok(isSecretStatePath("credentials/whatsapp/creds.json"));
+  assert.ok(isSecretStatePath("agents/main/sessions/x.jsonl"));
+  assert.ok(isSecretStatePath("agents/main/agent/auth-profiles.json"));
+  assert.ok(isSecretStatePath("gateway.token"));
+  assert.ok(isSecretStatePath("setup-users.json"));
+  assert.ok(!isSecretStatePath("openclaw.json"));
+});
+
+test("full export carries a manifest with checksums that verifies", withFixture(async (root) => {
+  const { out } = await exportAndExtract(root, "full");
+  const manifest = verifyExtractedArchive(out);
+  assert.equal(manifest.scope, "full");
+  assert.equal(manifest.openclaw.version, "1.2.3");
+  assert.deepEqual(
+    { state: manifest.paths.state, workspace: manifest.paths.workspace },
+    { state: ".openclaw", workspace: "workspace" }
+  );
+  assert.equal(manifest.paths.stateDir, path.join(root, "data/.openclaw"));
+  assert.equal(Object.keys(manifest.files).length, 5);
+  assert.match(manifest.files["workspace/AGENTS.md"].sha256, /^[0-9a-f]{64}$/);
+}));
+
+test("scopes select what goes into the archive", withFixture(async (root) => {
+  const files = async (scope) =>
+    Object.keys(JSON.parse(fs.readFileSync(path.join((await exportAndExtract(root, scope)).out, MANIFEST_NAME))).files);
+
+  assert.deepEqual(await files("config"), [".openclaw/openclaw.json"]);
+  assert.deepEqual(await files("workspace"), ["workspace/AGENTS.md"]);
+  assert.deepEqual(await files("no-secrets"), [
+    ".openclaw/agents/main/agent/models.json",
+    ".openclaw/openclaw.json",
+    "workspace/AGENTS.md",
+  ]);
+}));
+
+test("no scope carries the setup accounts", withFixture(async (root) => {
+  writeTree(path.join(root, "data"), {
+    ".openclaw/setup-users.json": '{"version":1,"users":[{"passwordHash":"scrypt$..."}]}',
+  });
+  for (const scope of ["full", "no-secrets"]) {
+    const { out } = await exportAndExtract(root, scope);
+    const names = Object.keys(verifyExtractedArchive(out).files);
+    assert.ok(!names.some((n) => n.endsWith("setup-users.json")), `${scope}: ${names.join(", ")}`);
+    assert.ok(!fs.existsSync(path.join(out, ".openclaw/setup-users.json")));
+  }
+}));
+
+test("files that shrink or vanish after the listing are archived as they are now", withFixture(async (root) => {
+  const big = path.join(root, "data/workspace/big.bin");
+  const rotated = path.join(root, "data/.openclaw/logs/gateway.log.2");
+  fs.writeFileSync(big, Buffer.alloc(200 * 1024, 1));
+  writeTree(path.join(root, "data/.openclaw/logs"), { "gateway.log.2": "old lines" });
+  const file = path.join(root, "changed.tar.gz");
+  const stream = createArchiveStream({
+    stateDir: path.join(root, "data/.openclaw"),
+    workspaceDir: path.join(root, "data/workspace"),
+    scope: "full",
+  });
+  // The file list is taken before the first read.
+  fs.truncateSync(big, 1000);
+  fs.rmSync(rotated);
+  await pipeline(stream, fs.createWriteStream(file));
+
+  const out = path.join(root, "extract-changed");
+  fs.mkdirSync(out);
+  await tar.x({ file, cwd: out });
+  const manifest = verifyExtractedArchive(out);
+  assert.equal(manifest.files["workspace/big.bin"].size, 1000);
+  assert.ok(!(".openclaw/logs/gateway.log.2" in manifest.files), "a rotated-away log is left out");
+  assert.ok(".openclaw/openclaw.json" in manifest.files);
+}));
+
+test("server aborts a download that fails after it started", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const fn = src.slice(src.indexOf("async function sendBackupDownload("), src.indexOf("function exportScopeParam("));
+  assert.match(fn, /if \(res\.headersSent\) return res\.destroy\(err\);/);
+  assert.doesNotMatch(fn, /res\.end\(String\(err\)\)/);
+});
+
+test("corrupted and partial archives are refused", withFixture(async (root) => {
+  const { out } = await exportAndExtract(root, "full");
+  fs.writeFileSync(path.join(out, "workspace/AGENTS.md"), "tampered");
+  assert.throws(() => verifyExtractedArchive(out), { code: "EBACKUPMANIFEST", message: /corrupted.*AGENTS\.md/ });
+
+  fs.rmSync(path.join(out, ".openclaw/openclaw.json"));
+  assert.throws(() => verifyExtractedArchive(out), { code: "EBACKUPMANIFEST", message: /incomplete: 1 file/ });
+
+  fs.writeFileSync(path.join(out, MANIFEST_NAME), JSON.stringify({ format: "openclaw-backup", version: 99, files: {} }));
+  assert.throws(() => verifyExtractedArchive(out), { message: /newer wrapper/ });
+
+  fs.rmSync(path.join(out, MANIFEST_NAME));
+  assert.equal(verifyExtractedArchive(out), null, "archives from before manifests are still accepted");
+}));
+
+test("scoped imports keep what the archive doesn't carry from the live dirs", withFixture(async (root) => {
+  const { out } = await exportAndExtract(root, "config");
+  const manifest = verifyExtractedArchive(out);
+  const live = { stateDir: path.join(root, "data/.openclaw"), workspaceDir: path.join(root, "data/workspace") };
+
+  const staged = fillFromLive(
+    { extractDir: out, stateDir: path.join(out, manifest.paths.state), workspaceDir: null },
+    live,
+    manifest.scope
+  );
+  assert.equal(fs.readFileSync(path.join(staged.stateDir, "credentials/oauth.json"), "utf8"), "secret");
+  assert.equal(fs.readFileSync(path.join(staged.workspaceDir, "AGENTS.md"), "utf8"), "# agents");
+}));
+
+test("server validates manifests on import and exposes export scopes", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /verifyExtractedArchive\(extractDir\)/);
+  assert.match(src, /exportScopeParam\(req\.query\.scope\)/);
+  assert.match(src, /exportScopeParam\(req\.body\?\.scope\)/);
+});
@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+import { createEncryptStream, decryptBackupFile, isEncryptedBackup } from "../src/backup-crypto.js";
+
+async function encryptToFile(data, passphrase, dest) {
+  await pipeline(Readable.from([data]), await createEncryptStream(passphrase), fs.createWriteStream(dest));
+}
+
+test("encrypted backups round-trip and are detected by header", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backup-crypto-test-"));
+  const enc = path.join(dir, "b.tar.gz.enc");
+  const out = path.join(dir, "b.tar.gz");
+  const data = Buffer.from("pretend this is a tarball ".repeat(1000));
+
+  await encryptToFile(data, "correct horse", enc);
+  assert.ok(isEncryptedBackup(enc));
+  assert.ok(!fs.readFileSync(enc).includes(Buffer.from("pretend")));
+
+  await decryptBackupFile(enc, out, "correct horse");
+  assert.deepEqual(fs.readFileSync(out), data);
+  assert.ok(!isEncryptedBackup(out));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("wrong passphrase, missing passphrase and tampering fail clearly", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backup-crypto-test-"));
+  const enc = path.join(dir, "b.tar.gz.enc");
+  const out = path.join(dir, "b.tar.gz");
+  await encryptToFile(Buffer.from("secret tokens"), "correct horse", enc);
+
+  await assert.rejects(decryptBackupFile(enc, out, "wrong horse"), {
+    code: "EBACKUPCRYPTO",
+    message: /Wrong passphrase/,
+  });
+  assert.ok(!fs.existsSync(out));
+  await assert.rejects(decryptBackupFile(enc, out, ""), { message: /is encrypted/ });
+
+  const bytes = fs.readFileSync(enc);
+  bytes[8] = 99; // version byte
+  fs.writeFileSync(enc, bytes);
+  await assert.rejects(decryptBackupFile(enc, out, "correct horse"), { message: /version 99/ });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("import decrypts automatically and export accepts a passphrase", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /if \(isEncryptedBackup\(tarPath\)\)/);
+  assert.match(src, /app\.post\("\/setup\/export", requireSetupAuth, express\.urlencoded/);
+});
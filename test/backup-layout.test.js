@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { archiveLayout, locateLegacyDirs, matchLiveLayout } from "../src/backup-archive.js";
+
+function writeTree(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    const abs = path.join(root, rel);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, content);
+  }
+}
+
+function withTmp(fn) {
+  return () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "backup-layout-test-"));
+    try {
+      fn(root);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+test("archive layout does not depend on where the install lives", () => {
+  assert.deepEqual(archiveLayout("/data/.openclaw", "/data/workspace"), { state: ".openclaw", workspace: "workspace" });
+  assert.deepEqual(archiveLayout("/root/.clawdbot", "/srv/my-ws"), { state: ".clawdbot", workspace: "workspace" });
+  assert.deepEqual(archiveLayout("/srv/state", "/srv/state/ws"), { state: ".openclaw", workspace: ".openclaw/ws" });
+});
+
+test("legacy archives: state dir found at any depth, workspace via the config path", withTmp((root) => {
+  writeTree(root, {
+    "root/.openclaw/openclaw.json": JSON.stringify({ agents: { defaults: { workspace: "/home/me/my-ws" } } }),
+    "home/me/my-ws/AGENTS.md": "x",
+  });
+  const found = locateLegacyDirs(root);
+  assert.equal(found.stateDir, path.join(root, "root/.openclaw"));
+  assert.equal(found.workspaceDir, path.join(root, "home/me/my-ws"));
+  assert.equal(found.stateVariant, ".openclaw");
+}));
+
+test("legacy archives: custom state dir names are found by their config file", withTmp((root) => {
+  writeTree(root, { "srv/state/openclaw.json": "{}", "srv/workspace/a.md": "a", "other/README": "" });
+  const found = locateLegacyDirs(root);
+  assert.equal(found.stateDir, path.join(root, "srv/state"));
+  assert.equal(found.workspaceDir, path.join(root, "srv/workspace"));
+  assert.equal(locateLegacyDirs(path.join(root, "other")), null);
+}));
+
+test("staged workspace is moved to match the live layout", withTmp((root) => {
+  writeTree(root, { ".openclaw/openclaw.json": "{}", "workspace/a.md": "a" });
+  const staged = { extractDir: root, stateDir: path.join(root, ".openclaw"), workspaceDir: path.join(root, "workspace") };
+
+  const nested = matchLiveLayout(staged, { stateDir: "/srv/state", workspaceDir: "/srv/state/ws" });
+  assert.equal(nested.workspaceDir, path.join(root, ".openclaw/ws"));
+  assert.ok(fs.existsSync(path.join(root, ".openclaw/ws/a.md")));
+
+  const apart = matchLiveLayout({ ...staged, workspaceDir: nested.workspaceDir }, { stateDir: "/data/.openclaw", workspaceDir: "/data/workspace" });
+  assert.ok(!apart.workspaceDir.startsWith(staged.stateDir + path.sep));
+  assert.ok(fs.existsSync(path.join(apart.workspaceDir, "a.md")));
+}));
@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import * as tar from "tar";
+
+import { verifyExtractedArchive } from "../src/backup-archive.js";
+import { createBackupRepo, createFsStore } from "../src/backup-repo.js";
+
+const KB64 = 64 * 1024;
+
+function writeTree(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    const abs = path.join(root, rel);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, content);
+  }
+}
+
+function withRepo(fn) {
+  return async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "backup-repo-test-"));
+    const dirs = { stateDir: path.join(root, "data/.openclaw"), workspaceDir: path.join(root, "data/workspace") };
+    writeTree(path.join(root, "data"), {
+      ".openclaw/openclaw.json": '{"gateway":{}}',
+      ".openclaw/agents/main/sessions/s1.jsonl": Buffer.alloc(3 * KB64, "a"),
+      "workspace/AGENTS.md": "# agents",
+    });
+    const repo = createBackupRepo({ store: createFsStore(path.join(root, "repo")), chunkSize: KB64 });
+    const at = (s) => new Date(`2026-01-31T06:00:0${s}.000Z`);
+    try {
+      await fn({ root, dirs, repo, at });
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+test("snapshots only store chunks they haven't seen", withRepo(async ({ root, dirs, repo, at }) => {
+  const first = await repo.snapshot({ ...dirs, now: at(1) });
+  assert.equal(first.files, 3);
+  // 3 identical session chunks dedupe to 1, plus the two small files.
+  assert.equal(first.newChunks, 3);
+
+  const again = await repo.snapshot({ ...dirs, now: at(2) });
+  assert.equal(again.newChunks, 0, "nothing changed, nothing stored");
+
+  fs.appendFileSync(path.join(dirs.stateDir, "agents/main/sessions/s1.jsonl"), "new line\n");
+  const appended = await repo.snapshot({ ...dirs, now: at(3), reason: "scheduled" });
+  assert.equal(appended.newChunks, 1, "an append only adds the last chunk");
+
+  const list = await repo.list();
+  assert.deepEqual(list.map((s) => s.id), ["2026-01-31T06-00-03-000Z", "2026-01-31T06-00-02-000Z", "2026-01-31T06-00-01-000Z"]);
+  assert.equal(list[0].reason, "scheduled");
+  assert.equal((await repo.stats()).chunks, 4);
+  assert.ok(fs.existsSync(path.join(root, "repo/snapshots/2026-01-31T06-00-01-000Z.json")));
+}));
+
+test("a snapshot downloads as an archive the importer accepts", withRepo(async ({ root, dirs, repo, at }) => {
+  const { id } = await repo.snapshot({ ...dirs, now: at(1), meta: { openclaw: { version: "1.2.3" } } });
+  fs.rmSync(path.join(root, "data"), { recursive: true });
+
+  const file = path.join(root, "snap.tar.gz");
+  const out = path.join(root, "out");
+  await pipeline(repo.createTarStream(await repo.load(id)), fs.createWriteStream(file));
+  fs.mkdirSync(out);
+  await tar.x({ file, cwd: out });
+
+  const manifest = verifyExtractedArchive(out);
+  assert.equal(manifest.scope, "full");
+  assert.equal(manifest.openclaw.version, "1.2.3");
+  assert.equal(manifest.id, undefined);
+  assert.equal(fs.readFileSync(path.join(out, "workspace/AGENTS.md"), "utf8"), "# agents");
+  assert.equal(fs.statSync(path.join(out, ".openclaw/agents/main/sessions/s1.jsonl")).size, 3 * KB64);
+}));
+
+test("files that shrink or vanish mid-snapshot are stored as they are now", withRepo(async ({ root, dirs, repo, at }) => {
+  const session = path.join(dirs.stateDir, "agents/main/sessions/s1.jsonl");
+  writeTree(dirs.stateDir, { "logs/gateway.log.1": "old lines" });
+  const pending = repo.snapshot({ ...dirs, now: at(1) });
+  // The file list is taken before the first read.
+  fs.truncateSync(session, KB64 + 10);
+  fs.rmSync(path.join(dirs.stateDir, "logs/gateway.log.1"));
+  const { id } = await pending;
+
+  const file = path.join(root, "snap.tar.gz");
+  const out = path.join(root, "out");
+  await pipeline(repo.createTarStream(await repo.load(id)), fs.createWriteStream(file));
+  fs.mkdirSync(out);
+  await tar.x({ file, cwd: out });
+  const manifest = verifyExtractedArchive(out);
+  assert.equal(manifest.files[".openclaw/agents/main/sessions/s1.jsonl"].size, KB64 + 10);
+  assert.ok(!(".openclaw/logs/gateway.log.1" in manifest.files), "a rotated-away log is left out");
+  assert.deepEqual(fs.readFileSync(path.join(out, ".openclaw/agents/main/sessions/s1.jsonl")), Buffer.alloc(KB64 + 10, "a"));
+}));
+
+test("snapshots leave out the setup accounts", withRepo(async ({ dirs, repo, at }) => {
+  writeTree(dirs.stateDir, { "setup-users.json": "{}" });
+  const snap = await repo.snapshot({ ...dirs, now: at(1) });
+  assert.equal(snap.files, 3, "only the fixture's own files");
+}));
+
+test("gc drops chunks only deleted or pruned snapshots used", withRepo(async ({ dirs, repo, at }) => {
+  const first = await repo.snapshot({ ...dirs, now: at(1) });
+  fs.writeFileSync(path.join(dirs.workspaceDir, "AGENTS.md"), "# changed");
+  await repo.snapshot({ ...dirs, now: at(2) });
+
+  assert.deepEqual(await repo.gc(), { removedChunks: 0, freedBytes: 0, keptChunks: 4 });
+  assert.ok(await repo.remove(first.id));
+  assert.equal(await repo.remove(first.id), false);
+  const gc = await repo.gc();
+  assert.equal(gc.removedChunks, 1, "the old AGENTS.md chunk");
+  assert.ok(gc.freedBytes > 0);
+
+  await repo.snapshot({ ...dirs, now: at(3) });
+  assert.deepEqual(await repo.prune({ keep: 1 }), ["2026-01-31T06-00-02-000Z"]);
+  assert.equal((await repo.list()).length, 1);
+}));
+
+test("damaged repositories are reported, not silently restored", withRepo(async ({ root, dirs, repo, at }) => {
+  const { id } = await repo.snapshot({ ...dirs, now: at(1) });
+  const index = await repo.load(id);
+  const hash = index.files["workspace/AGENTS.md"].chunks[0];
+  fs.rmSync(path.join(root, "repo/chunks", hash.slice(0, 2), hash));
+  await assert.rejects(
+    pipeline(repo.createTarStream(index), fs.createWriteStream(path.join(root, "x.tar.gz"))),
+    { code: "EBACKUPREPO", message: /missing/ }
+  );
+
+  fs.writeFileSync(path.join(root, "repo/snapshots/2026-01-31T06-00-09-000Z.json"), "{");
+  assert.ok((await repo.list()).some((s) => s.unreadable));
+  await assert.rejects(repo.gc(), { code: "EBACKUPREPO", message: /unreadable/ });
+}));
+
+test("server takes incremental snapshots and imports them like uploads", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /const take = BACKUP_MODE === "incremental" \? createRepoSnapshot : createStoredBackup;/);
+  assert.match(src, /if \(req\.body\?\.repoSnapshot\) \{\s+const local = await materializeRepoSnapshot/);
+  assert.match(src, /app\.get\("\/setup\/api\/backup-repo\/snapshots\/:id\/download"/);
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+
+import {
+  backupFileName,
+  isValidBackupName,
+  listBackups,
+  selectBackupsToPrune,
+  writeArchive,
+} from "../src/backups.js";
+
+test("backup names encode time and reason and reject traversal", () => {
+  const name = backupFileName("scheduled", new Date("2026-01-31T06:00:00.000Z"));
+  assert.equal(name, "openclaw-backup-2026-01-31T06-00-00-000Z-scheduled.tar.gz");
+  assert.ok(isValidBackupName(name));
+  assert.ok(!isValidBackupName("../openclaw-backup-x.tar.gz"));
+  assert.ok(!isValidBackupName("openclaw-backup-x.tar.gz/../../etc"));
+});
+
+test("retention keeps the newest N and drops old ones, but never the newest", () => {
+  const day = 24 * 60 * 60 * 1000;
+  const now = 100 * day;
+  const backups = [0, 1, 2, 40].map((age, i) => ({ name: `b${i}`, createdAt: now - age * day }));
+  assert.deepEqual(selectBackupsToPrune(backups, { keep: 2, now }), ["b2", "b3"]);
+  assert.deepEqual(selectBackupsToPrune(backups, { maxAgeMs: 30 * day, now }), ["b3"]);
+  assert.deepEqual(selectBackupsToPrune([backups[3]], { maxAgeMs: 30 * day, now }), []);
+});
+
+test("writeArchive publishes the file only once it is complete", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backups-test-"));
+  const name = backupFileName("manual");
+  await writeArchive(Readable.from([Buffer.from("data")]), path.join(dir, name));
+  const list = listBackups(dir);
+  assert.equal(list.length, 1);
+  assert.equal(list[0].reason, "manual");
+  assert.equal(list[0].size, 4);
+  assert.deepEqual(fs.readdirSync(dir), [name]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("stored backups restore through the same path as /setup/import", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /async function restoreFromArchive\(tarPath, opts = \{\}\)/);
+  const idx = src.indexOf('app.post("/setup/api/backups/:name/restore"');
+  assert.ok(idx >= 0);
+  assert.match(src.slice(idx, idx + 600), /restoreFromArchive\(p, /);
+  const imp = src.indexOf('app.post("/setup/import"');
+  assert.match(src.slice(imp, imp + 1200), /restoreFromArchive\(source\.path, /);
+});
@@ -0,0 +1,139 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import {
+  CHANNEL_DEFINITIONS,
+  channelConfigsFromRunPayload,
+  describeChannels,
+  listChannels,
+  upsertChannelConfig,
+} from "../src/channels.js";
+
+test("onboarding payload becomes the channel configs the wizard always wrote", () => {
+  const steps = channelConfigsFromRunPayload({
+    telegramToken: " 123:abc ",
+    discordToken: "",
+    slackBotToken: "xoxb-1",
+  });
+  assert.deepEqual(steps, [
+    {
+      name: "telegram",
+      cfgObj: { enabled: true, dmPolicy: "pairing", botToken: "123:abc", groupPolicy: "allowlist", streamMode: "partial" },
+    },
+    { name: "slack", cfgObj: { enabled: true, botToken: "xoxb-1" } },
+  ]);
+  assert.deepEqual(channelConfigsFromRunPayload({}), []);
+});
+
+test("every channel definition is complete", () => {
+  const names = new Set();
+  for (const def of CHANNEL_DEFINITIONS) {
+    assert.match(def.name, /^[a-z0-9-]+$/);
+    assert.ok(!names.has(def.name), `duplicate ${def.name}`);
+    names.add(def.name);
+    assert.ok(def.label && def.help, `${def.name} needs a label and help`);
+    assert.ok(def.fields.length, `${def.name} has no fields`);
+    for (const field of def.fields) {
+      assert.ok(["secret", "text", "list"].includes(field.type), `${def.name}.${field.key}: bad type`);
+      assert.ok(field.label);
+    }
+    assert.equal(typeof def.defaults, "object");
+  }
+});
+
+test("the run payload's channels object covers every definition", () => {
+  const steps = channelConfigsFromRunPayload({
+    telegramToken: "legacy",
+    channels: {
+      telegram: { botToken: "123:new" },
+      whatsapp: { allowFrom: "+15551234567,\n +15557654321 ," },
+      matrix: { homeserver: "https://matrix.example", accessToken: "syt_x", unknown: "dropped" },
+      signal: { account: "  " },
+    },
+  });
+  assert.deepEqual(steps, [
+    {
+      name: "telegram",
+      cfgObj: { enabled: true, dmPolicy: "pairing", botToken: "123:new", groupPolicy: "allowlist", streamMode: "partial" },
+    },
+    {
+      name: "whatsapp",
+      cfgObj: { enabled: true, dmPolicy: "pairing", groupPolicy: "allowlist", allowFrom: ["+15551234567", "+15557654321"] },
+    },
+    {
+      name: "matrix",
+      cfgObj: { enabled: true, groupPolicy: "allowlist", dm: { policy: "pairing" }, homeserver: "https://matrix.example", accessToken: "syt_x" },
+    },
+  ]);
+  // Defaults are copied, not shared.
+  steps[2].cfgObj.dm.policy = "open";
+  assert.equal(CHANNEL_DEFINITIONS.find((d) => d.name === "matrix").defaults.dm.policy, "pairing");
+});
+
+test("forms are described with support from channels add --help", () => {
+  const described = describeChannels("Options:\n  --channel <name>  telegram|whatsapp\n");
+  assert.deepEqual(described.filter((d) => d.supported).map((d) => d.name), ["telegram", "whatsapp"]);
+  const telegram = described.find((d) => d.name === "telegram");
+  assert.deepEqual(telegram.fields, [{ key: "botToken", label: "Bot token", type: "secret", required: true, placeholder: "123456:ABC..." }]);
+  assert.ok(describeChannels("").every((d) => !d.supported));
+});
+
+test("upsert adds with defaults and updates without losing settings", () => {
+  assert.deepEqual(upsertChannelConfig("discord", undefined, { token: "d1" }), {
+    enabled: true,
+    token: "d1",
+    groupPolicy: "allowlist",
+    dm: { policy: "pairing" },
+  });
+
+  const existing = { enabled: false, botToken: "old", dmPolicy: "open", allowFrom: ["42"] };
+  assert.deepEqual(upsertChannelConfig("telegram", existing, { botToken: "new", dmPolicy: "ignored" }), {
+    enabled: true,
+    botToken: "new",
+    dmPolicy: "open",
+    allowFrom: ["42"],
+  });
+  assert.equal(upsertChannelConfig("telegram", existing, {}).botToken, "old");
+
+  assert.throws(() => upsertChannelConfig("telegram", undefined, { botToken: " " }), { status: 400 });
+  assert.throws(() => upsertChannelConfig("matrix", undefined, { accessToken: "syt_x" }), {
+    status: 400,
+    message: "Matrix needs homeserver url to be added",
+  });
+  assert.throws(() => upsertChannelConfig("slack", undefined, {}), { message: "Slack needs bot token or app token to be added" });
+  assert.throws(() => upsertChannelConfig("irc", undefined, { token: "x" }), { status: 404 });
+});
+
+test("listed channels have their credentials masked", () => {
+  const list = listChannels({
+    channels: {
+      telegram: { enabled: true, botToken: "123:abc", dmPolicy: "pairing" },
+      irc: { enabled: false, password: "secret" },
+    },
+  });
+  assert.deepEqual(list.map((c) => [c.name, c.known, c.enabled]), [
+    ["telegram", true, true],
+    ["irc", false, false],
+  ]);
+  assert.ok(!JSON.stringify(list).includes("123:abc"));
+  assert.ok(!JSON.stringify(list).includes("secret"));
+  assert.equal(list[0].config.dmPolicy, "pairing");
+  assert.deepEqual(listChannels({}), []);
+});
+
+test("server routes channel changes through doctor --fix and a restart", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /const channelSteps = channelConfigsFromRunPayload\(payload\);/);
+  assert.doesNotMatch(src, /id="telegramToken"/, "the wizard's channel inputs come from the registry");
+  for (const route of [
+    /app\.get\("\/setup\/api\/channels", requireSetupAuth/,
+    /app\.put\("\/setup\/api\/channels\/:name", requireSetupAuth, jobRoute\("channel-set"/,
+    /app\.post\("\/setup\/api\/channels\/:name\/disable", requireSetupAuth, jobRoute\("channel-disable"/,
+    /app\.delete\("\/setup\/api\/channels\/:name", requireSetupAuth, jobRoute\("channel-remove"/,
+  ]) {
+    assert.match(src, route);
+  }
+  const change = src.slice(src.indexOf("async function changeChannel"));
+  assert.match(change.slice(0, 1200), /openclawArgs\(\["doctor", "--fix"\]\)[\s\S]*restartForConfigChange\(res, result\)/);
+});
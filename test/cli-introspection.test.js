@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { createCliIntrospection } from "../src/cli-introspection.js";
+
+function withCli(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-introspection-test-"));
+    const entry = path.join(dir, "index.js");
+    fs.writeFileSync(entry, "// v1");
+    const calls = [];
+    let reply = { code: 0, output: "2026.1.0\n" };
+    const cli = createCliIntrospection({
+      entry,
+      commands: { version: ["--version"], help: ["channels", "add", "--help"] },
+      run: async (args) => {
+        calls.push(args.join(" "));
+        await new Promise((r) => setTimeout(r, 5));
+        return reply;
+      },
+    });
+    try {
+      await fn({ entry, cli, calls, setReply: (r) => (reply = r) });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test("answers are cached and concurrent lookups share one run", withCli(async ({ cli, calls }) => {
+  const [a, b] = await Promise.all([cli.get("version"), cli.get("version")]);
+  assert.equal(a.output, "2026.1.0\n");
+  assert.equal(b.cached, false);
+  const again = await cli.get("version");
+  assert.equal(again.cached, true);
+  assert.deepEqual(calls, ["--version"]);
+  await assert.rejects(cli.get("nope"), /Unknown CLI introspection command/);
+}));
+
+test("a changed entry file or a refresh asks the CLI again", withCli(async ({ entry, cli, calls }) => {
+  await cli.get("version");
+  const later = new Date(Date.now() + 60_000);
+  fs.utimesSync(entry, later, later);
+  await cli.get("version");
+  assert.deepEqual(calls, ["--version", "--version"]);
+
+  const described = await cli.refresh();
+  assert.deepEqual(calls, ["--version", "--version", "--version", "channels add --help"]);
+  assert.deepEqual(described.commands.map((c) => [c.name, c.cached]), [["version", true], ["help", true]]);
+}));
+
+test("failed runs are not cached", withCli(async ({ cli, calls, setReply }) => {
+  setReply({ code: 1, output: "Error: Cannot find module" });
+  assert.equal((await cli.get("version")).code, 1);
+  setReply({ code: 0, output: "2026.1.0\n" });
+  assert.equal((await cli.get("version")).code, 0);
+  assert.equal(calls.length, 2);
+}));
+
+test("server routes share the cached introspection", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.doesNotMatch(src, /runCmd\(OPENCLAW_NODE, openclawArgs\(\["--version"\]\)\)/);
+  assert.doesNotMatch(src, /runCmd\(OPENCLAW_NODE, openclawArgs\(\["channels", "add", "--help"\]\)\)/);
+  assert.match(src, /app\.post\("\/setup\/api\/introspection\/refresh", requireSetupAuth/);
+});
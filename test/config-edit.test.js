@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { REDACTED, redactConfig } from "../src/config-diff.js";
+import { applyConfigPatch, parsePointer, writeFileAtomic } from "../src/config-edit.js";
+
+const config = {
+  gateway: { port: 18789, auth: { mode: "token", token: "gw-secret" } },
+  channels: { telegram: { enabled: true, botToken: "123:abc", allowFrom: ["a", "b"] } },
+  messages: { tts: { provider: "x" } },
+};
+
+test("JSON pointers follow RFC 6901 escaping and refuse prototype keys", () => {
+  assert.deepEqual(parsePointer("/a~1b/c~0d"), ["a/b", "c~d"]);
+  assert.deepEqual(parsePointer(""), []);
+  assert.throws(() => parsePointer("a/b"), { status: 400 });
+  assert.throws(() => parsePointer("/__proto__/x"), { status: 400 });
+});
+
+test("set and remove ops edit a copy of the config", () => {
+  const next = applyConfigPatch(config, [
+    { op: "set", path: "/channels/telegram/enabled", value: false },
+    { op: "set", path: "/agents/defaults/model", value: "m" },
+    { op: "set", path: "/channels/telegram/allowFrom/-", value: "c" },
+    { op: "remove", path: "/channels/telegram/allowFrom/0" },
+    { op: "remove", path: "/messages/tts" },
+  ]);
+  assert.equal(next.channels.telegram.enabled, false);
+  assert.equal(next.agents.defaults.model, "m", "missing objects are created");
+  assert.deepEqual(next.channels.telegram.allowFrom, ["b", "c"]);
+  assert.deepEqual(next.messages, {});
+  assert.equal(config.channels.telegram.enabled, true, "input is untouched");
+});
+
+test("masked secrets are kept unless replaced", () => {
+  const masked = redactConfig(config).channels.telegram;
+  assert.equal(masked.botToken, REDACTED);
+
+  const kept = applyConfigPatch(config, [{ op: "set", path: "/channels/telegram", value: { ...masked, enabled: false } }]);
+  assert.equal(kept.channels.telegram.botToken, "123:abc");
+  assert.equal(kept.channels.telegram.enabled, false);
+
+  const replaced = applyConfigPatch(config, [{ op: "set", path: "/channels/telegram/botToken", value: "456:def" }]);
+  assert.equal(replaced.channels.telegram.botToken, "456:def");
+
+  assert.throws(
+    () => applyConfigPatch(config, [{ op: "set", path: "/channels/discord/token", value: REDACTED }]),
+    { message: /no current value to keep/ }
+  );
+});
+
+test("invalid patches are refused as a whole, with every problem listed", () => {
+  assert.throws(
+    () =>
+      applyConfigPatch(
+        config,
+        [
+          { op: "set", path: "/gateway/port/x", value: 1 },
+          { op: "remove", path: "/nope" },
+          { op: "move", path: "/a" },
+          { op: "set", path: "/gateway/auth/token", value: "mine" },
+        ],
+        { locked: ["/gateway/auth/token"] }
+      ),
+    (err) => {
+      assert.equal(err.status, 400);
+      assert.equal(err.problems.length, 4);
+      assert.match(err.message, /gateway\/port is a number, not an object/);
+      assert.match(err.message, /nothing to remove/);
+      assert.match(err.message, /Unknown op "move"/);
+      assert.match(err.message, /managed by the wrapper/);
+      return true;
+    }
+  );
+  assert.throws(() => applyConfigPatch(config, []), { message: /non-empty/ });
+  assert.throws(() => applyConfigPatch(config, [{ op: "remove", path: "/gateway" }], { locked: ["/gateway/port"] }), {
+    message: /managed by the wrapper/,
+  });
+});
+
+test("atomic writes replace the file and keep its mode", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-edit-test-"));
+  try {
+    const file = path.join(dir, "openclaw.json");
+    fs.writeFileSync(file, "{}", { mode: 0o640 });
+    writeFileAtomic(file, '{"a":1}');
+    assert.equal(fs.readFileSync(file, "utf8"), '{"a":1}');
+    assert.equal(fs.statSync(file).mode & 0o777, 0o640);
+    assert.deepEqual(fs.readdirSync(dir), ["openclaw.json"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("server exposes the config editor and locks wrapper-managed keys", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /app\.get\("\/setup\/api\/config", requireSetupAuth/);
+  assert.match(src, /app\.patch\("\/setup\/api\/config", requireSetupAuth/);
+  assert.match(src, /applyConfigPatch\(current\.config, body\?\.ops, \{ locked: LOCKED_CONFIG_POINTERS \}\)/);
+  assert.match(src, /writeFileAtomic\(current\.file, text\)/);
+});
@@ -0,0 +1,136 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  configVersionDiff,
+  createConfigHistory,
+  parseConfigVersion,
+  redactConfigText,
+  unifiedDiff,
+} from "../src/config-history.js";
+
+function withHistory(fn, opts = {}) {
+  return () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-history-test-"));
+    try {
+      fn({ dir, history: createConfigHistory({ dir: path.join(dir, "config-history"), ...opts }) });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test("versions are numbered, deduplicated and keep their metadata", withHistory(({ dir, history }) => {
+  assert.equal(history.record(null, { action: "startup" }), null, "no config, nothing to record");
+
+  const v1 = history.record('{"a":1}', { action: "run", author: "setup", jobId: "j1" });
+  assert.equal(v1.version, 1);
+  assert.equal(history.record('{"a":1}', { action: "fix-config" }), null, "unchanged content is skipped");
+
+  history.record('{"a":2}', { action: "external-edit", source: "watch" });
+  const gone = history.record(null, { action: "reset" });
+  assert.equal(gone.deleted, true);
+  assert.equal(history.record(null, { action: "reset" }), null);
+
+  assert.deepEqual(history.list().map((v) => [v.version, v.action, v.source]), [
+    [3, "reset", "wrapper"],
+    [2, "external-edit", "watch"],
+    [1, "run", "wrapper"],
+  ]);
+  assert.equal(history.read(1).text, '{"a":1}');
+  assert.equal(history.read(1).meta.jobId, "j1");
+  assert.equal(history.read(3).text, null);
+  assert.equal(history.read(9), null);
+  assert.deepEqual(fs.readdirSync(path.join(dir, "config-history")).sort(), [
+    "000001.json",
+    "000001.meta.json",
+    "000002.json",
+    "000002.meta.json",
+    "000003.meta.json",
+  ]);
+}));
+
+test("old versions are pruned but numbering continues", withHistory(({ history }) => {
+  for (let i = 1; i <= 5; i++) history.record(`{"n":${i}}`, { action: "config-edit" });
+  assert.deepEqual(history.list().map((v) => v.version), [5, 4, 3]);
+  assert.equal(history.record('{"n":6}', { action: "config-edit" }).version, 6);
+}, { keep: 3 }));
+
+test("unified diffs match diff -u and never show secrets", () => {
+  const before = redactConfigText(JSON.stringify({ gateway: { auth: { token: "old-secret" } }, channels: { telegram: { enabled: true } } }));
+  const after = redactConfigText(JSON.stringify({ gateway: { auth: { token: "new-secret" } }, channels: { telegram: { enabled: false } } }));
+  const diff = unifiedDiff(before, after, { fromLabel: "v1", toLabel: "v2" });
+  assert.equal(
+    diff,
+    [
+      "--- v1",
+      "+++ v2",
+      "@@ -6,7 +6,7 @@",
+      "   },",
+      '   "channels": {',
+      '     "telegram": {',
+      '-      "enabled": true',
+      '+      "enabled": false',
+      "     }",
+      "   }",
+      " }",
+      "",
+    ].join("\n")
+  );
+  assert.doesNotMatch(diff + before + after, /secret/);
+  assert.equal(unifiedDiff(before, before), "");
+  assert.equal(unifiedDiff("", "a\n"), "--- a\n+++ b\n@@ -0,0 +1,1 @@\n+a\n");
+});
+
+test("broken JSON is still masked line by line", () => {
+  assert.equal(
+    redactConfigText('{\n  "botToken": "123:abc",\n  "enabled": true,\n'),
+    '{\n  "botToken": "[REDACTED]",\n  "enabled": true,\n'
+  );
+});
+
+test("the versions diff route never shows a secret, even inside arrays", withHistory(({ history }) => {
+  const v1 = history.record(
+    JSON.stringify({ agents: { list: [{ id: "main", apiKey: "sk-live-111" }] }, gateway: { auth: { token: "tok-111" } } }),
+    { action: "config-edit" }
+  );
+  // Compact JSON: no line-per-key layout for the text redaction to lean on.
+  const v2 = history.record(
+    JSON.stringify({
+      agents: { list: [{ id: "main", apiKey: "sk-live-222" }, { id: "ops", providers: [{ botToken: "bot-222" }] }] },
+      gateway: { auth: { token: "tok-222" } },
+    }),
+    { action: "config-edit" }
+  );
+  const out = configVersionDiff(history.read(v1.version).text, history.read(v2.version).text);
+  const shown = JSON.stringify(out);
+  for (const secret of ["sk-live-111", "sk-live-222", "tok-111", "tok-222", "bot-222"]) {
+    assert.ok(!shown.includes(secret), `${secret} leaked: ${shown}`);
+  }
+  assert.deepEqual(out.changes.changed.map((c) => c.path), ["agents.list", "gateway.auth.token"], "changes still say what differs");
+  assert.deepEqual(configVersionDiff(null, null), { diff: "", changes: { added: [], removed: [], changed: [] } });
+
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /const \{ diff, changes \} = configVersionDiff\(from\.text, to\.text,/);
+}));
+
+test("version numbers are validated", () => {
+  assert.equal(parseConfigVersion("12"), 12);
+  for (const bad of ["0", "-1", "1.5", "x", "", undefined]) {
+    assert.throws(() => parseConfigVersion(bad), { status: 400 });
+  }
+});
+
+test("server records config changes around every job and watches the file", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /recordConfigVersion\(\{ action: kind, author: req\.user\?\.username \?\? "setup", jobId: j\.id \}\)/);
+  assert.match(src, /fs\.watchFile\(file, \{ interval: 2_000, persistent: false \}/);
+  assert.match(src, /app\.get\("\/setup\/api\/config\/versions\/diff", requireSetupAuth/);
+  assert.match(src, /app\.post\("\/setup\/api\/config\/versions\/:version\/revert", requireSetupAuth, jobRoute\("config-revert"/);
+  const revert = src.slice(src.indexOf('app.post("/setup/api/config/versions/:version/revert"'));
+  assert.match(revert.slice(0, 2500), /action: "config-revert",\s+author: req\.user\?\.username \?\? "setup",/, "reverts name who did them");
+  assert.doesNotMatch(src, /author: "setup"/);
+});
@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { CONFIG_RULES, applyConfigRules, checkConfigRules, parseOpenclawVersion, versionSatisfies } from "../src/config-rules.js";
+
+const broken = {
+  gateway: { port: 18789, trustedProxies: ["10.0.0.0/8"] },
+  messages: { tts: { provider: "nope" }, ackReaction: "ok" },
+};
+
+test("built-in rules keep the repairs fix-config always made", () => {
+  const checked = checkConfigRules(broken);
+  assert.deepEqual(checked.filter((r) => r.matches).map((r) => r.id), ["messages-tts-invalid-provider", "gateway-trusted-proxies"]);
+  assert.equal(checked[0].detail, "messages.tts is set");
+
+  const { config, applied } = applyConfigRules(broken);
+  assert.deepEqual(config, { gateway: { port: 18789 }, messages: { ackReaction: "ok" } });
+  assert.equal(applied.length, 2);
+  assert.ok(broken.messages.tts, "input is untouched");
+  assert.deepEqual(applyConfigRules(config).applied, [], "fixed configs match nothing");
+});
+
+test("only the selected rules run; unknown ids are refused", () => {
+  const { config, applied, skipped } = applyConfigRules(broken, { ids: ["gateway-trusted-proxies"] });
+  assert.deepEqual(applied.map((r) => r.id), ["gateway-trusted-proxies"]);
+  assert.deepEqual(skipped, []);
+  assert.ok(config.messages.tts);
+
+  assert.deepEqual(applyConfigRules(config, { ids: ["gateway-trusted-proxies"] }).skipped, ["gateway-trusted-proxies"]);
+  assert.throws(() => applyConfigRules(broken, { ids: ["nope"] }), { status: 400, message: /Unknown rule\(s\): nope/ });
+  assert.throws(() => applyConfigRules(broken, { ids: "gateway-trusted-proxies" }), { status: 400 });
+});
+
+test("version ranges limit where a rule applies", () => {
+  assert.equal(parseOpenclawVersion("OpenClaw 2026.1.29 (abc123)\n"), "2026.1.29");
+  assert.equal(parseOpenclawVersion("unknown"), null);
+  assert.ok(versionSatisfies("2026.2.0", ">=2026.1.0 <2026.3.0"));
+  assert.ok(!versionSatisfies("2026.3.0", ">=2026.1.0 <2026.3.0"));
+  assert.ok(versionSatisfies("2026.2", "=2026.2.0"));
+  assert.ok(versionSatisfies(null, "<1.0"), "unknown versions get every rule");
+  assert.throws(() => versionSatisfies("1.0", "~1.0"), /Invalid version range/);
+
+  const rules = [
+    {
+      id: "old-only",
+      description: "Drop a key old versions wrote",
+      openclaw: "<2026.2.0",
+      detect: (c) => "legacy" in c,
+      fix: (c) => delete c.legacy,
+    },
+  ];
+  assert.equal(checkConfigRules({ legacy: 1 }, { version: "2026.2.1", rules })[0].applies, false);
+  assert.deepEqual(applyConfigRules({ legacy: 1 }, { version: "2026.2.1", rules }).applied, []);
+  assert.deepEqual(applyConfigRules({ legacy: 1 }, { version: "2026.1.9", rules }).config, {});
+});
+
+test("rule ids are unique and every rule is complete", () => {
+  assert.equal(new Set(CONFIG_RULES.map((r) => r.id)).size, CONFIG_RULES.length);
+  for (const r of CONFIG_RULES) {
+    assert.match(r.id, /^[a-z0-9]+(-[a-z0-9]+)*$/);
+    assert.equal(typeof r.description, "string");
+    assert.equal(typeof r.detect, "function");
+    assert.equal(typeof r.fix, "function");
+    versionSatisfies("1.0.0", r.openclaw);
+  }
+});
+
+test("server fixes config through the rules, optionally before gateway start", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.doesNotMatch(src, /delete config\.messages\.tts/);
+  assert.match(src, /applyConfigRules\(config, \{ version: await openclawVersion\(\) \}\)/);
+  assert.match(src, /if \(CONFIG_RULES_ON_START\) await fixConfigBeforeStart\(\);/);
+  assert.match(src, /app\.post\("\/setup\/api\/config\/rules\/apply", requireSetupAuth/);
+});
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { createLogBuffer, detectLevel } from "../src/gateway-logs.js";
+
+test("log buffer splits chunks into lines and keeps only the newest", () => {
+  const buf = createLogBuffer({ maxLines: 3 });
+  buf.write("stdout", "one\ntw");
+  buf.write("stdout", "o\nthree\nfour\n");
+  assert.deepEqual(
+    buf.query().map((e) => e.text),
+    ["two", "three", "four"]
+  );
+});
+
+test("log buffer redacts lines and filters by level and substring", () => {
+  const buf = createLogBuffer({ redact: (s) => s.replace(/sk-\w+/g, "[REDACTED]") });
+  buf.append("stdout", "info telegram connected");
+  buf.append("stderr", "ERROR discord key sk-abcdef");
+  assert.equal(buf.query({ level: "error" }).length, 1);
+  assert.equal(buf.query({ level: "error" })[0].text, "ERROR discord key [REDACTED]");
+  assert.equal(buf.query({ q: "TELEGRAM" }).length, 1);
+  assert.equal(buf.query({ tail: 1 })[0].seq, 2);
+});
+
+test("log buffer lets overlong lines through in pieces instead of holding them back", () => {
+  const buf = createLogBuffer({ maxLineBytes: 10 });
+  buf.write("stdout", "0123456789abcdef");
+  buf.write("stdout", "ghijklmnopqrstuvwxyz");
+  assert.deepEqual(buf.query().map((e) => e.text), ["0123456789", "abcdefghij", "klmnopqrst"], "the partial line never exceeds the limit");
+  buf.write("stdout", "\n\u00e9\u00e9\u00e9\u00e9\u00e9\u00e9\n");
+  assert.deepEqual(
+    buf.query().slice(3).map((e) => e.text),
+    ["uvwxyz", "\u00e9\u00e9\u00e9\u00e9\u00e9", "\u00e9"],
+    "split by bytes, never inside a character"
+  );
+});
+
+test("a partial line is flushed on its own when the process exits", () => {
+  const buf = createLogBuffer();
+  buf.write("stderr", "line1\nFATAL: out of memory");
+  buf.write("stdout", "half");
+  buf.flushPartial();
+  buf.flushPartial();
+  buf.write("stderr", "gateway starting\n");
+  assert.deepEqual(
+    buf.query().map((e) => [e.stream, e.text]),
+    [
+      ["stderr", "line1"],
+      ["stderr", "FATAL: out of memory"],
+      ["stdout", "half"],
+      ["stderr", "gateway starting"],
+    ]
+  );
+  assert.equal(buf.query()[1].level, "fatal");
+});
+
+test("log file rotation counts bytes, not characters", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gateway-logs-test-"));
+  try {
+    const filePath = path.join(dir, "gateway.log");
+    const buf = createLogBuffer({ filePath, maxFileBytes: 200, maxFiles: 2 });
+    for (let i = 0; i < 3; i++) {
+      buf.append("stdout", "\u00e9".repeat(40));
+      buf.flush();
+    }
+    assert.ok(fs.statSync(filePath).size <= 200, "each line is over 100 bytes, so only one fits");
+    assert.ok(fs.statSync(`${filePath}.1`).size <= 200);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("detectLevel reads JSON levels and falls back by stream", () => {
+  assert.equal(detectLevel('{"level":"debug","msg":"x"}', "stdout"), "debug");
+  assert.equal(detectLevel("[gateway] Warning: slow", "stdout"), "warn");
+  assert.equal(detectLevel("plain", "stderr"), "warn");
+  assert.equal(detectLevel("plain", "stdout"), "info");
+});
+
+test("gateway output is piped into the log buffer and exposed at /setup/api/logs", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /stdio: \["ignore", "pipe", "pipe"\]/);
+  assert.match(src, /gatewayLogs\.write\("stderr", d\)/);
+  assert.match(src, /proc\.on\("exit", \(code, signal\) => \{\n\s+gatewayLogs\.flushPartial\(\);/);
+  assert.match(src, /proc\.on\("error", \(err\) => \{\n\s+gatewayLogs\.flushPartial\(\);/);
+  assert.match(src, /app\.get\("\/setup\/api\/logs", requireSetupAuth/);
+  assert.match(src, /text\/event-stream/);
+});
@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+test("gateway exit schedules a supervised restart with backoff", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /function scheduleGatewayRestart\(/);
+  assert.match(src, /GATEWAY_RESTART_BASE_MS \* 2 \*\* \(attempt - 1\)/);
+  assert.match(src, /if \(!expected\) scheduleGatewayRestart\(\)/);
+});
+
+test("healthz and debug report crash-looping state", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /"crash-looping"/);
+  const idx = src.indexOf('app.get("/healthz"');
+  assert.ok(idx >= 0);
+  assert.match(src.slice(idx, idx + 900), /gatewaySupervisorState\(\)/);
+  assert.match(src, /gatewayRestartHistory,/);
+});
+
+test("intentional stops are not treated as crashes", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /proc\.stopRequested = true/);
+  assert.match(src, /Boolean\(proc\.stopRequested\) \|\| shuttingDown/);
+});
+
+test("stopping the gateway waits for it to exit and kills it if it won't", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const stop = src.slice(src.indexOf("async function stopGateway("), src.indexOf("async function restartGateway("));
+  assert.match(stop, /proc\.kill\("SIGTERM"\)[\s\S]*if \(!\(await waitForExit\(proc, GATEWAY_STOP_TIMEOUT_MS\)\)\)/);
+  assert.match(stop, /proc\.kill\("SIGKILL"\)[\s\S]*if \(!\(await waitForExit\(proc, GATEWAY_KILL_TIMEOUT_MS\)\)\) \{[\s\S]*?throw new Error\(/);
+  assert.ok(stop.indexOf("waitForExit") < stop.indexOf("gatewayProc = null"), "the handle is cleared only after the wait");
+  assert.doesNotMatch(stop, /sleep\(/);
+  assert.equal((src.match(/^ +gatewayProc = null;/gm) ?? []).length, 2, "only the exit handler and stopGateway clear the handle");
+});
@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { REDACTED, diffConfig, redactConfig } from "../src/config-diff.js";
+import { EXPORT_SCOPES } from "../src/backup-archive.js";
+import { buildImportManifest, diffDirs } from "../src/backup-preview.js";
+
+function writeTree(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    const abs = path.join(root, rel);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, content);
+  }
+}
+
+test("config diff reports added/removed/changed keys and masks secrets", () => {
+  const before = { gateway: { port: 18789, auth: { token: "old" } }, channels: { telegram: { enabled: true } } };
+  const after = { gateway: { port: 18790, auth: { token: "new" } }, agents: { model: "x" } };
+  const d = diffConfig(before, after);
+
+  assert.deepEqual(d.added, [{ path: "agents.model", value: "x" }]);
+  assert.deepEqual(d.removed, [{ path: "channels.telegram.enabled", value: true }]);
+  assert.deepEqual(d.changed, [
+    { path: "gateway.port", before: 18789, after: 18790 },
+    { path: "gateway.auth.token", before: REDACTED, after: REDACTED },
+  ]);
+  assert.equal(redactConfig({ apiKey: "sk-1", n: 1 }).apiKey, REDACTED);
+});
+
+test("config diff masks secrets inside arrays", () => {
+  const d = diffConfig({}, { agents: { list: [{ id: "main", apiKey: "sk-live-123", auth: { token: "t-1" } }] } });
+  assert.deepEqual(d.added, [
+    { path: "agents.list", value: [{ id: "main", apiKey: REDACTED, auth: { token: REDACTED } }] },
+  ]);
+
+  const changed = diffConfig({ list: [{ apiKey: "sk-old" }] }, { list: [{ apiKey: "sk-new" }] }).changed;
+  assert.deepEqual(changed, [{ path: "list", before: [{ apiKey: REDACTED }], after: [{ apiKey: REDACTED }] }]);
+  assert.ok(!JSON.stringify(changed).includes("sk-"), "a change is reported, the keys are not");
+  assert.deepEqual(diffConfig({ a: [1] }, { a: [1, "x"] }).changed, [{ path: "a", before: [1], after: [1, "x"] }]);
+});
+
+test("diffDirs compares files by content", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "import-preview-test-"));
+  try {
+    writeTree(path.join(root, "cur"), { "a.md": "same", "b.md": "old!", "gone.md": "x" });
+    writeTree(path.join(root, "new"), { "a.md": "same", "b.md": "new!", "sub/c.md": "c" });
+    const d = diffDirs(path.join(root, "cur"), path.join(root, "new"));
+    assert.deepEqual(d.added, ["sub/c.md"]);
+    assert.deepEqual(d.changed, ["b.md"]);
+    assert.deepEqual(d.removed, ["gone.md"]);
+    assert.deepEqual(d.counts, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("import manifest summarizes a staged backup against live state", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "import-preview-test-"));
+  try {
+    const live = { stateDir: path.join(root, "live/.openclaw"), workspaceDir: path.join(root, "live/workspace") };
+    writeTree(live.stateDir, { "openclaw.json": JSON.stringify({ channels: { discord: { enabled: true } } }) });
+    writeTree(live.workspaceDir, { "notes.md": "a" });
+
+    const staged = {
+      stateVariant: ".openclaw",
+      stateDir: path.join(root, "staged/.openclaw"),
+      workspaceDir: path.join(root, "staged/.openclaw/workspace"),
+    };
+    writeTree(staged.stateDir, {
+      "openclaw.json": JSON.stringify({ channels: { telegram: { enabled: false, botToken: "123:abc" } } }),
+      "workspace/notes.md": "b",
+    });
+
+    const m = buildImportManifest(staged, live);
+    assert.equal(m.stateVariant, ".openclaw");
+    assert.equal(m.state.files, 1, "nested workspace is not counted as state");
+    assert.equal(m.workspace.files, 1);
+    assert.deepEqual(m.channels.incoming, [{ name: "telegram", enabled: false }]);
+    assert.deepEqual(m.channels.current, [{ name: "discord", enabled: true }]);
+    assert.ok(m.config.diff.added.some((e) => e.path === "channels.telegram.botToken" && e.value === REDACTED));
+    assert.deepEqual(m.workspaceFiles.changed, ["notes.md"]);
+    assert.ok(!JSON.stringify(m).includes("123:abc"));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("preview of a scoped archive only reports what the archive replaces", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "import-preview-test-"));
+  try {
+    const live = { stateDir: path.join(root, "live/.openclaw"), workspaceDir: path.join(root, "live/workspace") };
+    writeTree(live.stateDir, { "openclaw.json": JSON.stringify({ gateway: { port: 1 } }), "credentials/oauth.json": "x" });
+    writeTree(live.workspaceDir, { "notes.md": "a" });
+    writeTree(path.join(root, "staged/.openclaw"), { "openclaw.json": JSON.stringify({ gateway: { port: 2 } }) });
+
+    const configOnly = buildImportManifest(
+      {
+        stateVariant: ".openclaw",
+        stateDir: path.join(root, "staged/.openclaw"),
+        workspaceDir: null,
+        covers: EXPORT_SCOPES.config,
+      },
+      live
+    );
+    assert.deepEqual(configOnly.stateFiles.counts, { added: 0, removed: 0, changed: 1, unchanged: 0 }, "credentials are kept");
+    assert.equal(configOnly.workspaceFiles, null);
+
+    writeTree(path.join(root, "staged/workspace"), { "notes.md": "b" });
+    const workspaceOnly = buildImportManifest(
+      { stateVariant: ".openclaw", stateDir: null, workspaceDir: path.join(root, "staged/workspace"), covers: EXPORT_SCOPES.workspace },
+      live
+    );
+    assert.deepEqual(workspaceOnly.config.diff, { added: [], removed: [], changed: [] }, "the live config is kept");
+    assert.equal(workspaceOnly.stateFiles.counts.removed, 0);
+    assert.deepEqual(workspaceOnly.workspaceFiles.changed, ["notes.md"]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("scoped imports are completed from the live dirs at apply time, not at preview", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const stage = src.slice(src.indexOf("async function stageArchive("), src.indexOf("async function applyStagedRestore("));
+  assert.doesNotMatch(stage, /fillFromLive\(/);
+  const apply = src.slice(src.indexOf("async function applyStagedRestore("), src.indexOf("function workspaceInsideState("));
+  assert.match(apply, /await stopGateway\(\);[\s\S]*fillFromLive\(staged, live, staged\.scope\)[\s\S]*moveLiveDirsAside\(\)/);
+});
+
+test("server exposes preview, confirm and discard routes", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /app\.post\("\/setup\/import\/preview"/);
+  assert.match(src, /app\.post\("\/setup\/import\/confirm", requireSetupAuth, jobRoute\("import"/);
+  assert.match(src, /app\.delete\("\/setup\/import\/preview\/:token"/);
+});
@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  deleteSnapshot,
+  isValidSnapshotId,
+  listSnapshots,
+  pruneSnapshots,
+  selectSnapshotsToPrune,
+  snapshotId,
+  snapshotTime,
+} from "../src/import-snapshots.js";
+
+test("snapshot ids round-trip to their creation time and reject traversal", () => {
+  const at = new Date("2026-01-31T06:00:00.123Z");
+  const id = snapshotId(at);
+  assert.equal(id, "2026-01-31T06-00-00-123Z");
+  assert.equal(snapshotTime(id), at.getTime());
+  assert.ok(!isValidSnapshotId("../../etc"));
+  assert.ok(!isValidSnapshotId(`${id}/..`));
+});
+
+test("snapshots pair state and workspace dirs by id, newest first", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "import-snapshots-test-"));
+  const stateDir = path.join(root, ".openclaw");
+  const workspaceDir = path.join(root, "workspace");
+  try {
+    const older = "2026-01-01T00-00-00-000Z";
+    const newer = "2026-02-01T00-00-00-000Z";
+    fs.mkdirSync(`${stateDir}.bak-${older}`);
+    fs.writeFileSync(path.join(`${stateDir}.bak-${older}`, "openclaw.json"), "{}");
+    fs.mkdirSync(`${workspaceDir}.bak-${older}`);
+    fs.mkdirSync(`${stateDir}.bak-${newer}`);
+    fs.mkdirSync(`${stateDir}.bak-not-a-snapshot`);
+
+    const list = listSnapshots(stateDir, workspaceDir, { sizes: true });
+    assert.deepEqual(list.map((s) => s.id), [newer, older]);
+    assert.equal(list[0].workspace, null);
+    assert.equal(list[1].state.files, 1);
+    assert.equal(list[1].state.bytes, 2);
+
+    assert.deepEqual(selectSnapshotsToPrune(list, 1), [older]);
+    assert.deepEqual(selectSnapshotsToPrune(list, 0), [newer, older]);
+
+    assert.deepEqual(pruneSnapshots(stateDir, workspaceDir, 1), [older]);
+    assert.ok(!fs.existsSync(`${workspaceDir}.bak-${older}`));
+    assert.ok(deleteSnapshot(stateDir, workspaceDir, newer));
+    assert.ok(!deleteSnapshot(stateDir, workspaceDir, newer));
+    assert.deepEqual(listSnapshots(stateDir, workspaceDir), []);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("server exposes snapshot list, rollback and prune routes", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /app\.get\("\/setup\/api\/import-snapshots"/);
+  assert.match(src, /app\.post\("\/setup\/api\/import-snapshots\/:id\/rollback", requireSetupAuth, jobRoute\("rollback"/);
+  assert.match(src, /app\.post\("\/setup\/api\/import-snapshots\/prune", requireSetupAuth, jobRoute\(/);
+  assert.match(src, /const IMPORT_SNAPSHOT_KEEP = envInt\("OPENCLAW_IMPORT_SNAPSHOT_KEEP"/);
+});
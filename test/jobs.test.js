@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import childProcess from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { createJobRunner } from "../src/jobs.js";
+
+test("jobs run one at a time in submission order", async () => {
+  const jobs = createJobRunner();
+  const events = [];
+  const slow = jobs.enqueue("a", async () => {
+    events.push("a:start");
+    await new Promise((r) => setTimeout(r, 30));
+    events.push("a:end");
+  });
+  const fast = jobs.enqueue("b", async () => {
+    events.push("b:start");
+    return { ok: false, error: "nope" };
+  });
+  assert.equal(fast.status, "queued");
+  await Promise.all([slow.done, fast.done]);
+  assert.deepEqual(events, ["a:start", "a:end", "b:start"]);
+  assert.equal(jobs.get(slow.id).status, "succeeded");
+  assert.equal(jobs.get(fast.id).status, "failed");
+});
+
+test("cancel kills tracked children and persists the outcome", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-test-"));
+  const jobs = createJobRunner({ historyFile: path.join(dir, "history.jsonl") });
+  const job = jobs.enqueue("doctor", async () => {
+    const proc = childProcess.spawn(process.execPath, ["-e", "setTimeout(() => {}, 30000)"]);
+    jobs.track(proc);
+    await new Promise((r) => proc.on("close", r));
+  });
+  const queued = jobs.enqueue("reset", async () => ({ ok: true }));
+
+  await new Promise((r) => setTimeout(r, 50));
+  assert.ok(jobs.cancel(job.id));
+  assert.ok(jobs.cancel(queued.id));
+  await assert.rejects(job.done, { code: "ECANCELED" });
+  await assert.rejects(queued.done, { code: "ECANCELED" });
+
+  const history = jobs.history();
+  assert.deepEqual(history.map((j) => [j.kind, j.status]), [
+    ["doctor", "cancelled"],
+    ["reset", "cancelled"],
+  ]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("mutating setup routes run as jobs", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  for (const kind of ["run", "reset", "import", "doctor", "fix-config", "restart"]) {
+    assert.match(src, new RegExp(`jobRoute\\("${kind}"`));
+  }
+  assert.match(src, /app\.post\("\/setup\/api\/jobs\/:id\/cancel"/);
+  assert.match(src, /jobs\.track\(proc\)/);
+});
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { PAIRING_PENDING_TTL_MS, createPairingStore } from "../src/pairing-store.js";
+
+const NOW = Date.parse("2026-02-01T12:00:00Z");
+
+function fixture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pairing-store-test-"));
+  const iso = (msAgo) => new Date(NOW - msAgo).toISOString();
+  fs.writeFileSync(
+    path.join(dir, "telegram-pairing.json"),
+    JSON.stringify({
+      version: 1,
+      requests: [
+        { id: "222", code: "BBBB2222", createdAt: iso(60_000), lastSeenAt: iso(1_000), meta: { username: "bob" } },
+        { id: "111", code: "AAAA1111", createdAt: iso(120_000), lastSeenAt: iso(120_000) },
+        { id: "333", code: "OLD33333", createdAt: iso(PAIRING_PENDING_TTL_MS + 1), lastSeenAt: iso(0) },
+      ],
+    })
+  );
+  fs.writeFileSync(path.join(dir, "telegram-allowFrom.json"), JSON.stringify({ version: 1, allowFrom: ["42", 43] }));
+  fs.writeFileSync(path.join(dir, "signal-allowFrom.json"), JSON.stringify({ version: 1, allowFrom: [] }));
+  fs.writeFileSync(path.join(dir, "whatsapp-creds.json"), "{}");
+  return { dir, store: createPairingStore({ dir, now: () => NOW }) };
+}
+
+test("lists channels, unexpired requests oldest first and approved senders", () => {
+  const { dir, store } = fixture();
+  try {
+    assert.deepEqual(store.channels(), ["signal", "telegram"]);
+    assert.deepEqual(
+      store.pending("telegram").map((r) => [r.code, r.id, r.meta]),
+      [
+        ["AAAA1111", "111", {}],
+        ["BBBB2222", "222", { username: "bob" }],
+      ]
+    );
+    assert.deepEqual(store.approved("telegram"), ["42", "43"]);
+    assert.deepEqual(store.pending("discord"), []);
+    assert.deepEqual(store.approved("discord"), []);
+    assert.deepEqual(createPairingStore({ dir: path.join(dir, "missing") }).channels(), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("deny drops one request and revoke drops one sender", () => {
+  const { dir, store } = fixture();
+  try {
+    store.deny("telegram", "bbbb2222");
+    assert.deepEqual(store.pending("telegram").map((r) => r.code), ["AAAA1111"]);
+    const raw = JSON.parse(fs.readFileSync(path.join(dir, "telegram-pairing.json"), "utf8"));
+    assert.equal(raw.requests.length, 2, "other requests are left as they were");
+
+    assert.throws(() => store.deny("telegram", "BBBB2222"), { status: 404 });
+    assert.throws(() => store.deny("telegram", "OLD33333"), { status: 404 }, "expired requests can't be denied");
+
+    store.revoke("telegram", "42");
+    assert.deepEqual(store.approved("telegram"), ["43"]);
+    assert.throws(() => store.revoke("telegram", "42"), { status: 404 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("channel names can't reach outside the credentials dir", () => {
+  const { dir, store } = fixture();
+  try {
+    for (const bad of ["../telegram", "Telegram", "a/b", ""]) {
+      assert.throws(() => store.pending(bad), { status: 400 });
+      assert.throws(() => store.revoke(bad, "1"), { status: 400 });
+    }
+    fs.writeFileSync(path.join(dir, "slack-pairing.json"), "{not json");
+    assert.throws(() => store.pending("slack"), { status: 409 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("server exposes pairing list, approve, deny and revoke", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /app\.get\("\/setup\/api\/pairing", requireSetupAuth/);
+  assert.match(src, /openclawArgs\(\["pairing", "approve", String\(channel\), String\(code\)\.trim\(\)\]\)/);
+  assert.match(src, /app\.post\("\/setup\/api\/pairing\/deny", requireSetupAuth/);
+  assert.match(src, /app\.post\("\/setup\/api\/pairing\/revoke", requireSetupAuth/);
+  const app = fs.readFileSync(new URL("../src/setup-app.js", import.meta.url), "utf8");
+  assert.doesNotMatch(app, /Channel must be "telegram" or "discord"/);
+});
@@ -7,5 +7,8 @@ test("reset handler stops gateway before deleting config", () => {
   const idx = src.indexOf('app.post("/setup/api/reset"');
   assert.ok(idx >= 0);
   const window = src.slice(idx, idx + 900);
-  assert.match(window, /gatewayProc\.kill\("SIGTERM"\)/);
+  assert.match(window, /await stopGateway\(\);[\s\S]*resolveConfigCandidates\(\)/);
+  assert.doesNotMatch(window.slice(0, window.indexOf("resolveConfigCandidates")), /catch/, "a gateway that won't stop fails the reset");
+  const stop = src.slice(src.indexOf("async function stopGateway("), src.indexOf("async function restartGateway("));
+  assert.match(stop, /proc\.kill\("SIGTERM"\)/);
 });
@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+test("/setup/api/run can stream NDJSON step events", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const idx = src.indexOf('app.post("/setup/api/run"');
+  assert.ok(idx >= 0);
+  const window = src.slice(idx, idx + 600);
+  assert.match(window, /application\/x-ndjson/);
+  assert.match(window, /createStepReporter\(res, \{ stream \}\)/);
+  assert.match(src, /type: "summary", ok, durationMs/);
+});
+
+test("runCmd forwards output chunks to onOutput", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /const \{ onOutput, \.\.\.spawnOpts \} = opts;/);
+  assert.match(src, /onOutput\?\.\(chunk\)/);
+});
+
+test("setup UI renders the streamed steps as a checklist", () => {
+  const src = fs.readFileSync(new URL("../src/setup-app.js", import.meta.url), "utf8");
+  assert.match(src, /accept: 'application\/x-ndjson'/);
+  assert.match(src, /function readNdjson\(/);
+  assert.match(src, /function renderStep\(/);
+});
@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { SESSION_COOKIE, createSessionStore, parseCookies, serializeCookie } from "../src/sessions.js";
+
+test("cookies are parsed and written with HttpOnly and SameSite", () => {
+  assert.deepEqual(parseCookies("a=1; b=x%20y;c=; a=2; junk"), { a: "1", b: "x y", c: "" });
+  assert.deepEqual(parseCookies(undefined), {});
+  assert.equal(
+    serializeCookie(SESSION_COOKIE, "v.s", { maxAgeMs: 3_600_000, secure: true }),
+    "openclaw_setup_session=v.s; Path=/; HttpOnly; SameSite=Lax; Max-Age=3600; Secure"
+  );
+  assert.match(serializeCookie(SESSION_COOKIE, "", { maxAgeMs: 0 }), /Max-Age=0$/);
+});
+
+test("sessions need a correctly signed cookie and expire", () => {
+  let t = 1_000;
+  const store = createSessionStore({ secret: "k", ttlMs: 60_000, now: () => t });
+  const s = store.create("alice");
+  assert.equal(store.get(s.cookie).username, "alice");
+  assert.equal(store.get(s.id), null, "the bare id is not enough");
+  assert.equal(store.get(`${s.id}.${"A".repeat(43)}`), null);
+  assert.equal(createSessionStore({ secret: "other", ttlMs: 60_000, now: () => t }).get(s.cookie), null);
+
+  t += 60_000;
+  assert.equal(store.get(s.cookie), null);
+  assert.equal(store.count(), 0);
+});
+
+test("logout and account changes end sessions", () => {
+  const store = createSessionStore({ secret: "k", ttlMs: 60_000 });
+  const a1 = store.create("alice");
+  const a2 = store.create("alice");
+  const b = store.create("bob");
+  assert.notEqual(a1.cookie, a2.cookie);
+
+  store.destroy(a1.cookie);
+  assert.equal(store.get(a1.cookie), null);
+
+  const a3 = store.create("alice");
+  store.endForUser("alice", { except: a3.id });
+  assert.equal(store.get(a2.cookie), null);
+  assert.ok(store.get(a3.cookie));
+  assert.ok(store.get(b.cookie));
+});
+
+test("CSRF tokens are per session", () => {
+  const store = createSessionStore({ secret: "k", ttlMs: 60_000 });
+  const a = store.get(store.create("alice").cookie);
+  const b = store.get(store.create("bob").cookie);
+  assert.ok(store.checkCsrf(a, a.csrfToken));
+  assert.ok(!store.checkCsrf(a, b.csrfToken));
+  assert.ok(!store.checkCsrf(a, ""));
+  assert.ok(!store.checkCsrf(null, a.csrfToken));
+});
+
+test("server signs in with cookies and checks CSRF on mutating setup routes", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /app\.post\("\/setup\/login", express\.urlencoded/);
+  assert.match(src, /app\.post\("\/setup\/logout"/);
+  assert.match(src, /if \(csrf && auth\.session && !sessions\.checkCsrf\(auth\.session, await csrfTokenOf\(req, res\)\)\)/);
+  assert.match(src, /authorize\(req, res, \{ role: routeRole\(req\), csrf: true \}\)/);
+  assert.match(src, /const auth = sameOrigin\(req\) \? await authenticateRequest\(req\) : null;\n\s+const user = auth\?\.user;/);
+  assert.match(src, /if \(SETUP_BASIC_AUTH\) \{/);
+  assert.match(src, /createSessionStore\(\{ secret: SESSION_SECRET,/);
+  assert.doesNotMatch(src, /setup-session\.secret/, "the signing key is not stored: sessions end with the process anyway");
+  const app = fs.readFileSync(new URL("../src/setup-app.js", import.meta.url), "utf8");
+  assert.doesNotMatch(app, /credentials: 'same-origin',\n\s+headers/, "raw fetches go through withCsrf");
+  assert.match(app, /opts\.headers\['x-csrf-token'\] = CSRF_TOKEN;/);
+});
@@ -0,0 +1,114 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+
+import { createUploadStore } from "../src/uploads.js";
+
+const sha = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+const KB64 = 64 * 1024;
+
+function withStore(fn, opts = {}) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-test-"));
+    const store = createUploadStore({ dir, maxBytes: 1024 * 1024, freeBytes: () => 100 * 1024 * 1024, ...opts });
+    try {
+      await fn(store, dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test("chunks can arrive out of order and be resent; complete checks the whole file", withStore(async (store) => {
+  const data = crypto.randomBytes(KB64 * 2 + 100);
+  const parts = [data.subarray(0, KB64), data.subarray(KB64, KB64 * 2), data.subarray(KB64 * 2)];
+  const upload = store.create({ fileName: "../b.tar.gz", size: data.length, chunkSize: KB64, sha256: sha(data) });
+  assert.equal(upload.chunks, 3);
+  assert.equal(upload.fileName, "b.tar.gz");
+
+  await store.writeChunk(upload.id, 2, Readable.from([parts[2]]), { sha256: sha(parts[2]) });
+  await assert.rejects(
+    store.writeChunk(upload.id, 0, Readable.from([Buffer.alloc(KB64)]), { sha256: sha(parts[0]) }),
+    { status: 400, message: /checksum/ }
+  );
+  await assert.rejects(store.complete(upload.id), { status: 409, message: /missing 2 of 3/ });
+
+  await store.writeChunk(upload.id, 0, Readable.from([parts[0]]), { sha256: sha(parts[0]) });
+  const resumed = await store.writeChunk(upload.id, 1, Readable.from([parts[1]]), { sha256: sha(parts[1]) });
+  assert.deepEqual(resumed.received, [0, 1, 2]);
+
+  await store.complete(upload.id);
+  const done = store.completed(upload.id);
+  assert.deepEqual(fs.readFileSync(done.path), data);
+  assert.ok(store.remove(upload.id));
+  assert.equal(store.get(upload.id), null);
+}));
+
+test("a bad resend of a chunk that already arrived leaves the good bytes in place", withStore(async (store, dir) => {
+  const data = crypto.randomBytes(KB64 * 2);
+  const parts = [data.subarray(0, KB64), data.subarray(KB64)];
+  const upload = store.create({ size: data.length, chunkSize: KB64 });
+  await store.writeChunk(upload.id, 0, Readable.from([parts[0]]), { sha256: sha(parts[0]) });
+  await store.writeChunk(upload.id, 1, Readable.from([parts[1]]), { sha256: sha(parts[1]) });
+
+  await assert.rejects(
+    store.writeChunk(upload.id, 0, Readable.from([Buffer.alloc(KB64)]), { sha256: sha(parts[0]) }),
+    { status: 400, message: /checksum/ }
+  );
+  await assert.rejects(store.writeChunk(upload.id, 0, Readable.from([Buffer.alloc(KB64 + 1)]), { sha256: sha(parts[0]) }), {
+    message: /larger than/,
+  });
+  assert.deepEqual(store.get(upload.id).received, [0, 1]);
+  assert.equal((await store.complete(upload.id)).complete, true);
+  assert.deepEqual(fs.readFileSync(store.completed(upload.id).path), data);
+  assert.deepEqual(fs.readdirSync(dir).filter((n) => n.endsWith(".chunk")), [], "temp chunks are cleaned up");
+}));
+
+test("chunks must match their declared length and carry a checksum", withStore(async (store) => {
+  const upload = store.create({ size: KB64 + 100, chunkSize: KB64 });
+  const short = Buffer.alloc(10);
+  await assert.rejects(store.writeChunk(upload.id, 1, Readable.from([short]), { sha256: sha(short) }), {
+    message: /10 bytes, expected 100/,
+  });
+  await assert.rejects(store.writeChunk(upload.id, 0, Readable.from([short]), {}), { message: /SHA-256/ });
+  await assert.rejects(store.writeChunk(upload.id, 5, Readable.from([short]), { sha256: sha(short) }), {
+    message: /between 0 and 1/,
+  });
+  const long = Buffer.alloc(200);
+  await assert.rejects(store.writeChunk(upload.id, 1, Readable.from([long]), { sha256: sha(long) }), {
+    message: /larger than 100 bytes/,
+  });
+}));
+
+test("size limit and free disk space are checked before accepting an upload", async () => {
+  await withStore(async (store) => {
+    assert.throws(() => store.create({ size: 2 * 1024 * 1024 }), { status: 413 });
+  })();
+  await withStore(
+    async (store) => {
+      assert.throws(() => store.create({ size: 600 * 1024 }), { status: 507, message: /Not enough disk space/ });
+    },
+    { freeBytes: () => 1024 * 1024 }
+  )();
+});
+
+test("expired sessions and stray files are swept", withStore(async (store, dir) => {
+  const upload = store.create({ size: 10, chunkSize: KB64 });
+  fs.writeFileSync(path.join(dir, "multipart-abc.upload"), "x");
+  assert.deepEqual(store.sweep(Date.now() + 1000), []);
+  const removed = store.sweep(Date.now() + 2 * 24 * 60 * 60 * 1000);
+  assert.equal(removed.length, 3);
+  assert.equal(store.get(upload.id), null);
+}));
+
+test("server streams multipart imports to disk and accepts chunked uploads", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.doesNotMatch(src, /memoryStorage\(\)/);
+  assert.match(src, /multer\.diskStorage\(/);
+  assert.match(src, /app\.put\("\/setup\/api\/uploads\/:id\/chunks\/:index"/);
+  assert.match(src, /app\.post\("\/setup\/import", requireSetupAuth, receiveBackupUpload, jobRoute\("import"/);
+});
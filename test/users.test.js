@@ -0,0 +1,165 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { carryInstallFiles } from "../src/import-snapshots.js";
+import { createUserStore, hashPassword, roleAtLeast, verifyPassword } from "../src/users.js";
+
+function tmpStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "users-test-"));
+  return { dir, store: createUserStore({ file: path.join(dir, "setup-users.json") }) };
+}
+
+test("roles are ordered viewer < operator < admin", () => {
+  assert.ok(roleAtLeast("admin", "operator"));
+  assert.ok(roleAtLeast("operator", "operator"));
+  assert.ok(!roleAtLeast("viewer", "operator"));
+  assert.ok(!roleAtLeast("root", "viewer"));
+});
+
+test("passwords are stored as scrypt hashes", async () => {
+  const stored = await hashPassword("correct horse");
+  assert.match(stored, /^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notEqual(stored, await hashPassword("correct horse"), "salted");
+  assert.equal(await verifyPassword("correct horse", stored), true);
+  assert.equal(await verifyPassword("wrong horse", stored), false);
+  assert.equal(await verifyPassword("x", "plain"), false);
+});
+
+test("SETUP_PASSWORD bootstraps the first admin and follows it until changed", async () => {
+  const { dir, store } = tmpStore();
+  try {
+    assert.equal(await store.bootstrap("admin", ""), null);
+    assert.ok(store.isEmpty());
+    assert.equal(await store.bootstrap("admin", "first-pass"), "created");
+    assert.equal((await store.authenticate("admin", "first-pass")).role, "admin");
+    assert.equal(await store.authenticate("other", "first-pass"), null, "the username matters");
+
+    assert.equal(await store.bootstrap("admin", "first-pass"), null);
+    assert.equal(await store.bootstrap("admin", "second-pass"), "updated");
+    assert.equal(await store.authenticate("admin", "first-pass"), null);
+
+    await store.update("admin", { password: "chosen-in-setup" });
+    assert.equal(await store.bootstrap("admin", "third-pass"), null, "a password set in /setup wins");
+    assert.ok(await store.authenticate("admin", "chosen-in-setup"));
+
+    const raw = fs.readFileSync(store.file, "utf8");
+    assert.ok(!raw.includes("chosen-in-setup"));
+    assert.equal(fs.statSync(store.file).mode & 0o777, 0o600);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("accounts can be added, changed and removed, but the last admin stays", async () => {
+  const { dir, store } = tmpStore();
+  try {
+    await store.bootstrap("admin", "admin-pass");
+    const bob = await store.create({ username: "bob", password: "bob-pass1", role: "viewer" });
+    assert.deepEqual(Object.keys(bob).sort(), ["createdAt", "role", "updatedAt", "username"]);
+    await assert.rejects(store.create({ username: "bob", password: "bob-pass1", role: "viewer" }), { status: 409 });
+    await assert.rejects(store.create({ username: "eve", password: "short", role: "viewer" }), { status: 400 });
+    await assert.rejects(store.create({ username: "eve", password: "long-enough", role: "root" }), { status: 400 });
+    await assert.rejects(store.create({ username: "a b", password: "long-enough", role: "viewer" }), { status: 400 });
+
+    assert.equal((await store.update("bob", { role: "operator" })).role, "operator");
+    assert.deepEqual(store.list().map((u) => [u.username, u.role]), [["admin", "admin"], ["bob", "operator"]]);
+
+    await assert.rejects(store.update("admin", { role: "viewer" }), { status: 409 });
+    assert.throws(() => store.remove("admin"), { status: 409 });
+    assert.throws(() => store.remove("nobody"), { status: 404 });
+    store.remove("bob");
+    assert.equal(store.get("bob"), null);
+    assert.equal(await store.authenticate("bob", "bob-pass1"), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// What applyStagedRestore does to the state dir: move the live one aside, move the backup in,
+// carry the install's own files over.
+function importStateDir(root, backupFiles) {
+  const live = path.join(root, ".openclaw");
+  const aside = path.join(root, `.openclaw.bak-${fs.readdirSync(root).length}`);
+  const staged = path.join(root, "staged");
+  fs.mkdirSync(staged, { recursive: true });
+  for (const [rel, text] of Object.entries(backupFiles)) fs.writeFileSync(path.join(staged, rel), text);
+  fs.renameSync(live, aside);
+  fs.renameSync(staged, live);
+  carryInstallFiles(aside, live);
+}
+
+test("importing a backup keeps the install's accounts", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "users-import-test-"));
+  try {
+    const live = path.join(root, ".openclaw");
+    fs.mkdirSync(live);
+    const store = createUserStore({ file: path.join(live, "setup-users.json") });
+    await store.bootstrap("admin", "live-pass1");
+    await store.create({ username: "bob", password: "bob-pass1", role: "viewer" });
+
+    // A backup made before accounts existed.
+    importStateDir(root, { "openclaw.json": "{}" });
+    assert.equal((await store.authenticate("admin", "live-pass1")).role, "admin");
+    assert.ok(await store.authenticate("bob", "bob-pass1"));
+
+    // A backup from another install, with its own accounts.
+    const other = createUserStore({ file: path.join(root, "other-users.json") });
+    await other.bootstrap("admin", "other-pass");
+    importStateDir(root, {
+      "setup-users.json": fs.readFileSync(other.file, "utf8"),
+    });
+    assert.ok(await store.authenticate("admin", "live-pass1"));
+    assert.equal(await store.authenticate("admin", "other-pass"), null);
+    assert.equal(fs.statSync(store.file).mode & 0o777, 0o600);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("an install left without accounts bootstraps again from SETUP_PASSWORD", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "users-import-test-"));
+  try {
+    const live = path.join(root, ".openclaw");
+    fs.mkdirSync(live);
+    const store = createUserStore({ file: path.join(live, "setup-users.json") });
+    importStateDir(root, { "openclaw.json": "{}" });
+    assert.ok(store.isEmpty());
+    assert.equal(await store.bootstrap("admin", "setup-pass"), "created");
+    assert.equal((await store.authenticate("admin", "setup-pass")).role, "admin");
+
+    const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+    assert.match(src, /async function setupAccountsReady\(\) \{\n\s+await usersReady;\n\s+if \(userStore\.isEmpty\(\)\) await bootstrapSetupAccounts\(\);/);
+    assert.equal((src.match(/await setupAccountsReady\(\);/g) ?? []).length, 3, "login, authorize and the upgrade retry the bootstrap");
+    assert.match(src, /keepInstallFiles\(aside\.state\);\n\s+await bootstrapSetupAccounts\(\);/, "imports bootstrap after the swap");
+    assert.match(src, /throw err;\n\s+\}\n\s+await bootstrapSetupAccounts\(\);/, "rollbacks bootstrap after the swap");
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("every setup route is behind requireSetupAuth and has a known role", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const routes = [...src.matchAll(/app\.(get|post|put|patch|delete)\("(\/setup[^"]*)",\s*([A-Za-z]+)/g)].map((m) => ({
+    key: `${m[1].toUpperCase()} ${m[2]}`,
+    guard: m[3],
+  }));
+  for (const r of routes) {
+    if (["GET /setup/healthz", "GET /setup/login", "POST /setup/login", "POST /setup/logout"].includes(r.key)) continue;
+    assert.equal(r.guard, "requireSetupAuth", `${r.key} must use requireSetupAuth`);
+  }
+
+  const table = src.slice(src.indexOf("const ROUTE_ROLES = {"), src.indexOf("};", src.indexOf("const ROUTE_ROLES = {")));
+  const keys = new Set(routes.map((r) => r.key));
+  for (const [, key, role] of table.matchAll(/"([A-Z]+ [^"]+)": "(\w+)"/g)) {
+    assert.ok(keys.has(key), `ROUTE_ROLES lists ${key}, which is not a route`);
+    assert.ok(["viewer", "operator"].includes(role), `${key}: admin is the default, don't list it`);
+  }
+  for (const key of ["POST /setup/api/reset", "POST /setup/import", "GET /setup/api/token", "PATCH /setup/api/config"]) {
+    assert.ok(!table.includes(`"${key}"`), `${key} must stay admin-only`);
+  }
+  assert.match(src, /return ROUTE_ROLES\[`\$\{method\} \$\{req\.route\?\.path\}`\] \?\? "admin";/);
+  assert.match(src, /roleAtLeast\(user\.role, CONTROL_UI_ROLE\)/, "the WebSocket upgrade checks the account too");
+});